@@ -13,6 +13,14 @@ import {
   ListToolsRequestSchema,
   McpError,
 } from '@modelcontextprotocol/sdk/types.js';
+import { RequestPipeline } from '../../src/api/RequestPipeline.js';
+import { REDDIT_HOST } from '../../src/config/rateLimits.js';
+import { toDayKey } from '../../src/utils/DateKeys.js'; // Days in IST, as in the dashboard
+import { getArchivedPosts } from '../../src/utils/MemeArchive.js';
+import { getArchivePath, readSnapshots } from '../../src/utils/MemeArchiveFile.js';
+import { calculateEngagementScore, calculatePopularity } from '../../src/utils/MemePopularity.js';
+import { getSourceWeights } from '../../src/utils/SourceConfig.js';
+import { getSourcesPath, readSources } from '../../src/utils/SourceConfigFile.js';
 
 /**
  * RedditAPI class - handles Reddit JSON API integration
@@ -20,12 +28,20 @@ import {
 class RedditAPI {
   constructor() {
     this.baseUrl = 'https://www.reddit.com/r';
-    this.maxRetries = 3;
-    this.retryDelay = 1000;
-    this.defaultSubreddits = ['india', 'IndiaSpeaks', 'IndianDankMemes', 'dankinindia', 'IndianMeyMeys'];
+    // Same rate limiting, timeouts and retry budget as the dashboard; stdout carries the MCP protocol
+    this.pipeline = new RequestPipeline({
+      name: 'Reddit API',
+      host: REDDIT_HOST,
+      fetchOptions: {
+        headers: {
+          'User-Agent': 'MemeMarketDashboard/1.0.0 (Educational Research)'
+        }
+      },
+      logger: { log: console.error, warn: console.error }
+    });
   }
 
-  async fetchTrendingMemes(subreddits = this.defaultSubreddits, timeframe = 'day', limit = 25) {
+  async fetchTrendingMemes(subreddits, timeframe = 'day', limit = 25) {
     const allPosts = [];
     
     for (const subreddit of subreddits) {
@@ -40,42 +56,20 @@ class RedditAPI {
 
     // Sort by engagement score and return top posts
     return allPosts
-      .sort((a, b) => this.calculateEngagementScore(b.score, b.comments) - this.calculateEngagementScore(a.score, a.comments))
+      .sort((a, b) => calculateEngagementScore(b.score, b.comments) - calculateEngagementScore(a.score, a.comments))
       .slice(0, limit * subreddits.length);
   }
 
   async fetchSubredditPosts(subreddit, timeframe, limit) {
     const url = `${this.baseUrl}/${subreddit}/top.json?t=${timeframe}&limit=${limit}`;
     
-    return this._fetchWithRetry(url, subreddit);
-  }
-
-  async _fetchWithRetry(url, subreddit, attempt = 1) {
     try {
-      const response = await fetch(url, {
-        headers: {
-          'User-Agent': 'MemeMarketDashboard/1.0.0 (Educational Research)'
-        }
+      return await this.pipeline.request(url, {
+        statusMessages: { 429: 'Rate limited by Reddit API' },
+        parse: data => this.parseRedditResponse(data, subreddit)
       });
-      
-      if (!response.ok) {
-        if (response.status === 429) {
-          throw new Error(`Rate limited by Reddit API`);
-        }
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      return this.parseRedditResponse(data, subreddit);
     } catch (error) {
-      if (attempt >= this.maxRetries) {
-        throw new Error(`Failed to fetch from r/${subreddit} after ${this.maxRetries} attempts: ${error.message}`);
-      }
-      
-      const delay = this.retryDelay * Math.pow(2, attempt - 1);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      
-      return this._fetchWithRetry(url, subreddit, attempt + 1);
+      throw new Error(`Failed to fetch from r/${subreddit} after ${error.attempts} attempts: ${error.message}`, { cause: error });
     }
   }
 
@@ -108,68 +102,13 @@ class RedditAPI {
     return posts;
   }
 
-  calculateMemePopularity(posts) {
-    if (!posts || posts.length === 0) {
-      return [];
-    }
-
-    // Group posts by date
-    const postsByDate = this.aggregateByDate(posts);
-    
-    // Calculate popularity for each date
-    const popularityData = [];
-    for (const [dateStr, stats] of postsByDate.entries()) {
-      popularityData.push({
-        date: dateStr,
-        popularity: stats.avgEngagement,
-        posts: stats.postCount,
-        avgScore: stats.avgScore,
-        totalComments: stats.totalComments
-      });
-    }
-
-    // Sort by date
-    return popularityData.sort((a, b) => new Date(a.date) - new Date(b.date));
-  }
-
-  aggregateByDate(posts) {
-    const dateMap = new Map();
-
-    for (const post of posts) {
-      const date = new Date(post.created);
-      const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-
-      if (!dateMap.has(dateStr)) {
-        dateMap.set(dateStr, {
-          postCount: 0,
-          totalScore: 0,
-          totalComments: 0,
-          totalEngagement: 0
-        });
-      }
-
-      const stats = dateMap.get(dateStr);
-      const engagement = this.calculateEngagementScore(post.score, post.comments);
-      
-      stats.postCount++;
-      stats.totalScore += post.score;
-      stats.totalComments += post.comments;
-      stats.totalEngagement += engagement;
-    }
-
-    // Calculate averages
-    for (const [dateStr, stats] of dateMap.entries()) {
-      stats.avgScore = stats.totalScore / stats.postCount;
-      stats.avgEngagement = stats.totalEngagement / stats.postCount;
-    }
-
-    return dateMap;
-  }
-
-  calculateEngagementScore(score, comments) {
-    // Engagement score formula: score + (comments * 2)
-    // Comments are weighted more heavily as they indicate active engagement
-    return Math.max(0, score) + (Math.max(0, comments) * 2);
+  /**
+   * Popularity per IST day, computed like the dashboard's (see src/utils/MemePopularity.js)
+   */
+  calculateMemePopularity(posts, weights = new Map()) {
+    const parsed = posts.map(post => ({ ...post, created: new Date(post.created) }));
+    return calculatePopularity(parsed, 'day', weights)
+      .map(point => ({ ...point, date: toDayKey(point.date) }));
   }
 }
 
@@ -208,9 +147,8 @@ class SocialMCPServer {
               properties: {
                 subreddits: {
                   type: 'array',
-                  description: 'List of subreddits to fetch from',
-                  items: { type: 'string' },
-                  default: ['india', 'IndiaSpeaks', 'IndianDankMemes', 'dankinindia', 'IndianMeyMeys']
+                  description: 'List of subreddits to fetch from (default: the sources configured in the dashboard, data/sources.json)',
+                  items: { type: 'string' }
                 },
                 timeframe: {
                   type: 'string',
@@ -230,7 +168,7 @@ class SocialMCPServer {
           },
           {
             name: 'calculate_popularity',
-            description: 'Calculate meme popularity scores from Reddit posts',
+            description: 'Calculate meme popularity scores from Reddit posts, weighting each configured source by its weight in data/sources.json',
             inputSchema: {
               type: 'object',
               properties: {
@@ -255,6 +193,27 @@ class SocialMCPServer {
               },
               required: ['posts']
             }
+          },
+          {
+            name: 'get_archived_popularity',
+            description: 'Calculate daily meme popularity from the local archive written by scripts/collect-memes.js, reaching further back than Reddit listings',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                days: {
+                  type: 'number',
+                  description: 'Number of days of history (1-365)',
+                  minimum: 1,
+                  maximum: 365,
+                  default: 90
+                },
+                subreddits: {
+                  type: 'array',
+                  description: 'Only count posts from these subreddits (default: all archived subreddits)',
+                  items: { type: 'string' }
+                }
+              }
+            }
           }
         ]
       };
@@ -271,6 +230,9 @@ class SocialMCPServer {
           
           case 'calculate_popularity':
             return await this.handleCalculatePopularity(args);
+
+          case 'get_archived_popularity':
+            return await this.handleGetArchivedPopularity(args);
           
           default:
             throw new McpError(
@@ -296,7 +258,7 @@ class SocialMCPServer {
 
   async handleFetchTrendingMemes(args) {
     const { 
-      subreddits = ['india', 'IndiaSpeaks', 'IndianDankMemes', 'dankinindia', 'IndianMeyMeys'],
+      subreddits = (await this.readSources()).map(source => source.subreddit),
       timeframe = 'day',
       limit = 25
     } = args;
@@ -386,7 +348,8 @@ class SocialMCPServer {
     console.error(`Calculating popularity for ${posts.length} posts...`);
 
     try {
-      const popularityData = this.redditAPI.calculateMemePopularity(posts);
+      const weights = getSourceWeights(await this.readSources());
+      const popularityData = this.redditAPI.calculateMemePopularity(posts, weights);
       
       console.error(`Successfully calculated popularity for ${popularityData.length} dates`);
       
@@ -421,6 +384,79 @@ class SocialMCPServer {
     }
   }
 
+  async handleGetArchivedPopularity(args = {}) {
+    const { days = 90, subreddits } = args;
+
+    // Validate input
+    if (typeof days !== 'number' || days < 1 || days > 365) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'Days must be a number between 1 and 365'
+      );
+    }
+
+    if (subreddits !== undefined && (!Array.isArray(subreddits) || subreddits.length === 0)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        'Subreddits must be a non-empty array'
+      );
+    }
+
+    const archivePath = getArchivePath();
+    console.error(`Reading ${days} days of archived memes from ${archivePath}...`);
+
+    try {
+      const end = Date.now();
+      const snapshots = await readSnapshots(archivePath);
+      // Each post counts once, with the score and comments of its latest snapshot
+      const posts = getArchivedPosts(snapshots, end - days * 24 * 60 * 60 * 1000, end, subreddits);
+      const popularityData = this.redditAPI.calculateMemePopularity(posts, getSourceWeights(await this.readSources()));
+
+      console.error(`Calculated archived popularity for ${popularityData.length} dates from ${posts.length} posts`);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: true,
+              days: days,
+              snapshots: snapshots.length,
+              archivedPosts: posts.length,
+              outputDates: popularityData.length,
+              popularityData: popularityData
+            }, null, 2)
+          }
+        ]
+      };
+    } catch (error) {
+      console.error(`Failed to read meme archive: ${error.message}`);
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify({
+              success: false,
+              error: error.message,
+              days: days
+            }, null, 2)
+          }
+        ]
+      };
+    }
+  }
+
+  async readSources() {
+    // Read on every call, so sources edited in the dashboard apply without a restart
+    const sourcesPath = getSourcesPath();
+    try {
+      return await readSources(sourcesPath);
+    } catch (error) {
+      throw new McpError(ErrorCode.InternalError, `Invalid source configuration in ${sourcesPath}: ${error.message}`);
+    }
+  }
+
   setupErrorHandling() {
     // Handle uncaught errors
     process.on('uncaughtException', (error) => {
@@ -2,7 +2,7 @@
 
 /**
  * MCP Stock Server
- * Provides tools for fetching NIFTY 50 stock data and calculating volatility metrics
+ * Provides tools for fetching Indian index data (NIFTY 50, SENSEX, ...) and calculating volatility metrics
  */
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js';
@@ -13,6 +13,16 @@ import {
   ListToolsRequestSchema,
   McpError,
 } from '@modelcontextprotocol/sdk/types.js';
+import {
+  DEFAULT_VOLATILITY_ESTIMATOR,
+  VOLATILITY_ESTIMATORS,
+  estimateVolatility,
+  getVolatilityEstimator
+} from '../../src/utils/VolatilityEstimators.js';
+import { RequestPipeline } from '../../src/api/RequestPipeline.js';
+import { SUPPORTED_INTERVALS } from '../../src/api/StockAPI.js'; // Same intervals and lookbacks as the dashboard
+import { YAHOO_FINANCE_HOST } from '../../src/config/rateLimits.js';
+import { DEFAULT_INDEX, INDEX_REGISTRY, getIndexInfo, isSupportedIndex } from '../../src/config/indices.js';
 
 /**
  * StockAPI class - handles Yahoo Finance integration
@@ -20,39 +30,36 @@ import {
 class StockAPI {
   constructor() {
     this.baseUrl = 'https://query1.finance.yahoo.com/v8/finance/chart';
-    this.maxRetries = 3;
-    this.retryDelay = 1000;
+    // Same rate limiting, timeouts and retry budget as the dashboard; stdout carries the MCP protocol
+    this.pipeline = new RequestPipeline({
+      name: 'Stock API',
+      host: YAHOO_FINANCE_HOST,
+      logger: { log: console.error, warn: console.error }
+    });
   }
 
   async fetchNiftyData(days) {
-    const symbol = '^NSEI'; // NIFTY 50 symbol
+    return this.fetchIndexData(DEFAULT_INDEX, days);
+  }
+
+  async fetchIndexData(symbol, days, interval = '1d') {
+    if (!isSupportedIndex(symbol)) {
+      throw new Error(`Unsupported index symbol: ${symbol}`);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(SUPPORTED_INTERVALS, interval)) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+
     const period2 = Math.floor(Date.now() / 1000);
     const period1 = period2 - (days * 24 * 60 * 60);
     
-    const url = `${this.baseUrl}/${symbol}?period1=${period1}&period2=${period2}&interval=1d`;
+    const url = `${this.baseUrl}/${encodeURIComponent(symbol)}?period1=${period1}&period2=${period2}&interval=${interval}`;
     
-    return this._fetchWithRetry(url);
-  }
-
-  async _fetchWithRetry(url, attempt = 1) {
     try {
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      return this.parseYahooFinanceResponse(data);
+      return await this.pipeline.request(url, { parse: data => this.parseYahooFinanceResponse(data) });
     } catch (error) {
-      if (attempt >= this.maxRetries) {
-        throw new Error(`Failed to fetch stock data after ${this.maxRetries} attempts: ${error.message}`);
-      }
-      
-      const delay = this.retryDelay * Math.pow(2, attempt - 1);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      
-      return this._fetchWithRetry(url, attempt + 1);
+      throw new Error(`Failed to fetch stock data after ${error.attempts} attempts: ${error.message}`, { cause: error });
     }
   }
 
@@ -90,14 +97,20 @@ class StockAPI {
     return stockData;
   }
 
-  calculateVolatility(priceData) {
+  calculateVolatility(priceData, estimator = DEFAULT_VOLATILITY_ESTIMATOR) {
     if (!priceData || priceData.length < 2) {
       return [];
     }
 
+    // Estimators are shared with the dashboard so both report the same numbers
+    const estimates = estimateVolatility(priceData, estimator);
     const volatilityData = [];
 
     for (let i = 0; i < priceData.length; i++) {
+      if (estimates[i] === null || !Number.isFinite(estimates[i])) {
+        continue;
+      }
+
       const current = priceData[i];
       const previous = i > 0 ? priceData[i - 1] : null;
 
@@ -105,11 +118,9 @@ class StockAPI {
       const dayRange = this.calculateDayRange(current.high, current.low, current.open);
       const volumeSpike = previous ? this.calculateVolumeSpike(current.volume, previous.volume) : 0;
 
-      const volatility = (Math.abs(dailyChange) * 0.4) + (dayRange * 0.4) + (Math.abs(volumeSpike - 100) * 0.002);
-
       volatilityData.push({
         date: current.date,
-        volatility: volatility,
+        volatility: estimates[i],
         dailyChange: dailyChange,
         dayRange: dayRange,
         volumeSpike: volumeSpike
@@ -164,10 +175,16 @@ class StockMCPServer {
         tools: [
           {
             name: 'fetch_nifty_data',
-            description: 'Fetch NIFTY 50 historical stock data from Yahoo Finance',
+            description: 'Fetch historical index data from Yahoo Finance (NIFTY 50 by default)',
             inputSchema: {
               type: 'object',
               properties: {
+                symbol: {
+                  type: 'string',
+                  description: 'Index symbol to fetch',
+                  enum: Object.keys(INDEX_REGISTRY),
+                  default: DEFAULT_INDEX
+                },
                 days: {
                   type: 'number',
                   description: 'Number of days of historical data to fetch (1-365)',
@@ -176,8 +193,8 @@ class StockMCPServer {
                 },
                 interval: {
                   type: 'string',
-                  description: 'Data interval (currently only "1d" supported)',
-                  enum: ['1d'],
+                  description: 'Candle interval ("15m" is limited to the last 60 days)',
+                  enum: Object.keys(SUPPORTED_INTERVALS),
                   default: '1d'
                 }
               },
@@ -195,6 +212,12 @@ class StockMCPServer {
                   description: 'Stock symbol (for logging purposes)',
                   default: '^NSEI'
                 },
+                estimator: {
+                  type: 'string',
+                  description: 'Volatility estimator ("pts" for ATR, percent per candle otherwise)',
+                  enum: Object.keys(VOLATILITY_ESTIMATORS),
+                  default: DEFAULT_VOLATILITY_ESTIMATOR
+                },
                 data: {
                   type: 'array',
                   description: 'Array of stock data points',
@@ -254,7 +277,14 @@ class StockMCPServer {
   }
 
   async handleFetchNiftyData(args) {
-    const { days = 30, interval = '1d' } = args;
+    const { symbol = DEFAULT_INDEX, days = 30, interval = '1d' } = args;
+
+    if (!isSupportedIndex(symbol)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Symbol must be one of: ${Object.keys(INDEX_REGISTRY).join(', ')}`
+      );
+    }
 
     // Validate input
     if (typeof days !== 'number' || days < 1 || days > 365) {
@@ -264,17 +294,24 @@ class StockMCPServer {
       );
     }
 
-    if (interval !== '1d') {
+    if (!Object.prototype.hasOwnProperty.call(SUPPORTED_INTERVALS, interval)) {
       throw new McpError(
         ErrorCode.InvalidParams,
-        'Only "1d" interval is currently supported'
+        `Interval must be one of: ${Object.keys(SUPPORTED_INTERVALS).join(', ')}`
       );
     }
 
-    console.error(`Fetching NIFTY 50 data for ${days} days...`);
+    if (days > SUPPORTED_INTERVALS[interval].maxDays) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Interval "${interval}" supports at most ${SUPPORTED_INTERVALS[interval].maxDays} days`
+      );
+    }
+
+    console.error(`Fetching ${getIndexInfo(symbol).name} data for ${days} days...`);
 
     try {
-      const stockData = await this.stockAPI.fetchNiftyData(days);
+      const stockData = await this.stockAPI.fetchIndexData(symbol, days, interval);
       
       console.error(`Successfully fetched ${stockData.length} data points`);
       
@@ -284,7 +321,8 @@ class StockMCPServer {
             type: 'text',
             text: JSON.stringify({
               success: true,
-              symbol: '^NSEI',
+              symbol: symbol,
+              name: getIndexInfo(symbol).name,
               days: days,
               interval: interval,
               dataPoints: stockData.length,
@@ -294,7 +332,7 @@ class StockMCPServer {
         ]
       };
     } catch (error) {
-      console.error(`Failed to fetch NIFTY data: ${error.message}`);
+      console.error(`Failed to fetch ${getIndexInfo(symbol).name} data: ${error.message}`);
       
       return {
         content: [
@@ -303,7 +341,7 @@ class StockMCPServer {
             text: JSON.stringify({
               success: false,
               error: error.message,
-              symbol: '^NSEI',
+              symbol: symbol,
               days: days
             }, null, 2)
           }
@@ -313,7 +351,7 @@ class StockMCPServer {
   }
 
   async handleCalculateVolatility(args) {
-    const { symbol = '^NSEI', data } = args;
+    const { symbol = '^NSEI', data, estimator = DEFAULT_VOLATILITY_ESTIMATOR } = args;
 
     // Validate input
     if (!Array.isArray(data)) {
@@ -330,7 +368,15 @@ class StockMCPServer {
       );
     }
 
-    console.error(`Calculating volatility for ${symbol} with ${data.length} data points...`);
+    const estimatorInfo = getVolatilityEstimator(estimator);
+    if (!estimatorInfo) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Estimator must be one of: ${Object.keys(VOLATILITY_ESTIMATORS).join(', ')}`
+      );
+    }
+
+    console.error(`Calculating ${estimatorInfo.name} volatility for ${symbol} with ${data.length} data points...`);
 
     try {
       // Convert date strings back to Date objects for calculation
@@ -339,7 +385,7 @@ class StockMCPServer {
         date: new Date(point.date)
       }));
 
-      const volatilityData = this.stockAPI.calculateVolatility(processedData);
+      const volatilityData = this.stockAPI.calculateVolatility(processedData, estimator);
       
       // Convert dates back to ISO strings for JSON serialization
       const serializedData = volatilityData.map(point => ({
@@ -356,6 +402,8 @@ class StockMCPServer {
             text: JSON.stringify({
               success: true,
               symbol: symbol,
+              estimator: estimator,
+              unit: estimatorInfo.unit,
               inputDataPoints: data.length,
               outputDataPoints: volatilityData.length,
               volatilityData: serializedData
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Meme archive collector
+ * Snapshots the posts of the configured subreddit sources (data/sources.json, shared with the
+ * dashboard) into the local meme archive, once or on a schedule. Each run reads the 'new'
+ * listing of the past day, to catch posts while they are fresh, and the 'top' listing of the
+ * past week, to follow how their scores develop.
+ *
+ * Usage:
+ *   node scripts/collect-memes.js                    # one run, e.g. from cron
+ *   node scripts/collect-memes.js --interval 60      # a run every 60 minutes until stopped
+ *   node scripts/collect-memes.js --archive ./memes.jsonl --subreddits IndianDankMemes,indiameme
+ */
+
+import { parseArgs } from 'node:util';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { RedditAPI } from '../src/api/RedditAPI.js';
+import { RateLimiter } from '../src/utils/RateLimiter.js';
+import { createSnapshot } from '../src/utils/MemeArchive.js';
+import { appendSnapshots, getArchivePath } from '../src/utils/MemeArchiveFile.js';
+import { readSources } from '../src/utils/SourceConfigFile.js';
+
+/**
+ * Listings read on every run with the timeframe each one covers
+ */
+const COLLECTED_LISTINGS = [
+  { listing: 'new', timeframe: 'day' },
+  { listing: 'top', timeframe: 'week' }
+];
+
+/**
+ * Longest a run waits for Reddit's rate limit, per request and in the limiter
+ * A batch job can wait out the limit instead of failing after the dashboard's 30 seconds.
+ */
+export const COLLECTOR_MAX_WAIT = 5 * 60 * 1000;
+
+/**
+ * Read the command line options
+ */
+function readOptions() {
+  const { values } = parseArgs({
+    options: {
+      interval: { type: 'string' },
+      archive: { type: 'string' },
+      subreddits: { type: 'string' }
+    }
+  });
+
+  const interval = values.interval === undefined ? null : Number(values.interval);
+  if (interval !== null && !(interval > 0)) {
+    throw new Error('--interval must be a positive number of minutes');
+  }
+
+  return {
+    interval,
+    archivePath: values.archive || getArchivePath(),
+    subreddits: values.subreddits ? values.subreddits.split(',').map(name => name.trim()).filter(Boolean) : undefined
+  };
+}
+
+/**
+ * Create one Reddit client per collected listing, sharing a rate limiter
+ */
+export function createClients() {
+  const rateLimiter = new RateLimiter({ maxWait: COLLECTOR_MAX_WAIT });
+  return COLLECTED_LISTINGS.map(({ listing, timeframe }) => ({
+    // Every subreddit gets its full post budget; the run waits for the pages beyond Reddit's burst
+    client: new RedditAPI(undefined, { rateLimiter, listing, budget: { totalTime: COLLECTOR_MAX_WAIT }, requestBudget: Infinity }),
+    timeframe
+  }));
+}
+
+/**
+ * Fetch every collected listing and append one snapshot per post seen
+ */
+export async function collect(clients, archivePath, subreddits) {
+  // Without --subreddits the configuration is re-read every run, so sources edited in the dashboard apply without a restart
+  const sources = subreddits || await readSources();
+  clients.forEach(({ client }) => client.setSources(sources));
+
+  const observedAt = new Date();
+  const snapshots = new Map(); // Post id -> snapshot; a post in both listings is recorded once
+
+  for (const { client, timeframe } of clients) {
+    try {
+      const posts = await client.fetchTrendingMemes(timeframe);
+      for (const post of posts) {
+        const snapshot = createSnapshot(post, observedAt);
+        if (snapshot) {
+          snapshots.set(snapshot.id, snapshot);
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to read the ${client.listing} listing: ${error.message}`);
+    }
+  }
+
+  await appendSnapshots([...snapshots.values()], archivePath);
+  console.log(`${observedAt.toISOString()} archived ${snapshots.size} posts to ${archivePath}`);
+}
+
+async function main() {
+  const { interval, archivePath, subreddits } = readOptions();
+  const clients = createClients();
+
+  await collect(clients, archivePath, subreddits);
+  if (interval === null) {
+    return;
+  }
+
+  console.log(`Collecting every ${interval} minutes; press Ctrl+C to stop`);
+  // The next run is scheduled once the last one finished, so slow runs never overlap
+  const scheduleNext = () => setTimeout(async () => {
+    await collect(clients, archivePath, subreddits).catch(error => console.error('Collection failed:', error));
+    scheduleNext();
+  }, interval * 60 * 1000);
+  scheduleNext();
+}
+
+// Only run when started as a script, not when imported by the tests
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  main().catch((error) => {
+    console.error('Collector failed:', error.message);
+    process.exit(1);
+  });
+}
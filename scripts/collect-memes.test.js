@@ -0,0 +1,55 @@
+/**
+ * Tests for the meme archive collector
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { collect, createClients } from './collect-memes.js';
+import { readSnapshots } from '../src/utils/MemeArchiveFile.js';
+import { REDDIT_HOST } from '../src/config/rateLimits.js';
+
+describe('Meme archive collector', () => {
+  const originalFetch = global.fetch;
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'meme-collector-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    global.fetch = originalFetch;
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should wait out a rate limit longer than the dashboard\'s 30-second budget', async () => {
+    vi.useFakeTimers();
+    // AbortSignal.timeout runs on real timers; drive it from the fake clock like every other wait
+    vi.spyOn(AbortSignal, 'timeout').mockImplementation((ms) => {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(new DOMException('The operation timed out.', 'TimeoutError')), ms);
+      return controller.signal;
+    });
+    global.fetch = vi.fn(async (url) => {
+      const id = url.includes('/new.json') ? 'new1' : 'top1';
+      const post = { id, title: 'Meme', created_utc: Date.now() / 1000, permalink: `/r/indiameme/comments/${id}/meme/`, subreddit: 'indiameme' };
+      return { ok: true, status: 200, headers: new Headers(), json: async () => ({ data: { children: [{ kind: 't3', data: post }], after: null } }) };
+    });
+    const path = join(directory, 'archive.jsonl');
+    const clients = createClients();
+    clients[0].client.rateLimiter.pause(REDDIT_HOST, 60000);
+
+    const run = collect(clients, path, ['indiameme']);
+    await vi.advanceTimersByTimeAsync(61000);
+    await run;
+
+    const snapshots = await readSnapshots(path);
+    expect(snapshots.map(snapshot => snapshot.id).sort()).toEqual(['new1', 'top1']);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * MemeArchiveAPI - Reads archived meme posts collected by scripts/collect-memes.js
+ * The dev server serves the local archive; builds without one simply get no archived posts
+ */
+
+import { createHttpError } from '../utils/HttpErrors.js';
+import { isAbortError, withTimeoutSignal } from '../utils/Abort.js';
+
+/**
+ * Time limit of an archive request in milliseconds; the archive is local, so anything slower is skipped
+ * @type {number}
+ */
+export const ARCHIVE_TIMEOUT = 5000;
+
+export class MemeArchiveAPI {
+  /**
+   * Create a new MemeArchiveAPI instance
+   * @param {Object} options - Client options
+   * @param {string|null} options.baseUrl - Archive endpoint prefix (default: '/api/archive' in development, none otherwise)
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl !== undefined
+      ? options.baseUrl
+      : (import.meta.env?.DEV ? '/api/archive' : null);
+  }
+
+  /**
+   * Fetch archived posts created inside a window, each with its latest score and comments
+   * The archive only adds to what Reddit returns, so failures are logged and yield no posts.
+   * @param {number} start - Window start (epoch ms)
+   * @param {number} end - Window end (epoch ms)
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {Promise<MemePost[]>} Archived posts in chronological order
+   * @throws {DOMException} AbortError when the signal fires
+   */
+  async fetchPosts(start, end, options = {}) {
+    if (!this.baseUrl) {
+      return [];
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/memes?start=${start}&end=${end}`, {
+        signal: withTimeoutSignal(options.signal, ARCHIVE_TIMEOUT)
+      });
+      if (!response.ok) {
+        throw createHttpError(response);
+      }
+      const data = await response.json();
+      return (data.posts || []).map(post => ({ ...post, created: new Date(post.created) }));
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
+      console.warn('Meme archive unavailable:', error.message);
+      return [];
+    }
+  }
+}
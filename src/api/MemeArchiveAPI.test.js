@@ -0,0 +1,59 @@
+/**
+ * Tests for MemeArchiveAPI
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { MemeArchiveAPI } from './MemeArchiveAPI.js';
+
+describe('MemeArchiveAPI', () => {
+  const originalFetch = global.fetch;
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    vi.restoreAllMocks();
+  });
+
+  it('should fetch the posts of a window and revive their dates', async () => {
+    const api = new MemeArchiveAPI({ baseUrl: '/api/archive' });
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ posts: [{ id: 'a1', title: 'Meme', created: '2024-01-10T08:00:00.000Z', subreddit: 'indiameme' }] })
+    });
+
+    const posts = await api.fetchPosts(1000, 2000);
+
+    expect(global.fetch.mock.calls[0][0]).toBe('/api/archive/memes?start=1000&end=2000');
+    expect(posts[0].created).toEqual(new Date('2024-01-10T08:00:00.000Z'));
+  });
+
+  it('should return no posts without an archive endpoint', async () => {
+    const api = new MemeArchiveAPI({ baseUrl: null });
+    global.fetch = vi.fn();
+
+    await expect(api.fetchPosts(1000, 2000)).resolves.toEqual([]);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should return no posts when the archive cannot be read', async () => {
+    const api = new MemeArchiveAPI({ baseUrl: '/api/archive' });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 500, statusText: 'Internal Server Error', headers: new Headers() });
+
+    await expect(api.fetchPosts(1000, 2000)).resolves.toEqual([]);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('should pass cancellation on', async () => {
+    const api = new MemeArchiveAPI({ baseUrl: '/api/archive' });
+    global.fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    const controller = new AbortController();
+
+    const result = api.fetchPosts(1000, 2000, { signal: controller.signal }).catch(e => e);
+    controller.abort();
+
+    expect((await result).name).toBe('AbortError');
+  });
+});
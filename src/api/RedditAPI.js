@@ -3,136 +3,314 @@
  * Integrates with Reddit JSON API for trending posts
  */
 
+import { bucketKeyToDate } from '../utils/DateKeys.js';
+import { aggregatePosts, calculateEngagementScore, calculatePopularity, getSourceWeight } from '../utils/MemePopularity.js';
+import {
+  HttpError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  ParseError
+} from '../utils/HttpErrors.js';
+import { rateLimiter } from '../utils/RateLimiter.js';
+import { RATE_LIMITS, REDDIT_HOST } from '../config/rateLimits.js';
+import { REDDIT_TIMEFRAMES } from '../config/timeRanges.js';
+import { isAbortError } from '../utils/Abort.js';
+import { scoreSentiment, classifySentiment } from '../utils/Sentiment.js';
+import { extractTickers, getPostTickers } from '../utils/TickerExtractor.js';
+import { SourceConfigError, getSourceWeights, normalizeSubredditName } from '../utils/SourceConfig.js';
+import { DEFAULT_SOURCES } from '../config/sources.js';
+import { getPostId } from '../utils/MemeArchive.js';
+import { RequestPipeline } from './RequestPipeline.js';
+
+/**
+ * Listings posts can be read from: 'top' ranks the posts of a timeframe, 'new' lists all posts newest first
+ * @type {string[]}
+ */
+export const SUPPORTED_LISTINGS = ['top', 'new'];
+
+/**
+ * Most posts Reddit returns in one listing page
+ * @type {number}
+ */
+export const REDDIT_PAGE_SIZE = 100;
+
+/**
+ * Posts collected per subreddit unless the client sets its own budget
+ * Two full pages for each of the three default subreddits fit in Reddit's burst of six requests.
+ * @type {number}
+ */
+export const DEFAULT_POST_BUDGET = 200;
+
 export class RedditAPI {
-  constructor(subreddits = ['IndianDankMemes', 'indiameme', 'SaimanSays']) {
-    this.subreddits = subreddits;
-    // Use proxy in development, direct API in production
-    this.baseUrl = import.meta.env.DEV 
+  /**
+   * Create a new RedditAPI instance
+   * @param {Array<SourceConfig|string>} sources - Subreddits to read memes from, with their weights; a bare name gets weight 1
+   * @param {Object} options - Client options
+   * @param {RateLimiter} options.rateLimiter - Per-host limiter (default: the one shared by all clients)
+   * @param {Object} options.budget - Attempts and time allowed per page request (default: DEFAULT_REQUEST_BUDGET)
+   * @param {number} options.postBudget - Posts collected per subreddit across pages (default: DEFAULT_POST_BUDGET)
+   * @param {number} options.requestBudget - Listing requests one fetchTrendingMemes() call may send, shared by the subreddits (default: Reddit's burst capacity)
+   * @param {string} options.listing - Listing to read, one of SUPPORTED_LISTINGS (default 'top')
+   * @throws {Error} If the listing is not supported
+   */
+  constructor(sources = DEFAULT_SOURCES, options = {}) {
+    this.setSources(sources);
+    this.postBudget = options.postBudget ?? DEFAULT_POST_BUDGET;
+    this.requestBudget = options.requestBudget ?? RATE_LIMITS[REDDIT_HOST].capacity;
+    this.listing = options.listing || 'top';
+    if (!SUPPORTED_LISTINGS.includes(this.listing)) {
+      throw new Error(`Unsupported Reddit listing: ${this.listing}. Use one of: ${SUPPORTED_LISTINGS.join(', ')}`);
+    }
+    // Use proxy in development, direct API in production and in Node (the archive collector)
+    this.baseUrl = import.meta.env?.DEV 
       ? '/api/reddit/r'
       : 'https://www.reddit.com/r';
-    this.maxRetries = 3;
-    this.retryDelay = 1000; // Initial delay in ms
+    this.host = REDDIT_HOST; // Requests through the proxy count against the upstream host
+    this.rateLimiter = options.rateLimiter || rateLimiter;
+    this.pipeline = new RequestPipeline({
+      name: 'Reddit API',
+      host: this.host,
+      rateLimiter: this.rateLimiter,
+      budget: options.budget,
+      fetchOptions: {
+        headers: {
+          'User-Agent': 'MemeMarketDashboard/1.0 (by /u/developer)',
+          'Accept': 'application/json, text/plain, */*',
+          'Accept-Language': 'en-US,en;q=0.9',
+          'Cache-Control': 'no-cache',
+          'Pragma': 'no-cache'
+        },
+        mode: 'cors',
+        credentials: 'omit'
+      }
+    });
+  }
+
+  /**
+   * Replace the subreddits memes are read from and their weights in the engagement aggregate
+   * @param {Array<SourceConfig|string>} sources - Sources; a bare name gets weight 1
+   */
+  setSources(sources) {
+    this.sources = sources.map(source => (
+      typeof source === 'string' ? { subreddit: source, weight: 1 } : { subreddit: source.subreddit, weight: source.weight ?? 1 }
+    ));
+    this.subreddits = this.sources.map(source => source.subreddit);
+    this.sourceWeights = getSourceWeights(this.sources);
+  }
+
+  /**
+   * Get the weight of a subreddit's posts in the engagement aggregate
+   * @param {string} subreddit - Subreddit name, in any case
+   * @returns {number} Configured weight, 1 for subreddits that are not configured
+   */
+  getSourceWeight(subreddit) {
+    return getSourceWeight(this.sourceWeights, subreddit);
+  }
+
+  /**
+   * Check that a subreddit exists and can be read before it is added as a source
+   * @param {string} subreddit - Subreddit name, with or without the r/ prefix
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+   * @returns {Promise<string>} Subreddit name as Reddit spells it
+   * @throws {SourceConfigError} If the name is invalid or the subreddit does not exist, is private or banned
+   * @throws {NetworkError|TimeoutError|HttpError|RateLimitError} If Reddit could not be asked
+   * @throws {DOMException} AbortError when the signal fires
+   */
+  async validateSubreddit(subreddit, options = {}) {
+    const name = normalizeSubredditName(subreddit);
+
+    let about;
+    try {
+      about = await this.pipeline.request(`${this.baseUrl}/${name}/about.json`, {
+        signal: options.signal,
+        parse: data => data
+      });
+    } catch (error) {
+      if (error instanceof HttpError && (error.status === 403 || error.status === 404)) {
+        throw new SourceConfigError(`r/${name} does not exist or is private`);
+      }
+      throw this._describeError(error, name);
+    }
+
+    // Reddit answers some unknown names with search results instead of a subreddit
+    if (about?.kind !== 't5' || !about.data?.display_name) {
+      throw new SourceConfigError(`r/${name} does not exist`);
+    }
+    return about.data.display_name;
   }
 
   /**
    * Fetch trending memes from configured subreddits
+   * Subreddits that fail are skipped; only if all of them fail is the first error thrown.
+   * Each subreddit reads at most its share of the request budget in pages (see getPostLimit()).
    * @param {string} timeframe - Time period ('day', 'week', 'month')
-   * @param {number} limit - Maximum number of posts per subreddit
+   * @param {number} limit - Maximum number of posts per subreddit (default: the client's post budget)
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal} options.signal - Cancels every subreddit's requests and pending retries
+   * @param {Function} options.onRetry - Called with (error, attempt, maxAttempts) before each retry of a subreddit
    * @returns {Promise<MemePost[]>} Array of meme posts
+   * @throws {NetworkError|TimeoutError|HttpError|RateLimitError|ParseError} If no subreddit could be fetched
+   * @throws {DOMException} AbortError when the signal fires
    */
-  async fetchTrendingMemes(timeframe = 'week', limit = 25) {
+  async fetchTrendingMemes(timeframe = 'week', limit = this.postBudget, options = {}) {
+    const postLimit = this.getPostLimit(limit);
     const fetchPromises = this.subreddits.map(subreddit => 
-      this.fetchSubredditPosts(subreddit, timeframe, limit)
+      this.fetchSubredditPosts(subreddit, timeframe, postLimit, options)
     );
 
-    try {
-      const results = await Promise.allSettled(fetchPromises);
-      
-      // Combine all successful results
-      const allPosts = results
-        .filter(result => result.status === 'fulfilled')
-        .flatMap(result => result.value);
-
-      return allPosts;
-    } catch (error) {
-      throw new Error(`Failed to fetch trending memes: ${error.message}`);
+    const results = await Promise.allSettled(fetchPromises);
+    options.signal?.throwIfAborted();
+    const failures = results.filter(result => result.status === 'rejected');
+
+    // Reddit itself is unreachable only if every subreddit failed; report why so callers can react
+    if (failures.length > 0 && failures.length === results.length) {
+      throw failures[0].reason;
     }
+
+    // Combine all successful results
+    return results
+      .filter(result => result.status === 'fulfilled')
+      .flatMap(result => result.value);
   }
 
   /**
-   * Fetch posts from a single subreddit
+   * Get how many posts each subreddit may contribute so that one load fits the request budget
+   * @param {number} limit - Posts wanted per subreddit (default: the client's post budget)
+   * @returns {number} The limit, lowered to the pages each subreddit's share of the request budget holds (at least one page)
+   */
+  getPostLimit(limit = this.postBudget) {
+    const pages = Math.max(1, Math.floor(this.requestBudget / this.subreddits.length));
+    return Math.min(limit, pages * REDDIT_PAGE_SIZE);
+  }
+
+  /**
+   * Fetch posts from a single subreddit, following the listing's `after` cursor page by page
+   * Paging stops at the end of the listing or once `limit` distinct posts were collected.
+   * Reddit ignores the timeframe of the 'new' listing, so paging stops at the first post older than it instead.
+   * If a later page fails the posts collected so far are returned; only a failed first page throws.
    * @param {string} subreddit - Subreddit name
    * @param {string} timeframe - Time period ('day', 'week', 'month')
-   * @param {number} limit - Maximum number of posts
+   * @param {number} limit - Maximum number of posts (default: the client's post budget)
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal} options.signal - Cancels the requests and any pending retry
+   * @param {Function} options.onRetry - Called with (error, attempt, maxAttempts) before each retry
    * @returns {Promise<MemePost[]>} Array of meme posts
-   * @private
+   * @throws {NetworkError|TimeoutError|HttpError|RateLimitError|ParseError} If the first page could not be fetched
+   * @throws {DOMException} AbortError when the signal fires
    */
-  async fetchSubredditPosts(subreddit, timeframe, limit) {
-    const url = `${this.baseUrl}/${subreddit}/top.json?t=${timeframe}&limit=${limit}`;
-    
-    return this._fetchWithRetry(url, subreddit);
+  async fetchSubredditPosts(subreddit, timeframe, limit = this.postBudget, options = {}) {
+    const cutoffMs = REDDIT_TIMEFRAMES.find(entry => entry.value === timeframe)?.ms;
+    const cutoff = this.listing === 'new' && cutoffMs !== undefined ? Date.now() - cutoffMs : null;
+    const posts = [];
+    const seen = new Set();
+    let after = null;
+    let pages = 0;
+
+    do {
+      let page;
+      try {
+        page = await this._fetchPage(subreddit, timeframe, Math.min(REDDIT_PAGE_SIZE, limit - posts.length), after, options);
+      } catch (error) {
+        if (pages === 0 || isAbortError(error)) {
+          throw error;
+        }
+        console.warn(`Stopped paging r/${subreddit} after ${pages} pages:`, error.message);
+        break;
+      }
+      pages++;
+
+      let added = 0;
+      let reachedCutoff = false;
+      for (const post of page.posts) {
+        if (cutoff !== null && post.created.getTime() < cutoff) {
+          reachedCutoff = true;
+          continue;
+        }
+        // Posts move between pages while a listing is read, so one can turn up twice
+        const id = getPostId(post) ?? post.url;
+        if (seen.has(id)) {
+          continue;
+        }
+        seen.add(id);
+        posts.push(post);
+        added++;
+      }
+
+      // A page of nothing but repeats means the cursor is not moving forward
+      after = reachedCutoff || added === 0 ? null : page.after;
+    } while (after && posts.length < limit);
+
+    console.log(`Successfully parsed ${posts.length} posts from r/${subreddit} (${pages} page${pages === 1 ? '' : 's'})`);
+    return posts.slice(0, limit);
   }
 
   /**
-   * Fetch with exponential backoff retry logic
+   * Fetch one page of a subreddit's listing
    * @private
+   * @param {string} subreddit - Subreddit name
+   * @param {string} timeframe - Time period of the 'top' listing
+   * @param {number} limit - Posts on the page
+   * @param {string|null} after - Cursor of the page to read, null for the first page
+   * @param {Object} options - Fetch options, as for fetchSubredditPosts()
+   * @returns {Promise<{posts: MemePost[], after: string|null}>} Posts and the cursor of the next page
    */
-  async _fetchWithRetry(url, subreddit, attempt = 1) {
+  async _fetchPage(subreddit, timeframe, limit, after, options) {
+    const query = this.listing === 'top' ? `t=${timeframe}&limit=${limit}` : `limit=${limit}`;
+    const url = `${this.baseUrl}/${subreddit}/${this.listing}.json?${query}${after ? `&after=${after}` : ''}`;
+
     try {
-      console.log(`Fetching Reddit data from r/${subreddit} (attempt ${attempt}):`, url);
-      
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'MemeMarketDashboard/1.0 (by /u/developer)',
-          'Accept': 'application/json, text/plain, */*',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Cache-Control': 'no-cache',
-          'Pragma': 'no-cache'
+      return await this.pipeline.request(url, {
+        signal: options.signal,
+        onRetry: options.onRetry,
+        statusMessages: {
+          403: `Access forbidden to r/${subreddit}. Subreddit may be private or banned.`,
+          404: `Subreddit r/${subreddit} not found.`,
+          429: `Rate limited by Reddit API for r/${subreddit}.`
         },
-        mode: 'cors',
-        credentials: 'omit'
+        parse: data => ({
+          posts: this.parseRedditResponse(data, subreddit),
+          after: data.data.after ?? null
+        })
       });
-      
-      console.log(`Reddit API response status for r/${subreddit}: ${response.status}`);
-      
-      if (response.status === 429) {
-        // Rate limiting
-        const retryAfter = response.headers.get('Retry-After') || '60';
-        throw new Error(`Rate limited by Reddit API. Retry after ${retryAfter} seconds.`);
-      }
-      
-      if (response.status === 403) {
-        throw new Error(`Access forbidden to r/${subreddit}. Subreddit may be private or banned.`);
-      }
-      
-      if (response.status === 404) {
-        throw new Error(`Subreddit r/${subreddit} not found.`);
-      }
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      console.log(`Reddit API response received for r/${subreddit}, parsing...`);
-      
-      const parsedData = this.parseRedditResponse(data, subreddit);
-      console.log(`Successfully parsed ${parsedData.length} posts from r/${subreddit}`);
-      
-      return parsedData;
     } catch (error) {
-      console.error(`Reddit API fetch attempt ${attempt} failed for r/${subreddit}:`, error);
-      
-      if (attempt >= this.maxRetries) {
-        // Provide more specific error messages but still return empty array for graceful degradation
-        let userMessage = `Failed to fetch from r/${subreddit}`;
-        
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-          userMessage = `Network error while fetching r/${subreddit}. Please check your connection.`;
-        } else if (error.message.includes('429') || error.message.includes('rate limit')) {
-          userMessage = `Rate limited by Reddit for r/${subreddit}. Please wait before retrying.`;
-        } else if (error.message.includes('403') || error.message.includes('forbidden')) {
-          userMessage = `Access denied to r/${subreddit}. Subreddit may be private.`;
-        } else if (error.message.includes('404') || error.message.includes('not found')) {
-          userMessage = `Subreddit r/${subreddit} not found.`;
-        } else if (error.message.includes('timeout')) {
-          userMessage = `Request to r/${subreddit} timed out. The server may be busy.`;
-        } else if (error.message.includes('CORS')) {
-          userMessage = `Cross-origin request blocked for r/${subreddit}. Please try refreshing the page.`;
-        }
-        
-        console.warn(`${userMessage} after ${this.maxRetries} attempts: ${error.message}`);
-        return []; // Return empty array instead of throwing to allow other subreddits to succeed
-      }
-      
-      // Exponential backoff: 1s, 2s, 4s
-      const delay = this.retryDelay * Math.pow(2, attempt - 1);
-      console.log(`Retrying r/${subreddit} in ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      
-      return this._fetchWithRetry(url, subreddit, attempt + 1);
+      // fetchTrendingMemes still returns the other subreddits' posts
+      throw this._describeError(error, subreddit);
+    }
+  }
+
+  /**
+   * Give a typed error from the pipeline a message for the user, keeping its type
+   * @private
+   * @param {Error} error - Error the request failed with
+   * @param {string} subreddit - Subreddit name
+   * @returns {Error} The same error
+   */
+  _describeError(error, subreddit) {
+    // Cancelled requests never reached the end of the pipeline and keep their AbortError
+    if (error.attempts === undefined) {
+      return error;
+    }
+
+    let userMessage = `Failed to fetch from r/${subreddit}`;
+    if (error instanceof NetworkError) {
+      userMessage = `Network error while fetching r/${subreddit}. Please check your connection.`;
+    } else if (error instanceof TimeoutError) {
+      userMessage = `Request to r/${subreddit} timed out.`;
+    } else if (error instanceof RateLimitError) {
+      const wait = error.retryAfter !== null ? ` Retry after ${Math.ceil(error.retryAfter / 1000)} seconds.` : '';
+      userMessage = `Rate limited by Reddit for r/${subreddit}.${wait || ' Please wait before retrying.'}`;
+    } else if (error instanceof HttpError && error.status === 403) {
+      userMessage = `Access denied to r/${subreddit}. Subreddit may be private.`;
+    } else if (error instanceof HttpError && error.status === 404) {
+      userMessage = `Subreddit r/${subreddit} not found.`;
+    } else if (error instanceof ParseError) {
+      userMessage = `Unexpected response from r/${subreddit}.`;
     }
+
+    error.message = `${userMessage} (${error.attempts} attempts failed): ${error.message}`;
+    return error;
   }
 
   /**
@@ -143,7 +321,7 @@ export class RedditAPI {
    */
   parseRedditResponse(response, subreddit) {
     if (!response.data || !response.data.children) {
-      throw new Error('Invalid Reddit response format');
+      throw new ParseError('Invalid Reddit response format');
     }
 
     const posts = response.data.children
@@ -152,6 +330,7 @@ export class RedditAPI {
         const post = child.data;
         
         return {
+          id: post.id,
           title: post.title,
           score: post.score || 0,
           comments: post.num_comments || 0,
@@ -159,7 +338,9 @@ export class RedditAPI {
           url: `https://www.reddit.com${post.permalink}`,
           subreddit: post.subreddit || subreddit,
           thumbnail: post.thumbnail && post.thumbnail.startsWith('http') ? post.thumbnail : '',
-          author: post.author || '[deleted]'
+          author: post.author || '[deleted]',
+          sentiment: scoreSentiment(post.title),
+          tickers: extractTickers(post.title)
         };
       });
 
@@ -167,37 +348,77 @@ export class RedditAPI {
   }
 
   /**
-   * Calculate meme popularity scores aggregated by date
+   * Calculate meme popularity scores aggregated by date or hour
+   * Each post's engagement counts with the weight of its subreddit.
+   * @param {MemePost[]} posts - Array of meme posts
+   * @param {string} granularity - 'day' (default) or 'hour' (IST hours for intraday analysis)
+   * @returns {PopularityPoint[]} Array of popularity points, one per bucket
+   */
+  calculateMemePopularity(posts, granularity = 'day') {
+    return calculatePopularity(posts, granularity, this.sourceWeights);
+  }
+
+  /**
+   * Calculate average title sentiment aggregated by date or hour
+   * Posts stored or archived before titles were scored are scored here.
    * @param {MemePost[]} posts - Array of meme posts
-   * @returns {PopularityPoint[]} Array of popularity points by date
+   * @param {string} granularity - 'day' (default) or 'hour' (IST hours for intraday analysis)
+   * @returns {SentimentPoint[]} Array of {date, sentiment, posts, positive, negative}, one per bucket, sorted by date
    */
-  calculateMemePopularity(posts) {
+  calculateMemeSentiment(posts, granularity = 'day') {
     if (!posts || posts.length === 0) {
       return [];
     }
 
-    // Aggregate posts by date
-    const dateMap = this.aggregateByDate(posts);
+    const dateMap = granularity === 'hour' ? this.aggregateByHour(posts) : this.aggregateByDate(posts);
 
-    // Convert to PopularityPoint array
-    const popularityData = [];
+    const sentimentData = [];
     for (const [dateStr, stats] of dateMap.entries()) {
-      const avgScore = stats.totalScore / stats.posts.length;
-      const engagementScore = this.calculateEngagementScore(stats.totalScore, stats.totalComments);
-
-      popularityData.push({
-        date: new Date(dateStr),
-        popularity: engagementScore,
-        posts: stats.posts.length,
-        avgScore: avgScore,
-        totalComments: stats.totalComments
+      const scores = stats.posts.map(post => post.sentiment ?? scoreSentiment(post.title));
+      const labels = scores.map(classifySentiment);
+
+      sentimentData.push({
+        date: bucketKeyToDate(dateStr),
+        sentiment: scores.reduce((total, score) => total + score, 0) / scores.length,
+        posts: scores.length,
+        positive: labels.filter(label => label === 'positive').length,
+        negative: labels.filter(label => label === 'negative').length
       });
     }
 
-    // Sort by date
-    popularityData.sort((a, b) => a.date - b.date);
+    sentimentData.sort((a, b) => a.date - b.date);
 
-    return popularityData;
+    return sentimentData;
+  }
+
+  /**
+   * Count the posts mentioning a stock, aggregated by date or hour
+   * Buckets with posts but no mention count as 0. Posts stored or archived before titles
+   * were searched for tickers are searched here.
+   * @param {MemePost[]} posts - Array of meme posts
+   * @param {string} symbol - NSE symbol from the ticker registry (e.g. 'RELIANCE')
+   * @param {string} granularity - 'day' (default) or 'hour' (IST hours for intraday analysis)
+   * @returns {Array<{date: Date, mentions: number, posts: number}>} One point per bucket, sorted by date
+   */
+  calculateTickerMentions(posts, symbol, granularity = 'day') {
+    if (!posts || posts.length === 0) {
+      return [];
+    }
+
+    const dateMap = granularity === 'hour' ? this.aggregateByHour(posts) : this.aggregateByDate(posts);
+
+    const mentionData = [];
+    for (const [dateStr, stats] of dateMap.entries()) {
+      mentionData.push({
+        date: bucketKeyToDate(dateStr),
+        mentions: stats.posts.filter(post => getPostTickers(post).includes(symbol)).length,
+        posts: stats.posts.length
+      });
+    }
+
+    mentionData.sort((a, b) => a.date - b.date);
+
+    return mentionData;
   }
 
   /**
@@ -206,27 +427,16 @@ export class RedditAPI {
    * @returns {Map<string, MemeStats>} Map of date string to aggregated stats
    */
   aggregateByDate(posts) {
-    const dateMap = new Map();
-
-    for (const post of posts) {
-      // Get date string (YYYY-MM-DD)
-      const dateStr = post.created.toISOString().split('T')[0];
-
-      if (!dateMap.has(dateStr)) {
-        dateMap.set(dateStr, {
-          posts: [],
-          totalScore: 0,
-          totalComments: 0
-        });
-      }
-
-      const stats = dateMap.get(dateStr);
-      stats.posts.push(post);
-      stats.totalScore += post.score;
-      stats.totalComments += post.comments;
-    }
+    return aggregatePosts(posts, 'day', this.sourceWeights);
+  }
 
-    return dateMap;
+  /**
+   * Aggregate posts by hour in India Standard Time
+   * @param {MemePost[]} posts - Array of meme posts
+   * @returns {Map<string, MemeStats>} Map of IST hour key to aggregated stats
+   */
+  aggregateByHour(posts) {
+    return aggregatePosts(posts, 'hour', this.sourceWeights);
   }
 
   /**
@@ -237,6 +447,6 @@ export class RedditAPI {
    * @returns {number} Engagement score
    */
   calculateEngagementScore(score, comments) {
-    return score + (comments * 2);
+    return calculateEngagementScore(score, comments);
   }
 }
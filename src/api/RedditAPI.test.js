@@ -3,12 +3,183 @@
  * Includes unit tests and property-based tests
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import * as fc from 'fast-check';
-import { RedditAPI } from './RedditAPI.js';
+import { RedditAPI, REDDIT_PAGE_SIZE } from './RedditAPI.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
+import { HttpError, RateLimitError } from '../utils/HttpErrors.js';
+import { SourceConfigError } from '../utils/SourceConfig.js';
 
 describe('RedditAPI', () => {
   describe('Unit Tests', () => {
+    describe('fetchSubredditPosts', () => {
+      const createAPI = () => new RedditAPI(undefined, { rateLimiter: new RateLimiter() });
+
+      afterEach(() => {
+        vi.restoreAllMocks();
+      });
+
+      it('should give up on a missing subreddit without retrying', async () => {
+        const api = createAPI();
+        global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found', headers: new Headers() });
+
+        const error = await api.fetchSubredditPosts('doesnotexist', 'week', 25).catch(e => e);
+
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error.message).toContain('Subreddit r/doesnotexist not found');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      });
+
+      it('should retry server errors before giving up', async () => {
+        const api = createAPI();
+        api.pipeline.baseDelay = 0;
+        global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable', headers: new Headers() });
+
+        await expect(api.fetchSubredditPosts('IndianDankMemes', 'week', 25)).rejects.toBeInstanceOf(HttpError);
+        expect(global.fetch).toHaveBeenCalledTimes(api.pipeline.budget.maxAttempts);
+      });
+
+      it('should stop sending requests to Reddit until Retry-After has passed', async () => {
+        const api = new RedditAPI(undefined, { rateLimiter: new RateLimiter({ maxWait: 0 }) });
+        api.pipeline.baseDelay = 0;
+        global.fetch = vi.fn().mockResolvedValue({
+          ok: false,
+          status: 429,
+          statusText: 'Too Many Requests',
+          headers: new Headers({ 'Retry-After': '30' })
+        });
+
+        await expect(api.fetchSubredditPosts('IndianDankMemes', 'week', 25)).rejects.toBeInstanceOf(RateLimitError);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(api.rateLimiter.getWaitTime('www.reddit.com')).toBeGreaterThan(29000);
+      });
+
+      it('should return the posts of the subreddits that answered', async () => {
+        const api = new RedditAPI(['good', 'gone'], { rateLimiter: new RateLimiter() });
+        const listing = { data: { children: [{ kind: 't3', data: { title: 'Meme', created_utc: 1704067200, permalink: '/r/good/1', subreddit: 'good' } }] } };
+        global.fetch = vi.fn(async (url) => url.includes('/good/')
+          ? { ok: true, status: 200, json: async () => listing }
+          : { ok: false, status: 404, statusText: 'Not Found', headers: new Headers() });
+
+        const posts = await api.fetchTrendingMemes('week', 25);
+
+        expect(posts.map(post => post.subreddit)).toEqual(['good']);
+      });
+
+      it('should throw when no subreddit could be fetched', async () => {
+        const api = new RedditAPI(['a', 'b'], { rateLimiter: new RateLimiter() });
+        global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found', headers: new Headers() });
+
+        await expect(api.fetchTrendingMemes('week', 25)).rejects.toBeInstanceOf(HttpError);
+      });
+    });
+
+    describe('pagination', () => {
+      const NOW_S = Math.floor(Date.now() / 1000);
+      const child = (id, ageSeconds = 60) => ({
+        kind: 't3',
+        data: { title: `Meme ${id}`, created_utc: NOW_S - ageSeconds, permalink: `/r/good/${id}`, subreddit: 'good' }
+      });
+      const page = (children, after) => ({ ok: true, status: 200, json: async () => ({ data: { children, after } }) });
+      const ids = (from, count) => Array.from({ length: count }, (_, i) => child(from + i));
+
+      afterEach(() => {
+        vi.restoreAllMocks();
+      });
+
+      it('should follow the after cursor until the post budget is reached', async () => {
+        const api = new RedditAPI(['good'], { rateLimiter: new RateLimiter(), postBudget: 150 });
+        global.fetch = vi.fn()
+          .mockResolvedValueOnce(page(ids(0, REDDIT_PAGE_SIZE), 't3_a'))
+          .mockResolvedValueOnce(page(ids(100, 50), 't3_b'));
+
+        const posts = await api.fetchSubredditPosts('good', 'month');
+
+        expect(posts).toHaveLength(150);
+        const urls = global.fetch.mock.calls.map(([url]) => url);
+        expect(urls[0]).toMatch(/top\.json\?t=month&limit=100$/);
+        expect(urls[1]).toMatch(/top\.json\?t=month&limit=50&after=t3_a$/);
+      });
+
+      it('should stop at the end of the listing', async () => {
+        const api = new RedditAPI(['good'], { rateLimiter: new RateLimiter() });
+        global.fetch = vi.fn().mockResolvedValueOnce(page(ids(0, 30), null));
+
+        const posts = await api.fetchSubredditPosts('good', 'week');
+
+        expect(posts).toHaveLength(30);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      });
+
+      it('should drop posts seen on an earlier page', async () => {
+        const api = new RedditAPI(['good'], { rateLimiter: new RateLimiter() });
+        global.fetch = vi.fn()
+          .mockResolvedValueOnce(page(ids(0, 3), 't3_a'))
+          .mockResolvedValueOnce(page([child(2), child(3)], 't3_b'))
+          .mockResolvedValueOnce(page([child(3)], 't3_c'));
+
+        const posts = await api.fetchSubredditPosts('good', 'week');
+
+        expect(posts.map(post => post.title)).toEqual(['Meme 0', 'Meme 1', 'Meme 2', 'Meme 3']);
+        // The third page held only repeats, so paging stopped there
+        expect(global.fetch).toHaveBeenCalledTimes(3);
+      });
+
+      it('should tell posts apart by their Reddit id, not their url', async () => {
+        const api = new RedditAPI(['good'], { rateLimiter: new RateLimiter() });
+        const linkPost = (id) => ({ kind: 't3', data: { id, title: `Link ${id}`, created_utc: NOW_S - 60, permalink: '/r/good/shared', subreddit: 'good' } });
+        global.fetch = vi.fn()
+          .mockResolvedValueOnce(page([linkPost('a1'), linkPost('b2')], 't3_b2'))
+          .mockResolvedValueOnce(page([linkPost('b2')], null));
+
+        const posts = await api.fetchSubredditPosts('good', 'week');
+
+        expect(posts.map(post => post.id)).toEqual(['a1', 'b2']);
+      });
+
+      it('should read the new listing back to the start of the timeframe', async () => {
+        const api = new RedditAPI(['good'], { rateLimiter: new RateLimiter(), listing: 'new' });
+        const day = 24 * 60 * 60;
+        global.fetch = vi.fn()
+          .mockResolvedValueOnce(page([child('recent', day / 2)], 't3_a'))
+          .mockResolvedValueOnce(page([child('yesterday', day - 60), child('old', 2 * day)], 't3_b'));
+
+        const posts = await api.fetchSubredditPosts('good', 'day');
+
+        expect(posts.map(post => post.title)).toEqual(['Meme recent', 'Meme yesterday']);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(global.fetch.mock.calls[0][0]).toMatch(/new\.json\?limit=100$/);
+      });
+
+      it('should keep the pages fetched before a later page failed', async () => {
+        const api = new RedditAPI(['good'], { rateLimiter: new RateLimiter() });
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        global.fetch = vi.fn()
+          .mockResolvedValueOnce(page(ids(0, REDDIT_PAGE_SIZE), 't3_a'))
+          .mockResolvedValueOnce({ ok: false, status: 404, statusText: 'Not Found', headers: new Headers() });
+
+        const posts = await api.fetchSubredditPosts('good', 'week');
+
+        expect(posts).toHaveLength(REDDIT_PAGE_SIZE);
+      });
+
+      it('should read fewer pages per subreddit as sources are added so a load fits Reddit\'s burst', async () => {
+        const api = new RedditAPI(['a', 'b', 'c', 'd'], { rateLimiter: new RateLimiter() });
+        global.fetch = vi.fn(async (url) => page(ids(url.includes('/a/') ? 0 : 1000, REDDIT_PAGE_SIZE), 't3_next'));
+
+        await api.fetchTrendingMemes('week');
+
+        expect(api.getPostLimit()).toBe(REDDIT_PAGE_SIZE);
+        expect(new RedditAPI(['a', 'b', 'c']).getPostLimit()).toBe(2 * REDDIT_PAGE_SIZE);
+        expect(new RedditAPI(['a', 'b', 'c'], { requestBudget: Infinity, postBudget: 500 }).getPostLimit()).toBe(500);
+        expect(global.fetch).toHaveBeenCalledTimes(4);
+      });
+
+      it('should reject an unsupported listing', () => {
+        expect(() => new RedditAPI(['good'], { listing: 'rising' })).toThrow('Unsupported Reddit listing');
+      });
+    });
+
     it('should create RedditAPI with default subreddits', () => {
       const api = new RedditAPI();
       expect(api.subreddits).toEqual(['IndianDankMemes', 'indiameme', 'SaimanSays']);
@@ -20,6 +191,76 @@ describe('RedditAPI', () => {
       expect(api.subreddits).toEqual(customSubs);
     });
 
+    it('should read weighted sources and replace them', () => {
+      const api = new RedditAPI([{ subreddit: 'IndianDankMemes', weight: 2 }, 'indiameme']);
+      expect(api.subreddits).toEqual(['IndianDankMemes', 'indiameme']);
+      expect(api.getSourceWeight('indiandankmemes')).toBe(2);
+      expect(api.getSourceWeight('indiameme')).toBe(1);
+      expect(api.getSourceWeight('elsewhere')).toBe(1);
+
+      api.setSources([{ subreddit: 'SaimanSays', weight: 0.5 }]);
+      expect(api.subreddits).toEqual(['SaimanSays']);
+      expect(api.getSourceWeight('SaimanSays')).toBe(0.5);
+    });
+
+    it('should weight each post\'s engagement by its source', () => {
+      const api = new RedditAPI([{ subreddit: 'heavy', weight: 3 }, { subreddit: 'muted', weight: 0 }]);
+      const created = new Date('2024-01-01T10:00:00Z');
+      const posts = [
+        { title: 'A', score: 100, comments: 10, created, subreddit: 'heavy' },
+        { title: 'B', score: 50, comments: 5, created, subreddit: 'muted' },
+        { title: 'C', score: 10, comments: 0, created, subreddit: 'other' }
+      ];
+
+      const [point] = api.calculateMemePopularity(posts);
+
+      expect(point.popularity).toBe(3 * 120 + 0 * 60 + 10);
+      // Raw totals are not weighted
+      expect(point.avgScore).toBeCloseTo(160 / 3, 10);
+      expect(point.totalComments).toBe(15);
+    });
+
+    describe('validateSubreddit', () => {
+      const createAPI = () => new RedditAPI(undefined, { rateLimiter: new RateLimiter() });
+
+      afterEach(() => {
+        vi.restoreAllMocks();
+      });
+
+      it('should return the subreddit name as Reddit spells it', async () => {
+        const api = createAPI();
+        global.fetch = vi.fn().mockResolvedValue({
+          ok: true,
+          status: 200,
+          json: async () => ({ kind: 't5', data: { display_name: 'IndianDankMemes', subscribers: 1000 } })
+        });
+
+        await expect(api.validateSubreddit('r/indiandankmemes')).resolves.toBe('IndianDankMemes');
+        expect(global.fetch.mock.calls[0][0]).toContain('/indiandankmemes/about.json');
+      });
+
+      it('should reject subreddits that are missing, private or unknown', async () => {
+        const api = createAPI();
+        global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found', headers: new Headers() });
+        await expect(api.validateSubreddit('doesnotexist')).rejects.toThrow('r/doesnotexist does not exist or is private');
+
+        global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 403, statusText: 'Forbidden', headers: new Headers() });
+        await expect(api.validateSubreddit('secretmemes')).rejects.toBeInstanceOf(SourceConfigError);
+
+        // Some unknown names are answered with search results
+        global.fetch = vi.fn().mockResolvedValue({ ok: true, status: 200, json: async () => ({ kind: 'Listing', data: { children: [] } }) });
+        await expect(api.validateSubreddit('nosuchsub')).rejects.toThrow('r/nosuchsub does not exist');
+      });
+
+      it('should reject invalid names without asking Reddit', async () => {
+        const api = createAPI();
+        global.fetch = vi.fn();
+
+        await expect(api.validateSubreddit('no spaces')).rejects.toBeInstanceOf(SourceConfigError);
+        expect(global.fetch).not.toHaveBeenCalled();
+      });
+    });
+
     it('should calculate engagement score correctly', () => {
       const api = new RedditAPI();
       const score = 100;
@@ -55,6 +296,62 @@ describe('RedditAPI', () => {
       expect(posts[0].title).toBe('Test Meme');
       expect(posts[0].score).toBe(100);
       expect(posts[0].comments).toBe(20);
+      expect(posts[0].sentiment).toBe(0);
+    });
+
+    it('should score the sentiment of each title', () => {
+      const api = new RedditAPI();
+      const child = (title) => ({ kind: 't3', data: { title, created_utc: 1609459200, permalink: '/r/test/1' } });
+
+      const [up, down] = api.parseRedditResponse({ data: { children: [child('Stonks 🚀'), child('Paisa doob gaya')] } }, 'test');
+
+      expect(up.sentiment).toBeGreaterThan(0);
+      expect(down.sentiment).toBeLessThan(0);
+    });
+
+    it('should extract the stocks each title mentions', () => {
+      const api = new RedditAPI();
+      const child = (title) => ({ kind: 't3', data: { title, created_utc: 1609459200, permalink: '/r/test/1' } });
+
+      const [mention, none] = api.parseRedditResponse({ data: { children: [child('Zomato vs Paytm'), child('Just vibes')] } }, 'test');
+
+      expect(mention.tickers).toEqual(['ETERNAL', 'PAYTM']);
+      expect(none.tickers).toEqual([]);
+    });
+
+    it('should count the posts mentioning a stock by day', () => {
+      const api = new RedditAPI();
+      const posts = [
+        { title: 'Reliance', tickers: ['RELIANCE'], score: 1, comments: 0, created: new Date('2024-01-01T10:00:00Z') },
+        { title: 'Paytm', tickers: ['PAYTM'], score: 1, comments: 0, created: new Date('2024-01-01T12:00:00Z') },
+        { title: 'Ambani again', score: 1, comments: 0, created: new Date('2024-01-01T13:00:00Z') },
+        { title: 'Just vibes', score: 1, comments: 0, created: new Date('2024-01-03T10:00:00Z') }
+      ];
+
+      const mentions = api.calculateTickerMentions(posts, 'RELIANCE');
+
+      // Posts stored before titles were searched are searched on the fly
+      expect(mentions.map(point => [point.mentions, point.posts])).toEqual([[2, 3], [0, 1]]);
+      expect(api.calculateTickerMentions([], 'RELIANCE')).toEqual([]);
+    });
+
+    it('should average sentiment by day', () => {
+      const api = new RedditAPI();
+      const posts = [
+        { title: 'Bull run', sentiment: 0.6, score: 1, comments: 0, created: new Date('2024-01-01T10:00:00Z') },
+        { title: 'Crash', sentiment: -0.2, score: 1, comments: 0, created: new Date('2024-01-01T12:00:00Z') },
+        { title: 'Intern explains options', score: 1, comments: 0, created: new Date('2024-01-01T13:00:00Z') },
+        { title: 'Barbaad', score: 1, comments: 0, created: new Date('2024-01-03T10:00:00Z') }
+      ];
+
+      const sentiment = api.calculateMemeSentiment(posts);
+
+      expect(sentiment).toHaveLength(2);
+      expect(sentiment[0]).toMatchObject({ posts: 3, positive: 1, negative: 1 });
+      expect(sentiment[0].sentiment).toBeCloseTo(0.4 / 3, 10);
+      // Posts stored before titles were scored are scored on the fly
+      expect(sentiment[1].sentiment).toBeLessThan(0);
+      expect(api.calculateMemeSentiment([])).toEqual([]);
     });
 
     it('should aggregate posts by date', () => {
@@ -126,6 +423,39 @@ describe('RedditAPI', () => {
       const popularity = api.calculateMemePopularity([]);
       expect(popularity).toEqual([]);
     });
+
+    it('should aggregate posts by IST hour', () => {
+      const api = new RedditAPI();
+      const posts = [
+        // 09:10 and 09:50 IST fall in the same hour, 10:05 IST in the next
+        { title: 'A', score: 10, comments: 1, created: new Date('2024-01-01T03:40:00Z'), subreddit: 'test' },
+        { title: 'B', score: 20, comments: 2, created: new Date('2024-01-01T04:20:00Z'), subreddit: 'test' },
+        { title: 'C', score: 30, comments: 3, created: new Date('2024-01-01T04:35:00Z'), subreddit: 'test' }
+      ];
+
+      const hourMap = api.aggregateByHour(posts);
+
+      expect([...hourMap.keys()]).toEqual(['2024-01-01T09:00+05:30', '2024-01-01T10:00+05:30']);
+      expect(hourMap.get('2024-01-01T09:00+05:30').posts).toHaveLength(2);
+      expect(hourMap.get('2024-01-01T09:00+05:30').totalScore).toBe(30);
+    });
+
+    it('should calculate hourly popularity for intraday analysis', () => {
+      const api = new RedditAPI();
+      const posts = [
+        { title: 'A', score: 100, comments: 10, created: new Date('2024-01-01T04:20:00Z'), subreddit: 'test' },
+        { title: 'B', score: 50, comments: 5, created: new Date('2024-01-01T03:20:00Z'), subreddit: 'test' }
+      ];
+
+      const popularity = api.calculateMemePopularity(posts, 'hour');
+
+      expect(popularity).toHaveLength(2);
+      // Bucket dates are the start of the IST hour, sorted ascending
+      expect(popularity[0].date.toISOString()).toBe('2024-01-01T02:30:00.000Z');
+      expect(popularity[0].popularity).toBe(60);
+      expect(popularity[1].date.toISOString()).toBe('2024-01-01T03:30:00.000Z');
+      expect(popularity[1].popularity).toBe(120);
+    });
   });
 
   describe('Property-Based Tests', () => {
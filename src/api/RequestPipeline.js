@@ -0,0 +1,203 @@
+/**
+ * RequestPipeline - The single path HTTP requests to a data source go through
+ * Each request waits for the host's rate limiter, gets a time limit per attempt and is
+ * retried with backoff while that can help, all within a budget of attempts and total time.
+ * Used by the dashboard's API clients and by the MCP servers.
+ */
+
+import {
+  NetworkError,
+  TimeoutError,
+  ParseError,
+  createHttpError,
+  getRetryAfter,
+  isRetryableError
+} from '../utils/HttpErrors.js';
+import { delay, isAbortError, withTimeoutSignal } from '../utils/Abort.js';
+import { rateLimiter as sharedRateLimiter } from '../utils/RateLimiter.js';
+
+/**
+ * Budget of a request unless the pipeline or the request sets its own
+ * - maxAttempts: attempts including the first one
+ * - timeout: time limit of each attempt in milliseconds
+ * - totalTime: time limit of the whole request in milliseconds, rate limit waits and backoff included
+ * @type {{maxAttempts: number, timeout: number, totalTime: number}}
+ */
+export const DEFAULT_REQUEST_BUDGET = { maxAttempts: 3, timeout: 10000, totalTime: 30000 };
+
+export class RequestPipeline {
+  /**
+   * Create a new RequestPipeline instance for one upstream host
+   * @param {Object} options - Pipeline options
+   * @param {string} options.name - Name of the client in log lines, e.g. 'Stock API'
+   * @param {string} options.host - Upstream host the requests count against
+   * @param {RateLimiter} options.rateLimiter - Per-host limiter (default: the one shared by all clients)
+   * @param {Object} options.budget - Budget overrides for every request (default: DEFAULT_REQUEST_BUDGET)
+   * @param {number} options.baseDelay - Backoff before the first retry in milliseconds, doubled for each further retry (default 1000)
+   * @param {number} options.maxDelay - Longest backoff in milliseconds (default 8000)
+   * @param {Object} options.fetchOptions - Options passed to fetch, e.g. headers
+   * @param {Object} options.logger - Object with log/warn methods (default: console); the MCP servers log to stderr
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'HTTP';
+    this.host = options.host;
+    this.rateLimiter = options.rateLimiter || sharedRateLimiter;
+    this.budget = { ...DEFAULT_REQUEST_BUDGET, ...options.budget };
+    this.baseDelay = options.baseDelay ?? 1000;
+    this.maxDelay = options.maxDelay ?? 8000;
+    this.fetchOptions = options.fetchOptions || {};
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Send a GET request and return its parsed JSON body
+   * Errors retrying cannot fix (4xx other than 408/429, unparseable responses) fail at once.
+   * A retry whose wait would run past the total time is not attempted.
+   * @param {string} url - URL to request
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Cancels the request, including rate limit waits and backoff
+   * @param {Function} options.parse - Turns the JSON body into the result; a ParseError it throws is not retried
+   * @param {Object<number, string>} options.statusMessages - Error message to use for an HTTP status
+   * @param {Object} options.budget - Budget overrides for this request
+   * @param {Function} options.onRetry - Called with (error, attempt, maxAttempts) before each retry
+   * @returns {Promise<*>} Parsed body
+   * @throws {NetworkError|TimeoutError|HttpError|RateLimitError|ParseError} Typed error with `attempts` set once the request gives up
+   * @throws {DOMException} AbortError when the signal fires
+   */
+  async request(url, options = {}) {
+    const budget = { ...this.budget, ...options.budget };
+    const deadline = Date.now() + budget.totalTime;
+    const signal = withTimeoutSignal(options.signal, budget.totalTime);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this._attempt(url, attempt, budget, signal, options);
+      } catch (caught) {
+        const error = this._toRequestError(caught, options.signal, signal, budget);
+        if (isAbortError(error)) {
+          throw error;
+        }
+
+        error.attempts = attempt;
+        this.logger.warn(`${this.name} attempt ${attempt}/${budget.maxAttempts} failed:`, error.message);
+
+        // A Retry-After on 429/503 already paused the host in the rate limiter, which holds
+        // the next attempt back that long; other failures back off exponentially
+        const retryAfter = getRetryAfter(error);
+        const backoff = retryAfter === null ? this._calculateDelay(attempt) : 0;
+        const wait = retryAfter ?? backoff;
+        if (attempt >= budget.maxAttempts || !isRetryableError(error) || Date.now() + wait >= deadline) {
+          throw error;
+        }
+
+        this._notifyRetry(options.onRetry, error, attempt + 1, budget.maxAttempts);
+        this.logger.log(`${this.name} retrying in ${wait}ms (attempt ${attempt + 1}/${budget.maxAttempts})`);
+        try {
+          await delay(backoff, signal);
+        } catch (abortError) {
+          throw this._toRequestError(abortError, options.signal, signal, budget);
+        }
+      }
+    }
+  }
+
+  /**
+   * Send one attempt of a request
+   * @private
+   * @param {string} url - URL to request
+   * @param {number} attempt - Attempt number, starting at 1
+   * @param {{maxAttempts: number, timeout: number, totalTime: number}} budget - Budget of the request
+   * @param {AbortSignal} signal - Signal of the whole request (caller and total time)
+   * @param {Object} options - Request options, as for request()
+   * @returns {Promise<*>} Parsed body
+   */
+  async _attempt(url, attempt, budget, signal, options) {
+    await this.rateLimiter.acquire(this.host, signal);
+    this.logger.log(`${this.name} request (attempt ${attempt}/${budget.maxAttempts}):`, url);
+
+    const attemptSignal = withTimeoutSignal(signal, budget.timeout);
+    let response;
+    try {
+      response = await fetch(url, { method: 'GET', ...this.fetchOptions, signal: attemptSignal });
+    } catch (error) {
+      if (attemptSignal.aborted) {
+        throw error; // Cancelled or out of time; request() tells which
+      }
+      // Otherwise no response arrived: offline, DNS or CORS failure
+      throw new NetworkError(`Network error while requesting ${url}: ${error.message}`, { cause: error });
+    }
+
+    this.logger.log(`${this.name} response status: ${response.status}`);
+    this.rateLimiter.recordResponse(this.host, response);
+
+    if (!response.ok) {
+      throw createHttpError(response, options.statusMessages?.[response.status]);
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      if (attemptSignal.aborted) {
+        throw error;
+      }
+      throw new ParseError(`Invalid JSON in ${this.name} response: ${error.message}`, { cause: error });
+    }
+
+    return options.parse ? options.parse(data) : data;
+  }
+
+  /**
+   * Turn what a failed attempt threw into the error the request reports
+   * @private
+   * @param {Error} error - Error thrown by the attempt or the wait after it
+   * @param {AbortSignal} callerSignal - Caller's signal, if any
+   * @param {AbortSignal} requestSignal - Signal of the whole request
+   * @param {{timeout: number, totalTime: number}} budget - Budget of the request
+   * @returns {Error} The caller's AbortError, a TimeoutError, or the error itself
+   */
+  _toRequestError(error, callerSignal, requestSignal, budget) {
+    if (callerSignal?.aborted) {
+      return callerSignal.reason;
+    }
+    if (requestSignal.aborted) {
+      return new TimeoutError(`${this.name} request gave up after ${budget.totalTime}ms`, { timeout: budget.totalTime });
+    }
+    // AbortSignal.timeout fires with a DOMException of this name
+    if (error?.name === 'TimeoutError' && !(error instanceof TimeoutError)) {
+      return new TimeoutError(`${this.name} request timed out after ${budget.timeout}ms`, { timeout: budget.timeout });
+    }
+    return error;
+  }
+
+  /**
+   * Calculate the exponential backoff before a retry
+   * @private
+   * @param {number} attempt - Number of the attempt that failed
+   * @returns {number} Delay in milliseconds
+   */
+  _calculateDelay(attempt) {
+    return Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+  }
+
+  /**
+   * Call a retry callback without letting it break the request
+   * @private
+   * @param {Function} onRetry - Callback, may be undefined
+   * @param {Error} error - Error of the failed attempt
+   * @param {number} attempt - Number of the attempt about to be made
+   * @param {number} maxAttempts - Attempts in the budget
+   */
+  _notifyRetry(onRetry, error, attempt, maxAttempts) {
+    if (!onRetry) {
+      return;
+    }
+    try {
+      onRetry(error, attempt, maxAttempts);
+    } catch (callbackError) {
+      this.logger.warn('Error in retry callback:', callbackError);
+    }
+  }
+}
+
+export default RequestPipeline;
@@ -0,0 +1,157 @@
+/**
+ * Tests for RequestPipeline
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { RequestPipeline, DEFAULT_REQUEST_BUDGET } from './RequestPipeline.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
+import { HttpError, NetworkError, ParseError, RateLimitError, TimeoutError } from '../utils/HttpErrors.js';
+
+const HOST = 'api.example.com';
+const URL = `https://${HOST}/data`;
+
+const jsonResponse = (body) => ({ ok: true, status: 200, headers: new Headers(), json: async () => body });
+const errorResponse = (status, headers = {}) => ({ ok: false, status, statusText: 'Error', headers: new Headers(headers) });
+
+// Never settles on its own; rejects with the reason of the signal fetch was given
+const hangingFetch = (url, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason));
+});
+
+describe('RequestPipeline', () => {
+  const originalFetch = global.fetch;
+  let pipeline;
+
+  beforeEach(() => {
+    pipeline = new RequestPipeline({
+      name: 'Test API',
+      host: HOST,
+      // A roomy limiter of its own so tests neither wait for tokens nor share them
+      rateLimiter: new RateLimiter({ limits: {}, defaultLimit: { capacity: 1000, refillPerSecond: 1000 } }),
+      baseDelay: 0,
+      fetchOptions: { headers: { Accept: 'application/json' } },
+      logger: { log: () => {}, warn: () => {} }
+    });
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  it('should return the parsed body and send the configured fetch options', async () => {
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse({ value: 21 }));
+
+    const result = await pipeline.request(URL, { parse: data => data.value * 2 });
+
+    expect(result).toBe(42);
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe(URL);
+    expect(init.headers).toEqual({ Accept: 'application/json' });
+    expect(init.signal).toBeInstanceOf(AbortSignal);
+  });
+
+  it('should retry transient failures up to maxAttempts and report each retry', async () => {
+    global.fetch = vi.fn().mockResolvedValue(errorResponse(503));
+    const onRetry = vi.fn();
+
+    const error = await pipeline.request(URL, { onRetry }).catch(e => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.attempts).toBe(DEFAULT_REQUEST_BUDGET.maxAttempts);
+    expect(global.fetch).toHaveBeenCalledTimes(DEFAULT_REQUEST_BUDGET.maxAttempts);
+    expect(onRetry.mock.calls.map(([, attempt, maxAttempts]) => [attempt, maxAttempts])).toEqual([[2, 3], [3, 3]]);
+  });
+
+  it('should succeed on a later attempt', async () => {
+    global.fetch = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValue(jsonResponse([1, 2]));
+
+    await expect(pipeline.request(URL)).resolves.toEqual([1, 2]);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should fail at once on errors retrying cannot fix', async () => {
+    global.fetch = vi.fn().mockResolvedValue(errorResponse(404));
+
+    const error = await pipeline.request(URL, { statusMessages: { 404: 'Nothing here' } }).catch(e => e);
+
+    expect(error).toBeInstanceOf(HttpError);
+    expect(error.message).toBe('Nothing here');
+    expect(error.attempts).toBe(1);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not retry bodies the parser rejects', async () => {
+    global.fetch = vi.fn().mockResolvedValue(jsonResponse({}));
+
+    const error = await pipeline.request(URL, { parse: () => { throw new ParseError('Unexpected shape'); } }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ParseError);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should wrap fetch failures in a NetworkError', async () => {
+    const cause = new TypeError('Failed to fetch');
+    global.fetch = vi.fn().mockRejectedValue(cause);
+
+    const error = await pipeline.request(URL, { budget: { maxAttempts: 1 } }).catch(e => e);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(error.cause).toBe(cause);
+  });
+
+  it('should time out each attempt and retry it', async () => {
+    global.fetch = vi.fn(hangingFetch);
+
+    const error = await pipeline.request(URL, { budget: { timeout: 20, maxAttempts: 2 } }).catch(e => e);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.timeout).toBe(20);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should give up when the total time is used up', async () => {
+    global.fetch = vi.fn(hangingFetch);
+
+    const error = await pipeline.request(URL, { budget: { timeout: 10000, totalTime: 30 } }).catch(e => e);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.timeout).toBe(30);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not start a retry whose backoff would run past the total time', async () => {
+    pipeline.baseDelay = 1000;
+    global.fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const error = await pipeline.request(URL, { budget: { totalTime: 500 } }).catch(e => e);
+
+    expect(error).toBeInstanceOf(NetworkError);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should leave the Retry-After wait to the rate limiter and give up when it exceeds the budget', async () => {
+    global.fetch = vi.fn().mockResolvedValue(errorResponse(429, { 'Retry-After': '60' }));
+
+    const error = await pipeline.request(URL).catch(e => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(pipeline.rateLimiter.getWaitTime(HOST)).toBeGreaterThan(59000);
+  });
+
+  it('should stop when the caller cancels', async () => {
+    const controller = new AbortController();
+    global.fetch = vi.fn(hangingFetch);
+
+    const result = pipeline.request(URL, { signal: controller.signal }).catch(e => e);
+    await vi.waitFor(() => expect(global.fetch).toHaveBeenCalled());
+    controller.abort();
+    const error = await result;
+
+    expect(error.name).toBe('AbortError');
+    expect(error.attempts).toBeUndefined();
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
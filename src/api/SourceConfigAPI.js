@@ -0,0 +1,136 @@
+/**
+ * SourceConfigAPI - Loads and saves the subreddit source configuration
+ * The dev server keeps it in data/sources.json, shared with the archive collector and the
+ * social MCP server. The browser keeps a copy in localStorage, which is all builds without
+ * a dev server have.
+ */
+
+import { createHttpError } from '../utils/HttpErrors.js';
+import { isAbortError, withTimeoutSignal } from '../utils/Abort.js';
+import { getDefaultSources, parseSources, serializeSources, validateSources } from '../utils/SourceConfig.js';
+
+/**
+ * Time limit of a configuration request in milliseconds; the file is local
+ * @type {number}
+ */
+export const SOURCES_TIMEOUT = 5000;
+
+/**
+ * localStorage key of the browser's copy of the configuration
+ * @type {string}
+ */
+export const SOURCES_STORAGE_KEY = 'meme-market:sources';
+
+export class SourceConfigAPI {
+  /**
+   * Create a new SourceConfigAPI instance
+   * @param {Object} options - Client options
+   * @param {string|null} options.baseUrl - Configuration endpoint (default: '/api/sources' in development, none otherwise)
+   * @param {Storage|null} options.storage - Storage for the browser's copy (default: localStorage where available)
+   */
+  constructor(options = {}) {
+    this.baseUrl = options.baseUrl !== undefined
+      ? options.baseUrl
+      : (import.meta.env?.DEV ? '/api/sources' : null);
+    this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage ?? null);
+  }
+
+  /**
+   * Whether saved sources reach data/sources.json, where the archive collector and the social MCP server read them
+   * @returns {boolean} True with a dev server endpoint, false when sources are only kept in this browser
+   */
+  isShared() {
+    return Boolean(this.baseUrl);
+  }
+
+  /**
+   * Load the source configuration
+   * The dev server's file wins; if it cannot be read the browser's copy is used, then the defaults.
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {Promise<SourceConfig[]>} Validated sources
+   * @throws {DOMException} AbortError when the signal fires
+   */
+  async load(options = {}) {
+    if (this.baseUrl) {
+      try {
+        const response = await fetch(this.baseUrl, {
+          signal: withTimeoutSignal(options.signal, SOURCES_TIMEOUT)
+        });
+        if (!response.ok) {
+          throw createHttpError(response);
+        }
+        const sources = parseSources(await response.text());
+        this._storeCopy(sources);
+        return sources;
+      } catch (error) {
+        if (isAbortError(error)) {
+          throw error;
+        }
+        console.warn('Source configuration unavailable, using the stored copy:', error.message);
+      }
+    }
+
+    return this._readCopy() || getDefaultSources();
+  }
+
+  /**
+   * Save the source configuration
+   * @param {SourceConfig[]} sources - Sources to save
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal} options.signal - Cancels the request
+   * @returns {Promise<SourceConfig[]>} Saved (normalized) sources
+   * @throws {SourceConfigError} If the sources are invalid
+   * @throws {HttpError|RateLimitError} If the dev server did not save them; the browser's copy is saved regardless
+   * @throws {DOMException} AbortError when the signal fires
+   */
+  async save(sources, options = {}) {
+    const saved = validateSources(sources);
+    const text = serializeSources(saved);
+    this._storeCopy(saved);
+
+    if (this.baseUrl) {
+      const response = await fetch(this.baseUrl, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: text,
+        signal: withTimeoutSignal(options.signal, SOURCES_TIMEOUT)
+      });
+      if (!response.ok) {
+        const details = await response.json().catch(() => ({}));
+        throw createHttpError(response, details.error && `Could not save sources: ${details.error}`);
+      }
+    }
+
+    return saved;
+  }
+
+  /**
+   * Read the browser's copy of the configuration
+   * @private
+   * @returns {SourceConfig[]|null} Stored sources, null if none or unreadable
+   */
+  _readCopy() {
+    try {
+      const text = this.storage?.getItem(SOURCES_STORAGE_KEY);
+      return text ? parseSources(text) : null;
+    } catch (error) {
+      console.warn('Ignoring stored source configuration:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Keep a copy of the configuration in the browser
+   * @private
+   * @param {SourceConfig[]} sources - Validated sources
+   */
+  _storeCopy(sources) {
+    try {
+      this.storage?.setItem(SOURCES_STORAGE_KEY, serializeSources(sources));
+    } catch (error) {
+      // Storage may be full or disabled; the configuration still applies to this session
+      console.warn('Could not store source configuration:', error.message);
+    }
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Tests for SourceConfigAPI
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { SourceConfigAPI, SOURCES_STORAGE_KEY } from './SourceConfigAPI.js';
+import { SourceConfigError } from '../utils/SourceConfig.js';
+import { DEFAULT_SOURCES } from '../config/sources.js';
+
+describe('SourceConfigAPI', () => {
+  const originalFetch = global.fetch;
+  const saved = [{ subreddit: 'indiameme', weight: 2 }];
+  let storage;
+
+  const createStorage = () => {
+    const items = new Map();
+    return {
+      getItem: key => items.get(key) ?? null,
+      setItem: (key, value) => items.set(key, value)
+    };
+  };
+
+  beforeEach(() => {
+    storage = createStorage();
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+    vi.restoreAllMocks();
+  });
+
+  it('should load the dev server configuration and keep a copy', async () => {
+    const api = new SourceConfigAPI({ baseUrl: '/api/sources', storage });
+    global.fetch = vi.fn().mockResolvedValue({ ok: true, status: 200, text: async () => JSON.stringify({ sources: saved }) });
+
+    await expect(api.load()).resolves.toEqual(saved);
+    expect(global.fetch.mock.calls[0][0]).toBe('/api/sources');
+    expect(JSON.parse(storage.getItem(SOURCES_STORAGE_KEY)).sources).toEqual(saved);
+  });
+
+  it('should fall back to the stored copy, then the defaults', async () => {
+    const api = new SourceConfigAPI({ baseUrl: '/api/sources', storage });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 500, statusText: 'Internal Server Error', headers: new Headers() });
+
+    await expect(api.load()).resolves.toEqual(DEFAULT_SOURCES);
+
+    storage.setItem(SOURCES_STORAGE_KEY, JSON.stringify({ sources: saved }));
+    await expect(api.load()).resolves.toEqual(saved);
+    expect(console.warn).toHaveBeenCalled();
+  });
+
+  it('should only use the browser copy without a dev server', async () => {
+    const api = new SourceConfigAPI({ baseUrl: null, storage });
+    global.fetch = vi.fn();
+
+    await api.save(['r/SaimanSays']);
+
+    await expect(api.load()).resolves.toEqual([{ subreddit: 'SaimanSays', weight: 1 }]);
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(api.isShared()).toBe(false);
+    expect(new SourceConfigAPI({ baseUrl: '/api/sources', storage }).isShared()).toBe(true);
+  });
+
+  it('should save to the dev server', async () => {
+    const api = new SourceConfigAPI({ baseUrl: '/api/sources', storage });
+    global.fetch = vi.fn().mockResolvedValue({ ok: true, status: 200, json: async () => ({ sources: saved }) });
+
+    await expect(api.save(saved)).resolves.toEqual(saved);
+
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('/api/sources');
+    expect(init.method).toBe('PUT');
+    expect(JSON.parse(init.body).sources).toEqual(saved);
+  });
+
+  it('should reject invalid sources without saving them', async () => {
+    const api = new SourceConfigAPI({ baseUrl: '/api/sources', storage });
+    global.fetch = vi.fn();
+
+    await expect(api.save([])).rejects.toThrow(SourceConfigError);
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(storage.getItem(SOURCES_STORAGE_KEY)).toBeNull();
+  });
+
+  it('should report the dev server\'s reason when it does not save', async () => {
+    const api = new SourceConfigAPI({ baseUrl: '/api/sources', storage });
+    global.fetch = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 500,
+      statusText: 'Internal Server Error',
+      headers: new Headers(),
+      json: async () => ({ error: 'EACCES: permission denied' })
+    });
+
+    await expect(api.save(saved)).rejects.toThrow('Could not save sources: EACCES: permission denied');
+    // The browser copy is saved regardless
+    expect(JSON.parse(storage.getItem(SOURCES_STORAGE_KEY)).sources).toEqual(saved);
+  });
+});
@@ -1,98 +1,181 @@
 /**
  * StockAPI - Handles fetching and processing stock market data
- * Integrates with Yahoo Finance API for NIFTY 50 data
+ * Integrates with Yahoo Finance API for NIFTY 50 and other Indian indices
  */
 
+import { DEFAULT_INDEX, getIndexInfo } from '../config/indices.js';
+import { getTickerInfo } from '../config/tickers.js';
+import { DEFAULT_VOLATILITY_ESTIMATOR, estimateVolatility } from '../utils/VolatilityEstimators.js';
+import {
+  HttpError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  ParseError
+} from '../utils/HttpErrors.js';
+import { rateLimiter } from '../utils/RateLimiter.js';
+import { YAHOO_FINANCE_HOST } from '../config/rateLimits.js';
+import { RequestPipeline } from './RequestPipeline.js';
+
+/**
+ * Candle intervals supported by the chart endpoint, with the longest
+ * lookback Yahoo Finance serves for each (intraday history is limited)
+ */
+export const SUPPORTED_INTERVALS = {
+  '1d': { maxDays: 3650, candleMs: 24 * 60 * 60 * 1000 },
+  '1h': { maxDays: 730, candleMs: 60 * 60 * 1000 },
+  '15m': { maxDays: 60, candleMs: 15 * 60 * 1000 }
+};
+
 export class StockAPI {
-  constructor() {
+  /**
+   * Create a new StockAPI instance
+   * @param {Object} options - Client options
+   * @param {RateLimiter} options.rateLimiter - Per-host limiter (default: the one shared by all clients)
+   * @param {Object} options.budget - Attempts and time allowed per request (default: DEFAULT_REQUEST_BUDGET)
+   */
+  constructor(options = {}) {
     // Use proxy in development, direct API in production
     this.baseUrl = import.meta.env.DEV 
       ? '/api/yahoo/v8/finance/chart'
       : 'https://query1.finance.yahoo.com/v8/finance/chart';
-    this.maxRetries = 3;
-    this.retryDelay = 1000; // Initial delay in ms
+    this.host = YAHOO_FINANCE_HOST; // Requests through the proxy count against the upstream host
+    this.rateLimiter = options.rateLimiter || rateLimiter;
+    this.pipeline = new RequestPipeline({
+      name: 'Stock API',
+      host: this.host,
+      rateLimiter: this.rateLimiter,
+      budget: options.budget,
+      fetchOptions: {
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          'Accept': 'application/json, text/plain, */*',
+          'Accept-Language': 'en-US,en;q=0.9',
+          'Cache-Control': 'no-cache',
+          'Pragma': 'no-cache'
+        },
+        mode: 'cors',
+        credentials: 'omit'
+      }
+    });
   }
 
   /**
    * Fetch NIFTY 50 historical data
    * @param {number} days - Number of days of historical data to fetch
+   * @param {Object} options - Fetch options, as for fetchIndexData
    * @returns {Promise<StockData[]>} Array of stock data points
    */
-  async fetchNiftyData(days) {
-    const symbol = '^NSEI'; // NIFTY 50 symbol
-    const period2 = Math.floor(Date.now() / 1000); // Current timestamp
-    const period1 = period2 - (days * 24 * 60 * 60); // days ago
-    
-    const url = `${this.baseUrl}/${symbol}?period1=${period1}&period2=${period2}&interval=1d`;
-    
-    return this._fetchWithRetry(url);
+  async fetchNiftyData(days, options = {}) {
+    return this.fetchIndexData(DEFAULT_INDEX, days, '1d', options);
+  }
+
+  /**
+   * Fetch historical data for any supported index
+   * @param {string} symbol - Yahoo Finance symbol from the index registry (e.g. '^BSESN')
+   * @param {number} days - Number of days of historical data to fetch
+   * @param {string} interval - Candle interval: '1d' (default), '1h' or '15m'
+   * @param {Object} options - Fetch options
+   * @param {number} options.end - End of the window in epoch milliseconds (default: now); `days` counts back from it
+   * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+   * @param {Function} options.onRetry - Called with (error, attempt, maxAttempts) before each retry
+   * @returns {Promise<StockData[]>} Array of stock data points, one per candle
+   * @throws {NetworkError|TimeoutError|HttpError|RateLimitError|ParseError} Typed error once the request's budget is used up
+   * @throws {DOMException} AbortError when the signal fires
+   */
+  async fetchIndexData(symbol, days, interval = '1d', options = {}) {
+    if (!getIndexInfo(symbol)) {
+      throw new Error(`Unsupported index symbol: ${symbol}`);
+    }
+
+    return this._fetchChart(symbol, days, interval, options);
   }
 
   /**
-   * Fetch with exponential backoff retry logic
+   * Fetch historical data for a stock in the ticker registry
+   * @param {string} symbol - NSE symbol from the ticker registry (e.g. 'RELIANCE')
+   * @param {number} days - Number of days of historical data to fetch
+   * @param {string} interval - Candle interval: '1d' (default), '1h' or '15m'
+   * @param {Object} options - Fetch options, as for fetchIndexData()
+   * @returns {Promise<StockData[]>} Array of stock data points, one per candle
+   * @throws {NetworkError|TimeoutError|HttpError|RateLimitError|ParseError} Typed error once the request's budget is used up
+   * @throws {DOMException} AbortError when the signal fires
+   */
+  async fetchStockData(symbol, days, interval = '1d', options = {}) {
+    const ticker = getTickerInfo(symbol);
+    if (!ticker) {
+      throw new Error(`Unsupported stock symbol: ${symbol}`);
+    }
+
+    return this._fetchChart(ticker.yahooSymbol, days, interval, options);
+  }
+
+  /**
+   * Fetch candles for a Yahoo Finance symbol from the chart endpoint
    * @private
+   * @param {string} symbol - Yahoo Finance symbol
+   * @param {number} days - Number of days of historical data to fetch
+   * @param {string} interval - Candle interval
+   * @param {Object} options - Fetch options, as for fetchIndexData()
+   * @returns {Promise<StockData[]>} Array of stock data points, one per candle
    */
-  async _fetchWithRetry(url, attempt = 1) {
+  async _fetchChart(symbol, days, interval, options) {
+    const intervalConfig = Object.prototype.hasOwnProperty.call(SUPPORTED_INTERVALS, interval) ? SUPPORTED_INTERVALS[interval] : null;
+    if (!intervalConfig) {
+      throw new Error(`Unsupported interval: ${interval}`);
+    }
+
+    if (days > intervalConfig.maxDays) {
+      throw new Error(`Interval ${interval} supports at most ${intervalConfig.maxDays} days of history`);
+    }
+
+    const period2 = Math.floor((options.end ?? Date.now()) / 1000); // End timestamp, default now
+    const period1 = Math.floor(period2 - (days * 24 * 60 * 60)); // days before the end
+    
+    const url = `${this.baseUrl}/${encodeURIComponent(symbol)}?period1=${period1}&period2=${period2}&interval=${interval}`;
+    
     try {
-      console.log(`Fetching stock data (attempt ${attempt}):`, url);
-      
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-          'Accept': 'application/json, text/plain, */*',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Cache-Control': 'no-cache',
-          'Pragma': 'no-cache'
-        },
-        mode: 'cors',
-        credentials: 'omit'
+      const stockData = await this.pipeline.request(url, {
+        signal: options.signal,
+        onRetry: options.onRetry,
+        parse: data => this.parseYahooFinanceResponse(data)
       });
-      
-      console.log(`Stock API response status: ${response.status}`);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status} - ${response.statusText}`);
-      }
-      
-      const data = await response.json();
-      console.log('Stock API response received, parsing...');
-      
-      const parsedData = this.parseYahooFinanceResponse(data);
-      console.log(`Successfully parsed ${parsedData.length} stock data points`);
-      
-      return parsedData;
+      console.log(`Successfully parsed ${stockData.length} stock data points`);
+      return stockData;
     } catch (error) {
-      console.error(`Stock API fetch attempt ${attempt} failed:`, error);
-      
-      if (attempt >= this.maxRetries) {
-        // Provide more specific error messages
-        let userMessage = 'Failed to fetch stock data';
-        
-        if (error.name === 'TypeError' && error.message.includes('fetch')) {
-          userMessage = 'Network error while fetching stock data. Please check your internet connection.';
-        } else if (error.message.includes('timeout')) {
-          userMessage = 'Stock data request timed out. The server may be busy.';
-        } else if (error.message.includes('CORS')) {
-          userMessage = 'Cross-origin request blocked. Please try refreshing the page.';
-        } else if (error.message.includes('500') || error.message.includes('502') || error.message.includes('503')) {
-          userMessage = 'Stock data service is temporarily unavailable. Please try again later.';
-        } else if (error.message.includes('404')) {
-          userMessage = 'Stock data not found. The symbol may be invalid.';
-        } else if (error.message.includes('429')) {
-          userMessage = 'Too many requests. Please wait a moment before trying again.';
-        }
-        
-        throw new Error(`${userMessage} (${this.maxRetries} attempts failed): ${error.message}`);
-      }
-      
-      // Exponential backoff: 1s, 2s, 4s
-      const delay = this.retryDelay * Math.pow(2, attempt - 1);
-      console.log(`Retrying in ${delay}ms...`);
-      await new Promise(resolve => setTimeout(resolve, delay));
-      
-      return this._fetchWithRetry(url, attempt + 1);
+      throw this._describeError(error);
+    }
+  }
+
+  /**
+   * Give a typed error from the pipeline a message for the user, keeping its type
+   * @private
+   * @param {Error} error - Error the request failed with
+   * @returns {Error} The same error
+   */
+  _describeError(error) {
+    // Cancelled requests never reached the end of the pipeline and keep their AbortError
+    if (error.attempts === undefined) {
+      return error;
+    }
+
+    let userMessage = 'Failed to fetch stock data';
+    if (error instanceof NetworkError) {
+      userMessage = 'Network error while fetching stock data. Please check your internet connection.';
+    } else if (error instanceof TimeoutError) {
+      userMessage = 'Stock data request timed out. The connection may be too slow.';
+    } else if (error instanceof RateLimitError) {
+      userMessage = 'Too many requests. Please wait a moment before trying again.';
+    } else if (error instanceof HttpError && error.status >= 500) {
+      userMessage = 'Stock data service is temporarily unavailable. Please try again later.';
+    } else if (error instanceof HttpError && error.status === 404) {
+      userMessage = 'Stock data not found. The symbol may be invalid.';
+    } else if (error instanceof ParseError) {
+      userMessage = 'Stock data service returned an unexpected response.';
     }
+
+    error.message = `${userMessage} (${error.attempts} attempts failed): ${error.message}`;
+    return error;
   }
 
   /**
@@ -102,7 +185,7 @@ export class StockAPI {
    */
   parseYahooFinanceResponse(response) {
     if (!response.chart || !response.chart.result || response.chart.result.length === 0) {
-      throw new Error('Invalid Yahoo Finance response format');
+      throw new ParseError('Invalid Yahoo Finance response format');
     }
 
     const result = response.chart.result[0];
@@ -110,7 +193,7 @@ export class StockAPI {
     const quote = result.indicators.quote[0];
 
     if (!timestamps || !quote) {
-      throw new Error('Missing required data in Yahoo Finance response');
+      throw new ParseError('Missing required data in Yahoo Finance response');
     }
 
     const stockData = [];
@@ -137,17 +220,24 @@ export class StockAPI {
 
   /**
    * Calculate volatility metrics from stock data
+   * Candles for which the estimator is undefined (e.g. before the first return) are skipped.
    * @param {StockData[]} priceData - Array of stock data points
+   * @param {string} estimator - Estimator id from VOLATILITY_ESTIMATORS (default 'legacy')
    * @returns {VolatilityPoint[]} Array of volatility points
    */
-  calculateVolatility(priceData) {
+  calculateVolatility(priceData, estimator = DEFAULT_VOLATILITY_ESTIMATOR) {
     if (!priceData || priceData.length < 2) {
       return [];
     }
 
+    const estimates = estimateVolatility(priceData, estimator);
     const volatilityData = [];
 
     for (let i = 0; i < priceData.length; i++) {
+      if (estimates[i] === null || !Number.isFinite(estimates[i])) {
+        continue;
+      }
+
       const current = priceData[i];
       const previous = i > 0 ? priceData[i - 1] : null;
 
@@ -155,12 +245,9 @@ export class StockAPI {
       const dayRange = this.calculateDayRange(current.high, current.low, current.open);
       const volumeSpike = previous ? this.calculateVolumeSpike(current.volume, previous.volume) : 0;
 
-      // Combined volatility score: weighted average of the three metrics
-      const volatility = (Math.abs(dailyChange) * 0.4) + (dayRange * 0.4) + (Math.abs(volumeSpike - 100) * 0.002);
-
       volatilityData.push({
         date: current.date,
-        volatility: volatility,
+        volatility: estimates[i],
         dailyChange: dailyChange,
         dayRange: dayRange,
         volumeSpike: volumeSpike
@@ -170,6 +257,31 @@ export class StockAPI {
     return volatilityData;
   }
 
+  /**
+   * Calculate close-to-close returns from stock data
+   * @param {StockData[]} priceData - Array of stock data points in chronological order
+   * @returns {Array<{date: Date, change: number}>} Percentage change from the previous close, one per candle after the first
+   */
+  calculateReturns(priceData) {
+    if (!priceData || priceData.length < 2) {
+      return [];
+    }
+
+    const returns = [];
+    for (let i = 1; i < priceData.length; i++) {
+      const previousClose = priceData[i - 1].close;
+      if (!previousClose) {
+        continue;
+      }
+      returns.push({
+        date: priceData[i].date,
+        change: ((priceData[i].close - previousClose) / previousClose) * 100
+      });
+    }
+
+    return returns;
+  }
+
   /**
    * Calculate daily percentage change
    * @param {number} open - Opening price
@@ -1,12 +1,15 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import * as fc from 'fast-check';
 import { StockAPI } from './StockAPI.js';
+import { HttpError, NetworkError, ParseError, RateLimitError, TimeoutError } from '../utils/HttpErrors.js';
+import { RateLimiter } from '../utils/RateLimiter.js';
 
 describe('StockAPI', () => {
   let stockAPI;
 
   beforeEach(() => {
-    stockAPI = new StockAPI();
+    // A roomy limiter of its own so tests neither wait for tokens nor share them
+    stockAPI = new StockAPI({ rateLimiter: new RateLimiter({ limits: {}, defaultLimit: { capacity: 1000, refillPerSecond: 1000 } }) });
   });
 
   describe('Unit Tests', () => {
@@ -115,6 +118,216 @@ describe('StockAPI', () => {
         expect(() => stockAPI.parseYahooFinanceResponse({})).toThrow('Invalid Yahoo Finance response format');
       });
     });
+
+    describe('fetchIndexData', () => {
+      const emptyResponse = {
+        chart: {
+          result: [{
+            timestamp: [1609459200],
+            indicators: {
+              quote: [{ open: [100], high: [110], low: [95], close: [108], volume: [1000] }]
+            }
+          }]
+        }
+      };
+
+      afterEach(() => {
+        vi.restoreAllMocks();
+      });
+
+      it('should request the given index symbol', async () => {
+        global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => emptyResponse });
+
+        await stockAPI.fetchIndexData('^BSESN', 7);
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch.mock.calls[0][0]).toContain(`/${encodeURIComponent('^BSESN')}?`);
+        expect(global.fetch.mock.calls[0][0]).toContain('interval=1d');
+      });
+
+      it('should default fetchNiftyData to the NIFTY 50 symbol', async () => {
+        global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => emptyResponse });
+
+        await stockAPI.fetchNiftyData(7);
+
+        expect(global.fetch.mock.calls[0][0]).toContain(`/${encodeURIComponent('^NSEI')}?`);
+      });
+
+      it('should request intraday candles when an interval is given', async () => {
+        global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => emptyResponse });
+
+        await stockAPI.fetchIndexData('^NSEI', 1, '15m');
+
+        expect(global.fetch.mock.calls[0][0]).toContain('interval=15m');
+      });
+
+      it('should count days back from an explicit end time', async () => {
+        global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => emptyResponse });
+        const end = Date.UTC(2024, 0, 31);
+
+        await stockAPI.fetchIndexData('^NSEI', 1.5, '1d', { end });
+
+        expect(global.fetch.mock.calls[0][0]).toContain(`period1=${end / 1000 - 129600}&period2=${end / 1000}`);
+      });
+
+      it('should reject unsupported intervals and lookbacks beyond the interval limit', async () => {
+        global.fetch = vi.fn();
+
+        await expect(stockAPI.fetchIndexData('^NSEI', 7, '5m')).rejects.toThrow('Unsupported interval: 5m');
+        await expect(stockAPI.fetchIndexData('^NSEI', 7, 'toString')).rejects.toThrow('Unsupported interval: toString');
+        await expect(stockAPI.fetchIndexData('^NSEI', 90, '15m')).rejects.toThrow('at most 60 days');
+        expect(global.fetch).not.toHaveBeenCalled();
+      });
+
+      it('should reject symbols that are not in the index registry', async () => {
+        global.fetch = vi.fn();
+
+        await expect(stockAPI.fetchIndexData('^GSPC', 7)).rejects.toThrow('Unsupported index symbol: ^GSPC');
+        await expect(stockAPI.fetchIndexData('toString', 7)).rejects.toThrow('Unsupported index symbol: toString');
+        expect(global.fetch).not.toHaveBeenCalled();
+      });
+
+      it('should fetch stocks from the ticker registry by their NSE listing', async () => {
+        global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => emptyResponse });
+
+        const stockData = await stockAPI.fetchStockData('RELIANCE', 7, '1h');
+
+        expect(global.fetch.mock.calls[0][0]).toContain('/RELIANCE.NS?');
+        expect(global.fetch.mock.calls[0][0]).toContain('interval=1h');
+        expect(stockData).toHaveLength(1);
+        await expect(stockAPI.fetchStockData('AAPL', 7)).rejects.toThrow('Unsupported stock symbol: AAPL');
+      });
+
+      it('should fail at once with an HttpError for client errors', async () => {
+        global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404, statusText: 'Not Found', headers: new Headers() });
+
+        const error = await stockAPI.fetchIndexData('^NSEI', 7).catch(e => e);
+
+        expect(error).toBeInstanceOf(HttpError);
+        expect(error.status).toBe(404);
+        expect(error.message).toContain('Stock data not found');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      });
+
+      it('should retry rate limiting and pause the host for the Retry-After delay', async () => {
+        stockAPI.pipeline.baseDelay = 0;
+        const pause = vi.spyOn(stockAPI.rateLimiter, 'pause').mockImplementation(() => {});
+        global.fetch = vi.fn().mockResolvedValue({
+          ok: false,
+          status: 429,
+          statusText: 'Too Many Requests',
+          headers: new Headers({ 'Retry-After': '5' })
+        });
+
+        const error = await stockAPI.fetchIndexData('^NSEI', 7).catch(e => e);
+
+        expect(error).toBeInstanceOf(RateLimitError);
+        expect(error.retryAfter).toBe(5000);
+        expect(pause).toHaveBeenCalledWith('query1.finance.yahoo.com', 5000);
+        expect(global.fetch).toHaveBeenCalledTimes(stockAPI.pipeline.budget.maxAttempts);
+      });
+
+      it('should wrap fetch failures in a NetworkError', async () => {
+        stockAPI.pipeline.baseDelay = 0;
+        const cause = new TypeError('Failed to fetch');
+        global.fetch = vi.fn().mockRejectedValue(cause);
+
+        const error = await stockAPI.fetchIndexData('^NSEI', 7).catch(e => e);
+
+        expect(error).toBeInstanceOf(NetworkError);
+        expect(error.cause).toBe(cause);
+        expect(global.fetch).toHaveBeenCalledTimes(stockAPI.pipeline.budget.maxAttempts);
+      });
+
+      it('should not retry unexpected response bodies', async () => {
+        global.fetch = vi.fn().mockResolvedValue({ ok: true, status: 200, json: async () => ({ chart: {} }) });
+
+        const error = await stockAPI.fetchIndexData('^NSEI', 7).catch(e => e);
+
+        expect(error).toBeInstanceOf(ParseError);
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      });
+
+      it('should turn a request running out of time into a TimeoutError', async () => {
+        stockAPI = new StockAPI({ rateLimiter: stockAPI.rateLimiter, budget: { timeout: 20, maxAttempts: 1 } });
+        global.fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+          signal.addEventListener('abort', () => reject(signal.reason));
+        }));
+
+        const error = await stockAPI.fetchIndexData('^NSEI', 7).catch(e => e);
+
+        expect(error).toBeInstanceOf(TimeoutError);
+        expect(error.timeout).toBe(20);
+        expect(error.message).toContain('Stock data request timed out');
+      });
+
+      it('should stop retrying when the caller cancels', async () => {
+        const controller = new AbortController();
+        global.fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+        const result = stockAPI.fetchIndexData('^NSEI', 7, '1d', { signal: controller.signal }).catch(e => e);
+        await vi.waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(1));
+        controller.abort();
+
+        expect((await result).name).toBe('AbortError');
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    describe('calculateVolatility', () => {
+      const stockData = [
+        { date: new Date('2024-01-01'), open: 100, high: 102, low: 98, close: 101, volume: 1000 },
+        { date: new Date('2024-01-02'), open: 101, high: 104, low: 100, close: 103, volume: 1500 },
+        { date: new Date('2024-01-03'), open: 103, high: 105, low: 101, close: 102, volume: 1200 }
+      ];
+
+      it('should use the legacy composite score by default', () => {
+        const result = stockAPI.calculateVolatility(stockData);
+
+        expect(result).toHaveLength(3);
+        expect(result[0].volatility).toBeCloseTo(2.2, 10);
+        expect(result[1].dayRange).toBeCloseTo(400 / 101, 10);
+      });
+
+      it('should skip candles the selected estimator cannot value yet', () => {
+        const result = stockAPI.calculateVolatility(stockData, 'close-to-close');
+
+        expect(result).toHaveLength(1);
+        expect(result[0].date).toEqual(stockData[2].date);
+        expect(result[0].volumeSpike).toBeCloseTo(80, 10);
+      });
+
+      it('should report ATR in index points', () => {
+        const result = stockAPI.calculateVolatility(stockData, 'atr');
+
+        expect(result.map(point => point.volatility)).toEqual([4, 4, 4]);
+      });
+
+      it('should reject unsupported estimators', () => {
+        expect(() => stockAPI.calculateVolatility(stockData, 'yang-zhang')).toThrow('Unsupported volatility estimator: yang-zhang');
+      });
+    });
+
+    describe('calculateReturns', () => {
+      it('should calculate close-to-close percentage returns', () => {
+        const stockData = [
+          { date: new Date('2024-01-01'), open: 100, high: 102, low: 98, close: 100, volume: 1000 },
+          { date: new Date('2024-01-02'), open: 100, high: 104, low: 100, close: 102, volume: 1500 },
+          { date: new Date('2024-01-03'), open: 102, high: 103, low: 98, close: 99.96, volume: 1200 }
+        ];
+
+        const result = stockAPI.calculateReturns(stockData);
+
+        expect(result.map(point => point.date)).toEqual([stockData[1].date, stockData[2].date]);
+        expect(result[0].change).toBeCloseTo(2, 10);
+        expect(result[1].change).toBeCloseTo(-2, 10);
+      });
+
+      it('should return nothing for fewer than two candles', () => {
+        expect(stockAPI.calculateReturns([])).toEqual([]);
+        expect(stockAPI.calculateReturns(null)).toEqual([]);
+      });
+    });
   });
 
   describe('Property-Based Tests', () => {
@@ -5,10 +5,19 @@
  */
 
 import { Chart, registerables } from 'chart.js';
+import { toBucketKey, bucketKeyToDate, getTimeZone, DEFAULT_TIME_ZONE } from '../utils/DateKeys.js';
+import { DEFAULT_VOLATILITY_ESTIMATOR, getVolatilityEstimator, formatVolatility } from '../utils/VolatilityEstimators.js';
 
 // Register Chart.js components including decimation plugin for performance
 Chart.register(...registerables);
 
+// Line colors for additional index volatility series
+const COMPARISON_COLORS = ['#a78bfa', '#34d399', '#f472b6', '#fb7185'];
+
+// Rolling correlation line and the shading behind statistically significant stretches
+const ROLLING_COLOR = '#e2e8f0';
+const SIGNIFICANT_SHADE = 'rgba(74, 222, 128, 0.25)';
+
 export class CorrelationChart {
   /**
    * Create a new CorrelationChart instance
@@ -20,6 +29,8 @@ export class CorrelationChart {
     this.resizeHandler = null;
     this.longLoadingTimeout = null;
     this.loadingContainer = null;
+    this.granularity = 'day';
+    this.volatilityEstimator = DEFAULT_VOLATILITY_ESTIMATOR;
   }
 
   /**
@@ -79,9 +90,18 @@ export class CorrelationChart {
    * Initialize the chart with data
    * @param {VolatilityPoint[]} volatilityData - Array of volatility data points
    * @param {PopularityPoint[]} popularityData - Array of popularity data points
+   * @param {Object} options - Display options
+   * @param {string} options.indexName - Name of the primary index (default: 'NIFTY 50')
+   * @param {Array<{name: string, volatilityData: VolatilityPoint[]}>} options.comparisonSeries - Additional index volatility series
+   * @param {string} options.granularity - Bucket size of the data: 'day' (default) or 'hour'
+   * @param {Array<{date: Date, coefficient: number, significant: boolean}>} options.rollingCorrelation - Rolling coefficient series
+   * @param {number} options.rollingWindow - Window size used for the rolling series (for the legend)
+   * @param {string} options.volatilityEstimator - Estimator id, used for volatility labels and units
    */
-  initialize(volatilityData, popularityData) {
+  initialize(volatilityData, popularityData, options = {}) {
     this.hideLoading();
+    this.granularity = options.granularity || 'day';
+    this.volatilityEstimator = options.volatilityEstimator || DEFAULT_VOLATILITY_ESTIMATOR;
     const canvas = document.getElementById(this.canvasId);
     if (!canvas) {
       console.warn(`Canvas element with id "${this.canvasId}" not found - skipping chart initialization`);
@@ -91,7 +111,7 @@ export class CorrelationChart {
     const ctx = canvas.getContext('2d');
     
     // Prepare aligned data
-    const chartData = this._prepareChartData(volatilityData, popularityData);
+    const chartData = this._prepareChartData(volatilityData, popularityData, options);
 
     // Create chart with configuration
     this.chart = new Chart(ctx, {
@@ -108,22 +128,31 @@ export class CorrelationChart {
    * Update chart with new data
    * @param {VolatilityPoint[]} volatilityData - Array of volatility data points
    * @param {PopularityPoint[]} popularityData - Array of popularity data points
+   * @param {Object} options - Display options (see initialize)
    */
-  update(volatilityData, popularityData) {
+  update(volatilityData, popularityData, options = {}) {
     this.hideLoading();
     
     if (!this.chart) {
       // If chart doesn't exist, initialize it
-      this.initialize(volatilityData, popularityData);
+      this.initialize(volatilityData, popularityData, options);
       return;
     }
 
     // Prepare new data
-    const chartData = this._prepareChartData(volatilityData, popularityData);
+    this.granularity = options.granularity || 'day';
+    this.volatilityEstimator = options.volatilityEstimator || DEFAULT_VOLATILITY_ESTIMATOR;
+    const chartData = this._prepareChartData(volatilityData, popularityData, options);
 
     // Update chart data
     this.chart.data.labels = chartData.labels;
     this.chart.data.datasets = chartData.datasets;
+    if (this.chart.options?.scales?.x?.title) {
+      this.chart.options.scales.x.title.text = this._getXAxisTitle();
+    }
+    if (this.chart.options?.scales?.['y-volatility']?.title) {
+      this.chart.options.scales['y-volatility'].title.text = this._getVolatilityAxisTitle();
+    }
 
     // Re-render chart
     this.chart.update();
@@ -134,16 +163,26 @@ export class CorrelationChart {
    * @private
    * @param {VolatilityPoint[]} volatilityData - Array of volatility data points
    * @param {PopularityPoint[]} popularityData - Array of popularity data points
+   * @param {Object} options - Display options (see initialize)
    * @returns {Object} Chart.js data object
    */
-  _prepareChartData(volatilityData, popularityData) {
+  _prepareChartData(volatilityData, popularityData, options = {}) {
+    const {
+      indexName = 'NIFTY 50',
+      comparisonSeries = [],
+      granularity = 'day',
+      rollingCorrelation = [],
+      rollingWindow = null
+    } = options;
+    const volatilityLabel = `${indexName} ${this._getVolatilityAxisTitle()}`;
+
     // Handle empty data
     if (!volatilityData || !popularityData || volatilityData.length === 0 || popularityData.length === 0) {
       return {
         labels: [],
         datasets: [
           {
-            label: 'Volatility (%)',
+            label: volatilityLabel,
             data: [],
             borderColor: '#f59e0b',
             backgroundColor: 'rgba(245, 158, 11, 0.1)',
@@ -166,16 +205,16 @@ export class CorrelationChart {
       };
     }
 
-    // Create maps for quick lookup by date string
+    // Create maps for quick lookup by date string (or IST hour key for intraday data)
     const volatilityMap = new Map();
     for (const point of volatilityData) {
-      const dateStr = point.date.toISOString().split('T')[0];
+      const dateStr = toBucketKey(point.date, granularity);
       volatilityMap.set(dateStr, point.volatility);
     }
 
     const popularityMap = new Map();
     for (const point of popularityData) {
-      const dateStr = point.date.toISOString().split('T')[0];
+      const dateStr = toBucketKey(point.date, granularity);
       popularityMap.set(dateStr, point.popularity);
     }
 
@@ -208,7 +247,7 @@ export class CorrelationChart {
       labels: sortedLabels,
       datasets: [
         {
-          label: 'Volatility (%)',
+          label: volatilityLabel,
           data: sortedVolatility,
           borderColor: '#f59e0b',
           backgroundColor: 'rgba(245, 158, 11, 0.1)',
@@ -228,17 +267,159 @@ export class CorrelationChart {
           pointRadius: 4,
           pointHoverRadius: 6,
           borderWidth: 2
-        }
+        },
+        ...this._prepareComparisonDatasets(comparisonSeries, sortedLabels, granularity),
+        ...this._prepareRollingDatasets(rollingCorrelation, sortedLabels, granularity, rollingWindow)
       ]
     };
   }
 
+  /**
+   * Build the rolling correlation line and its significance shading
+   * Shading fills between zero and the coefficient wherever the window is significant.
+   * @private
+   * @param {Array<{date: Date, coefficient: number, significant: boolean}>} rollingCorrelation - Rolling coefficient series
+   * @param {string[]} labels - Bucket labels of the primary series
+   * @param {string} granularity - 'day' or 'hour'
+   * @param {number|null} window - Window size for the legend label
+   * @returns {Object[]} Chart.js dataset objects (empty without a rolling series)
+   */
+  _prepareRollingDatasets(rollingCorrelation, labels, granularity = 'day', window = null) {
+    if (!rollingCorrelation || rollingCorrelation.length === 0) {
+      return [];
+    }
+
+    const rollingMap = new Map();
+    for (const point of rollingCorrelation) {
+      rollingMap.set(toBucketKey(point.date, granularity), point);
+    }
+
+    const unit = granularity === 'hour' ? 'hour' : 'session';
+    const windowLabel = window ? ` (${window}-${unit})` : '';
+
+    return [
+      {
+        label: `Rolling Correlation${windowLabel}`,
+        data: labels.map(label => (rollingMap.has(label) ? rollingMap.get(label).coefficient : null)),
+        borderColor: ROLLING_COLOR,
+        backgroundColor: 'transparent',
+        yAxisID: 'y-rolling',
+        tension: 0.2,
+        pointRadius: 0,
+        pointHoverRadius: 4,
+        borderWidth: 1.5
+      },
+      {
+        label: 'Significant (p < 0.05)',
+        data: labels.map(label => {
+          const point = rollingMap.get(label);
+          return point && point.significant ? point.coefficient : null;
+        }),
+        borderColor: 'transparent',
+        backgroundColor: SIGNIFICANT_SHADE,
+        yAxisID: 'y-rolling',
+        fill: 'origin',
+        spanGaps: false,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        borderWidth: 0,
+        isShading: true
+      }
+    ];
+  }
+
+  /**
+   * Build volatility datasets for additional indices aligned to the chart labels
+   * Dates missing from a comparison index are left as gaps.
+   * @private
+   * @param {Array<{name: string, volatilityData: VolatilityPoint[]}>} comparisonSeries - Additional index series
+   * @param {string[]} labels - Bucket labels of the primary series
+   * @param {string} granularity - 'day' or 'hour'
+   * @returns {Object[]} Chart.js dataset objects
+   */
+  _prepareComparisonDatasets(comparisonSeries, labels, granularity = 'day') {
+    return comparisonSeries.map((series, index) => {
+      const seriesMap = new Map();
+      for (const point of series.volatilityData || []) {
+        seriesMap.set(toBucketKey(point.date, granularity), point.volatility);
+      }
+
+      const color = COMPARISON_COLORS[index % COMPARISON_COLORS.length];
+
+      return {
+        label: `${series.name} ${this._getVolatilityAxisTitle()}`,
+        data: labels.map(label => (seriesMap.has(label) ? seriesMap.get(label) : null)),
+        borderColor: color,
+        backgroundColor: 'transparent',
+        yAxisID: 'y-volatility',
+        tension: 0.3,
+        pointRadius: 2,
+        pointHoverRadius: 5,
+        borderWidth: 1.5,
+        borderDash: [6, 4]
+      };
+    });
+  }
+
+  /**
+   * Get the volatility axis title for the current estimator, e.g. 'Parkinson Volatility (%)'
+   * @private
+   * @returns {string} Axis title
+   */
+  _getVolatilityAxisTitle() {
+    const estimator = getVolatilityEstimator(this.volatilityEstimator) || getVolatilityEstimator(DEFAULT_VOLATILITY_ESTIMATOR);
+    return `${estimator.label} (${estimator.unit})`;
+  }
+
+  /**
+   * Format a bucket label for ticks and tooltips
+   * Labels are shown in the bucketing time zone; hourly labels include the time of day.
+   * @private
+   * @param {string} label - Day or hour key
+   * @param {boolean} long - Include the year (tooltip) instead of the compact tick format
+   * @returns {string} Formatted label
+   */
+  _formatLabel(label, long = false) {
+    const date = bucketKeyToDate(label);
+    const timeZone = getTimeZone();
+
+    if (this.granularity === 'hour') {
+      return date.toLocaleString('en-IN', {
+        timeZone,
+        month: 'short',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+      });
+    }
+
+    return long
+      ? date.toLocaleDateString('en-IN', { timeZone, year: 'numeric', month: 'short', day: 'numeric' })
+      : date.toLocaleDateString('en-IN', { timeZone, month: 'short', day: 'numeric' });
+  }
+
+  /**
+   * Get the x-axis title for the current granularity
+   * @private
+   * @returns {string} Axis title
+   */
+  _getXAxisTitle() {
+    if (this.granularity !== 'hour') {
+      return 'Date';
+    }
+
+    const timeZone = getTimeZone();
+    return `Time (${timeZone === DEFAULT_TIME_ZONE ? 'IST' : timeZone})`;
+  }
+
   /**
    * Get Chart.js configuration options
    * @private
    * @returns {Object} Chart.js options object
    */
   _getChartOptions() {
+    const formatLabel = (label, long) => this._formatLabel(label, long);
+
     return {
       responsive: true,
       maintainAspectRatio: false,
@@ -301,15 +482,12 @@ export class CorrelationChart {
           borderWidth: 1,
           padding: 12,
           displayColors: true,
+          // Shading duplicates the rolling line, so keep it out of tooltips
+          filter: (tooltipItem) => !tooltipItem.dataset.isShading,
           callbacks: {
             title: (tooltipItems) => {
               if (tooltipItems.length > 0) {
-                const date = new Date(tooltipItems[0].label);
-                return date.toLocaleDateString('en-IN', { 
-                  year: 'numeric', 
-                  month: 'short', 
-                  day: 'numeric' 
-                });
+                return formatLabel(tooltipItems[0].label, true);
               }
               return '';
             },
@@ -317,8 +495,14 @@ export class CorrelationChart {
               const label = context.dataset.label || '';
               const value = context.parsed.y;
               
-              if (label.includes('Volatility')) {
-                return `${label}: ${value.toFixed(2)}%`;
+              if (value === null || value === undefined) {
+                return `${label}: n/a`;
+              }
+              
+              if (context.dataset.yAxisID === 'y-volatility') {
+                return `${label}: ${formatVolatility(value, this.volatilityEstimator)}`;
+              } else if (context.dataset.yAxisID === 'y-rolling') {
+                return `${label}: ${value.toFixed(2)}`;
               } else {
                 return `${label}: ${value.toFixed(0)}`;
               }
@@ -332,7 +516,7 @@ export class CorrelationChart {
           display: true,
           title: {
             display: true,
-            text: 'Date',
+            text: this._getXAxisTitle(),
             color: '#94a3b8',
             font: {
               size: 12,
@@ -349,8 +533,7 @@ export class CorrelationChart {
             callback: function(value, index, ticks) {
               // Show fewer labels on small screens
               const label = this.getLabelForValue(value);
-              const date = new Date(label);
-              return date.toLocaleDateString('en-IN', { month: 'short', day: 'numeric' });
+              return formatLabel(label, false);
             }
           },
           grid: {
@@ -364,7 +547,7 @@ export class CorrelationChart {
           position: 'left',
           title: {
             display: true,
-            text: 'Volatility (%)',
+            text: this._getVolatilityAxisTitle(),
             color: '#f59e0b',
             font: {
               size: 12,
@@ -376,9 +559,7 @@ export class CorrelationChart {
             font: {
               size: 10
             },
-            callback: function(value) {
-              return value.toFixed(1) + '%';
-            }
+            callback: (value) => formatVolatility(value, this.volatilityEstimator, 1)
           },
           grid: {
             color: 'rgba(51, 65, 85, 0.3)',
@@ -411,6 +592,32 @@ export class CorrelationChart {
             drawOnChartArea: false, // Don't draw grid lines for right axis
             drawBorder: false
           }
+        },
+        'y-rolling': {
+          type: 'linear',
+          display: 'auto', // Only shown when a rolling series is plotted
+          position: 'right',
+          min: -1,
+          max: 1,
+          title: {
+            display: true,
+            text: 'Rolling r',
+            color: ROLLING_COLOR,
+            font: {
+              size: 12,
+              weight: 'bold'
+            }
+          },
+          ticks: {
+            color: ROLLING_COLOR,
+            font: {
+              size: 10
+            }
+          },
+          grid: {
+            drawOnChartArea: false,
+            drawBorder: false
+          }
         }
       }
     };
@@ -7,6 +7,7 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import * as fc from 'fast-check';
 import { CorrelationChart } from './CorrelationChart.js';
+import { toDayKey } from '../utils/DateKeys.js';
 import { JSDOM } from 'jsdom';
 
 // Mock Chart.js
@@ -95,10 +96,10 @@ describe('CorrelationChart - Property-Based Tests', () => {
 
             // Find common dates between the two datasets
             const volatilityDates = new Set(
-              volatilityData.map(p => p.date.toISOString().split('T')[0])
+              volatilityData.map(p => toDayKey(p.date))
             );
             const popularityDates = new Set(
-              popularityData.map(p => p.date.toISOString().split('T')[0])
+              popularityData.map(p => toDayKey(p.date))
             );
 
             // Calculate expected number of aligned points
@@ -177,10 +178,10 @@ describe('CorrelationChart - Property-Based Tests', () => {
 
             // Calculate expected aligned count for new data
             const volatilityDates = new Set(
-              newVolatility.map(p => p.date.toISOString().split('T')[0])
+              newVolatility.map(p => toDayKey(p.date))
             );
             const popularityDates = new Set(
-              newPopularity.map(p => p.date.toISOString().split('T')[0])
+              newPopularity.map(p => toDayKey(p.date))
             );
             const commonDates = [...volatilityDates].filter(date => popularityDates.has(date));
             const expectedAlignedCount = commonDates.length;
@@ -222,10 +223,10 @@ describe('CorrelationChart - Property-Based Tests', () => {
 
             // Get dates from original datasets
             const volatilityDates = new Set(
-              volatilityData.map(p => p.date.toISOString().split('T')[0])
+              volatilityData.map(p => toDayKey(p.date))
             );
             const popularityDates = new Set(
-              popularityData.map(p => p.date.toISOString().split('T')[0])
+              popularityData.map(p => toDayKey(p.date))
             );
 
             // Every date in the chart should exist in both original datasets
@@ -242,3 +243,111 @@ describe('CorrelationChart - Property-Based Tests', () => {
     );
   });
 });
+
+describe('CorrelationChart - Index Labels', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<canvas id="test-chart"></canvas>';
+  });
+
+  const volatilityData = [
+    { date: new Date('2024-01-01'), volatility: 1.5 },
+    { date: new Date('2024-01-02'), volatility: 2.0 }
+  ];
+  const popularityData = [
+    { date: new Date('2024-01-01'), popularity: 100 },
+    { date: new Date('2024-01-02'), popularity: 150 }
+  ];
+
+  it('should label the volatility series with the NIFTY 50 by default', () => {
+    const chart = new CorrelationChart('test-chart');
+    chart.initialize(volatilityData, popularityData);
+
+    expect(chart.chart.data.datasets[0].label).toBe('NIFTY 50 Volatility (%)');
+    chart.destroy();
+  });
+
+  it('should label the volatility series with the selected index', () => {
+    const chart = new CorrelationChart('test-chart');
+    chart.initialize(volatilityData, popularityData, { indexName: 'SENSEX' });
+
+    expect(chart.chart.data.datasets[0].label).toBe('SENSEX Volatility (%)');
+    chart.destroy();
+  });
+
+  it('should add aligned comparison series after the primary datasets', () => {
+    const chart = new CorrelationChart('test-chart');
+    chart.initialize(volatilityData, popularityData, {
+      comparisonSeries: [
+        { name: 'NIFTY Bank', volatilityData: [{ date: new Date('2024-01-02'), volatility: 3.1 }] }
+      ]
+    });
+
+    const datasets = chart.chart.data.datasets;
+    expect(datasets).toHaveLength(3);
+    expect(datasets[2].label).toBe('NIFTY Bank Volatility (%)');
+    expect(datasets[2].yAxisID).toBe('y-volatility');
+    expect(datasets[2].data).toEqual([null, 3.1]);
+    chart.destroy();
+  });
+
+  it('should label series and the volatility axis in the estimator units', () => {
+    const chart = new CorrelationChart('test-chart');
+    chart.initialize(volatilityData, popularityData, { volatilityEstimator: 'parkinson' });
+
+    expect(chart.chart.data.datasets[0].label).toBe('NIFTY 50 Parkinson Volatility (%)');
+    expect(chart.chart.options.scales['y-volatility'].title.text).toBe('Parkinson Volatility (%)');
+
+    chart.update(volatilityData, popularityData, { volatilityEstimator: 'atr' });
+
+    expect(chart.chart.data.datasets[0].label).toBe('NIFTY 50 ATR (pts)');
+    expect(chart.chart.options.scales['y-volatility'].title.text).toBe('ATR (pts)');
+    expect(chart.chart.options.scales['y-volatility'].ticks.callback(182.44)).toBe('182.4 pts');
+    chart.destroy();
+  });
+});
+
+describe('CorrelationChart - Rolling Correlation', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<canvas id="test-chart"></canvas>';
+  });
+
+  const volatilityData = [
+    { date: new Date('2024-01-01'), volatility: 1.5 },
+    { date: new Date('2024-01-02'), volatility: 2.0 },
+    { date: new Date('2024-01-03'), volatility: 2.4 }
+  ];
+  const popularityData = [
+    { date: new Date('2024-01-01'), popularity: 100 },
+    { date: new Date('2024-01-02'), popularity: 150 },
+    { date: new Date('2024-01-03'), popularity: 120 }
+  ];
+
+  it('should not add rolling datasets without a rolling series', () => {
+    const chart = new CorrelationChart('test-chart');
+    chart.initialize(volatilityData, popularityData);
+
+    expect(chart.chart.data.datasets).toHaveLength(2);
+    chart.destroy();
+  });
+
+  it('should plot the rolling coefficient and shade significant stretches', () => {
+    const chart = new CorrelationChart('test-chart');
+    chart.initialize(volatilityData, popularityData, {
+      rollingWindow: 5,
+      rollingCorrelation: [
+        { date: new Date('2024-01-02'), coefficient: 0.9, significant: true },
+        { date: new Date('2024-01-03'), coefficient: 0.2, significant: false }
+      ]
+    });
+
+    const [line, shading] = chart.chart.data.datasets.slice(2);
+    expect(line.label).toBe('Rolling Correlation (5-session)');
+    expect(line.yAxisID).toBe('y-rolling');
+    expect(line.data).toEqual([null, 0.9, 0.2]);
+    expect(shading.fill).toBe('origin');
+    expect(shading.data).toEqual([null, 0.9, null]);
+    expect(chart.chart.options.scales['y-rolling'].min).toBe(-1);
+    expect(chart.chart.options.scales['y-rolling'].max).toBe(1);
+    chart.destroy();
+  });
+});
@@ -4,17 +4,76 @@
  */
 
 import { CorrelationChart } from './CorrelationChart.js';
+import { LagCorrelationChart } from './LagCorrelationChart.js';
 import { StockPanel } from './StockPanel.js';
 import { MemePanel } from './MemePanel.js';
 import { InsightsPanel } from './InsightsPanel.js';
 import { TimeRangeFilter } from './TimeRangeFilter.js';
+import { IndexSelector } from './IndexSelector.js';
+import { RollingWindowSelector } from './RollingWindowSelector.js';
+import { VolatilityEstimatorSelector } from './VolatilityEstimatorSelector.js';
+import { SourceSelector } from './SourceSelector.js';
 import { ErrorBoundary } from './ErrorBoundary.js';
 import { ToastNotification } from './ToastNotification.js';
-import { StockAPI } from '../api/StockAPI.js';
+import { StockAPI, SUPPORTED_INTERVALS } from '../api/StockAPI.js';
 import { RedditAPI } from '../api/RedditAPI.js';
-import { calculateCorrelation } from '../utils/Correlation.js';
+import { MemeArchiveAPI } from '../api/MemeArchiveAPI.js';
+import { SourceConfigAPI } from '../api/SourceConfigAPI.js';
+import {
+  calculateCorrelation,
+  calculateCrossCorrelation,
+  calculateRollingCorrelation,
+  calculateSentimentCorrelation,
+  calculateMentionCorrelation
+} from '../utils/Correlation.js';
+import { calculateGrangerCausality } from '../utils/GrangerCausality.js';
 import { Cache } from '../utils/Cache.js';
-import { RetryHandler } from '../utils/RetryHandler.js';
+import { TimeSeriesStore, getSeriesKey, mergePoints, selectWindow } from '../utils/TimeSeriesStore.js';
+import { CircuitBreaker, CircuitOpenError, CIRCUIT_STATES } from '../utils/CircuitBreaker.js';
+import { HttpError, RateLimitError, NetworkError, TimeoutError, ParseError } from '../utils/HttpErrors.js';
+import { isAbortError } from '../utils/Abort.js';
+import { TabCoordinator } from '../utils/TabCoordinator.js';
+import { rateLimiter } from '../utils/RateLimiter.js';
+import { getHostLabel, YAHOO_FINANCE_HOST, REDDIT_HOST } from '../config/rateLimits.js';
+import { DEFAULT_INDEX, getIndexInfo } from '../config/indices.js';
+import { getTickerInfo } from '../config/tickers.js';
+import { getPostTickers } from '../utils/TickerExtractor.js';
+import {
+  TIME_RANGE_OPTIONS,
+  getTimeRangeOption,
+  getGranularity,
+  getRedditTimeframe,
+  DEFAULT_ROLLING_WINDOW
+} from '../config/timeRanges.js';
+import { ALIGNMENT_POLICIES } from '../utils/TradingCalendar.js';
+import { DEFAULT_VOLATILITY_ESTIMATOR } from '../utils/VolatilityEstimators.js';
+import { formatTimeOfDay } from '../utils/DateKeys.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stored series keep the longest selectable range; older points are dropped
+ * @type {number}
+ */
+const SERIES_RETENTION = Math.max(...TIME_RANGE_OPTIONS.map(option => option.value)) * DAY_MS;
+
+/**
+ * How far back meme listings are refetched on refresh so recent scores stay current
+ * @type {number}
+ */
+const MEME_REFRESH_OVERLAP = DAY_MS;
+
+/**
+ * Tab message carrying a freshly fetched dataset
+ * @type {string}
+ */
+const SHARED_DATASET_MESSAGE = 'dataset';
+
+/**
+ * Shortest rate limit wait worth a countdown toast
+ * @type {number}
+ */
+const RATE_LIMIT_TOAST_MIN_WAIT = 2000;
 
 export class Dashboard {
   /**
@@ -24,40 +83,76 @@ export class Dashboard {
   constructor(container) {
     this.container = container;
     this.currentTimeRange = 30; // Default to 30 days
+    this.selectedIndices = [DEFAULT_INDEX]; // Primary index first
+    this.alignmentPolicy = ALIGNMENT_POLICIES.NEXT_SESSION; // Weekend/holiday meme data rolls into the next session
+    this.maxLag = 7; // Lead/lag window in sessions either side
+    this.grangerLags = 2; // Lags in each Granger regression
+    this.rollingWindow = DEFAULT_ROLLING_WINDOW;
+    this.volatilityEstimator = DEFAULT_VOLATILITY_ESTIMATOR;
     
     // Initialize error handling
     this.errorBoundary = null;
     this.toastNotification = window.toastNotification || new ToastNotification();
-    this.retryHandler = new RetryHandler({
-      maxRetries: 3,
-      baseDelay: 1000,
-      maxDelay: 10000
-    });
     
-    // Initialize API clients
-    this.stockAPI = new StockAPI();
-    this.redditAPI = new RedditAPI();
+    // Initialize API clients; they share one per-host rate limiter
+    this.rateLimiter = rateLimiter;
+    this.stockAPI = new StockAPI({ rateLimiter: this.rateLimiter });
+    this.redditAPI = new RedditAPI(undefined, { rateLimiter: this.rateLimiter });
+    this.memeArchive = new MemeArchiveAPI(); // Posts collected by scripts/collect-memes.js, served in development
+    this.sourceConfig = new SourceConfigAPI(); // Subreddit sources, shared with the collector and the social MCP server
+    this.rateLimitCountdowns = new Map(); // Host -> {toastId, until, timer}
+    this._unsubscribeRateLimit = null;
+
+    // One circuit per data source; an open circuit skips the source and its retries entirely
+    this.circuitBreakers = {
+      stock: new CircuitBreaker(getHostLabel(YAHOO_FINANCE_HOST)),
+      memes: new CircuitBreaker(getHostLabel(REDDIT_HOST))
+    };
+    this.dataSourceType = 'real'; // 'real', 'partial' or 'sample', shown in the footer
+    Object.values(this.circuitBreakers).forEach(breaker => {
+      breaker.onStateChange(() => this._updateDataSourceInfo());
+    });
     
-    // Initialize cache with 1 hour expiration
+    // Initialize cache with 1 hour expiration; fetched series are merged into it incrementally
     this.cache = new Cache(3600000);
+    this.seriesStore = new TimeSeriesStore(this.cache, { retention: SERIES_RETENTION });
+
+    // Cross-tab coordination (created on initialize); only the leader tab refreshes in the background
+    this.tabCoordinator = null;
     
     // Initialize components (will be created after DOM setup)
     this.chart = null;
+    this.lagChart = null;
     this.stockPanel = null;
     this.memePanel = null;
     this.insightsPanel = null;
     this.timeRangeFilter = null;
+    this.indexSelector = null;
+    this.rollingWindowSelector = null;
+    this.estimatorSelector = null;
+    this.sourceSelector = null;
     
     // Data storage
     this.stockData = [];
+    this.indexSeries = [];
     this.volatilityData = [];
+    this.returnsData = [];
     this.memeData = [];
     this.popularityData = [];
+    this.sentimentData = [];
     this.correlationResult = null;
+    this.sentimentCorrelation = null;
+    this.crossCorrelation = null;
+    this.rollingCorrelation = [];
+    this.grangerResult = null;
+    this.selectedTicker = null; // NSE symbol picked from the meme panel's ticker chips
+    this.tickerCorrelation = null; // {symbol, loading, error, result} for the selected ticker
+    this.tickerController = null; // Aborts the price request of the latest ticker selection
     
     // Loading state
     this.isLoading = false;
     this.loadingErrors = [];
+    this.loadController = null; // Aborts the requests of the latest load, including its background refresh
   }
 
   /**
@@ -79,6 +174,15 @@ export class Dashboard {
       
       // Set up event listeners
       this._setupEventListeners();
+
+      // Join the other open dashboard tabs
+      this._setupTabCoordination();
+
+      // Count down in a toast while a data source makes requests wait
+      this._unsubscribeRateLimit = this.rateLimiter.onWait(({ host, until }) => this._showRateLimitCountdown(host, until));
+
+      // Read memes from the saved subreddit sources
+      await this._loadSources();
       
       // Load initial data with default time range (with error handling)
       try {
@@ -96,13 +200,17 @@ export class Dashboard {
 
   /**
    * Load data for the specified time range
-   * @param {number} timeRange - Number of days to fetch (7, 30, or 90)
+   * A load still in progress is cancelled: its requests and pending retries are aborted
+   * and its result is never rendered.
+   * @param {number} timeRange - Number of days to fetch (1, 3, 7, 30, or 90)
    */
   async loadData(timeRange) {
-    if (this.isLoading) {
-      console.warn('Data loading already in progress');
-      return;
+    if (this.loadController) {
+      this.loadController.abort();
     }
+    const controller = new AbortController();
+    this.loadController = controller;
+    const { signal } = controller;
 
     this.isLoading = true;
     this.loadingErrors = [];
@@ -113,38 +221,45 @@ export class Dashboard {
       this._showAllLoadingStates();
 
       // Try to load from cache first
-      const cachedData = this._loadFromCache(timeRange);
+      const cachedData = await this._loadFromCache(timeRange);
+      signal.throwIfAborted();
       if (cachedData) {
         console.log('Loading data from cache');
         this._processAndRenderData(cachedData);
         
         // Fetch fresh data in background
-        this._fetchFreshDataInBackground(timeRange);
+        this._fetchFreshDataInBackground(timeRange, signal);
         return;
       }
 
       // Fetch fresh data
       console.log(`Loading fresh data for ${timeRange} days`);
-      const freshData = await this._fetchAllData(timeRange);
+      const freshData = await this._fetchAllData(timeRange, signal);
       console.log('Fresh data received:', { 
         stockData: freshData.stockData.length, 
         memeData: freshData.memeData.length 
       });
       
-      // Cache the fresh data
-      this._saveToCache(timeRange, freshData);
-      
       // Process and render
       this._processAndRenderData(freshData);
+      this._shareDataset(timeRange, freshData);
 
     } catch (error) {
+      // A newer load replaced this one and renders its own result
+      if (isAbortError(error)) {
+        console.log(`Data loading for ${timeRange} days cancelled`);
+        return;
+      }
+
       console.error(`Data loading failed for ${timeRange} days:`, error);
       this.handleError(error, `Failed to load data for ${timeRange} days`);
       
       // Show empty state instead of leaving loading indicators
       this._processAndRenderData({ stockData: [], memeData: [] });
     } finally {
-      this.isLoading = false;
+      if (this.loadController === controller) {
+        this.isLoading = false;
+      }
     }
   }
 
@@ -157,13 +272,16 @@ export class Dashboard {
   _createMockData(timeRange) {
     console.log('Creating mock data for demonstration...');
     
-    // Create mock stock data
+    // Create mock stock data (hourly candles for intraday ranges)
     const stockData = [];
     const basePrice = 24000;
     const now = new Date();
+    const isIntraday = getGranularity(timeRange) === 'hour';
+    const stepMs = isIntraday ? 60 * 60 * 1000 : 24 * 60 * 60 * 1000;
+    const steps = isIntraday ? timeRange * 24 : timeRange;
     
-    for (let i = timeRange - 1; i >= 0; i--) {
-      const date = new Date(now.getTime() - (i * 24 * 60 * 60 * 1000));
+    for (let i = steps - 1; i >= 0; i--) {
+      const date = new Date(now.getTime() - (i * stepMs));
       const variation = (Math.random() - 0.5) * 1000;
       const open = basePrice + variation;
       const close = open + (Math.random() - 0.5) * 200;
@@ -197,8 +315,8 @@ export class Dashboard {
     const subreddits = ['IndianDankMemes', 'indiameme', 'SaimanSays'];
     
     for (let i = 0; i < 25; i++) {
-      const daysAgo = Math.floor(Math.random() * Math.min(timeRange, 7));
-      const date = new Date(now.getTime() - (daysAgo * 24 * 60 * 60 * 1000));
+      const stepsAgo = Math.floor(Math.random() * Math.min(steps, 7));
+      const date = new Date(now.getTime() - (stepsAgo * stepMs));
       
       memeData.push({
         title: titles[Math.floor(Math.random() * titles.length)],
@@ -217,112 +335,68 @@ export class Dashboard {
 
   /**
    * Fetch stock and meme data in parallel with network optimizations
+   * Only the spans the stored series do not cover yet are requested; the rest comes from the cache.
    * @private
    * @param {number} timeRange - Number of days to fetch
-   * @returns {Promise<{stockData: StockData[], memeData: MemePost[]}>}
+   * @param {AbortSignal} signal - Cancels every request of this fetch; the API clients time out each request themselves
+   * @returns {Promise<{stockData: StockData[], memeData: MemePost[], indexData: Object<string, StockData[]>, source: string}>} Data with its source: 'real', 'partial' or 'sample'
+   * @throws {DOMException} AbortError when the signal fires
    */
-  async _fetchAllData(timeRange) {
-    // Determine Reddit timeframe based on days
-    let redditTimeframe = 'week';
-    if (timeRange <= 7) {
-      redditTimeframe = 'week';
-    } else if (timeRange <= 30) {
-      redditTimeframe = 'month';
-    } else {
-      redditTimeframe = 'month';
-    }
-
-    // Network performance optimization: Set timeout for slow connections
-    const NETWORK_TIMEOUT = 15000; // 15 seconds for slow networks
+  async _fetchAllData(timeRange, signal) {
+    const { start, end, interval, redditTimeframe } = this._getDataWindow(timeRange);
 
-    // Create timeout wrapper for slow networks
-    const withTimeout = (promise, timeout) => {
-      return Promise.race([
-        promise,
-        new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('Network timeout - connection too slow')), timeout)
-        )
-      ]);
-    };
-
-    // Create retry wrappers for API calls with timeout support
-    const stockAPIWithRetry = this.retryHandler.createRetryWrapper(
-      (days) => withTimeout(this.stockAPI.fetchNiftyData(days), NETWORK_TIMEOUT),
-      'Stock data fetch',
-      {
-        onRetry: (error, attempt, maxAttempts) => {
-          const isTimeout = error.message.includes('timeout');
-          this.toastNotification.showWarning(
-            isTimeout 
-              ? `Slow connection detected. Retrying... (${attempt}/${maxAttempts})`
-              : `Retrying stock data fetch... (${attempt}/${maxAttempts})`,
-            { duration: 3000 }
-          );
-        },
-        onFailure: (error) => {
-          const isTimeout = error.message.includes('timeout');
-          this.toastNotification.showError(
-            isTimeout
-              ? 'Connection is too slow. Please try again with a better network.'
-              : 'Unable to load stock data. Please check your connection.',
-            {
-              persistent: false,
-              onRetry: () => this.loadData(this.currentTimeRange)
-            }
-          );
-        }
-      }
-    );
+    // The API clients retry within each request's budget; only progress and failure are shown here
+    const stockFeedback = this._createFetchFeedback('stock data');
+    const memeFeedback = this._createFetchFeedback('meme data');
 
-    const redditAPIWithRetry = this.retryHandler.createRetryWrapper(
-      (timeframe, limit) => withTimeout(this.redditAPI.fetchTrendingMemes(timeframe, limit), NETWORK_TIMEOUT),
-      'Meme data fetch',
-      {
-        onRetry: (error, attempt, maxAttempts) => {
-          const isTimeout = error.message.includes('timeout');
-          this.toastNotification.showWarning(
-            isTimeout
-              ? `Slow connection detected. Retrying... (${attempt}/${maxAttempts})`
-              : `Retrying meme data fetch... (${attempt}/${maxAttempts})`,
-            { duration: 3000 }
-          );
-        },
-        onFailure: (error) => {
-          const isTimeout = error.message.includes('timeout');
-          this.toastNotification.showError(
-            isTimeout
-              ? 'Connection is too slow. Please try again with a better network.'
-              : 'Unable to load meme data. Please check your connection.',
-            {
-              persistent: false,
-              onRetry: () => this.loadData(this.currentTimeRange)
-            }
-          );
-        }
-      }
-    );
+    // Each source's circuit wraps its whole request, retries included
+    const fetchStockSpan = (symbol, span) => this.circuitBreakers.stock.execute(() => (
+      this.stockAPI.fetchIndexData(symbol, (span.end - span.start) / DAY_MS, interval, {
+        end: span.end,
+        signal,
+        onRetry: stockFeedback.onRetry
+      }).catch(stockFeedback.onFailure)
+    ));
+    const fetchMemeListing = (timeframe) => this.circuitBreakers.memes.execute(() => (
+      this.redditAPI.fetchTrendingMemes(timeframe, this.redditAPI.postBudget, {
+        signal,
+        onRetry: memeFeedback.onRetry
+      }).catch(memeFeedback.onFailure)
+    ));
+    const fetchArchivedMemes = (span) => this.memeArchive.fetchPosts(span.start, span.end, { signal });
 
     // Track fetch performance for network quality indication
     const fetchStartTime = Date.now();
     
-    // Fetch data in parallel with retry logic
-    const [stockResult, memeResult] = await Promise.allSettled([
-      stockAPIWithRetry(timeRange),
-      redditAPIWithRetry(redditTimeframe, 25)
+    // Fetch data in parallel with retry logic (one request per selected index)
+    const indices = [...this.selectedIndices];
+    const [memeResult, ...indexResults] = await Promise.allSettled([
+      this._fetchMemeSeries(fetchMemeListing, start, end, redditTimeframe, fetchArchivedMemes),
+      ...indices.map(symbol => this._fetchStockSeries(fetchStockSpan, symbol, interval, start, end))
     ]);
+    const stockResult = indexResults[0];
+
+    // Don't fall back to sample data for a load that was replaced
+    signal?.throwIfAborted();
     
     // Calculate and log network performance
     const fetchDuration = Date.now() - fetchStartTime;
     this._logNetworkPerformance(fetchDuration, stockResult.status === 'fulfilled', memeResult.status === 'fulfilled');
 
-    // Handle stock data result
-    let stockData = [];
-    if (stockResult.status === 'fulfilled') {
-      stockData = stockResult.value;
-    } else {
-      this.loadingErrors.push(`Stock data: ${stockResult.reason.message}`);
-      console.error('Failed to fetch stock data:', stockResult.reason);
-    }
+    // Handle stock data results; the first selected index is the primary series
+    const indexData = {};
+    indices.forEach((symbol, i) => {
+      const result = indexResults[i];
+      if (result.status === 'fulfilled') {
+        indexData[symbol] = result.value;
+      } else {
+        const indexName = getIndexInfo(symbol)?.name || symbol;
+        this.loadingErrors.push(`Stock data (${indexName}): ${result.reason.message}`);
+        console.error(`Failed to fetch stock data for ${symbol}:`, result.reason);
+        indexData[symbol] = [];
+      }
+    });
+    let stockData = indexData[indices[0]];
 
     // Handle meme data result
     let memeData = [];
@@ -341,47 +415,132 @@ export class Dashboard {
         { duration: 5000 }
       );
       this._updateDataSourceInfo('sample');
-      return this._createMockData(timeRange);
+      const mockData = this._createMockData(timeRange);
+      return { ...mockData, indexData: { [indices[0]]: mockData.stockData }, source: 'sample' };
     }
 
     // If only one API failed, supplement with partial mock data
+    let source = 'real';
     if (stockData.length === 0) {
       console.warn('Stock API failed, using mock stock data');
       const mockData = this._createMockData(timeRange);
       stockData = mockData.stockData;
-      this._updateDataSourceInfo('partial');
+      indexData[indices[0]] = stockData;
+      source = 'partial';
     }
 
     if (memeData.length === 0) {
       console.warn('Reddit API failed, using mock meme data');
       const mockData = this._createMockData(timeRange);
       memeData = mockData.memeData;
-      this._updateDataSourceInfo('partial');
+      source = 'partial';
     }
 
-    return { stockData, memeData };
+    this._updateDataSourceInfo(source);
+    return { stockData, memeData, indexData, source };
+  }
+
+  /**
+   * Create the toasts shown while a source is being fetched
+   * A source may send several requests in parallel (one per index or subreddit), so each
+   * retry attempt and the final failure are shown only once per load.
+   * @private
+   * @param {string} label - What is being fetched, e.g. 'stock data'
+   * @returns {{onRetry: Function, onFailure: Function}} onRetry for the API client; onFailure rethrows the error it is given
+   */
+  _createFetchFeedback(label) {
+    let shownAttempt = 1;
+    let failureShown = false;
+
+    return {
+      onRetry: (error, attempt, maxAttempts) => {
+        if (attempt <= shownAttempt) {
+          return;
+        }
+        shownAttempt = attempt;
+        this.toastNotification.showWarning(
+          error instanceof TimeoutError
+            ? `Slow connection detected. Retrying... (${attempt}/${maxAttempts})`
+            : `Retrying ${label} fetch... (${attempt}/${maxAttempts})`,
+          { duration: 3000 }
+        );
+      },
+      onFailure: (error) => {
+        if (!failureShown && !isAbortError(error)) {
+          failureShown = true;
+          this.toastNotification.showError(
+            error instanceof TimeoutError
+              ? 'Connection is too slow. Please try again with a better network.'
+              : `Unable to load ${label}. Please check your connection.`,
+            {
+              persistent: false,
+              onRetry: () => this.loadData(this.currentTimeRange)
+            }
+          );
+        }
+        throw error;
+      }
+    };
   }
 
   /**
    * Process raw data and render all components
    * @private
-   * @param {{stockData: StockData[], memeData: MemePost[]}} data
+   * @param {{stockData: StockData[], memeData: MemePost[], indexData?: Object<string, StockData[]>}} data
    */
   _processAndRenderData(data) {
-    const { stockData, memeData } = data;
+    const { stockData, memeData, indexData = {} } = data;
 
     // Store raw data
     this.stockData = stockData;
     this.memeData = memeData;
 
-    // Calculate derived data
-    this.volatilityData = this.stockAPI.calculateVolatility(stockData);
-    this.popularityData = this.redditAPI.calculateMemePopularity(memeData);
-    this.correlationResult = calculateCorrelation(this.volatilityData, this.popularityData);
+    // Calculate derived data (hourly buckets for intraday ranges)
+    const granularity = getGranularity(this.currentTimeRange);
+    this.volatilityData = this.stockAPI.calculateVolatility(stockData, this.volatilityEstimator);
+    this.indexSeries = this.selectedIndices.map((symbol, i) => {
+      const seriesStockData = i === 0 ? stockData : (indexData[symbol] || []);
+      return {
+        symbol,
+        name: getIndexInfo(symbol)?.name || symbol,
+        stockData: seriesStockData,
+        volatilityData: i === 0
+          ? this.volatilityData
+          : this.stockAPI.calculateVolatility(seriesStockData, this.volatilityEstimator)
+      };
+    });
+    this.popularityData = this.redditAPI.calculateMemePopularity(memeData, granularity);
+    this.correlationResult = calculateCorrelation(this.volatilityData, this.popularityData, granularity, {
+      policy: this.alignmentPolicy
+    });
+    this.crossCorrelation = calculateCrossCorrelation(this.volatilityData, this.popularityData, {
+      maxLag: this.maxLag,
+      granularity,
+      policy: this.alignmentPolicy
+    });
+    this.rollingCorrelation = this._calculateRollingCorrelation();
+    this.grangerResult = calculateGrangerCausality(this.volatilityData, this.popularityData, {
+      lags: this.grangerLags,
+      granularity,
+      policy: this.alignmentPolicy
+    });
+
+    // Title sentiment says which way the crowd leans, so it is checked against returns as well as volatility
+    this.returnsData = this.stockAPI.calculateReturns(stockData);
+    this.sentimentData = this.redditAPI.calculateMemeSentiment(memeData, granularity);
+    this.sentimentCorrelation = calculateSentimentCorrelation(this.returnsData, this.volatilityData, this.sentimentData, granularity, {
+      policy: this.alignmentPolicy
+    });
 
     // Render all components
     this._renderAllComponents();
 
+    // The selected ticker's mentions changed with the memes, so its correlation is redone
+    if (this.selectedTicker) {
+      const mentioned = memeData.some(post => getPostTickers(post).includes(this.selectedTicker));
+      this.handleTickerSelect(mentioned ? this.selectedTicker : null);
+    }
+
     // Show any loading errors
     if (this.loadingErrors.length > 0) {
       this._showLoadingErrors();
@@ -396,29 +555,184 @@ export class Dashboard {
     // Render each component individually with error handling
     this._renderComponentSafely('stockPanel', () => {
       if (this.stockPanel) {
-        this.stockPanel.render(this.stockData, this.volatilityData);
+        this.stockPanel.render(this.stockData, this.volatilityData, {
+          indexName: this._getPrimaryIndexName(),
+          comparisons: this.indexSeries.slice(1),
+          volatilityEstimator: this.volatilityEstimator
+        });
       }
     });
 
-    this._renderComponentSafely('memePanel', () => {
-      if (this.memePanel) {
-        this.memePanel.render(this.memeData, this.popularityData);
-      }
-    });
+    this._renderMemePanel();
 
     this._renderComponentSafely('insightsPanel', () => {
       if (this.insightsPanel) {
-        this.insightsPanel.render(this.correlationResult, this.volatilityData, this.popularityData);
+        this.insightsPanel.render(this.correlationResult, this.volatilityData, this.popularityData, {
+          crossCorrelation: this.crossCorrelation,
+          granger: this.grangerResult,
+          sentiment: this.sentimentCorrelation,
+          volatilityEstimator: this.volatilityEstimator
+        });
       }
     });
 
     this._renderComponentSafely('chart', () => {
       if (this.chart) {
-        this.chart.update(this.volatilityData, this.popularityData);
+        this.chart.update(this.volatilityData, this.popularityData, {
+          indexName: this._getPrimaryIndexName(),
+          comparisonSeries: this.indexSeries.slice(1),
+          granularity: getGranularity(this.currentTimeRange),
+          rollingCorrelation: this.rollingCorrelation,
+          rollingWindow: this.rollingWindow,
+          volatilityEstimator: this.volatilityEstimator
+        });
+      }
+    });
+
+    this._renderComponentSafely('lagChart', () => {
+      if (this.lagChart) {
+        this.lagChart.update(this.crossCorrelation);
+      }
+    });
+  }
+
+  /**
+   * Calculate the rolling correlation series for the current data and window
+   * @private
+   * @returns {Array<{date: Date, coefficient: number, significant: boolean}>} Rolling coefficients
+   */
+  _calculateRollingCorrelation() {
+    return calculateRollingCorrelation(this.volatilityData, this.popularityData, this.rollingWindow, {
+      granularity: getGranularity(this.currentTimeRange),
+      policy: this.alignmentPolicy
+    });
+  }
+
+  /**
+   * Handle rolling window changes by recomputing the rolling series from loaded data
+   * @param {number} window - New window size
+   */
+  handleRollingWindowChange(window) {
+    this.rollingWindow = window;
+    this.rollingCorrelation = this._calculateRollingCorrelation();
+
+    this._renderComponentSafely('chart', () => {
+      if (this.chart) {
+        this.chart.update(this.volatilityData, this.popularityData, {
+          indexName: this._getPrimaryIndexName(),
+          comparisonSeries: this.indexSeries.slice(1),
+          granularity: getGranularity(this.currentTimeRange),
+          rollingCorrelation: this.rollingCorrelation,
+          rollingWindow: this.rollingWindow,
+          volatilityEstimator: this.volatilityEstimator
+        });
+      }
+    });
+  }
+
+  /**
+   * Handle volatility estimator changes by recomputing every analysis from loaded candles
+   * @param {string} estimator - Estimator id from VOLATILITY_ESTIMATORS
+   */
+  handleVolatilityEstimatorChange(estimator) {
+    this.volatilityEstimator = estimator;
+
+    const indexData = Object.fromEntries(this.indexSeries.map(series => [series.symbol, series.stockData]));
+    this._processAndRenderData({ stockData: this.stockData, memeData: this.memeData, indexData });
+  }
+
+  /**
+   * Handle ticker chip selection by correlating the stock's meme mentions with its own volatility
+   * The stock's candles go through the series store like index candles, so reselecting is cheap.
+   * @param {string|null} symbol - NSE symbol from the ticker registry, or null to clear the selection
+   * @returns {Promise<void>}
+   */
+  async handleTickerSelect(symbol) {
+    if (this.tickerController) {
+      this.tickerController.abort();
+      this.tickerController = null;
+    }
+
+    const ticker = symbol ? getTickerInfo(symbol) : null;
+    this.selectedTicker = ticker ? ticker.symbol : null;
+    this.tickerCorrelation = ticker ? { symbol: ticker.symbol, loading: true, error: null, result: null } : null;
+    this._renderMemePanel();
+    if (!ticker) {
+      return;
+    }
+
+    const controller = new AbortController();
+    this.tickerController = controller;
+    try {
+      const result = await this._calculateTickerCorrelation(ticker.symbol, controller.signal);
+      this.tickerCorrelation = { symbol: ticker.symbol, loading: false, error: null, result };
+    } catch (error) {
+      // A newer selection or load replaced this one
+      if (isAbortError(error)) {
+        return;
+      }
+      console.error(`Failed to correlate ${ticker.symbol} mentions:`, error);
+      this.tickerCorrelation = { symbol: ticker.symbol, loading: false, error: error.message, result: null };
+    } finally {
+      if (this.tickerController === controller) {
+        this.tickerController = null;
+      }
+    }
+    this._renderMemePanel();
+  }
+
+  /**
+   * Correlate how often the loaded memes mention a stock with the stock's volatility
+   * @private
+   * @param {string} symbol - NSE symbol from the ticker registry
+   * @param {AbortSignal} signal - Cancels the price request
+   * @returns {Promise<CorrelationResult>} Mentions against volatility
+   * @throws {DOMException} AbortError when the signal fires
+   */
+  async _calculateTickerCorrelation(symbol, signal) {
+    const { start, end, interval } = this._getDataWindow(this.currentTimeRange);
+    const fetchStockSpan = (stockSymbol, span) => this.circuitBreakers.stock.execute(() => (
+      this.stockAPI.fetchStockData(stockSymbol, (span.end - span.start) / DAY_MS, interval, {
+        end: span.end,
+        signal
+      })
+    ));
+    const stockData = await this._fetchStockSeries(fetchStockSpan, symbol, interval, start, end);
+    signal.throwIfAborted();
+
+    const granularity = getGranularity(this.currentTimeRange);
+    const volatilityData = this.stockAPI.calculateVolatility(stockData, this.volatilityEstimator);
+    const mentionData = this.redditAPI.calculateTickerMentions(this.memeData, symbol, granularity);
+    return calculateMentionCorrelation(volatilityData, mentionData, granularity, {
+      policy: this.alignmentPolicy
+    });
+  }
+
+  /**
+   * Re-render the meme panel with the current ticker selection
+   * @private
+   */
+  _renderMemePanel() {
+    this._renderComponentSafely('memePanel', () => {
+      if (this.memePanel) {
+        this.memePanel.render(this.memeData, this.popularityData, {
+          selectedTicker: this.selectedTicker,
+          tickerCorrelation: this.tickerCorrelation
+        });
       }
     });
   }
 
+  /**
+   * Get display name of the primary (first selected) index
+   * @private
+   * @returns {string} Index name
+   */
+  _getPrimaryIndexName() {
+    const primary = this.selectedIndices[0];
+    return getIndexInfo(primary)?.name || primary;
+  }
+
   /**
    * Render a component safely with error handling and smooth transitions
    * @private
@@ -462,6 +776,63 @@ export class Dashboard {
     await this.loadData(newTimeRange);
   }
 
+  /**
+   * Handle index selection changes
+   * @param {string[]} symbols - Selected index symbols, primary index first
+   */
+  async handleIndexChange(symbols) {
+    if (!symbols || symbols.length === 0) {
+      return;
+    }
+
+    this.selectedIndices = [...symbols];
+    await this.loadData(this.currentTimeRange);
+  }
+
+  /**
+   * Handle subreddit source changes
+   * The sources are saved for the collector and the social MCP server. Adding or removing a
+   * subreddit reloads the data; a weight change only re-aggregates the loaded memes.
+   * @param {SourceConfig[]} sources - New sources
+   */
+  async handleSourcesChange(sources) {
+    const subredditsOf = list => list.map(source => source.subreddit.toLowerCase()).sort().join(',');
+    const subredditsChanged = subredditsOf(sources) !== subredditsOf(this.redditAPI.sources);
+    this.redditAPI.setSources(sources);
+
+    try {
+      await this.sourceConfig.save(sources);
+    } catch (error) {
+      // The sources still apply to this tab
+      console.warn('Failed to save subreddit sources:', error);
+      this.toastNotification.showWarning(`Sources changed for this session only. ${error.message}`, { duration: 5000 });
+    }
+
+    if (subredditsChanged) {
+      await this.loadData(this.currentTimeRange);
+      return;
+    }
+
+    const indexData = Object.fromEntries(this.indexSeries.map(series => [series.symbol, series.stockData]));
+    this._processAndRenderData({ stockData: this.stockData, memeData: this.memeData, indexData });
+  }
+
+  /**
+   * Apply the saved subreddit sources; the defaults stay if none can be read
+   * @private
+   */
+  async _loadSources() {
+    try {
+      const sources = await this.sourceConfig.load();
+      this.redditAPI.setSources(sources);
+      if (this.sourceSelector) {
+        this.sourceSelector.setSources(sources);
+      }
+    } catch (error) {
+      console.warn('Failed to load subreddit sources, using the defaults:', error);
+    }
+  }
+
   /**
    * Handle errors and display error messages
    * @param {Error} error - Error object
@@ -517,6 +888,8 @@ export class Dashboard {
         <!-- Time Range Filter -->
         <div class="container-responsive py-4 sm:py-6">
           <div id="time-range-filter-container"></div>
+          <div id="index-selector-container" class="mt-3"></div>
+          <div id="source-selector-container" class="mt-3"></div>
         </div>
 
         <!-- Main Content -->
@@ -541,13 +914,29 @@ export class Dashboard {
           <!-- Chart Section -->
           <div class="mb-6 sm:mb-8">
             <div class="panel">
-              <h2 class="panel-header">Correlation Chart</h2>
+              <div class="flex flex-wrap items-center justify-between gap-2">
+                <h2 class="panel-header">Correlation Chart</h2>
+                <div class="flex flex-wrap items-center gap-3">
+                  <div id="volatility-estimator-selector-container"></div>
+                  <div id="rolling-window-selector-container"></div>
+                </div>
+              </div>
               <div class="chart-container">
                 <canvas id="correlation-chart" style="max-width: 100%; height: 100%;"></canvas>
               </div>
             </div>
           </div>
 
+          <!-- Lead/Lag Section -->
+          <div class="mb-6 sm:mb-8">
+            <div class="panel">
+              <h2 class="panel-header">Lead/Lag Analysis</h2>
+              <div class="chart-container lag-chart-container">
+                <canvas id="lag-correlation-chart" style="max-width: 100%; height: 100%;"></canvas>
+              </div>
+            </div>
+          </div>
+
           <!-- Panels Grid - Responsive layout -->
           <div class="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4 sm:gap-6">
             <!-- Stock Panel -->
@@ -584,6 +973,14 @@ export class Dashboard {
       console.error('Failed to initialize CorrelationChart:', error);
       this.chart = null;
     }
+
+    try {
+      this.lagChart = new LagCorrelationChart('lag-correlation-chart');
+      console.log('✅ LagCorrelationChart initialized');
+    } catch (error) {
+      console.error('Failed to initialize LagCorrelationChart:', error);
+      this.lagChart = null;
+    }
     
     try {
       this.stockPanel = new StockPanel('stock-panel');
@@ -594,7 +991,10 @@ export class Dashboard {
     }
     
     try {
-      this.memePanel = new MemePanel('meme-panel');
+      this.memePanel = new MemePanel(
+        'meme-panel',
+        (symbol) => this.handleTickerSelect(symbol)
+      );
       console.log('✅ MemePanel initialized');
     } catch (error) {
       console.error('Failed to initialize MemePanel:', error);
@@ -621,6 +1021,56 @@ export class Dashboard {
       this.timeRangeFilter = null;
     }
     
+    try {
+      this.indexSelector = new IndexSelector(
+        'index-selector-container',
+        (symbols) => this.handleIndexChange(symbols)
+      );
+      this.indexSelector.setSelectedIndices(this.selectedIndices);
+      console.log('✅ IndexSelector initialized');
+    } catch (error) {
+      console.error('Failed to initialize IndexSelector:', error);
+      this.indexSelector = null;
+    }
+
+    try {
+      this.rollingWindowSelector = new RollingWindowSelector(
+        'rolling-window-selector-container',
+        (window) => this.handleRollingWindowChange(window)
+      );
+      this.rollingWindowSelector.setWindow(this.rollingWindow);
+      console.log('✅ RollingWindowSelector initialized');
+    } catch (error) {
+      console.error('Failed to initialize RollingWindowSelector:', error);
+      this.rollingWindowSelector = null;
+    }
+
+    try {
+      this.estimatorSelector = new VolatilityEstimatorSelector(
+        'volatility-estimator-selector-container',
+        (estimator) => this.handleVolatilityEstimatorChange(estimator)
+      );
+      this.estimatorSelector.setEstimator(this.volatilityEstimator);
+      console.log('✅ VolatilityEstimatorSelector initialized');
+    } catch (error) {
+      console.error('Failed to initialize VolatilityEstimatorSelector:', error);
+      this.estimatorSelector = null;
+    }
+
+    try {
+      this.sourceSelector = new SourceSelector(
+        'source-selector-container',
+        (sources) => this.handleSourcesChange(sources),
+        (subreddit) => this.redditAPI.validateSubreddit(subreddit)
+      );
+      this.sourceSelector.setSources(this.redditAPI.sources);
+      this.sourceSelector.setLocalOnly(!this.sourceConfig.isShared());
+      console.log('✅ SourceSelector initialized');
+    } catch (error) {
+      console.error('Failed to initialize SourceSelector:', error);
+      this.sourceSelector = null;
+    }
+    
     console.log('Component initialization complete');
   }
 
@@ -669,6 +1119,9 @@ export class Dashboard {
       if (this.chart) {
         this.chart.resize();
       }
+      if (this.lagChart) {
+        this.lagChart.resize();
+      }
       // Also trigger responsive layout adjustments
       this._handleResponsiveLayout();
     }, 300);
@@ -789,34 +1242,170 @@ export class Dashboard {
 
 
   /**
-   * Load data from cache if available and valid
+   * Get the time window and data sources for a time range
    * @private
    * @param {number} timeRange - Time range in days
-   * @returns {Object|null} Cached data or null
+   * @returns {{start: number, end: number, interval: string, redditTimeframe: string}} Window in epoch ms with the candle interval and Reddit listing
+   */
+  _getDataWindow(timeRange) {
+    const rangeOption = getTimeRangeOption(timeRange);
+    const end = Date.now();
+    return {
+      start: end - timeRange * DAY_MS,
+      end,
+      interval: rangeOption ? rangeOption.interval : '1d',
+      redditTimeframe: rangeOption ? rangeOption.redditTimeframe : 'month'
+    };
+  }
+
+  /**
+   * Get the series key of every configured subreddit
+   * @private
+   * @returns {Object<string, string>} Series key by lower-cased subreddit name
+   */
+  _getMemeSeriesKeys() {
+    return Object.fromEntries(this.redditAPI.subreddits.map(subreddit => {
+      const name = subreddit.toLowerCase();
+      return [name, getSeriesKey('memes', name)];
+    }));
+  }
+
+  /**
+   * Get candles for an index, fetching only the spans its stored series is missing
+   * @private
+   * @param {Function} fetchSpan - Fetches candles for (symbol, {start, end})
+   * @param {string} symbol - Index symbol
+   * @param {string} interval - Candle interval
+   * @param {number} start - Window start (epoch ms)
+   * @param {number} end - Window end (epoch ms)
+   * @returns {Promise<StockData[]>} Candles in the window
    */
-  _loadFromCache(timeRange) {
+  async _fetchStockSeries(fetchSpan, symbol, interval, start, end) {
+    const key = getSeriesKey('stock', symbol, interval);
+    // The last stored candle may still have been forming, so it is refetched
+    const { points, missing } = await this.seriesStore.read(key, start, end, SUPPORTED_INTERVALS[interval].candleMs);
+
+    let record = null;
+    for (const span of missing) {
+      let candles;
+      try {
+        candles = await fetchSpan(symbol, span);
+      } catch (error) {
+        // Yahoo Finance is known to be down: serve whatever is stored
+        if (error instanceof CircuitOpenError) {
+          console.warn(`${error.message}; using stored ${symbol} candles`);
+          break;
+        }
+        throw error;
+      }
+      record = await this.seriesStore.merge(key, 'stock', candles, span);
+    }
+
+    return record ? selectWindow(record, start, end) : points;
+  }
+
+  /**
+   * Get meme posts, fetching one Reddit listing that reaches back to the earliest missing span
+   * The listing is never wider than the range's own timeframe.
+   * @private
+   * @param {Function} fetchListing - Fetches posts for a timeframe
+   * @param {number} start - Window start (epoch ms)
+   * @param {number} end - Window end (epoch ms)
+   * @param {string} maxTimeframe - Reddit timeframe configured for the range
+   * @param {Function} fetchArchived - Fetches archived posts for a span, merged with the listing (optional)
+   * @returns {Promise<MemePost[]>} Posts in the window
+   */
+  async _fetchMemeSeries(fetchListing, start, end, maxTimeframe, fetchArchived = null) {
+    const keys = this._getMemeSeriesKeys();
+    const reads = {};
+    for (const [name, key] of Object.entries(keys)) {
+      reads[name] = await this.seriesStore.read(key, start, end, MEME_REFRESH_OVERLAP);
+    }
+
+    const missing = Object.values(reads).flatMap(read => read.missing);
+    if (missing.length === 0) {
+      return Object.values(reads).flatMap(read => read.points);
+    }
+
+    const span = { start: Math.min(...missing.map(gap => gap.start)), end };
+    let posts;
     try {
-      const cacheKey = `dashboard-data-${timeRange}`;
-      return this.cache.get(cacheKey);
+      posts = await fetchListing(getRedditTimeframe(end - span.start, maxTimeframe));
     } catch (error) {
-      console.warn('Failed to load from cache:', error);
-      return null;
+      // Reddit is known to be down: serve whatever is stored
+      if (error instanceof CircuitOpenError) {
+        console.warn(`${error.message}; using stored meme posts`);
+        return Object.values(reads).flatMap(read => read.points);
+      }
+      throw error;
     }
+
+    // Reddit's listings thin out after a few weeks; posts the collector archived fill in the older days
+    // for every configured subreddit, including one whose listing came back empty or failed
+    const archived = fetchArchived
+      ? (await fetchArchived(span)).filter(post => Object.hasOwn(keys, post.subreddit?.toLowerCase()))
+      : [];
+
+    const memeData = [];
+    for (const [name, key] of Object.entries(keys)) {
+      const isOwn = post => post.subreddit?.toLowerCase() === name;
+      const listed = posts.filter(isOwn);
+      const archivedPosts = archived.filter(isOwn);
+
+      // A subreddit that returned nothing may have failed, so its coverage is left as it was:
+      // its archived posts are shown without being stored, and stored copies win over them
+      if (listed.length === 0) {
+        memeData.push(...mergePoints(archivedPosts, reads[name].points, 'memes'));
+        continue;
+      }
+      // Listing copies come last so their fresher scores replace the archived ones
+      const record = await this.seriesStore.merge(key, 'memes', [...archivedPosts, ...listed], span);
+      memeData.push(...selectWindow(record, start, end));
+    }
+
+    return memeData;
   }
 
   /**
-   * Save data to cache
+   * Load data from cache if every series covers the start of the range
+   * A stale tail is fine: it is refetched in the background.
    * @private
    * @param {number} timeRange - Time range in days
-   * @param {Object} data - Data to cache
+   * @returns {Promise<Object|null>} Cached data or null
    */
-  _saveToCache(timeRange, data) {
+  async _loadFromCache(timeRange) {
     try {
-      const cacheKey = `dashboard-data-${timeRange}`;
-      this.cache.set(cacheKey, data);
+      const { start, end, interval } = this._getDataWindow(timeRange);
+      const isCovered = ({ coverage }) => coverage !== null && coverage.start <= start && coverage.end > start;
+
+      const indexData = {};
+      for (const symbol of this.selectedIndices) {
+        const read = await this.seriesStore.read(getSeriesKey('stock', symbol, interval), start, end);
+        if (!isCovered(read)) {
+          return null;
+        }
+        indexData[symbol] = read.points;
+      }
+
+      const memeData = [];
+      for (const key of Object.values(this._getMemeSeriesKeys())) {
+        const read = await this.seriesStore.read(key, start, end);
+        if (!isCovered(read)) {
+          return null;
+        }
+        memeData.push(...read.points);
+      }
+
+      const stockData = indexData[this.selectedIndices[0]];
+      // Let a fresh fetch apply its sample-data fallbacks instead of rendering nothing
+      if (stockData.length === 0 || memeData.length === 0) {
+        return null;
+      }
+
+      return { stockData, memeData, indexData };
     } catch (error) {
-      console.warn('Failed to save to cache:', error);
-      // Continue without caching - not critical
+      console.warn('Failed to load from cache:', error);
+      return null;
     }
   }
 
@@ -824,24 +1413,151 @@ export class Dashboard {
    * Fetch fresh data in background and update if different
    * @private
    * @param {number} timeRange - Time range in days
+   * @param {AbortSignal} signal - Signal of the load that showed the cached data
    */
-  async _fetchFreshDataInBackground(timeRange) {
+  async _fetchFreshDataInBackground(timeRange, signal) {
     try {
-      const freshData = await this._fetchAllData(timeRange);
-      
-      // Update cache
-      this._saveToCache(timeRange, freshData);
+      // One tab refreshes for all of them; the others re-render from the data it shares
+      if (this.tabCoordinator) {
+        await this.tabCoordinator.ready;
+        if (!this.tabCoordinator.isLeader()) {
+          console.log('Another tab leads background refresh, waiting for its data');
+          return;
+        }
+      }
+
+      // Only the tail since the last fetch is requested; it is merged into the cache
+      const freshData = await this._fetchAllData(timeRange, signal);
       
       // Only re-render if the data is significantly different
       // For now, always update to ensure freshness
       this._processAndRenderData(freshData);
+      this._shareDataset(timeRange, freshData);
       
     } catch (error) {
+      if (isAbortError(error)) {
+        console.log('Background data fetch cancelled by a newer load');
+        return;
+      }
       console.warn('Background data fetch failed:', error);
       // Don't show error to user since cached data is already displayed
     }
   }
 
+  /**
+   * Join the other dashboard tabs so only one of them refreshes in the background
+   * @private
+   */
+  _setupTabCoordination() {
+    try {
+      this.tabCoordinator = new TabCoordinator();
+      this.tabCoordinator.on(SHARED_DATASET_MESSAGE, (dataset) => this._handleSharedDataset(dataset));
+      this.tabCoordinator.start();
+      console.log('✅ TabCoordinator initialized');
+    } catch (error) {
+      console.error('Failed to initialize TabCoordinator:', error);
+      // Without coordination this tab fetches on its own
+      this.tabCoordinator = null;
+    }
+  }
+
+  /**
+   * Show a toast counting down until a rate limited host accepts requests again
+   * A longer wait for a host that already has a countdown extends it.
+   * @private
+   * @param {string} host - Upstream host name
+   * @param {number} until - Epoch ms when requests may go out again
+   */
+  _showRateLimitCountdown(host, until) {
+    const existing = this.rateLimitCountdowns.get(host);
+    if (existing) {
+      existing.until = Math.max(existing.until, until);
+      return;
+    }
+
+    if (until - Date.now() < RATE_LIMIT_TOAST_MIN_WAIT) {
+      return;
+    }
+
+    const countdown = { toastId: null, until, timer: null };
+    const message = () => {
+      const seconds = Math.ceil((countdown.until - Date.now()) / 1000);
+      return `${getHostLabel(host)} rate limit reached. Next request in ${seconds}s...`;
+    };
+
+    countdown.toastId = this.toastNotification.showWarning(message(), { persistent: true });
+    countdown.timer = setInterval(() => {
+      if (Date.now() >= countdown.until || !this.toastNotification.update(countdown.toastId, message())) {
+        this._clearRateLimitCountdown(host);
+      }
+    }, 1000);
+    this.rateLimitCountdowns.set(host, countdown);
+  }
+
+  /**
+   * Stop a rate limit countdown and dismiss its toast
+   * @private
+   * @param {string} host - Upstream host name
+   */
+  _clearRateLimitCountdown(host) {
+    const countdown = this.rateLimitCountdowns.get(host);
+    if (!countdown) {
+      return;
+    }
+
+    clearInterval(countdown.timer);
+    this.toastNotification.dismiss(countdown.toastId);
+    this.rateLimitCountdowns.delete(host);
+  }
+
+  /**
+   * Send freshly fetched real data to the other tabs
+   * Sample and mixed data are never shared.
+   * @private
+   * @param {number} timeRange - Time range the data was fetched for
+   * @param {Object} data - Data returned by _fetchAllData
+   */
+  _shareDataset(timeRange, data) {
+    if (!this.tabCoordinator || data.source !== 'real') {
+      return;
+    }
+
+    const { stockData, memeData, indexData } = data;
+    this.tabCoordinator.broadcast(SHARED_DATASET_MESSAGE, {
+      timeRange,
+      indices: [...this.selectedIndices],
+      data: { stockData, memeData, indexData }
+    });
+  }
+
+  /**
+   * Re-render with a dataset another tab fetched, without requesting anything
+   * A dataset for a different view is not used directly, but its fetch was merged into the
+   * shared cache, which may now cover this tab's view as well.
+   * @private
+   * @param {{timeRange: number, indices: string[], data: Object}} dataset - Shared dataset
+   * @returns {Promise<void>}
+   */
+  async _handleSharedDataset(dataset) {
+    if (this.isLoading || !dataset?.data) {
+      return; // The load in progress renders its own result
+    }
+
+    const sameView = dataset.timeRange === this.currentTimeRange &&
+      dataset.indices.join(',') === this.selectedIndices.join(',');
+    if (sameView) {
+      console.log('Rendering data shared by another tab');
+      this._processAndRenderData(dataset.data);
+      return;
+    }
+
+    const cachedData = await this._loadFromCache(this.currentTimeRange);
+    if (cachedData) {
+      console.log('Rendering cached data refreshed by another tab');
+      this._processAndRenderData(cachedData);
+    }
+  }
+
   /**
    * Show error message to user
    * @private
@@ -936,10 +1652,12 @@ export class Dashboard {
 
   /**
    * Update data source information in footer
+   * Sources whose circuit is not closed are listed as unavailable since their outage began.
    * @private
-   * @param {string} type - Type of data: 'real', 'sample', or 'partial'
+   * @param {string} type - Type of data: 'real', 'sample', or 'partial' (default: the last type shown)
    */
-  _updateDataSourceInfo(type) {
+  _updateDataSourceInfo(type = this.dataSourceType) {
+    this.dataSourceType = type;
     const infoElement = document.getElementById('data-source-info');
     if (!infoElement) return;
     
@@ -956,6 +1674,15 @@ export class Dashboard {
         infoElement.innerHTML = 'Data sources: Yahoo Finance, Reddit API';
         infoElement.className = 'text-slate-400 text-sm';
     }
+
+    // Half-open still counts as unavailable until a trial request succeeds
+    const outages = Object.values(this.circuitBreakers)
+      .filter(breaker => breaker.state !== CIRCUIT_STATES.CLOSED)
+      .map(breaker => `${breaker.source} unavailable since ${formatTimeOfDay(breaker.getUnavailableSince())}`);
+    if (outages.length > 0) {
+      infoElement.innerHTML += ` · ⚠️ ${outages.join(' · ')}`;
+      infoElement.className = 'text-yellow-400 text-sm';
+    }
   }
 
   /**
@@ -966,29 +1693,31 @@ export class Dashboard {
    * @returns {string} User-friendly message
    */
   _getUserFriendlyErrorMessage(error, context) {
-    const errorMessage = error.message.toLowerCase();
-    
-    if (errorMessage.includes('network') || errorMessage.includes('fetch')) {
+    if (error instanceof NetworkError) {
       return 'Unable to connect to the server. Please check your internet connection.';
     }
     
-    if (errorMessage.includes('timeout')) {
+    if (error instanceof TimeoutError) {
       return 'The request took too long to complete. Please try again.';
     }
     
-    if (errorMessage.includes('rate limit') || errorMessage.includes('429')) {
+    if (error instanceof RateLimitError) {
       return 'Too many requests. Please wait a moment before trying again.';
     }
     
-    if (errorMessage.includes('not found') || errorMessage.includes('404')) {
+    if (error instanceof HttpError && error.status === 404) {
       return 'The requested data could not be found.';
     }
     
-    if (errorMessage.includes('unauthorized') || errorMessage.includes('401')) {
+    if (error instanceof HttpError && (error.status === 401 || error.status === 403)) {
       return 'Access denied. Please check your credentials.';
     }
     
-    if (errorMessage.includes('parse') || errorMessage.includes('json')) {
+    if (error instanceof HttpError && error.status >= 500) {
+      return 'The data service is temporarily unavailable. Please try again later.';
+    }
+    
+    if (error instanceof ParseError) {
       return 'Received invalid data from the server.';
     }
     
@@ -1027,11 +1756,52 @@ export class Dashboard {
     if (this.chart) {
       this.chart.destroy();
     }
+
+    if (this.lagChart) {
+      this.lagChart.destroy();
+    }
     
     if (this.timeRangeFilter) {
       this.timeRangeFilter.destroy();
     }
     
+    if (this.indexSelector) {
+      this.indexSelector.destroy();
+    }
+
+    if (this.rollingWindowSelector) {
+      this.rollingWindowSelector.destroy();
+    }
+
+    if (this.estimatorSelector) {
+      this.estimatorSelector.destroy();
+    }
+
+    if (this.sourceSelector) {
+      this.sourceSelector.destroy();
+    }
+
+    if (this.tabCoordinator) {
+      this.tabCoordinator.destroy();
+      this.tabCoordinator = null;
+    }
+
+    if (this.loadController) {
+      this.loadController.abort();
+      this.loadController = null;
+    }
+
+    if (this.tickerController) {
+      this.tickerController.abort();
+      this.tickerController = null;
+    }
+
+    if (this._unsubscribeRateLimit) {
+      this._unsubscribeRateLimit();
+      this._unsubscribeRateLimit = null;
+    }
+    [...this.rateLimitCountdowns.keys()].forEach(host => this._clearRateLimitCountdown(host));
+    
     // Clear container
     if (this.container) {
       this.container.innerHTML = '';
@@ -1039,9 +1809,18 @@ export class Dashboard {
     
     // Clear data
     this.stockData = [];
+    this.indexSeries = [];
     this.volatilityData = [];
+    this.returnsData = [];
     this.memeData = [];
     this.popularityData = [];
+    this.sentimentData = [];
     this.correlationResult = null;
+    this.sentimentCorrelation = null;
+    this.crossCorrelation = null;
+    this.rollingCorrelation = [];
+    this.grangerResult = null;
+    this.selectedTicker = null;
+    this.tickerCorrelation = null;
   }
 }
\ No newline at end of file
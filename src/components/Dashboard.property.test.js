@@ -7,6 +7,10 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import fc from 'fast-check';
 import { Dashboard } from './Dashboard.js';
+import { getSeriesKey } from '../utils/TimeSeriesStore.js';
+import { NetworkError } from '../utils/HttpErrors.js';
+import { CIRCUIT_STATES } from '../utils/CircuitBreaker.js';
+import { formatTimeOfDay } from '../utils/DateKeys.js';
 
 describe('Property 8: Error handling preservation', () => {
   let container;
@@ -64,7 +68,7 @@ describe('Property 8: Error handling preservation', () => {
     dashboard = new Dashboard(container);
 
     // Mock both APIs to fail
-    vi.spyOn(dashboard.stockAPI, 'fetchNiftyData').mockRejectedValue(new Error('Stock API failure'));
+    vi.spyOn(dashboard.stockAPI, 'fetchIndexData').mockRejectedValue(new Error('Stock API failure'));
     vi.spyOn(dashboard.redditAPI, 'fetchTrendingMemes').mockRejectedValue(new Error('Reddit API failure'));
     vi.spyOn(dashboard.stockAPI, 'calculateVolatility').mockReturnValue([]);
     vi.spyOn(dashboard.redditAPI, 'calculateMemePopularity').mockReturnValue([]);
@@ -103,10 +107,10 @@ describe('Property 8: Error handling preservation', () => {
 
           // Set up API mocks based on failure flags
           if (stockFails) {
-            vi.spyOn(dashboard.stockAPI, 'fetchNiftyData').mockRejectedValue(new Error('Stock API failure'));
+            vi.spyOn(dashboard.stockAPI, 'fetchIndexData').mockRejectedValue(new Error('Stock API failure'));
             vi.spyOn(dashboard.stockAPI, 'calculateVolatility').mockReturnValue([]);
           } else {
-            vi.spyOn(dashboard.stockAPI, 'fetchNiftyData').mockResolvedValue([
+            vi.spyOn(dashboard.stockAPI, 'fetchIndexData').mockResolvedValue([
               { date: new Date('2024-01-01'), open: 21000, high: 21500, low: 20800, close: 21300, volume: 150000000 }
             ]);
             vi.spyOn(dashboard.stockAPI, 'calculateVolatility').mockReturnValue([
@@ -156,7 +160,7 @@ describe('Property 8: Error handling preservation', () => {
           dashboard = new Dashboard(container);
 
           // Mock APIs to succeed
-          vi.spyOn(dashboard.stockAPI, 'fetchNiftyData').mockResolvedValue([
+          vi.spyOn(dashboard.stockAPI, 'fetchIndexData').mockResolvedValue([
             { date: new Date('2024-01-01'), open: 21000, high: 21500, low: 20800, close: 21300, volume: 150000000 }
           ]);
           vi.spyOn(dashboard.redditAPI, 'fetchTrendingMemes').mockResolvedValue([
@@ -200,4 +204,436 @@ describe('Property 8: Error handling preservation', () => {
       { numRuns: 5 }
     );
   });
-});
\ No newline at end of file
+});
+describe('Incremental data loading', () => {
+  let container;
+  let dashboard;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    document.body.appendChild(container);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    dashboard.destroy();
+    document.body.removeChild(container);
+    vi.restoreAllMocks();
+  });
+
+  it('should fetch only the missing span and serve shorter ranges from the cache', async () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    dashboard = new Dashboard(container);
+    // One candle at midday UTC for every day inside the requested span
+    const fetchIndexData = vi.spyOn(dashboard.stockAPI, 'fetchIndexData').mockImplementation(async (symbol, days, interval, { end }) => {
+      const candles = [];
+      for (let time = Math.floor(end / DAY) * DAY + DAY / 2; time > end - days * DAY; time -= DAY) {
+        if (time <= end) {
+          candles.unshift({ date: new Date(time), open: 100, high: 110, low: 90, close: 105, volume: 1000 });
+        }
+      }
+      return candles;
+    });
+    const fetchTrendingMemes = vi.spyOn(dashboard.redditAPI, 'fetchTrendingMemes').mockImplementation(async () => (
+      dashboard.redditAPI.subreddits.map((subreddit, i) => ({
+        title: `Meme ${i}`, score: 100, comments: 5, created: new Date(now - DAY / 2), url: `https://reddit.com/${i}`, subreddit
+      }))
+    ));
+    vi.spyOn(dashboard, '_processAndRenderData').mockImplementation(() => {});
+
+    await dashboard.loadData(7);
+    await dashboard.loadData(30);
+
+    // The 30-day load asks only for the 23 days before the stored week (plus the refreshed tail)
+    const head = fetchIndexData.mock.calls[1];
+    expect(head[1]).toBeCloseTo(23, 2);
+
+    fetchIndexData.mockClear();
+    fetchTrendingMemes.mockClear();
+    const cached = await dashboard._loadFromCache(7);
+
+    expect(cached.stockData).toHaveLength(7);
+    expect(cached.memeData).toHaveLength(dashboard.redditAPI.subreddits.length);
+    expect(fetchIndexData).not.toHaveBeenCalled();
+    expect(fetchTrendingMemes).not.toHaveBeenCalled();
+  });
+
+  it('should merge archived posts of every configured subreddit, storing only those the listing answered for', async () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    dashboard = new Dashboard(container);
+    const [listedSubreddit, silentSubreddit] = dashboard.redditAPI.subreddits;
+    const fresh = {
+      id: 'a1', title: 'Fresh', score: 500, comments: 50, created: new Date(now - DAY),
+      url: 'https://www.reddit.com/r/x/comments/a1/', subreddit: listedSubreddit
+    };
+    const fetchListing = vi.fn().mockResolvedValue([fresh]);
+    const fetchArchived = vi.fn().mockResolvedValue([
+      { ...fresh, score: 20 },
+      { ...fresh, id: 'b2', title: 'Old', score: 300, created: new Date(now - 60 * DAY), url: 'https://www.reddit.com/r/x/comments/b2/' },
+      { ...fresh, id: 'c3', title: 'Silent', created: new Date(now - 50 * DAY), url: 'https://www.reddit.com/r/x/comments/c3/', subreddit: silentSubreddit },
+      { ...fresh, id: 'd4', title: 'Removed source', url: 'https://www.reddit.com/r/x/comments/d4/', subreddit: 'NoLongerConfigured' }
+    ]);
+
+    const posts = await dashboard._fetchMemeSeries(fetchListing, now - 90 * DAY, now, 'month', fetchArchived);
+
+    expect(fetchArchived).toHaveBeenCalledWith({ start: now - 90 * DAY, end: now });
+    expect(posts.map(post => [post.title, post.score])).toEqual([['Old', 300], ['Fresh', 500], ['Silent', 500]]);
+    // The silent subreddit's listing may have failed, so its span stays missing
+    const silentRead = await dashboard.seriesStore.read(getSeriesKey('memes', silentSubreddit.toLowerCase()), now - 90 * DAY, now);
+    expect(silentRead.coverage).toBeNull();
+  });
+
+  it('should correlate a selected ticker\'s mentions with its own volatility', async () => {
+    const DAY = 24 * 60 * 60 * 1000;
+    const now = Date.now();
+    dashboard = new Dashboard(container);
+    dashboard.memeData = [0, 1, 2, 3, 4].map(i => ({
+      title: i % 2 ? 'Reliance again' : 'Just vibes', score: 10, comments: 1, created: new Date(now - (i + 1) * DAY)
+    }));
+    const fetchStockData = vi.spyOn(dashboard.stockAPI, 'fetchStockData').mockResolvedValue(
+      [0, 1, 2, 3, 4, 5].map(i => ({ date: new Date(now - (i + 1) * DAY), open: 100, high: 100 + i, low: 99, close: 100 + i % 2, volume: 1 }))
+    );
+
+    await dashboard.handleTickerSelect('RELIANCE');
+
+    expect(fetchStockData.mock.calls[0][0]).toBe('RELIANCE');
+    expect(dashboard.selectedTicker).toBe('RELIANCE');
+    expect(dashboard.tickerCorrelation).toMatchObject({ symbol: 'RELIANCE', loading: false, error: null });
+    expect(dashboard.tickerCorrelation.result.sampleSize).toBeGreaterThan(0);
+
+    await dashboard.handleTickerSelect(null);
+
+    expect(dashboard.selectedTicker).toBeNull();
+    expect(dashboard.tickerCorrelation).toBeNull();
+  });
+
+  it('should save source changes, re-aggregating for weights and reloading for subreddits', async () => {
+    dashboard = new Dashboard(container);
+    const save = vi.spyOn(dashboard.sourceConfig, 'save').mockImplementation(async sources => sources);
+    const loadData = vi.spyOn(dashboard, 'loadData').mockResolvedValue();
+    dashboard.memeData = [{ title: 'Meme', score: 10, comments: 0, created: new Date(), subreddit: 'indiameme' }];
+    const weighted = dashboard.redditAPI.sources.map(source => ({ ...source, weight: source.subreddit === 'indiameme' ? 3 : 1 }));
+
+    await dashboard.handleSourcesChange(weighted);
+
+    expect(save).toHaveBeenCalledWith(weighted);
+    expect(loadData).not.toHaveBeenCalled();
+    expect(dashboard.popularityData[0].popularity).toBe(30);
+
+    await dashboard.handleSourcesChange([...weighted, { subreddit: 'IndiaSpeaks', weight: 1 }]);
+
+    expect(dashboard.redditAPI.subreddits).toContain('IndiaSpeaks');
+    expect(loadData).toHaveBeenCalledWith(dashboard.currentTimeRange);
+  });
+});
+
+describe('Cross-tab refresh', () => {
+  let dashboard;
+  const data = { stockData: [], memeData: [], indexData: {} };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    dashboard = new Dashboard(document.createElement('div'));
+    vi.spyOn(dashboard, '_processAndRenderData').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const coordinator = (leader) => ({ ready: Promise.resolve(), isLeader: () => leader, broadcast: vi.fn() });
+
+  it('should leave background refresh to the leader tab', async () => {
+    dashboard.tabCoordinator = coordinator(false);
+    const fetchAll = vi.spyOn(dashboard, '_fetchAllData');
+
+    await dashboard._fetchFreshDataInBackground(30);
+
+    expect(fetchAll).not.toHaveBeenCalled();
+    expect(dashboard._processAndRenderData).not.toHaveBeenCalled();
+  });
+
+  it('should share real data fetched by the leader but never sample data', async () => {
+    dashboard.tabCoordinator = coordinator(true);
+    vi.spyOn(dashboard, '_fetchAllData')
+      .mockResolvedValueOnce({ ...data, source: 'real' })
+      .mockResolvedValueOnce({ ...data, source: 'sample' });
+
+    await dashboard._fetchFreshDataInBackground(30);
+    await dashboard._fetchFreshDataInBackground(30);
+
+    expect(dashboard.tabCoordinator.broadcast).toHaveBeenCalledTimes(1);
+    expect(dashboard.tabCoordinator.broadcast).toHaveBeenCalledWith('dataset', {
+      timeRange: 30,
+      indices: dashboard.selectedIndices,
+      data
+    });
+  });
+
+  it('should render a shared dataset for the same view without fetching', async () => {
+    const fetchAll = vi.spyOn(dashboard, '_fetchAllData');
+
+    await dashboard._handleSharedDataset({ timeRange: 30, indices: [...dashboard.selectedIndices], data });
+
+    expect(dashboard._processAndRenderData).toHaveBeenCalledWith(data);
+    expect(fetchAll).not.toHaveBeenCalled();
+  });
+
+  it('should re-read its own view from the cache for a dataset of another view', async () => {
+    const loadFromCache = vi.spyOn(dashboard, '_loadFromCache').mockResolvedValue(data);
+
+    await dashboard._handleSharedDataset({ timeRange: 90, indices: [...dashboard.selectedIndices], data: { ...data } });
+
+    expect(loadFromCache).toHaveBeenCalledWith(30);
+    expect(dashboard._processAndRenderData).toHaveBeenCalledWith(data);
+  });
+});
+
+describe('Rate limit countdown', () => {
+  let dashboard;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    dashboard = new Dashboard(document.createElement('div'));
+    vi.spyOn(dashboard.toastNotification, 'showWarning').mockReturnValue('toast-rate-limit');
+    vi.spyOn(dashboard.toastNotification, 'update').mockReturnValue(true);
+    vi.spyOn(dashboard.toastNotification, 'dismiss').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    dashboard.destroy();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should count down until the host accepts requests again', () => {
+    dashboard._showRateLimitCountdown('www.reddit.com', Date.now() + 5000);
+
+    expect(dashboard.toastNotification.showWarning).toHaveBeenCalledWith(
+      'Reddit rate limit reached. Next request in 5s...',
+      { persistent: true }
+    );
+
+    vi.advanceTimersByTime(2000);
+    expect(dashboard.toastNotification.update).toHaveBeenLastCalledWith('toast-rate-limit', 'Reddit rate limit reached. Next request in 3s...');
+
+    vi.advanceTimersByTime(3000);
+    expect(dashboard.toastNotification.dismiss).toHaveBeenCalledWith('toast-rate-limit');
+    expect(dashboard.rateLimitCountdowns.size).toBe(0);
+  });
+
+  it('should extend a running countdown instead of opening another toast', () => {
+    dashboard._showRateLimitCountdown('www.reddit.com', Date.now() + 3000);
+    dashboard._showRateLimitCountdown('www.reddit.com', Date.now() + 10000);
+
+    vi.advanceTimersByTime(4000);
+
+    expect(dashboard.toastNotification.showWarning).toHaveBeenCalledTimes(1);
+    expect(dashboard.toastNotification.dismiss).not.toHaveBeenCalled();
+    expect(dashboard.toastNotification.update).toHaveBeenLastCalledWith('toast-rate-limit', 'Reddit rate limit reached. Next request in 6s...');
+  });
+
+  it('should not toast for short token waits', () => {
+    dashboard._showRateLimitCountdown('query1.finance.yahoo.com', Date.now() + 500);
+
+    expect(dashboard.toastNotification.showWarning).not.toHaveBeenCalled();
+  });
+});
+
+describe('Source circuit breakers', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  let dashboard;
+  let footer;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    footer = document.createElement('p');
+    footer.id = 'data-source-info';
+    document.body.appendChild(footer);
+    dashboard = new Dashboard(document.createElement('div'));
+    await dashboard.cache.clear();
+    vi.spyOn(dashboard.redditAPI, 'fetchTrendingMemes').mockImplementation(async () => (
+      dashboard.redditAPI.subreddits.map((subreddit, i) => ({
+        title: `Meme ${i}`, score: 100, comments: 5, created: new Date(Date.now() - DAY), url: `https://reddit.com/${i}`, subreddit
+      }))
+    ));
+  });
+
+  afterEach(async () => {
+    await dashboard.cache.clear();
+    dashboard.destroy();
+    footer.remove();
+    vi.restoreAllMocks();
+  });
+
+  const openCircuit = async (breaker) => {
+    for (let i = 0; i < breaker.failureThreshold; i++) {
+      await breaker.execute(() => Promise.reject(new NetworkError('down'))).catch(() => {});
+    }
+  };
+
+  it('should serve stored candles without calling an unavailable source', async () => {
+    const { start, end } = dashboard._getDataWindow(30);
+    const candles = Array.from({ length: 30 }, (_, i) => ({
+      date: new Date(start + i * DAY + DAY / 2), open: 100, high: 110, low: 90, close: 105, volume: 1000
+    }));
+    await dashboard.seriesStore.merge(getSeriesKey('stock', dashboard.selectedIndices[0], '1d'), 'stock', candles, { start, end: end - DAY / 4 });
+    const fetchIndexData = vi.spyOn(dashboard.stockAPI, 'fetchIndexData');
+    await openCircuit(dashboard.circuitBreakers.stock);
+
+    const data = await dashboard._fetchAllData(30);
+
+    expect(fetchIndexData).not.toHaveBeenCalled();
+    expect(data.source).toBe('real');
+    expect(data.stockData).toHaveLength(30);
+  });
+
+  it('should fall back to sample candles when nothing is stored', async () => {
+    const fetchIndexData = vi.spyOn(dashboard.stockAPI, 'fetchIndexData');
+    await openCircuit(dashboard.circuitBreakers.stock);
+
+    const data = await dashboard._fetchAllData(30);
+
+    expect(fetchIndexData).not.toHaveBeenCalled();
+    expect(data.source).toBe('partial');
+    expect(data.stockData.length).toBeGreaterThan(0);
+  });
+
+  it('should not count a cancelled load against the source', async () => {
+    const controller = new AbortController();
+    vi.spyOn(dashboard.stockAPI, 'fetchIndexData').mockImplementation((symbol, days, interval, { signal }) => (
+      new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(signal.reason)))
+    ));
+    // Its own toasts: other dashboards in this file report through the shared global instance
+    const showWarning = vi.fn();
+    const showError = vi.fn();
+    dashboard.toastNotification = { showWarning, showError };
+
+    const result = dashboard._fetchAllData(30, controller.signal).catch(e => e);
+    await vi.waitFor(() => expect(dashboard.stockAPI.fetchIndexData).toHaveBeenCalled());
+    controller.abort();
+
+    expect((await result).name).toBe('AbortError');
+    expect(dashboard.circuitBreakers.stock.failures).toBe(0);
+    expect(showWarning).not.toHaveBeenCalled();
+    expect(showError).not.toHaveBeenCalled();
+  });
+
+  it('should show when a source became unavailable in the footer', async () => {
+    const breaker = dashboard.circuitBreakers.memes;
+    await openCircuit(breaker);
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.OPEN);
+    expect(footer.textContent).toContain(`Reddit unavailable since ${formatTimeOfDay(breaker.getUnavailableSince())}`);
+
+    breaker.reset();
+    expect(footer.textContent).toBe('Data sources: Yahoo Finance, Reddit API');
+  });
+});
+
+describe('Load cancellation', () => {
+  let dashboard;
+  const data = { stockData: [], memeData: [], indexData: {}, source: 'real' };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    dashboard = new Dashboard(document.createElement('div'));
+    vi.spyOn(dashboard, '_showAllLoadingStates').mockImplementation(() => {});
+    vi.spyOn(dashboard, '_processAndRenderData').mockImplementation(() => {});
+    vi.spyOn(dashboard, '_loadFromCache').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    dashboard.destroy();
+    vi.restoreAllMocks();
+  });
+
+  it('should cancel the load in progress and render only the newer one', async () => {
+    const fetchAll = vi.spyOn(dashboard, '_fetchAllData')
+      .mockImplementationOnce((timeRange, signal) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }))
+      .mockResolvedValueOnce(data);
+    const handleError = vi.spyOn(dashboard, 'handleError');
+
+    const first = dashboard.loadData(7);
+    await vi.waitFor(() => expect(fetchAll).toHaveBeenCalledTimes(1));
+    const second = dashboard.loadData(90);
+    await Promise.all([first, second]);
+
+    expect(fetchAll.mock.calls[0][1].aborted).toBe(true);
+    expect(fetchAll.mock.calls[1][0]).toBe(90);
+    expect(dashboard._processAndRenderData).toHaveBeenCalledTimes(1);
+    expect(dashboard._processAndRenderData).toHaveBeenCalledWith(data);
+    expect(handleError).not.toHaveBeenCalled();
+    expect(dashboard.isLoading).toBe(false);
+    expect(dashboard.currentTimeRange).toBe(90);
+  });
+
+  it('should keep loading while a cancelled load winds down', async () => {
+    let finishNewer;
+    vi.spyOn(dashboard, '_fetchAllData')
+      .mockImplementationOnce((timeRange, signal) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }))
+      .mockImplementationOnce(() => new Promise(resolve => { finishNewer = () => resolve(data); }));
+
+    const first = dashboard.loadData(7);
+    await vi.waitFor(() => expect(dashboard._fetchAllData).toHaveBeenCalledTimes(1));
+    const second = dashboard.loadData(90);
+    await first;
+
+    expect(dashboard.isLoading).toBe(true);
+
+    await vi.waitFor(() => expect(finishNewer).toBeDefined());
+    finishNewer();
+    await second;
+    expect(dashboard.isLoading).toBe(false);
+  });
+});
+
+describe('Fetch feedback', () => {
+  let dashboard;
+
+  beforeEach(() => {
+    dashboard = new Dashboard(document.createElement('div'));
+    vi.spyOn(dashboard.toastNotification, 'showWarning').mockReturnValue('toast');
+    vi.spyOn(dashboard.toastNotification, 'showError').mockReturnValue('toast');
+  });
+
+  afterEach(() => {
+    dashboard.destroy();
+    vi.restoreAllMocks();
+  });
+
+  it('should show each retry attempt and the failure once for parallel requests', () => {
+    const feedback = dashboard._createFetchFeedback('meme data');
+    const error = new NetworkError('offline');
+
+    // Three subreddits retrying side by side
+    for (let i = 0; i < 3; i++) feedback.onRetry(error, 2, 3);
+    for (let i = 0; i < 3; i++) feedback.onRetry(error, 3, 3);
+    for (let i = 0; i < 3; i++) expect(() => feedback.onFailure(error)).toThrow(error);
+
+    expect(dashboard.toastNotification.showWarning.mock.calls.map(([message]) => message)).toEqual([
+      'Retrying meme data fetch... (2/3)',
+      'Retrying meme data fetch... (3/3)'
+    ]);
+    expect(dashboard.toastNotification.showError).toHaveBeenCalledTimes(1);
+  });
+
+  it('should not report a cancelled request as a failure', () => {
+    const feedback = dashboard._createFetchFeedback('stock data');
+    const abortError = new DOMException('The operation was aborted.', 'AbortError');
+
+    expect(() => feedback.onFailure(abortError)).toThrow(expect.objectContaining({ name: 'AbortError' }));
+    expect(dashboard.toastNotification.showError).not.toHaveBeenCalled();
+  });
+});
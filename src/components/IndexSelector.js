@@ -0,0 +1,221 @@
+/**
+ * IndexSelector - Component for choosing which market indices to compare
+ * Provides toggle buttons for each supported index with multi-select support
+ */
+
+import { DEFAULT_INDEX, getSupportedIndices, isSupportedIndex } from '../config/indices.js';
+
+export class IndexSelector {
+  /**
+   * Create a new IndexSelector instance
+   * @param {string} containerId - ID of the container element
+   * @param {Function} onSelectionChange - Callback function when the selected indices change
+   */
+  constructor(containerId, onSelectionChange) {
+    this.containerId = containerId;
+    this.onSelectionChange = onSelectionChange;
+    this.selectedIndices = [DEFAULT_INDEX];
+    this.isLoading = false;
+
+    // Available index options from the registry
+    this.indexOptions = getSupportedIndices();
+
+    this._initialize();
+  }
+
+  /**
+   * Initialize the component and render the UI
+   * @private
+   */
+  _initialize() {
+    this.render();
+    this._setupEventListeners();
+  }
+
+  /**
+   * Render the index selector UI
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      console.error(`IndexSelector: Container with id '${this.containerId}' not found`);
+      return;
+    }
+
+    // Generate button HTML
+    const buttonsHtml = this.indexOptions.map(option => {
+      const isSelected = this.selectedIndices.includes(option.symbol);
+      const activeClass = isSelected ? 'active' : '';
+
+      return `
+        <button
+          class="index-btn ${activeClass}"
+          data-symbol="${option.symbol}"
+          aria-pressed="${isSelected ? 'true' : 'false'}"
+          ${this.isLoading ? 'disabled' : ''}
+        >
+          <span class="hidden sm:inline">${option.name}</span>
+          <span class="sm:hidden">${option.shortName}</span>
+        </button>
+      `;
+    }).join('');
+
+    // Render the complete selector UI
+    container.innerHTML = `
+      <div class="flex justify-center">
+        <div class="bg-slate-800 rounded-lg p-1 inline-flex flex-wrap justify-center shadow-md"
+             id="index-selector"
+             role="group"
+             aria-label="Market index selection">
+          ${buttonsHtml}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Set up event listeners for button clicks
+   * @private
+   */
+  _setupEventListeners() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    // Use event delegation to handle button clicks
+    container.addEventListener('click', (event) => {
+      const button = event.target.closest('.index-btn');
+      if (button && !this.isLoading) {
+        this.toggleIndex(button.dataset.symbol);
+      }
+    });
+  }
+
+  /**
+   * Toggle an index in the current selection
+   * The first selected index is the primary index used for correlation analysis;
+   * at least one index always remains selected.
+   * @param {string} symbol - Index symbol to toggle
+   */
+  async toggleIndex(symbol) {
+    if (!isSupportedIndex(symbol) || this.isLoading) {
+      return;
+    }
+
+    let newSelection;
+    if (this.selectedIndices.includes(symbol)) {
+      if (this.selectedIndices.length === 1) {
+        return; // Keep at least one index selected
+      }
+      newSelection = this.selectedIndices.filter(selected => selected !== symbol);
+    } else {
+      newSelection = [...this.selectedIndices, symbol];
+    }
+
+    await this.handleSelectionChange(newSelection);
+  }
+
+  /**
+   * Handle selection change
+   * @param {string[]} newSelection - New list of selected index symbols
+   */
+  async handleSelectionChange(newSelection) {
+    try {
+      // Update current selection
+      this.selectedIndices = newSelection;
+
+      // Show loading state
+      this.showLoading();
+
+      // Update button states
+      this._updateButtonStates();
+
+      // Call the callback function
+      if (this.onSelectionChange && typeof this.onSelectionChange === 'function') {
+        await this.onSelectionChange([...newSelection]);
+      }
+
+    } catch (error) {
+      console.error('IndexSelector: Error handling selection change:', error);
+      this._updateButtonStates();
+    } finally {
+      // Hide loading state
+      this.hideLoading();
+    }
+  }
+
+  /**
+   * Update button states to reflect current selection
+   * @private
+   */
+  _updateButtonStates() {
+    const buttons = document.querySelectorAll(`#${this.containerId} .index-btn`);
+    buttons.forEach(button => {
+      if (this.selectedIndices.includes(button.dataset.symbol)) {
+        button.classList.add('active');
+        button.setAttribute('aria-pressed', 'true');
+      } else {
+        button.classList.remove('active');
+        button.setAttribute('aria-pressed', 'false');
+      }
+    });
+  }
+
+  /**
+   * Show loading state on all buttons
+   */
+  showLoading() {
+    this.isLoading = true;
+    const buttons = document.querySelectorAll(`#${this.containerId} .index-btn`);
+    buttons.forEach(button => {
+      button.disabled = true;
+      button.style.opacity = '0.6';
+      button.style.cursor = 'not-allowed';
+    });
+  }
+
+  /**
+   * Hide loading state and re-enable buttons
+   */
+  hideLoading() {
+    this.isLoading = false;
+    const buttons = document.querySelectorAll(`#${this.containerId} .index-btn`);
+    buttons.forEach(button => {
+      button.disabled = false;
+      button.style.opacity = '1';
+      button.style.cursor = 'pointer';
+    });
+  }
+
+  /**
+   * Get the currently selected indices
+   * @returns {string[]} Selected index symbols, primary index first
+   */
+  getSelectedIndices() {
+    return [...this.selectedIndices];
+  }
+
+  /**
+   * Set the selected indices programmatically
+   * @param {string[]} symbols - Index symbols to select
+   */
+  setSelectedIndices(symbols) {
+    const valid = (symbols || []).filter(symbol => isSupportedIndex(symbol));
+    if (valid.length === 0) {
+      console.warn(`IndexSelector: No supported indices in selection ${JSON.stringify(symbols)}`);
+      return;
+    }
+
+    this.selectedIndices = [...new Set(valid)];
+    this._updateButtonStates();
+  }
+
+  /**
+   * Destroy the component and clean up event listeners
+   */
+  destroy() {
+    const container = document.getElementById(this.containerId);
+    if (container) {
+      container.innerHTML = '';
+    }
+  }
+}
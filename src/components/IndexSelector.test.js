@@ -0,0 +1,140 @@
+/**
+ * Unit tests for IndexSelector component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IndexSelector } from './IndexSelector.js';
+
+describe('IndexSelector', () => {
+  let container;
+  let indexSelector;
+  let mockCallback;
+
+  beforeEach(() => {
+    // Create a container element for testing
+    container = document.createElement('div');
+    container.id = 'test-index-selector';
+    document.body.appendChild(container);
+
+    // Create mock callback
+    mockCallback = vi.fn();
+  });
+
+  afterEach(() => {
+    // Clean up
+    if (indexSelector) {
+      indexSelector.destroy();
+    }
+    if (container && container.parentNode) {
+      container.parentNode.removeChild(container);
+    }
+  });
+
+  describe('Initialization', () => {
+    it('should select NIFTY 50 by default', () => {
+      indexSelector = new IndexSelector('test-index-selector', mockCallback);
+
+      expect(indexSelector.getSelectedIndices()).toEqual(['^NSEI']);
+      const active = container.querySelectorAll('.index-btn.active');
+      expect(active).toHaveLength(1);
+      expect(active[0].dataset.symbol).toBe('^NSEI');
+      expect(active[0].getAttribute('aria-pressed')).toBe('true');
+    });
+
+    it('should render a button for every supported index', () => {
+      indexSelector = new IndexSelector('test-index-selector', mockCallback);
+
+      const symbols = Array.from(container.querySelectorAll('.index-btn')).map(btn => btn.dataset.symbol);
+      expect(symbols).toEqual(['^NSEI', '^BSESN', '^NSEBANK', '^CNXIT', '^INDIAVIX']);
+      expect(container.innerHTML).toContain('India VIX');
+    });
+
+    it('should handle missing container gracefully', () => {
+      expect(() => {
+        indexSelector = new IndexSelector('non-existent', mockCallback);
+      }).not.toThrow();
+    });
+  });
+
+  describe('Selection', () => {
+    beforeEach(() => {
+      indexSelector = new IndexSelector('test-index-selector', mockCallback);
+    });
+
+    it('should add an index to the selection when clicked', async () => {
+      const button = container.querySelector('[data-symbol="^BSESN"]');
+      button.click();
+
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      expect(mockCallback).toHaveBeenCalledWith(['^NSEI', '^BSESN']);
+      expect(button.classList.contains('active')).toBe(true);
+    });
+
+    it('should remove a selected index when toggled again', async () => {
+      await indexSelector.toggleIndex('^CNXIT');
+      await indexSelector.toggleIndex('^NSEI');
+
+      expect(indexSelector.getSelectedIndices()).toEqual(['^CNXIT']);
+      expect(mockCallback).toHaveBeenLastCalledWith(['^CNXIT']);
+    });
+
+    it('should keep at least one index selected', async () => {
+      await indexSelector.toggleIndex('^NSEI');
+
+      expect(indexSelector.getSelectedIndices()).toEqual(['^NSEI']);
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should ignore unsupported symbols', async () => {
+      await indexSelector.toggleIndex('^GSPC');
+
+      expect(indexSelector.getSelectedIndices()).toEqual(['^NSEI']);
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should handle callback errors gracefully', async () => {
+      mockCallback.mockRejectedValue(new Error('Load failed'));
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      await indexSelector.toggleIndex('^BSESN');
+
+      expect(consoleSpy).toHaveBeenCalled();
+      expect(indexSelector.isLoading).toBe(false);
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('Programmatic Control', () => {
+    beforeEach(() => {
+      indexSelector = new IndexSelector('test-index-selector', mockCallback);
+    });
+
+    it('should allow setting the selection programmatically', () => {
+      indexSelector.setSelectedIndices(['^NSEBANK', '^NSEI']);
+
+      expect(indexSelector.getSelectedIndices()).toEqual(['^NSEBANK', '^NSEI']);
+      expect(container.querySelectorAll('.index-btn.active')).toHaveLength(2);
+      expect(mockCallback).not.toHaveBeenCalled();
+    });
+
+    it('should ignore selections without any supported index', () => {
+      const consoleSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      indexSelector.setSelectedIndices(['^GSPC']);
+
+      expect(indexSelector.getSelectedIndices()).toEqual(['^NSEI']);
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('Cleanup', () => {
+    it('should clean up DOM when destroyed', () => {
+      indexSelector = new IndexSelector('test-index-selector', mockCallback);
+      indexSelector.destroy();
+
+      expect(container.innerHTML).toBe('');
+    });
+  });
+});
@@ -1,8 +1,24 @@
 /**
  * InsightsPanel - Component for displaying correlation insights
  * Shows correlation coefficient, strength classification, and key events
+ * A method selector switches between Pearson and rank-based coefficients
  */
 
+import { ALIGNMENT_POLICIES } from '../utils/TradingCalendar.js';
+import { getTimeZone } from '../utils/DateKeys.js';
+import { CORRELATION_METHODS, SIGNIFICANCE_LEVEL } from '../utils/Correlation.js';
+import { formatVolatility } from '../utils/VolatilityEstimators.js';
+
+/**
+ * Display names for each correlation method
+ * @type {Object<string, string>}
+ */
+const METHOD_LABELS = {
+  [CORRELATION_METHODS.PEARSON]: 'Pearson',
+  [CORRELATION_METHODS.SPEARMAN]: 'Spearman',
+  [CORRELATION_METHODS.KENDALL]: 'Kendall'
+};
+
 export class InsightsPanel {
   /**
    * Create a new InsightsPanel instance
@@ -12,6 +28,8 @@ export class InsightsPanel {
     this.containerId = containerId;
     this.container = null;
     this.longLoadingTimeout = null;
+    this.selectedMethod = CORRELATION_METHODS.PEARSON;
+    this.lastRenderArgs = null;
   }
 
   /**
@@ -48,9 +66,15 @@ export class InsightsPanel {
    * @param {CorrelationResult} correlation - Correlation analysis result
    * @param {VolatilityPoint[]} volatilityData - Array of volatility data points
    * @param {PopularityPoint[]} popularityData - Array of popularity data points
+   * @param {Object} analysis - Optional time-series analyses
+   * @param {Object} analysis.crossCorrelation - Lagged cross-correlation result
+   * @param {Object} analysis.granger - Granger causality result
+   * @param {{returns: CorrelationResult, volatility: CorrelationResult}} analysis.sentiment - Meme sentiment correlated with returns and volatility
+   * @param {string} analysis.volatilityEstimator - Estimator id, used to format volatility values
    */
-  render(correlation, volatilityData, popularityData) {
+  render(correlation, volatilityData, popularityData, analysis = {}) {
     this.hideLoading();
+    this.lastRenderArgs = [correlation, volatilityData, popularityData, analysis];
     this.container = document.getElementById(this.containerId);
     if (!this.container) {
       console.warn(`Container element with id "${this.containerId}" not found - skipping render`);
@@ -72,10 +96,56 @@ export class InsightsPanel {
 
     // Render panel HTML
     this.container.innerHTML = this._renderPanel(
-      correlation, 
+      this._getMethodResult(correlation), 
       highestVolatility, 
-      highestPopularity
+      highestPopularity,
+      analysis
     );
+    this._setupMethodSelector();
+  }
+
+  /**
+   * Switch the correlation method shown in the panel
+   * @param {string} method - One of CORRELATION_METHODS
+   */
+  setMethod(method) {
+    if (!Object.values(CORRELATION_METHODS).includes(method)) {
+      console.warn(`InsightsPanel: Unsupported correlation method '${method}'`);
+      return;
+    }
+
+    this.selectedMethod = method;
+    if (this.lastRenderArgs) {
+      this.render(...this.lastRenderArgs);
+    }
+  }
+
+  /**
+   * Get the correlation result for the selected method
+   * Results without per-method data fall back to the top-level coefficient.
+   * @private
+   * @param {CorrelationResult} correlation - Correlation analysis result
+   * @returns {CorrelationResult} Result with the selected method's coefficient, strength and p-value
+   */
+  _getMethodResult(correlation) {
+    const methodResult = correlation.methods && correlation.methods[this.selectedMethod];
+    return methodResult ? { ...correlation, ...methodResult } : correlation;
+  }
+
+  /**
+   * Attach click handling to the method selector buttons
+   * @private
+   */
+  _setupMethodSelector() {
+    const selector = this.container.querySelector('.method-selector');
+    if (!selector) return;
+
+    selector.addEventListener('click', (event) => {
+      const button = event.target.closest('.method-btn');
+      if (button) {
+        this.setMethod(button.dataset.method);
+      }
+    });
   }
 
   /**
@@ -185,6 +255,7 @@ export class InsightsPanel {
    */
   _formatDate(date) {
     return date.toLocaleDateString('en-IN', { 
+      timeZone: getTimeZone(),
       year: 'numeric', 
       month: 'short', 
       day: 'numeric' 
@@ -197,25 +268,30 @@ export class InsightsPanel {
    * @param {CorrelationResult} correlation - Correlation analysis result
    * @param {{date: Date, value: number}} highestVolatility - Highest volatility point
    * @param {{date: Date, value: number}} highestPopularity - Highest popularity point
+   * @param {Object} analysis - Optional cross-correlation and Granger results
    * @returns {string} HTML string
    */
-  _renderPanel(correlation, highestVolatility, highestPopularity) {
+  _renderPanel(correlation, highestVolatility, highestPopularity, analysis = {}) {
     const strengthColor = this._getStrengthColor(correlation.strength);
     const interpretation = this._getInterpretation(correlation.coefficient, correlation.strength);
 
     return `
       <div class="panel">
         <h2 class="panel-header">Correlation Insights</h2>
+
+        <!-- Method Selector -->
+        ${correlation.methods ? this._renderMethodSelector() : ''}
         
         <!-- Correlation Coefficient -->
         <div class="mb-4 sm:mb-6">
-          <div class="metric-label">Correlation Coefficient</div>
+          <div class="metric-label">${METHOD_LABELS[this.selectedMethod]} Correlation Coefficient</div>
           <div class="metric-value">
             ${correlation.coefficient.toFixed(3)}
           </div>
           <div class="text-lg ${strengthColor} mt-1 font-semibold">
             ${correlation.strength}
           </div>
+          ${this._renderSignificance(correlation)}
         </div>
 
         <!-- Key Events - Responsive grid -->
@@ -227,7 +303,7 @@ export class InsightsPanel {
                 ${this._formatDate(highestVolatility.date)}
               </div>
               <div class="text-lg text-red-400 mt-1 font-bold">
-                ${highestVolatility.value.toFixed(2)}%
+                ${formatVolatility(highestVolatility.value, analysis.volatilityEstimator)}
               </div>
             </div>
           ` : ''}
@@ -253,14 +329,264 @@ export class InsightsPanel {
           </div>
         </div>
 
+        ${this._renderLeadLag(analysis.crossCorrelation)}
+
+        ${this._renderGranger(analysis.granger)}
+
+        ${this._renderSentiment(analysis.sentiment)}
+
         <!-- Sample Size -->
         <div class="text-xs text-slate-500 text-center">
           Based on ${correlation.sampleSize} data points
+          ${this._renderAlignmentNote(correlation.alignment)}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Render p-value, confidence interval and significance state
+   * @private
+   * @param {CorrelationResult} correlation - Correlation result for the selected method
+   * @returns {string} HTML string for the significance block
+   */
+  _renderSignificance(correlation) {
+    if (typeof correlation.pValue !== 'number') {
+      return '';
+    }
+
+    const significant = typeof correlation.significant === 'boolean'
+      ? correlation.significant
+      : correlation.pValue < SIGNIFICANCE_LEVEL;
+    const ci = correlation.confidenceInterval;
+
+    return `
+      <div class="significance mt-2 text-sm text-slate-300">
+        <span>${this._formatPValue(correlation.pValue)}</span>
+        ${ci ? `
+          <span class="text-slate-500 mx-1">&middot;</span>
+          <span>${Math.round(ci.level * 100)}% CI [${ci.lower.toFixed(2)}, ${ci.upper.toFixed(2)}]</span>
+        ` : ''}
+      </div>
+      ${significant ? `
+        <div class="significance-badge mt-2 inline-block rounded px-2 py-1 text-xs font-semibold bg-green-900 text-green-300">
+          Statistically significant
+        </div>
+      ` : `
+        <div class="significance-badge mt-2 inline-block rounded px-2 py-1 text-xs font-semibold bg-slate-700 text-slate-300">
+          Not significant
         </div>
+        <div class="mt-1 text-xs text-slate-500">
+          This relationship could plausibly be due to chance (p &ge; ${SIGNIFICANCE_LEVEL}).
+        </div>
+      `}
+    `;
+  }
+
+  /**
+   * Format a p-value for display
+   * @private
+   * @param {number} pValue - p-value between 0 and 1
+   * @returns {string} Formatted p-value
+   */
+  _formatPValue(pValue) {
+    return pValue < 0.001 ? 'p &lt; 0.001' : `p = ${pValue.toFixed(3)}`;
+  }
+
+  /**
+   * Render the correlation method toggle buttons
+   * @private
+   * @returns {string} HTML string for the selector
+   */
+  _renderMethodSelector() {
+    const buttonsHtml = Object.values(CORRELATION_METHODS).map(method => {
+      const isSelected = method === this.selectedMethod;
+      return `
+        <button
+          class="method-btn ${isSelected ? 'active' : ''}"
+          data-method="${method}"
+          aria-pressed="${isSelected ? 'true' : 'false'}"
+        >
+          ${METHOD_LABELS[method]}
+        </button>
+      `;
+    }).join('');
+
+    return `
+      <div class="method-selector bg-slate-900 rounded-lg p-1 mb-4 inline-flex"
+           role="group"
+           aria-label="Correlation method">
+        ${buttonsHtml}
       </div>
     `;
   }
 
+  /**
+   * Render the dominant lead/lag relationship from cross-correlation
+   * @private
+   * @param {Object|null} crossCorrelation - Lagged cross-correlation result
+   * @returns {string} HTML string for the lead/lag block, empty without a best lag
+   */
+  _renderLeadLag(crossCorrelation) {
+    if (!crossCorrelation || !crossCorrelation.bestLag) {
+      return '';
+    }
+
+    return `
+      <div class="lead-lag bg-slate-700 rounded-lg p-3 sm:p-4 mb-4">
+        <div class="metric-label mb-2">Who leads?</div>
+        <div class="text-sm text-slate-300 leading-relaxed">
+          ${this._getLeadLagText(crossCorrelation.bestLag, crossCorrelation.granularity)}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Describe the best lag in plain language
+   * @private
+   * @param {{lag: number, coefficient: number, pValue: number, significant: boolean}} bestLag - Strongest lag
+   * @param {string} granularity - 'day' or 'hour'
+   * @returns {string} Lead/lag description
+   */
+  _getLeadLagText(bestLag, granularity = 'day') {
+    const steps = Math.abs(bestLag.lag);
+    const unit = granularity === 'hour'
+      ? (steps === 1 ? 'hour' : 'hours')
+      : (steps === 1 ? 'trading day' : 'trading days');
+    const stats = `(r = ${bestLag.coefficient.toFixed(2)}, ${this._formatPValue(bestLag.pValue)})`;
+
+    let relationship;
+    if (bestLag.lag > 0) {
+      relationship = `Meme popularity leads market volatility by ${steps} ${unit}`;
+    } else if (bestLag.lag < 0) {
+      relationship = `Market volatility leads meme popularity by ${steps} ${unit}`;
+    } else {
+      relationship = 'Memes and market volatility move together on the same session';
+    }
+
+    return bestLag.significant
+      ? `${relationship} ${stats}.`
+      : `${relationship} ${stats}, but this is not statistically significant.`;
+  }
+
+  /**
+   * Render directional Granger causality findings
+   * @private
+   * @param {Object|null} granger - Result of calculateGrangerCausality
+   * @returns {string} HTML string for the Granger block, empty without a result
+   */
+  _renderGranger(granger) {
+    if (!granger) {
+      return '';
+    }
+
+    const caveat = granger.smallSample
+      ? `Only ${granger.sampleSize} aligned observations - treat these results as indicative.`
+      : 'Granger tests show predictive power, not proof of causation.';
+
+    return `
+      <div class="granger bg-slate-700 rounded-lg p-3 sm:p-4 mb-4">
+        <div class="metric-label mb-2">Does one predict the other?</div>
+        <ul class="text-sm text-slate-300 leading-relaxed space-y-1">
+          <li>${this._getGrangerText('Meme popularity', 'volatility', granger.memesToVolatility)}</li>
+          <li>${this._getGrangerText('Volatility', 'meme popularity', granger.volatilityToMemes)}</li>
+        </ul>
+        <div class="granger-caveat mt-2 text-xs ${granger.smallSample ? 'text-amber-400' : 'text-slate-500'}">
+          ${caveat}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Describe one direction of a Granger causality test
+   * @private
+   * @param {string} cause - Name of the candidate leading series
+   * @param {string} effect - Name of the predicted series
+   * @param {{fStatistic: number, pValue: number, significant: boolean}|null} result - Test result
+   * @returns {string} Finding text
+   */
+  _getGrangerText(cause, effect, result) {
+    if (!result) {
+      return `${cause} &rarr; ${effect}: not enough data to test.`;
+    }
+
+    const fText = Number.isFinite(result.fStatistic) ? result.fStatistic.toFixed(2) : '&infin;';
+    const stats = `(F = ${fText}, ${this._formatPValue(result.pValue)})`;
+
+    return result.significant
+      ? `${cause} &rarr; ${effect}: helps predict ${stats}.`
+      : `${cause} &rarr; ${effect}: no evidence it helps predict ${stats}.`;
+  }
+
+  /**
+   * Render how meme title sentiment tracks returns and volatility, using the selected method
+   * @private
+   * @param {{returns: CorrelationResult, volatility: CorrelationResult}|null} sentiment - Sentiment correlations
+   * @returns {string} HTML string for the sentiment block, empty without aligned sentiment data
+   */
+  _renderSentiment(sentiment) {
+    if (!sentiment || (!sentiment.returns?.sampleSize && !sentiment.volatility?.sampleSize)) {
+      return '';
+    }
+
+    return `
+      <div class="sentiment bg-slate-700 rounded-lg p-3 sm:p-4 mb-4">
+        <div class="metric-label mb-2">Does meme mood follow the market?</div>
+        <ul class="text-sm text-slate-300 leading-relaxed space-y-1">
+          <li>${this._getSentimentText('returns', 'returns rise', sentiment.returns)}</li>
+          <li>${this._getSentimentText('volatility', 'volatility rises', sentiment.volatility)}</li>
+        </ul>
+      </div>
+    `;
+  }
+
+  /**
+   * Describe the correlation of sentiment with one market series
+   * @private
+   * @param {string} series - Name of the market series
+   * @param {string} rising - Phrase for the series going up, e.g. 'returns rise'
+   * @param {CorrelationResult|null} result - Correlation of sentiment with the series
+   * @returns {string} Finding text
+   */
+  _getSentimentText(series, rising, result) {
+    if (!result || !result.sampleSize) {
+      return `Sentiment vs ${series}: not enough data.`;
+    }
+
+    const { coefficient, pValue, significant } = this._getMethodResult(result);
+    const stats = `(r = ${coefficient.toFixed(2)}, ${this._formatPValue(pValue)})`;
+    const direction = coefficient >= 0 ? 'more upbeat' : 'gloomier';
+
+    return significant
+      ? `Sentiment vs ${series}: memes get ${direction} as ${rising} ${stats}.`
+      : `Sentiment vs ${series}: no clear relationship ${stats}.`;
+  }
+
+  /**
+   * Render a note describing how non-trading day meme data was handled
+   * @private
+   * @param {{policy: string, reassigned: number, dropped: number}} alignment - Alignment counts from the correlation result
+   * @returns {string} HTML string for the note, empty when nothing was moved
+   */
+  _renderAlignmentNote(alignment) {
+    if (!alignment) {
+      return '';
+    }
+
+    if (alignment.dropped > 0) {
+      return `<div class="mt-1">${alignment.dropped} weekend/holiday observations dropped</div>`;
+    }
+
+    if (alignment.reassigned > 0) {
+      const target = alignment.policy === ALIGNMENT_POLICIES.PREVIOUS_SESSION ? 'previous' : 'next';
+      return `<div class="mt-1">${alignment.reassigned} weekend/holiday observations moved to the ${target} session</div>`;
+    }
+
+    return '';
+  }
+
   /**
    * Render empty state when no data is available
    * @private
@@ -205,6 +205,258 @@ describe('InsightsPanel', () => {
       
       expect(container.innerHTML).toContain('Based on 42 data points');
     });
+
+    it('should report weekend/holiday observations reassigned by the alignment policy', () => {
+      const correlation = {
+        coefficient: 0.5,
+        strength: 'Moderate',
+        pValue: 0.05,
+        sampleSize: 20,
+        alignment: { policy: 'previous-session', reassigned: 6, dropped: 0 }
+      };
+      const volatilityData = [
+        { date: new Date('2024-01-01'), volatility: 2.5 }
+      ];
+      const popularityData = [
+        { date: new Date('2024-01-01'), popularity: 1000 }
+      ];
+
+      panel.render(correlation, volatilityData, popularityData);
+
+      expect(container.innerHTML).toContain('6 weekend/holiday observations moved to the previous session');
+    });
+  });
+
+  describe('significance', () => {
+    const volatilityData = [
+      { date: new Date('2024-01-01'), volatility: 2.5 }
+    ];
+    const popularityData = [
+      { date: new Date('2024-01-01'), popularity: 1000 }
+    ];
+
+    it('should display the p-value and confidence interval', () => {
+      const correlation = {
+        coefficient: 0.62,
+        strength: 'Moderate',
+        pValue: 0.0004,
+        significant: true,
+        confidenceInterval: { lower: 0.31, upper: 0.81, level: 0.95 },
+        sampleSize: 30
+      };
+
+      panel.render(correlation, volatilityData, popularityData);
+
+      expect(container.innerHTML).toContain('p &lt; 0.001');
+      expect(container.innerHTML).toContain('95% CI [0.31, 0.81]');
+      expect(container.innerHTML).toContain('Statistically significant');
+    });
+
+    it('should show a clear not significant state', () => {
+      const correlation = {
+        coefficient: 0.12,
+        strength: 'Very Weak',
+        pValue: 0.527,
+        significant: false,
+        confidenceInterval: { lower: -0.25, upper: 0.46, level: 0.95 },
+        sampleSize: 30
+      };
+
+      panel.render(correlation, volatilityData, popularityData);
+
+      expect(container.innerHTML).toContain('p = 0.527');
+      expect(container.innerHTML).toContain('Not significant');
+      expect(container.innerHTML).not.toContain('Statistically significant');
+    });
+  });
+
+  describe('lead/lag', () => {
+    const correlation = {
+      coefficient: 0.4,
+      strength: 'Moderate',
+      pValue: 0.03,
+      sampleSize: 30
+    };
+    const volatilityData = [
+      { date: new Date('2024-01-01'), volatility: 2.5 }
+    ];
+    const popularityData = [
+      { date: new Date('2024-01-01'), popularity: 1000 }
+    ];
+
+    it('should state when memes lead the market', () => {
+      const crossCorrelation = {
+        granularity: 'day',
+        bestLag: { lag: 2, coefficient: 0.61, pValue: 0.004, significant: true }
+      };
+
+      panel.render(correlation, volatilityData, popularityData, { crossCorrelation });
+
+      expect(container.innerHTML).toContain('Meme popularity leads market volatility by 2 trading days (r = 0.61, p = 0.004).');
+    });
+
+    it('should state when the market leads memes and flag weak evidence', () => {
+      const crossCorrelation = {
+        granularity: 'hour',
+        bestLag: { lag: -1, coefficient: -0.22, pValue: 0.31, significant: false }
+      };
+
+      panel.render(correlation, volatilityData, popularityData, { crossCorrelation });
+
+      expect(container.innerHTML).toContain('Market volatility leads meme popularity by 1 hour');
+      expect(container.innerHTML).toContain('not statistically significant');
+    });
+
+    it('should omit the block without a best lag', () => {
+      panel.render(correlation, volatilityData, popularityData, { crossCorrelation: { granularity: 'day', bestLag: null } });
+
+      expect(container.querySelector('.lead-lag')).toBeNull();
+    });
+  });
+
+  describe('granger causality', () => {
+    const correlation = {
+      coefficient: 0.4,
+      strength: 'Moderate',
+      pValue: 0.03,
+      sampleSize: 45
+    };
+    const volatilityData = [
+      { date: new Date('2024-01-01'), volatility: 2.5 }
+    ];
+    const popularityData = [
+      { date: new Date('2024-01-01'), popularity: 1000 }
+    ];
+
+    it('should show a finding for each direction', () => {
+      const granger = {
+        lags: 2,
+        sampleSize: 45,
+        smallSample: false,
+        memesToVolatility: { fStatistic: 5.12, pValue: 0.011, significant: true },
+        volatilityToMemes: { fStatistic: 0.48, pValue: 0.62, significant: false }
+      };
+
+      panel.render(correlation, volatilityData, popularityData, { granger });
+
+      expect(container.innerHTML).toContain('Meme popularity → volatility: helps predict (F = 5.12, p = 0.011).');
+      expect(container.innerHTML).toContain('Volatility → meme popularity: no evidence it helps predict (F = 0.48, p = 0.620).');
+      expect(container.innerHTML).toContain('not proof of causation');
+    });
+
+    it('should warn when the sample is small or a direction cannot be tested', () => {
+      const granger = {
+        lags: 2,
+        sampleSize: 6,
+        smallSample: true,
+        memesToVolatility: null,
+        volatilityToMemes: null
+      };
+
+      panel.render(correlation, volatilityData, popularityData, { granger });
+
+      expect(container.innerHTML).toContain('not enough data to test');
+      expect(container.querySelector('.granger-caveat').textContent).toContain('Only 6 aligned observations');
+    });
+  });
+
+  describe('sentiment', () => {
+    const correlation = {
+      coefficient: 0.4,
+      strength: 'Moderate',
+      pValue: 0.03,
+      sampleSize: 45
+    };
+    const volatilityData = [
+      { date: new Date('2024-01-01'), volatility: 2.5 }
+    ];
+    const popularityData = [
+      { date: new Date('2024-01-01'), popularity: 1000 }
+    ];
+
+    it('should describe sentiment against returns and volatility', () => {
+      const sentiment = {
+        returns: { coefficient: 0.52, pValue: 0.004, significant: true, sampleSize: 28 },
+        volatility: { coefficient: -0.1, pValue: 0.61, significant: false, sampleSize: 28 }
+      };
+
+      panel.render(correlation, volatilityData, popularityData, { sentiment });
+
+      expect(container.innerHTML).toContain('Sentiment vs returns: memes get more upbeat as returns rise (r = 0.52, p = 0.004).');
+      expect(container.innerHTML).toContain('Sentiment vs volatility: no clear relationship (r = -0.10, p = 0.610).');
+    });
+
+    it('should omit the block without aligned sentiment data', () => {
+      const empty = { coefficient: 0, pValue: 1, significant: false, sampleSize: 0 };
+
+      panel.render(correlation, volatilityData, popularityData, { sentiment: { returns: empty, volatility: empty } });
+
+      expect(container.querySelector('.sentiment')).toBeNull();
+    });
+  });
+
+  describe('method selector', () => {
+    const correlation = {
+      coefficient: 0.3,
+      strength: 'Weak',
+      pValue: 0.2,
+      sampleSize: 30,
+      methods: {
+        pearson: { coefficient: 0.3, strength: 'Weak', pValue: 0.2 },
+        spearman: { coefficient: 0.81, strength: 'Strong', pValue: 0.01 },
+        kendall: { coefficient: 0.64, strength: 'Moderate', pValue: 0.01 }
+      }
+    };
+    const volatilityData = [
+      { date: new Date('2024-01-01'), volatility: 2.5 }
+    ];
+    const popularityData = [
+      { date: new Date('2024-01-01'), popularity: 1000 }
+    ];
+
+    it('should show Pearson by default', () => {
+      panel.render(correlation, volatilityData, popularityData);
+
+      const active = container.querySelector('.method-btn.active');
+      expect(active.dataset.method).toBe('pearson');
+      expect(container.innerHTML).toContain('Pearson Correlation Coefficient');
+      expect(container.innerHTML).toContain('0.300');
+    });
+
+    it('should switch to a rank-based method when its button is clicked', () => {
+      panel.render(correlation, volatilityData, popularityData);
+
+      container.querySelector('[data-method="spearman"]').click();
+
+      expect(panel.selectedMethod).toBe('spearman');
+      expect(container.innerHTML).toContain('Spearman Correlation Coefficient');
+      expect(container.innerHTML).toContain('0.810');
+      expect(container.querySelector('.method-btn.active').dataset.method).toBe('spearman');
+    });
+
+    it('should keep the selected method across renders', () => {
+      panel.setMethod('kendall');
+      panel.render(correlation, volatilityData, popularityData);
+
+      expect(container.innerHTML).toContain('0.640');
+      expect(container.innerHTML).toContain('Moderate');
+    });
+
+    it('should ignore unsupported methods', () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      panel.setMethod('distance');
+
+      expect(panel.selectedMethod).toBe('pearson');
+      expect(warnSpy).toHaveBeenCalled();
+      warnSpy.mockRestore();
+    });
+
+    it('should hide the selector for results without per-method data', () => {
+      panel.render({ coefficient: 0.3, strength: 'Weak', pValue: 0.2, sampleSize: 30 }, volatilityData, popularityData);
+
+      expect(container.querySelector('.method-selector')).toBeNull();
+    });
   });
 
   describe('_getStrengthColor', () => {
@@ -0,0 +1,208 @@
+/**
+ * LagCorrelationChart - Bar chart component for visualizing lagged cross-correlation
+ * Plots the volatility/meme popularity coefficient at each lag to show who leads
+ * Uses Chart.js for rendering
+ */
+
+import { Chart, registerables } from 'chart.js';
+
+Chart.register(...registerables);
+
+// Bar colors by significance; the best lag is drawn in the highlight color
+const SIGNIFICANT_COLOR = '#38bdf8';
+const INSIGNIFICANT_COLOR = '#475569';
+const BEST_LAG_COLOR = '#f59e0b';
+
+export class LagCorrelationChart {
+  /**
+   * Create a new LagCorrelationChart instance
+   * @param {string} canvasId - ID of the canvas element to render the chart
+   */
+  constructor(canvasId) {
+    this.canvasId = canvasId;
+    this.chart = null;
+    this.granularity = 'day';
+  }
+
+  /**
+   * Initialize the chart with cross-correlation results
+   * @param {Object} crossCorrelation - Result of calculateCrossCorrelation
+   */
+  initialize(crossCorrelation) {
+    const canvas = document.getElementById(this.canvasId);
+    if (!canvas) {
+      console.warn(`Canvas element with id "${this.canvasId}" not found - skipping chart initialization`);
+      return;
+    }
+
+    this.granularity = crossCorrelation?.granularity || 'day';
+    const ctx = canvas.getContext('2d');
+
+    this.chart = new Chart(ctx, {
+      type: 'bar',
+      data: this._prepareChartData(crossCorrelation),
+      options: this._getChartOptions()
+    });
+  }
+
+  /**
+   * Update chart with new cross-correlation results
+   * @param {Object} crossCorrelation - Result of calculateCrossCorrelation
+   */
+  update(crossCorrelation) {
+    if (!this.chart) {
+      // If chart doesn't exist, initialize it
+      this.initialize(crossCorrelation);
+      return;
+    }
+
+    this.granularity = crossCorrelation?.granularity || 'day';
+    const chartData = this._prepareChartData(crossCorrelation);
+
+    this.chart.data.labels = chartData.labels;
+    this.chart.data.datasets = chartData.datasets;
+    if (this.chart.options?.scales?.x?.title) {
+      this.chart.options.scales.x.title.text = this._getXAxisTitle();
+    }
+
+    this.chart.update();
+  }
+
+  /**
+   * Prepare bar chart data from cross-correlation results
+   * @private
+   * @param {Object} crossCorrelation - Result of calculateCrossCorrelation
+   * @returns {Object} Chart.js data object
+   */
+  _prepareChartData(crossCorrelation) {
+    const lags = crossCorrelation?.lags || [];
+    const bestLag = crossCorrelation?.bestLag?.lag;
+
+    return {
+      labels: lags.map(entry => entry.lag),
+      datasets: [
+        {
+          label: 'Correlation Coefficient',
+          data: lags.map(entry => entry.coefficient),
+          backgroundColor: lags.map(entry => {
+            if (entry.lag === bestLag) return BEST_LAG_COLOR;
+            return entry.significant ? SIGNIFICANT_COLOR : INSIGNIFICANT_COLOR;
+          }),
+          // Kept alongside the data so tooltips can report significance
+          pValues: lags.map(entry => entry.pValue),
+          borderRadius: 3
+        }
+      ]
+    };
+  }
+
+  /**
+   * Get the x-axis title for the current granularity
+   * @private
+   * @returns {string} Axis title
+   */
+  _getXAxisTitle() {
+    const unit = this.granularity === 'hour' ? 'hours' : 'trading days';
+    return `Lag (${unit}, positive = memes lead)`;
+  }
+
+  /**
+   * Get Chart.js configuration options
+   * @private
+   * @returns {Object} Chart.js options object
+   */
+  _getChartOptions() {
+    return {
+      responsive: true,
+      maintainAspectRatio: false,
+      animation: {
+        duration: window.navigator.connection?.effectiveType === 'slow-2g' ||
+                  window.navigator.connection?.effectiveType === '2g' ? 0 : 750
+      },
+      plugins: {
+        legend: {
+          display: false
+        },
+        tooltip: {
+          enabled: true,
+          backgroundColor: 'rgba(15, 23, 42, 0.95)',
+          titleColor: '#e2e8f0',
+          bodyColor: '#e2e8f0',
+          borderColor: '#334155',
+          borderWidth: 1,
+          padding: 12,
+          callbacks: {
+            title: (tooltipItems) => {
+              if (tooltipItems.length > 0) {
+                return `Lag ${tooltipItems[0].label}`;
+              }
+              return '';
+            },
+            label: (context) => {
+              const pValue = context.dataset.pValues?.[context.dataIndex];
+              const pText = typeof pValue === 'number' ? ` (p = ${pValue.toFixed(3)})` : '';
+              return `r = ${context.parsed.y.toFixed(3)}${pText}`;
+            }
+          }
+        }
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: this._getXAxisTitle(),
+            color: '#94a3b8',
+            font: {
+              size: 12,
+              weight: 'bold'
+            }
+          },
+          ticks: {
+            color: '#94a3b8'
+          },
+          grid: {
+            display: false
+          }
+        },
+        y: {
+          min: -1,
+          max: 1,
+          title: {
+            display: true,
+            text: 'Correlation',
+            color: '#94a3b8',
+            font: {
+              size: 12,
+              weight: 'bold'
+            }
+          },
+          ticks: {
+            color: '#94a3b8'
+          },
+          grid: {
+            color: 'rgba(51, 65, 85, 0.3)'
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Manually trigger chart resize
+   */
+  resize() {
+    if (this.chart) {
+      this.chart.resize();
+    }
+  }
+
+  /**
+   * Destroy the chart and clean up resources
+   */
+  destroy() {
+    if (this.chart) {
+      this.chart.destroy();
+      this.chart = null;
+    }
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for LagCorrelationChart component
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { LagCorrelationChart } from './LagCorrelationChart.js';
+
+// Mock Chart.js
+vi.mock('chart.js', () => {
+  const mockChart = vi.fn(function(ctx, config) {
+    this.type = config.type;
+    this.data = config.data;
+    this.options = config.options;
+    this.update = vi.fn();
+    this.resize = vi.fn();
+    this.destroy = vi.fn();
+  });
+
+  mockChart.register = vi.fn();
+
+  return {
+    Chart: mockChart,
+    registerables: []
+  };
+});
+
+describe('LagCorrelationChart', () => {
+  const crossCorrelation = {
+    granularity: 'day',
+    maxLag: 2,
+    lags: [
+      { lag: -2, coefficient: 0.1, pValue: 0.6, significant: false, sampleSize: 18 },
+      { lag: -1, coefficient: 0.2, pValue: 0.4, significant: false, sampleSize: 19 },
+      { lag: 0, coefficient: 0.5, pValue: 0.02, significant: true, sampleSize: 20 },
+      { lag: 1, coefficient: 0.7, pValue: 0.001, significant: true, sampleSize: 19 },
+      { lag: 2, coefficient: -0.3, pValue: 0.2, significant: false, sampleSize: 18 }
+    ],
+    bestLag: { lag: 1, coefficient: 0.7, pValue: 0.001, significant: true, sampleSize: 19 }
+  };
+
+  beforeEach(() => {
+    document.body.innerHTML = '<canvas id="lag-chart"></canvas>';
+    HTMLCanvasElement.prototype.getContext = vi.fn(() => ({}));
+  });
+
+  it('should plot the coefficient at each lag as a bar chart', () => {
+    const chart = new LagCorrelationChart('lag-chart');
+    chart.initialize(crossCorrelation);
+
+    expect(chart.chart.type).toBe('bar');
+    expect(chart.chart.data.labels).toEqual([-2, -1, 0, 1, 2]);
+    expect(chart.chart.data.datasets[0].data).toEqual([0.1, 0.2, 0.5, 0.7, -0.3]);
+    expect(chart.chart.options.scales.y.min).toBe(-1);
+    expect(chart.chart.options.scales.y.max).toBe(1);
+  });
+
+  it('should highlight the best lag and significant lags', () => {
+    const chart = new LagCorrelationChart('lag-chart');
+    chart.initialize(crossCorrelation);
+
+    const colors = chart.chart.data.datasets[0].backgroundColor;
+    expect(colors[3]).toBe('#f59e0b'); // Best lag
+    expect(colors[2]).toBe('#38bdf8'); // Significant
+    expect(colors[0]).toBe('#475569'); // Not significant
+  });
+
+  it('should update data and axis title for hourly lags', () => {
+    const chart = new LagCorrelationChart('lag-chart');
+    chart.initialize(crossCorrelation);
+
+    chart.update({ ...crossCorrelation, granularity: 'hour', lags: crossCorrelation.lags.slice(0, 3) });
+
+    expect(chart.chart.data.labels).toEqual([-2, -1, 0]);
+    expect(chart.chart.options.scales.x.title.text).toContain('hours');
+    expect(chart.chart.update).toHaveBeenCalled();
+  });
+
+  it('should handle a missing canvas gracefully', () => {
+    const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const chart = new LagCorrelationChart('missing-canvas');
+
+    expect(() => chart.initialize(crossCorrelation)).not.toThrow();
+    expect(chart.chart).toBeNull();
+    warnSpy.mockRestore();
+  });
+
+  it('should destroy the chart instance', () => {
+    const chart = new LagCorrelationChart('lag-chart');
+    chart.initialize(crossCorrelation);
+    const instance = chart.chart;
+
+    chart.destroy();
+
+    expect(instance.destroy).toHaveBeenCalled();
+    expect(chart.chart).toBeNull();
+  });
+});
@@ -1,15 +1,27 @@
 /**
  * MemePanel - Component for displaying trending memes
- * Shows top 5 trending memes sorted by engagement score with thumbnails and metadata
+ * Shows top 5 trending memes sorted by engagement score with thumbnails and metadata,
+ * and the stocks the memes mention as selectable ticker chips
  */
 
+import { countTickerMentions } from '../utils/TickerExtractor.js';
+import { getTickerInfo } from '../config/tickers.js';
+
+/**
+ * Most ticker chips shown, most mentioned first
+ * @type {number}
+ */
+const MAX_TICKER_CHIPS = 10;
+
 export class MemePanel {
   /**
    * Create a new MemePanel instance
    * @param {string} containerId - ID of the container element to render the panel
+   * @param {Function} onTickerSelect - Callback with the NSE symbol of a clicked ticker chip, or null when the selected chip is clicked again (optional)
    */
-  constructor(containerId) {
+  constructor(containerId, onTickerSelect = null) {
     this.containerId = containerId;
+    this.onTickerSelect = onTickerSelect;
     this.container = null;
     this.longLoadingTimeout = null;
   }
@@ -47,8 +59,11 @@ export class MemePanel {
    * Render the meme panel with data
    * @param {MemePost[]} memes - Array of meme posts
    * @param {PopularityPoint[]} popularityData - Array of popularity data points (optional)
+   * @param {Object} options - Ticker options (optional)
+   * @param {string} options.selectedTicker - NSE symbol of the selected ticker chip
+   * @param {{symbol: string, loading: boolean, error: string|null, result: CorrelationResult|null}} options.tickerCorrelation - Mentions of the selected ticker against its volatility
    */
-  render(memes, popularityData = []) {
+  render(memes, popularityData = [], options = {}) {
     this.hideLoading();
     this.container = document.getElementById(this.containerId);
     if (!this.container) {
@@ -67,7 +82,94 @@ export class MemePanel {
     const topMemes = sortedMemes.slice(0, 5);
 
     // Render panel HTML
-    this.container.innerHTML = this._renderPanel(topMemes, memes.length);
+    this.container.innerHTML = this._renderPanel(topMemes, memes.length, this._renderTickers(memes, options));
+    this._setupTickerChips();
+  }
+
+  /**
+   * Render the mentioned tickers chip row and the selected ticker's correlation
+   * @private
+   * @param {MemePost[]} memes - Array of meme posts
+   * @param {Object} options - Ticker options from render()
+   * @returns {string} HTML string, empty when no meme mentions a stock
+   */
+  _renderTickers(memes, { selectedTicker = null, tickerCorrelation = null } = {}) {
+    const mentions = countTickerMentions(memes).slice(0, MAX_TICKER_CHIPS);
+    if (mentions.length === 0) {
+      return '';
+    }
+
+    const chipsHtml = mentions.map(({ symbol, mentions: count }) => {
+      const selected = symbol === selectedTicker;
+      return `
+        <button
+          class="ticker-chip rounded-full px-3 py-1 text-xs font-semibold transition-all duration-200 ${selected ? 'bg-blue-600 text-white' : 'bg-slate-700 text-slate-300 hover:bg-slate-600'}"
+          data-symbol="${this._escapeHtml(symbol)}"
+          aria-pressed="${selected}"
+          title="${this._escapeHtml(getTickerInfo(symbol)?.name || symbol)}"
+        >
+          ${this._escapeHtml(symbol)} <span class="text-slate-400">${count}</span>
+        </button>
+      `;
+    }).join('');
+
+    const correlation = tickerCorrelation && tickerCorrelation.symbol === selectedTicker ? tickerCorrelation : null;
+
+    return `
+      <div class="ticker-chips mb-4">
+        <div class="metric-label mb-2">Mentioned tickers</div>
+        <div class="flex flex-wrap gap-2" role="group" aria-label="Mentioned tickers">
+          ${chipsHtml}
+        </div>
+        ${correlation ? `
+          <div class="ticker-correlation mt-2 text-sm text-slate-300">
+            ${this._getTickerCorrelationText(correlation)}
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Describe how a ticker's mentions track its own volatility
+   * @private
+   * @param {{symbol: string, loading: boolean, error: string|null, result: CorrelationResult|null}} correlation - Selected ticker's correlation state
+   * @returns {string} Escaped finding text
+   */
+  _getTickerCorrelationText({ symbol, loading, error, result }) {
+    const name = this._escapeHtml(symbol);
+    if (loading) {
+      return `Loading ${name} prices...`;
+    }
+    if (error) {
+      return `${name} mentions vs volatility: ${this._escapeHtml(error)}`;
+    }
+    if (!result || !result.sampleSize) {
+      return `${name} mentions vs volatility: not enough data.`;
+    }
+
+    const stats = `(r = ${result.coefficient.toFixed(2)}, ${result.pValue < 0.001 ? 'p &lt; 0.001' : `p = ${result.pValue.toFixed(3)}`}, n = ${result.sampleSize})`;
+    const direction = result.coefficient >= 0 ? 'more' : 'less';
+
+    return result.significant
+      ? `${name} mentions vs volatility: memes mention ${name} ${direction} when it is volatile ${stats}.`
+      : `${name} mentions vs volatility: no clear relationship ${stats}.`;
+  }
+
+  /**
+   * Attach click handling to the ticker chips
+   * @private
+   */
+  _setupTickerChips() {
+    const chips = this.container.querySelector('.ticker-chips');
+    if (!chips) return;
+
+    chips.addEventListener('click', (event) => {
+      const chip = event.target.closest('.ticker-chip');
+      if (chip && this.onTickerSelect) {
+        this.onTickerSelect(chip.getAttribute('aria-pressed') === 'true' ? null : chip.dataset.symbol);
+      }
+    });
   }
 
   /**
@@ -135,9 +237,10 @@ export class MemePanel {
    * @private
    * @param {MemePost[]} topMemes - Top 5 meme posts
    * @param {number} totalMemes - Total number of memes analyzed
+   * @param {string} tickersHtml - Ticker chip row from _renderTickers() (optional)
    * @returns {string} HTML string
    */
-  _renderPanel(topMemes, totalMemes) {
+  _renderPanel(topMemes, totalMemes, tickersHtml = '') {
     const memesHtml = topMemes.map((meme, index) => this._renderMemeCard(meme, index)).join('');
 
     return `
@@ -146,6 +249,8 @@ export class MemePanel {
           <h2 class="panel-header mb-0">Trending Memes</h2>
           <span class="metric-label">${totalMemes} analyzed</span>
         </div>
+
+        ${tickersHtml}
         
         <div class="space-y-3">
           ${memesHtml}
@@ -266,4 +266,47 @@ describe('MemePanel', () => {
       expect(container.innerHTML).toContain(longTitle);
     });
   });
+
+  describe('mentioned tickers', () => {
+    const meme = (title, i) => ({ title, score: 10, comments: 1, url: `https://reddit.com/${i}`, subreddit: 'india', thumbnail: '' });
+    const memes = [meme('Zomato vs Paytm', 1), meme('Zomato again', 2), meme('Just vibes', 3)];
+
+    it('should render a chip per mentioned stock, most mentioned first', () => {
+      panel.render(memes);
+
+      const chips = [...container.querySelectorAll('.ticker-chip')];
+      expect(container.innerHTML).toContain('Mentioned tickers');
+      expect(chips.map(chip => chip.dataset.symbol)).toEqual(['ETERNAL', 'PAYTM']);
+      expect(chips[0].textContent).toContain('2');
+    });
+
+    it('should leave the chip row out when no meme mentions a stock', () => {
+      panel.render([meme('Just vibes', 1)]);
+
+      expect(container.querySelector('.ticker-chips')).toBeNull();
+    });
+
+    it('should report chip clicks and clear the selection on a second click', () => {
+      const onTickerSelect = vi.fn();
+      panel = new MemePanel('test-meme-panel', onTickerSelect);
+
+      panel.render(memes);
+      container.querySelector('[data-symbol="PAYTM"]').click();
+      panel.render(memes, [], { selectedTicker: 'PAYTM' });
+      container.querySelector('[data-symbol="PAYTM"]').click();
+
+      expect(onTickerSelect.mock.calls).toEqual([['PAYTM'], [null]]);
+    });
+
+    it('should describe the selected ticker\'s correlation', () => {
+      panel.render(memes, [], { selectedTicker: 'ETERNAL', tickerCorrelation: { symbol: 'ETERNAL', loading: true } });
+      expect(container.querySelector('.ticker-correlation').textContent).toContain('Loading ETERNAL prices');
+
+      const result = { coefficient: 0.71, pValue: 0.002, significant: true, sampleSize: 20 };
+      panel.render(memes, [], { selectedTicker: 'ETERNAL', tickerCorrelation: { symbol: 'ETERNAL', loading: false, error: null, result } });
+      const text = container.querySelector('.ticker-correlation').textContent;
+      expect(text).toContain('memes mention ETERNAL more when it is volatile');
+      expect(text).toContain('n = 20');
+    });
+  });
 });
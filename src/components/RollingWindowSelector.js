@@ -0,0 +1,127 @@
+/**
+ * RollingWindowSelector - Component for choosing the rolling correlation window size
+ * Renders a compact dropdown next to the correlation chart
+ */
+
+import { ROLLING_WINDOW_OPTIONS, DEFAULT_ROLLING_WINDOW } from '../config/timeRanges.js';
+
+export class RollingWindowSelector {
+  /**
+   * Create a new RollingWindowSelector instance
+   * @param {string} containerId - ID of the container element
+   * @param {Function} onWindowChange - Callback function when the window size changes
+   */
+  constructor(containerId, onWindowChange) {
+    this.containerId = containerId;
+    this.onWindowChange = onWindowChange;
+    this.currentWindow = DEFAULT_ROLLING_WINDOW;
+
+    // Available window sizes
+    this.windowOptions = [...ROLLING_WINDOW_OPTIONS];
+
+    this._initialize();
+  }
+
+  /**
+   * Initialize the component and render the UI
+   * @private
+   */
+  _initialize() {
+    this.render();
+    this._setupEventListeners();
+  }
+
+  /**
+   * Render the window selector UI
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      console.error(`RollingWindowSelector: Container with id '${this.containerId}' not found`);
+      return;
+    }
+
+    const optionsHtml = this.windowOptions.map(size => `
+      <option value="${size}" ${size === this.currentWindow ? 'selected' : ''}>${size}</option>
+    `).join('');
+
+    container.innerHTML = `
+      <label class="flex items-center gap-2 text-xs text-slate-400">
+        Rolling window
+        <select class="rolling-window-select" aria-label="Rolling correlation window">
+          ${optionsHtml}
+        </select>
+      </label>
+    `;
+  }
+
+  /**
+   * Set up event listener for selection changes
+   * @private
+   */
+  _setupEventListeners() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    container.addEventListener('change', (event) => {
+      if (event.target.classList.contains('rolling-window-select')) {
+        this.handleWindowChange(parseInt(event.target.value, 10));
+      }
+    });
+  }
+
+  /**
+   * Handle window size change
+   * @param {number} newWindow - New window size
+   */
+  async handleWindowChange(newWindow) {
+    if (!this.windowOptions.includes(newWindow) || newWindow === this.currentWindow) {
+      return;
+    }
+
+    this.currentWindow = newWindow;
+
+    try {
+      if (this.onWindowChange && typeof this.onWindowChange === 'function') {
+        await this.onWindowChange(newWindow);
+      }
+    } catch (error) {
+      console.error('RollingWindowSelector: Error handling window change:', error);
+    }
+  }
+
+  /**
+   * Get the current window size
+   * @returns {number} Window size
+   */
+  getWindow() {
+    return this.currentWindow;
+  }
+
+  /**
+   * Set the window size programmatically without triggering the callback
+   * @param {number} window - Window size to select
+   */
+  setWindow(window) {
+    if (!this.windowOptions.includes(window)) {
+      console.warn(`RollingWindowSelector: Invalid window size ${window}`);
+      return;
+    }
+
+    this.currentWindow = window;
+    const select = document.querySelector(`#${this.containerId} .rolling-window-select`);
+    if (select) {
+      select.value = String(window);
+    }
+  }
+
+  /**
+   * Destroy the component and clean up
+   */
+  destroy() {
+    const container = document.getElementById(this.containerId);
+    if (container) {
+      container.innerHTML = '';
+    }
+  }
+}
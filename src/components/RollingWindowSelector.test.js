@@ -0,0 +1,90 @@
+/**
+ * Unit tests for RollingWindowSelector component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { RollingWindowSelector } from './RollingWindowSelector.js';
+
+describe('RollingWindowSelector', () => {
+  let container;
+  let selector;
+  let mockCallback;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'test-rolling-window';
+    document.body.appendChild(container);
+
+    mockCallback = vi.fn();
+  });
+
+  afterEach(() => {
+    if (selector) {
+      selector.destroy();
+    }
+    if (container && container.parentNode) {
+      container.parentNode.removeChild(container);
+    }
+  });
+
+  it('should render every window option with the default selected', () => {
+    selector = new RollingWindowSelector('test-rolling-window', mockCallback);
+
+    const select = container.querySelector('.rolling-window-select');
+    const values = Array.from(select.options).map(option => Number(option.value));
+    expect(values).toEqual([5, 10, 20]);
+    expect(select.value).toBe('10');
+    expect(selector.getWindow()).toBe(10);
+  });
+
+  it('should call the callback when the user picks a window', async () => {
+    selector = new RollingWindowSelector('test-rolling-window', mockCallback);
+    const select = container.querySelector('.rolling-window-select');
+
+    select.value = '20';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(mockCallback).toHaveBeenCalledWith(20);
+    expect(selector.getWindow()).toBe(20);
+  });
+
+  it('should ignore unsupported window sizes', async () => {
+    selector = new RollingWindowSelector('test-rolling-window', mockCallback);
+
+    await selector.handleWindowChange(7);
+
+    expect(mockCallback).not.toHaveBeenCalled();
+    expect(selector.getWindow()).toBe(10);
+  });
+
+  it('should set the window programmatically without calling back', () => {
+    selector = new RollingWindowSelector('test-rolling-window', mockCallback);
+
+    selector.setWindow(5);
+
+    expect(selector.getWindow()).toBe(5);
+    expect(container.querySelector('.rolling-window-select').value).toBe('5');
+    expect(mockCallback).not.toHaveBeenCalled();
+  });
+
+  it('should handle callback errors gracefully', async () => {
+    mockCallback.mockRejectedValue(new Error('Render failed'));
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    selector = new RollingWindowSelector('test-rolling-window', mockCallback);
+
+    await selector.handleWindowChange(5);
+
+    expect(consoleSpy).toHaveBeenCalled();
+    consoleSpy.mockRestore();
+  });
+
+  it('should handle missing container gracefully', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => {
+      selector = new RollingWindowSelector('non-existent', mockCallback);
+    }).not.toThrow();
+    consoleSpy.mockRestore();
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * SourceSelector - Component for editing the subreddits memes are read from
+ * Lists each source with its weight in the engagement aggregate and lets sources be added,
+ * after checking that the subreddit exists, or removed
+ */
+
+import { MAX_SOURCES, MAX_SOURCE_WEIGHT } from '../config/sources.js';
+import { getDefaultSources, normalizeSubredditName, validateSources } from '../utils/SourceConfig.js';
+
+export class SourceSelector {
+  /**
+   * Create a new SourceSelector instance
+   * @param {string} containerId - ID of the container element
+   * @param {Function} onSourcesChange - Callback with the new sources when they change
+   * @param {Function} validateSubreddit - Resolves a typed name to the subreddit's name as Reddit spells it, rejecting if it does not exist
+   */
+  constructor(containerId, onSourcesChange, validateSubreddit) {
+    this.containerId = containerId;
+    this.onSourcesChange = onSourcesChange;
+    this.validateSubreddit = validateSubreddit;
+    this.sources = getDefaultSources();
+    this.isValidating = false;
+    this.errorMessage = '';
+    this.draft = ''; // Name in the add field, kept while it is checked or rejected
+    this.localOnly = false;
+
+    this._initialize();
+  }
+
+  /**
+   * Initialize the component and render the UI
+   * @private
+   */
+  _initialize() {
+    this.render();
+    this._setupEventListeners();
+  }
+
+  /**
+   * Render the source list and the add form
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      console.error(`SourceSelector: Container with id '${this.containerId}' not found`);
+      return;
+    }
+
+    const canRemove = this.sources.length > 1;
+    const sourcesHtml = this.sources.map(({ subreddit, weight }) => `
+      <span class="source-item inline-flex items-center gap-1 rounded bg-slate-700 px-2 py-1 text-xs text-slate-200">
+        r/${this._escapeHtml(subreddit)}
+        <input
+          type="number"
+          class="source-weight w-12 rounded bg-slate-800 px-1 text-right"
+          data-subreddit="${this._escapeHtml(subreddit)}"
+          value="${weight}"
+          min="0"
+          max="${MAX_SOURCE_WEIGHT}"
+          step="0.5"
+          aria-label="Weight of r/${this._escapeHtml(subreddit)}"
+        />
+        <button
+          type="button"
+          class="source-remove px-1 text-slate-400 hover:text-red-400"
+          data-subreddit="${this._escapeHtml(subreddit)}"
+          aria-label="Remove r/${this._escapeHtml(subreddit)}"
+          ${canRemove ? '' : 'disabled'}
+        >&times;</button>
+      </span>
+    `).join('');
+
+    const canAdd = this.sources.length < MAX_SOURCES && !this.isValidating;
+
+    container.innerHTML = `
+      <div class="source-selector flex flex-col items-center gap-2" role="group" aria-label="Subreddit sources">
+        <div class="flex flex-wrap justify-center items-center gap-2">
+          <span class="text-xs text-slate-400">Sources</span>
+          ${sourcesHtml}
+          <form class="source-add-form inline-flex items-center gap-1">
+            <input
+              type="text"
+              class="source-add-input w-36 rounded bg-slate-800 px-2 py-1 text-xs text-slate-200"
+              placeholder="Add subreddit"
+              value="${this._escapeHtml(this.draft).replace(/"/g, '&quot;')}"
+              aria-label="Subreddit to add"
+              ${canAdd ? '' : 'disabled'}
+            />
+            <button type="submit" class="source-add-btn rounded bg-slate-700 px-2 py-1 text-xs text-slate-200" ${canAdd ? '' : 'disabled'}>
+              ${this.isValidating ? 'Checking...' : 'Add'}
+            </button>
+          </form>
+        </div>
+        ${this.errorMessage ? `
+          <div class="source-error text-xs text-red-400" role="alert">${this._escapeHtml(this.errorMessage)}</div>
+        ` : ''}
+        ${this.localOnly ? `
+          <div class="source-local-notice text-xs text-amber-400">
+            Sources are saved in this browser only; the archive collector and social MCP server keep using data/sources.json
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Set up event listeners for the weight inputs, remove buttons and add form
+   * @private
+   */
+  _setupEventListeners() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    // Use event delegation; the contents are re-rendered on every change
+    container.addEventListener('click', (event) => {
+      const button = event.target.closest('.source-remove');
+      if (button) {
+        this.removeSource(button.dataset.subreddit);
+      }
+    });
+
+    container.addEventListener('change', (event) => {
+      if (event.target.classList.contains('source-weight')) {
+        this.setWeight(event.target.dataset.subreddit, Number(event.target.value));
+      }
+    });
+
+    container.addEventListener('submit', (event) => {
+      if (event.target.classList.contains('source-add-form')) {
+        event.preventDefault();
+        this.addSource(event.target.querySelector('.source-add-input').value);
+      }
+    });
+  }
+
+  /**
+   * Add a subreddit after checking that it exists
+   * @param {string} name - Subreddit name as typed, with or without the r/ prefix
+   */
+  async addSource(name) {
+    if (this.isValidating) {
+      return;
+    }
+
+    this.draft = name;
+    let subreddit;
+    try {
+      subreddit = normalizeSubredditName(name);
+      if (this.sources.some(source => source.subreddit.toLowerCase() === subreddit.toLowerCase())) {
+        throw new Error(`r/${subreddit} is already a source`);
+      }
+
+      this.isValidating = true;
+      this.errorMessage = '';
+      this.render();
+      if (this.validateSubreddit) {
+        subreddit = await this.validateSubreddit(subreddit);
+      }
+    } catch (error) {
+      this.errorMessage = error.message;
+      return;
+    } finally {
+      this.isValidating = false;
+      this.render();
+    }
+
+    this.draft = '';
+    await this.handleSourcesChange([...this.sources, { subreddit, weight: 1 }]);
+  }
+
+  /**
+   * Remove a subreddit; the last one cannot be removed
+   * @param {string} subreddit - Subreddit name
+   */
+  async removeSource(subreddit) {
+    if (this.sources.length <= 1) {
+      return;
+    }
+    await this.handleSourcesChange(this.sources.filter(source => source.subreddit !== subreddit));
+  }
+
+  /**
+   * Change the weight of a subreddit
+   * @param {string} subreddit - Subreddit name
+   * @param {number} weight - New weight from 0 to MAX_SOURCE_WEIGHT
+   */
+  async setWeight(subreddit, weight) {
+    await this.handleSourcesChange(this.sources.map(source => (
+      source.subreddit === subreddit ? { ...source, weight } : source
+    )));
+  }
+
+  /**
+   * Handle source changes
+   * Invalid sources are rejected with a message and leave the current ones in place.
+   * @param {SourceConfig[]} newSources - New list of sources
+   */
+  async handleSourcesChange(newSources) {
+    try {
+      this.sources = validateSources(newSources);
+      this.errorMessage = '';
+    } catch (error) {
+      this.errorMessage = error.message;
+      this.render();
+      return;
+    }
+    this.render();
+
+    try {
+      if (this.onSourcesChange && typeof this.onSourcesChange === 'function') {
+        await this.onSourcesChange(this.getSources());
+      }
+    } catch (error) {
+      console.error('SourceSelector: Error handling source change:', error);
+    }
+  }
+
+  /**
+   * Get the current sources
+   * @returns {SourceConfig[]} Copy of the sources
+   */
+  getSources() {
+    return this.sources.map(source => ({ ...source }));
+  }
+
+  /**
+   * Set the sources programmatically without triggering the callback
+   * @param {SourceConfig[]} sources - Sources to show
+   */
+  setSources(sources) {
+    try {
+      this.sources = validateSources(sources);
+    } catch (error) {
+      console.warn(`SourceSelector: Invalid sources: ${error.message}`);
+      return;
+    }
+    this.errorMessage = '';
+    this.render();
+  }
+
+  /**
+   * Show or hide the notice that changes are not shared with the collector and MCP server
+   * @param {boolean} localOnly - True when sources are only saved in this browser
+   */
+  setLocalOnly(localOnly) {
+    this.localOnly = localOnly;
+    this.render();
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   * @private
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Destroy the component and clean up
+   */
+  destroy() {
+    const container = document.getElementById(this.containerId);
+    if (container) {
+      container.innerHTML = '';
+    }
+  }
+}
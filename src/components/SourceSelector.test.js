@@ -0,0 +1,136 @@
+/**
+ * Unit tests for SourceSelector component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { SourceSelector } from './SourceSelector.js';
+import { SourceConfigError } from '../utils/SourceConfig.js';
+
+describe('SourceSelector', () => {
+  let container;
+  let selector;
+  let mockCallback;
+  let mockValidate;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'test-source-selector';
+    document.body.appendChild(container);
+
+    mockCallback = vi.fn();
+    mockValidate = vi.fn(async name => name);
+  });
+
+  afterEach(() => {
+    if (selector) {
+      selector.destroy();
+    }
+    if (container && container.parentNode) {
+      container.parentNode.removeChild(container);
+    }
+  });
+
+  const submit = async (name) => {
+    container.querySelector('.source-add-input').value = name;
+    container.querySelector('.source-add-form').dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+  };
+
+  it('should render the default sources with their weights', () => {
+    selector = new SourceSelector('test-source-selector', mockCallback, mockValidate);
+
+    const weights = [...container.querySelectorAll('.source-weight')];
+    expect(weights.map(input => input.dataset.subreddit)).toEqual(['IndianDankMemes', 'indiameme', 'SaimanSays']);
+    expect(weights.map(input => input.value)).toEqual(['1', '1', '1']);
+  });
+
+  it('should add a subreddit once it is found to exist', async () => {
+    selector = new SourceSelector('test-source-selector', mockCallback, mockValidate);
+    mockValidate.mockResolvedValue('IndiaSpeaks');
+
+    await submit('r/indiaspeaks');
+
+    expect(mockValidate).toHaveBeenCalledWith('indiaspeaks');
+    expect(mockCallback).toHaveBeenCalledWith(expect.arrayContaining([{ subreddit: 'IndiaSpeaks', weight: 1 }]));
+    expect(container.textContent).toContain('r/IndiaSpeaks');
+    expect(container.querySelector('.source-add-input').value).toBe('');
+  });
+
+  it('should show why a subreddit was not added and keep the typed name', async () => {
+    selector = new SourceSelector('test-source-selector', mockCallback, mockValidate);
+    mockValidate.mockRejectedValue(new SourceConfigError('r/nosuchsub does not exist'));
+
+    await submit('nosuchsub');
+
+    expect(container.querySelector('.source-error').textContent).toContain('r/nosuchsub does not exist');
+    expect(container.querySelector('.source-add-input').value).toBe('nosuchsub');
+    expect(selector.getSources()).toHaveLength(3);
+    expect(mockCallback).not.toHaveBeenCalled();
+  });
+
+  it('should reject invalid and repeated names without checking Reddit', async () => {
+    selector = new SourceSelector('test-source-selector', mockCallback, mockValidate);
+
+    await submit('no spaces');
+    expect(container.querySelector('.source-error').textContent).toContain('not a valid subreddit name');
+
+    await submit('INDIAMEME');
+    expect(container.querySelector('.source-error').textContent).toContain('already a source');
+
+    expect(mockValidate).not.toHaveBeenCalled();
+    expect(mockCallback).not.toHaveBeenCalled();
+  });
+
+  it('should remove a subreddit but never the last one', async () => {
+    selector = new SourceSelector('test-source-selector', mockCallback, mockValidate);
+    selector.setSources([{ subreddit: 'indiameme', weight: 1 }, { subreddit: 'SaimanSays', weight: 1 }]);
+
+    container.querySelector('.source-remove[data-subreddit="indiameme"]').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(mockCallback).toHaveBeenCalledWith([{ subreddit: 'SaimanSays', weight: 1 }]);
+    expect(container.querySelector('.source-remove').disabled).toBe(true);
+    await selector.removeSource('SaimanSays');
+    expect(mockCallback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should change weights and reject weights out of range', async () => {
+    selector = new SourceSelector('test-source-selector', mockCallback, mockValidate);
+    const input = container.querySelector('.source-weight[data-subreddit="indiameme"]');
+
+    input.value = '2.5';
+    input.dispatchEvent(new Event('change', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(mockCallback).toHaveBeenCalledWith([
+      { subreddit: 'IndianDankMemes', weight: 1 },
+      { subreddit: 'indiameme', weight: 2.5 },
+      { subreddit: 'SaimanSays', weight: 1 }
+    ]);
+
+    await selector.setWeight('indiameme', 50);
+    expect(container.querySelector('.source-error').textContent).toContain('Weight of r/indiameme');
+    expect(selector.getSources()[1].weight).toBe(2.5);
+    expect(mockCallback).toHaveBeenCalledTimes(1);
+  });
+
+  it('should set sources without triggering the callback', () => {
+    selector = new SourceSelector('test-source-selector', mockCallback, mockValidate);
+
+    selector.setSources([{ subreddit: 'IndiaSpeaks', weight: 4 }]);
+
+    expect(selector.getSources()).toEqual([{ subreddit: 'IndiaSpeaks', weight: 4 }]);
+    expect(container.querySelector('.source-weight').value).toBe('4');
+    expect(mockCallback).not.toHaveBeenCalled();
+  });
+
+  it('should say when sources are only saved in this browser', () => {
+    selector = new SourceSelector('test-source-selector', mockCallback, mockValidate);
+    expect(container.querySelector('.source-local-notice')).toBeNull();
+
+    selector.setLocalOnly(true);
+    selector.setSources([{ subreddit: 'IndiaSpeaks', weight: 1 }]);
+
+    expect(container.querySelector('.source-local-notice').textContent).toContain('this browser only');
+  });
+});
@@ -1,8 +1,11 @@
 /**
  * StockPanel - Component for displaying stock market information
- * Shows current NIFTY 50 value, daily change, volatility metrics, and trading data
+ * Shows current index value, daily change, volatility metrics, and trading data
+ * Defaults to NIFTY 50 and can list other selected indices for comparison
  */
 
+import { DEFAULT_VOLATILITY_ESTIMATOR, getVolatilityEstimator, formatVolatility } from '../utils/VolatilityEstimators.js';
+
 export class StockPanel {
   /**
    * Create a new StockPanel instance
@@ -12,6 +15,8 @@ export class StockPanel {
     this.containerId = containerId;
     this.container = null;
     this.longLoadingTimeout = null;
+    this.indexName = 'NIFTY 50';
+    this.volatilityEstimator = DEFAULT_VOLATILITY_ESTIMATOR;
   }
 
   /**
@@ -49,9 +54,17 @@ export class StockPanel {
    * Render the stock panel with data
    * @param {StockData[]} stockData - Array of stock data points
    * @param {VolatilityPoint[]} volatilityData - Array of volatility data points
+   * @param {Object} options - Display options
+   * @param {string} options.indexName - Name of the index shown in the header (default: 'NIFTY 50')
+   * @param {Array<{name: string, stockData: StockData[]}>} options.comparisons - Other selected indices
+   * @param {string} options.volatilityEstimator - Estimator id, used to format volatility values
    */
-  render(stockData, volatilityData) {
+  render(stockData, volatilityData, options = {}) {
     this.hideLoading();
+    if (options.indexName) {
+      this.indexName = options.indexName;
+    }
+    this.volatilityEstimator = options.volatilityEstimator || DEFAULT_VOLATILITY_ESTIMATOR;
     this.container = document.getElementById(this.containerId);
     if (!this.container) {
       console.warn(`Container element with id "${this.containerId}" not found - skipping render`);
@@ -74,7 +87,7 @@ export class StockPanel {
     const avgVolatility = this._calculate7DayAvgVolatility(volatilityData);
 
     // Render panel HTML
-    this.container.innerHTML = this._renderPanel(currentData, dailyChange, avgVolatility);
+    this.container.innerHTML = this._renderPanel(currentData, dailyChange, avgVolatility, options.comparisons || []);
   }
 
   /**
@@ -139,15 +152,19 @@ export class StockPanel {
    * @param {StockData} currentData - Current day stock data
    * @param {number} dailyChange - Daily change percentage
    * @param {number} avgVolatility - 7-day average volatility
+   * @param {Array<{name: string, stockData: StockData[]}>} comparisons - Other selected indices
    * @returns {string} HTML string
    */
-  _renderPanel(currentData, dailyChange, avgVolatility) {
+  _renderPanel(currentData, dailyChange, avgVolatility, comparisons = []) {
     const changeFormatted = this.formatPercentage(dailyChange);
-    const volatilityFormatted = this.formatPercentage(avgVolatility);
+    // Point-based estimators (ATR) are shown in their own units rather than as a signed percentage
+    const volatilityFormatted = getVolatilityEstimator(this.volatilityEstimator)?.unit === '%'
+      ? this.formatPercentage(avgVolatility)
+      : { formatted: formatVolatility(avgVolatility, this.volatilityEstimator), colorClass: 'text-slate-100' };
 
     return `
       <div class="panel">
-        <h2 class="panel-header">NIFTY 50</h2>
+        <h2 class="panel-header">${this.indexName}</h2>
         
         <!-- Current Value -->
         <div class="mb-4 sm:mb-6">
@@ -188,6 +205,44 @@ export class StockPanel {
             </div>
           </div>
         </div>
+
+        ${this._renderComparisons(comparisons)}
+      </div>
+    `;
+  }
+
+  /**
+   * Render latest value and daily change for other selected indices
+   * @private
+   * @param {Array<{name: string, stockData: StockData[]}>} comparisons - Other selected indices
+   * @returns {string} HTML string (empty when there is nothing to compare)
+   */
+  _renderComparisons(comparisons) {
+    const rows = comparisons
+      .filter(comparison => comparison.stockData && comparison.stockData.length > 0)
+      .map(comparison => {
+        const latest = comparison.stockData[comparison.stockData.length - 1];
+        const change = this.formatPercentage(this._calculateDailyChange(latest.open, latest.close));
+
+        return `
+          <div class="flex justify-between items-center text-sm">
+            <span class="text-slate-300 font-medium">${comparison.name}</span>
+            <span class="text-slate-100">
+              ${this.formatCurrency(latest.close)}
+              <span class="${change.colorClass} ml-2">${change.formatted}</span>
+            </span>
+          </div>
+        `;
+      });
+
+    if (rows.length === 0) {
+      return '';
+    }
+
+    return `
+      <div class="mt-4 sm:mt-6 pt-4 border-t border-slate-700 space-y-2">
+        <div class="metric-label">Compared Indices</div>
+        ${rows.join('')}
       </div>
     `;
   }
@@ -217,7 +272,7 @@ export class StockPanel {
   _renderEmptyState() {
     return `
       <div class="panel">
-        <h2 class="panel-header">NIFTY 50</h2>
+        <h2 class="panel-header">${this.indexName}</h2>
         <div class="text-slate-400 text-center py-8">
           No stock data available
         </div>
@@ -234,7 +289,7 @@ export class StockPanel {
   _renderLoadingState(message) {
     return `
       <div class="panel">
-        <h2 class="panel-header">NIFTY 50</h2>
+        <h2 class="panel-header">${this.indexName}</h2>
         <div class="flex flex-col items-center justify-center py-8 sm:py-12">
           <div class="loading-spinner mb-4"></div>
           <div class="text-slate-300 text-sm font-medium text-center">
@@ -129,6 +129,53 @@ describe('StockPanel', () => {
       expect(container.innerHTML).toContain('7-Day Avg Volatility');
       expect(container.innerHTML).toContain('+2.60%');
     });
+
+    it('should show point-based volatility estimators in index points', () => {
+      const stockData = [
+        { date: new Date('2024-01-01'), open: 21000, high: 21500, low: 20800, close: 21300, volume: 150000000 }
+      ];
+      const volatilityData = [
+        { date: new Date('2023-12-29'), volatility: 180 },
+        { date: new Date('2024-01-01'), volatility: 220 }
+      ];
+
+      panel.render(stockData, volatilityData, { volatilityEstimator: 'atr' });
+
+      expect(container.innerHTML).toContain('200.00 pts');
+      expect(container.innerHTML).not.toContain('+200.00%');
+    });
+
+    it('should label the panel with the selected index name', () => {
+      const stockData = [
+        { date: new Date('2024-01-01'), open: 71000, high: 71500, low: 70800, close: 71300, volume: 0 }
+      ];
+
+      panel.render(stockData, [], { indexName: 'SENSEX' });
+
+      expect(container.querySelector('.panel-header').textContent).toBe('SENSEX');
+      expect(container.innerHTML).not.toContain('NIFTY 50');
+    });
+
+    it('should list compared indices with latest close and change', () => {
+      const stockData = [
+        { date: new Date('2024-01-01'), open: 21000, high: 21500, low: 20800, close: 21300, volume: 150000000 }
+      ];
+      const comparisons = [
+        {
+          name: 'NIFTY Bank',
+          stockData: [{ date: new Date('2024-01-01'), open: 48000, high: 48500, low: 47500, close: 47520, volume: 1000 }]
+        },
+        { name: 'NIFTY IT', stockData: [] }
+      ];
+
+      panel.render(stockData, [], { comparisons });
+
+      expect(container.innerHTML).toContain('Compared Indices');
+      expect(container.innerHTML).toContain('NIFTY Bank');
+      expect(container.innerHTML).toContain('₹47,520.00');
+      expect(container.innerHTML).toContain('-1.00%');
+      expect(container.innerHTML).not.toContain('NIFTY IT');
+    });
   });
 
   describe('formatCurrency', () => {
@@ -1,8 +1,11 @@
 /**
  * TimeRangeFilter - Component for selecting time range periods
- * Provides buttons for 7, 30, and 90 day time ranges with active state management
+ * Provides buttons for 1, 3, 7, 30, and 90 day time ranges with active state management
+ * The 1 and 3 day ranges use intraday data (see config/timeRanges.js)
  */
 
+import { TIME_RANGE_OPTIONS } from '../config/timeRanges.js';
+
 export class TimeRangeFilter {
   /**
    * Create a new TimeRangeFilter instance
@@ -16,11 +19,7 @@ export class TimeRangeFilter {
     this.isLoading = false;
     
     // Available time range options
-    this.timeRangeOptions = [
-      { value: 7, label: '7 Days', shortLabel: '7D' },
-      { value: 30, label: '30 Days', shortLabel: '30D' },
-      { value: 90, label: '90 Days', shortLabel: '90D' }
-    ];
+    this.timeRangeOptions = TIME_RANGE_OPTIONS.map(option => ({ ...option }));
     
     this._initialize();
   }
@@ -54,6 +53,7 @@ export class TimeRangeFilter {
         <button 
           class="time-range-btn ${activeClass}" 
           data-range="${option.value}" 
+          data-granularity="${option.granularity}" 
           role="tab" 
           aria-selected="${ariaSelected}"
           ${this.isLoading ? 'disabled' : ''}
@@ -182,14 +182,15 @@ export class TimeRangeFilter {
 
   /**
    * Set the time range programmatically
-   * @param {number} timeRange - Time range in days (7, 30, or 90)
+   * @param {number} timeRange - Time range in days (1, 3, 7, 30, or 90)
    */
   setTimeRange(timeRange) {
     if (this.timeRangeOptions.some(option => option.value === timeRange)) {
       this.currentTimeRange = timeRange;
       this._updateButtonStates();
     } else {
-      console.warn(`TimeRangeFilter: Invalid time range ${timeRange}. Valid options: 7, 30, 90`);
+      const validOptions = this.timeRangeOptions.map(option => option.value).join(', ');
+      console.warn(`TimeRangeFilter: Invalid time range ${timeRange}. Valid options: ${validOptions}`);
     }
   }
 
@@ -39,15 +39,23 @@ describe('TimeRangeFilter', () => {
       expect(container.innerHTML).toContain('30 Days');
     });
 
-    it('should render all three time range options', () => {
+    it('should render all five time range options', () => {
       timeRangeFilter = new TimeRangeFilter('test-time-range-filter', mockCallback);
       
       const buttons = container.querySelectorAll('.time-range-btn');
-      expect(buttons).toHaveLength(3);
+      expect(buttons).toHaveLength(5);
       
       // Check that all expected ranges are present
       const ranges = Array.from(buttons).map(btn => parseInt(btn.dataset.range));
-      expect(ranges).toEqual([7, 30, 90]);
+      expect(ranges).toEqual([1, 3, 7, 30, 90]);
+    });
+
+    it('should mark intraday ranges with hourly granularity', () => {
+      timeRangeFilter = new TimeRangeFilter('test-time-range-filter', mockCallback);
+      
+      const granularities = Array.from(container.querySelectorAll('.time-range-btn'))
+        .map(btn => btn.dataset.granularity);
+      expect(granularities).toEqual(['hour', 'hour', 'day', 'day', 'day']);
     });
 
     it('should mark 30-day button as active by default', () => {
@@ -196,9 +204,10 @@ describe('TimeRangeFilter', () => {
     it('should return available time range options', () => {
       const options = timeRangeFilter.getTimeRangeOptions();
       
-      expect(options).toHaveLength(3);
-      expect(options.map(opt => opt.value)).toEqual([7, 30, 90]);
-      expect(options.map(opt => opt.label)).toEqual(['7 Days', '30 Days', '90 Days']);
+      expect(options).toHaveLength(5);
+      expect(options.map(opt => opt.value)).toEqual([1, 3, 7, 30, 90]);
+      expect(options.map(opt => opt.label)).toEqual(['1 Day', '3 Days', '7 Days', '30 Days', '90 Days']);
+      expect(options.map(opt => opt.interval)).toEqual(['15m', '1h', '1d', '1d', '1d']);
     });
   });
 
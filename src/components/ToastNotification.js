@@ -286,6 +286,26 @@ export class ToastNotification {
     }, 300);
   }
 
+  /**
+   * Replace the message of an active toast, e.g. to tick a countdown
+   * @param {string} toastId - Toast ID to update
+   * @param {string} message - New message
+   * @returns {boolean} True if the toast is still active
+   */
+  update(toastId, message) {
+    const toast = this.toasts.get(toastId);
+    if (!toast) {
+      return false;
+    }
+
+    const messageElement = toast.element.querySelector('p');
+    if (messageElement) {
+      messageElement.textContent = message;
+    }
+    toast.message = message;
+    return true;
+  }
+
   /**
    * Dismiss all toast notifications
    */
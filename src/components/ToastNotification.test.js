@@ -186,6 +186,22 @@ describe('ToastNotification', () => {
     });
   });
 
+  describe('Toast Updates', () => {
+    it('should replace the message of an active toast', () => {
+      const toastId = toastNotification.showWarning('Next request in 3s', { persistent: true });
+      
+      expect(toastNotification.update(toastId, 'Next request in <2s>')).toBe(true);
+      
+      const toastElement = document.getElementById(toastId);
+      expect(toastElement.textContent).toContain('Next request in <2s>');
+      expect(toastElement.innerHTML).not.toContain('<2s>');
+    });
+
+    it('should report toasts that are no longer active', () => {
+      expect(toastNotification.update('non-existent-toast', 'Message')).toBe(false);
+    });
+  });
+
   describe('Retry Functionality', () => {
     it('should execute retry callback and dismiss toast', () => {
       const retryCallback = vi.fn();
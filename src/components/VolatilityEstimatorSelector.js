@@ -0,0 +1,140 @@
+/**
+ * VolatilityEstimatorSelector - Component for choosing how volatility is estimated
+ * Renders a compact dropdown next to the correlation chart
+ */
+
+import { DEFAULT_VOLATILITY_ESTIMATOR, getSupportedVolatilityEstimators } from '../utils/VolatilityEstimators.js';
+
+export class VolatilityEstimatorSelector {
+  /**
+   * Create a new VolatilityEstimatorSelector instance
+   * @param {string} containerId - ID of the container element
+   * @param {Function} onEstimatorChange - Callback function when the estimator changes
+   */
+  constructor(containerId, onEstimatorChange) {
+    this.containerId = containerId;
+    this.onEstimatorChange = onEstimatorChange;
+    this.currentEstimator = DEFAULT_VOLATILITY_ESTIMATOR;
+
+    // Available estimators
+    this.estimatorOptions = getSupportedVolatilityEstimators().map(estimator => ({
+      id: estimator.id,
+      name: estimator.name
+    }));
+
+    this._initialize();
+  }
+
+  /**
+   * Initialize the component and render the UI
+   * @private
+   */
+  _initialize() {
+    this.render();
+    this._setupEventListeners();
+  }
+
+  /**
+   * Render the estimator selector UI
+   */
+  render() {
+    const container = document.getElementById(this.containerId);
+    if (!container) {
+      console.error(`VolatilityEstimatorSelector: Container with id '${this.containerId}' not found`);
+      return;
+    }
+
+    const optionsHtml = this.estimatorOptions.map(option => `
+      <option value="${option.id}" ${option.id === this.currentEstimator ? 'selected' : ''}>${option.name}</option>
+    `).join('');
+
+    container.innerHTML = `
+      <label class="flex items-center gap-2 text-xs text-slate-400">
+        Volatility
+        <select class="estimator-select" aria-label="Volatility estimator">
+          ${optionsHtml}
+        </select>
+      </label>
+    `;
+  }
+
+  /**
+   * Set up event listener for selection changes
+   * @private
+   */
+  _setupEventListeners() {
+    const container = document.getElementById(this.containerId);
+    if (!container) return;
+
+    container.addEventListener('change', (event) => {
+      if (event.target.classList.contains('estimator-select')) {
+        this.handleEstimatorChange(event.target.value);
+      }
+    });
+  }
+
+  /**
+   * Handle estimator change
+   * @param {string} newEstimator - New estimator id
+   */
+  async handleEstimatorChange(newEstimator) {
+    if (!this._isSupported(newEstimator) || newEstimator === this.currentEstimator) {
+      return;
+    }
+
+    this.currentEstimator = newEstimator;
+
+    try {
+      if (this.onEstimatorChange && typeof this.onEstimatorChange === 'function') {
+        await this.onEstimatorChange(newEstimator);
+      }
+    } catch (error) {
+      console.error('VolatilityEstimatorSelector: Error handling estimator change:', error);
+    }
+  }
+
+  /**
+   * Get the current estimator id
+   * @returns {string} Estimator id
+   */
+  getEstimator() {
+    return this.currentEstimator;
+  }
+
+  /**
+   * Set the estimator programmatically without triggering the callback
+   * @param {string} estimator - Estimator id to select
+   */
+  setEstimator(estimator) {
+    if (!this._isSupported(estimator)) {
+      console.warn(`VolatilityEstimatorSelector: Invalid estimator ${estimator}`);
+      return;
+    }
+
+    this.currentEstimator = estimator;
+    const select = document.querySelector(`#${this.containerId} .estimator-select`);
+    if (select) {
+      select.value = estimator;
+    }
+  }
+
+  /**
+   * Check whether an estimator id is one of the options
+   * @private
+   * @param {string} estimator - Estimator id
+   * @returns {boolean} True if supported
+   */
+  _isSupported(estimator) {
+    return this.estimatorOptions.some(option => option.id === estimator);
+  }
+
+  /**
+   * Destroy the component and clean up
+   */
+  destroy() {
+    const container = document.getElementById(this.containerId);
+    if (container) {
+      container.innerHTML = '';
+    }
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Unit tests for VolatilityEstimatorSelector component
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { VolatilityEstimatorSelector } from './VolatilityEstimatorSelector.js';
+
+describe('VolatilityEstimatorSelector', () => {
+  let container;
+  let selector;
+  let mockCallback;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.id = 'test-estimator';
+    document.body.appendChild(container);
+
+    mockCallback = vi.fn();
+  });
+
+  afterEach(() => {
+    if (selector) {
+      selector.destroy();
+    }
+    if (container && container.parentNode) {
+      container.parentNode.removeChild(container);
+    }
+  });
+
+  it('should render every estimator with the legacy score selected', () => {
+    selector = new VolatilityEstimatorSelector('test-estimator', mockCallback);
+
+    const select = container.querySelector('.estimator-select');
+    const values = Array.from(select.options).map(option => option.value);
+    expect(values).toEqual(['legacy', 'close-to-close', 'parkinson', 'garman-klass', 'rogers-satchell', 'atr']);
+    expect(select.value).toBe('legacy');
+    expect(selector.getEstimator()).toBe('legacy');
+  });
+
+  it('should call the callback when the user picks an estimator', async () => {
+    selector = new VolatilityEstimatorSelector('test-estimator', mockCallback);
+    const select = container.querySelector('.estimator-select');
+
+    select.value = 'parkinson';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(mockCallback).toHaveBeenCalledWith('parkinson');
+    expect(selector.getEstimator()).toBe('parkinson');
+  });
+
+  it('should ignore unsupported estimators', async () => {
+    selector = new VolatilityEstimatorSelector('test-estimator', mockCallback);
+
+    await selector.handleEstimatorChange('yang-zhang');
+
+    expect(mockCallback).not.toHaveBeenCalled();
+    expect(selector.getEstimator()).toBe('legacy');
+  });
+
+  it('should set the estimator programmatically without calling back', () => {
+    selector = new VolatilityEstimatorSelector('test-estimator', mockCallback);
+
+    selector.setEstimator('atr');
+
+    expect(selector.getEstimator()).toBe('atr');
+    expect(container.querySelector('.estimator-select').value).toBe('atr');
+    expect(mockCallback).not.toHaveBeenCalled();
+  });
+
+  it('should handle callback errors gracefully', async () => {
+    mockCallback.mockRejectedValue(new Error('Render failed'));
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    selector = new VolatilityEstimatorSelector('test-estimator', mockCallback);
+
+    await selector.handleEstimatorChange('garman-klass');
+
+    expect(consoleSpy).toHaveBeenCalled();
+    consoleSpy.mockRestore();
+  });
+
+  it('should handle missing container gracefully', () => {
+    const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(() => {
+      selector = new VolatilityEstimatorSelector('non-existent', mockCallback);
+    }).not.toThrow();
+    consoleSpy.mockRestore();
+  });
+});
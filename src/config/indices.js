@@ -0,0 +1,73 @@
+/**
+ * Indices - Registry of supported Indian market indices
+ * Maps Yahoo Finance symbols to display names used across the dashboard
+ */
+
+/**
+ * Supported indices keyed by Yahoo Finance symbol
+ * @type {Object<string, IndexInfo>}
+ */
+export const INDEX_REGISTRY = {
+  '^NSEI': {
+    symbol: '^NSEI',
+    name: 'NIFTY 50',
+    shortName: 'NIFTY',
+    exchange: 'NSE'
+  },
+  '^BSESN': {
+    symbol: '^BSESN',
+    name: 'SENSEX',
+    shortName: 'SENSEX',
+    exchange: 'BSE'
+  },
+  '^NSEBANK': {
+    symbol: '^NSEBANK',
+    name: 'NIFTY Bank',
+    shortName: 'BANK',
+    exchange: 'NSE'
+  },
+  '^CNXIT': {
+    symbol: '^CNXIT',
+    name: 'NIFTY IT',
+    shortName: 'IT',
+    exchange: 'NSE'
+  },
+  '^INDIAVIX': {
+    symbol: '^INDIAVIX',
+    name: 'India VIX',
+    shortName: 'VIX',
+    exchange: 'NSE'
+  }
+};
+
+/**
+ * Symbol used when no index has been selected
+ * @type {string}
+ */
+export const DEFAULT_INDEX = '^NSEI';
+
+/**
+ * Get registry entry for an index symbol
+ * @param {string} symbol - Yahoo Finance symbol (e.g. '^NSEI')
+ * @returns {IndexInfo|null} Index info or null if the symbol is not supported
+ */
+export function getIndexInfo(symbol) {
+  return isSupportedIndex(symbol) ? INDEX_REGISTRY[symbol] : null;
+}
+
+/**
+ * Check whether an index symbol is supported
+ * @param {string} symbol - Yahoo Finance symbol
+ * @returns {boolean} True if the symbol is in the registry
+ */
+export function isSupportedIndex(symbol) {
+  return Object.prototype.hasOwnProperty.call(INDEX_REGISTRY, symbol);
+}
+
+/**
+ * Get all supported indices in display order
+ * @returns {IndexInfo[]} Array of index info objects
+ */
+export function getSupportedIndices() {
+  return Object.values(INDEX_REGISTRY);
+}
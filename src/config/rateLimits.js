@@ -0,0 +1,45 @@
+/**
+ * RateLimits - Request budgets for the external data sources
+ * Each upstream host gets its own token bucket; requests through the dev proxy count
+ * against the host they are forwarded to
+ */
+
+/**
+ * Host serving Yahoo Finance chart data
+ * @type {string}
+ */
+export const YAHOO_FINANCE_HOST = 'query1.finance.yahoo.com';
+
+/**
+ * Host serving Reddit listings
+ * @type {string}
+ */
+export const REDDIT_HOST = 'www.reddit.com';
+
+/**
+ * Token bucket settings per host
+ * - label: name shown to the user while requests are held back
+ * - capacity: requests that may be sent in a burst
+ * - refillPerSecond: sustained request rate
+ * @type {Object<string, {label: string, capacity: number, refillPerSecond: number}>}
+ */
+export const RATE_LIMITS = {
+  [YAHOO_FINANCE_HOST]: { label: 'Yahoo Finance', capacity: 10, refillPerSecond: 2 },
+  // Unauthenticated Reddit clients get roughly 10 requests per minute
+  [REDDIT_HOST]: { label: 'Reddit', capacity: 6, refillPerSecond: 10 / 60 }
+};
+
+/**
+ * Settings for hosts without an entry in RATE_LIMITS
+ * @type {{capacity: number, refillPerSecond: number}}
+ */
+export const DEFAULT_RATE_LIMIT = { capacity: 5, refillPerSecond: 1 };
+
+/**
+ * Get the name of a host to show to the user
+ * @param {string} host - Host name
+ * @returns {string} Display label, or the host itself if it has none
+ */
+export function getHostLabel(host) {
+  return RATE_LIMITS[host]?.label || host;
+}
@@ -0,0 +1,30 @@
+/**
+ * Sources - Default subreddit sources and their limits
+ * The dashboard, the archive collector and the social MCP server use these until a source
+ * configuration has been saved (see SourceConfig.js)
+ */
+
+import { RATE_LIMITS, REDDIT_HOST } from './rateLimits.js';
+
+/**
+ * Subreddits read when no configuration was saved, each with its weight in the engagement aggregate
+ * @type {SourceConfig[]}
+ */
+export const DEFAULT_SOURCES = [
+  { subreddit: 'IndianDankMemes', weight: 1 },
+  { subreddit: 'indiameme', weight: 1 },
+  { subreddit: 'SaimanSays', weight: 1 }
+];
+
+/**
+ * Most subreddits in a configuration: one listing page each fits Reddit's burst, so a load
+ * never waits on the rate limit (RedditAPI reads fewer pages per subreddit as sources are added)
+ * @type {number}
+ */
+export const MAX_SOURCES = RATE_LIMITS[REDDIT_HOST].capacity;
+
+/**
+ * Highest weight of a source; the lowest is 0, which keeps its memes on display but out of the engagement aggregate
+ * @type {number}
+ */
+export const MAX_SOURCE_WEIGHT = 10;
@@ -0,0 +1,95 @@
+/**
+ * Tickers - Alias dictionary for stocks that memes mention by name
+ * Covers the NIFTY 50 constituents as of the September 2025 reconstitution, plus a few
+ * heavily memed stocks outside the index. Update the entries when NSE reshuffles the index.
+ */
+
+/**
+ * Stocks keyed by NSE symbol
+ * Aliases are lower-case words or phrases as they appear in titles. Common words that
+ * double as company names (e.g. "titan", "indigo") are left out, so those stocks are
+ * only matched by their upper-case symbol.
+ * @type {Object<string, TickerInfo>}
+ */
+export const TICKER_REGISTRY = Object.fromEntries([
+  ['ADANIENT', 'Adani Enterprises', ['adani', 'adani enterprises', 'gautam adani']],
+  ['ADANIPORTS', 'Adani Ports & SEZ', ['adani ports', 'adani port']],
+  ['APOLLOHOSP', 'Apollo Hospitals', ['apollo hospitals', 'apollo hospital']],
+  ['ASIANPAINT', 'Asian Paints', ['asian paints', 'asian paint']],
+  ['AXISBANK', 'Axis Bank', ['axis bank']],
+  ['BAJAJ-AUTO', 'Bajaj Auto', ['bajaj auto']],
+  ['BAJFINANCE', 'Bajaj Finance', ['bajaj finance']],
+  ['BAJAJFINSV', 'Bajaj Finserv', ['bajaj finserv']],
+  ['BEL', 'Bharat Electronics', ['bharat electronics']],
+  ['BHARTIARTL', 'Bharti Airtel', ['airtel', 'bharti airtel']],
+  ['CIPLA', 'Cipla', ['cipla']],
+  ['COALINDIA', 'Coal India', ['coal india']],
+  ['DRREDDY', "Dr. Reddy's Laboratories", ['dr reddy', 'dr reddys']],
+  ['EICHERMOT', 'Eicher Motors', ['eicher', 'royal enfield']],
+  ['ETERNAL', 'Eternal (Zomato)', ['zomato', 'blinkit']],
+  ['GRASIM', 'Grasim Industries', ['grasim']],
+  ['HCLTECH', 'HCLTech', ['hcl', 'hcl tech', 'hcltech']],
+  ['HDFCBANK', 'HDFC Bank', ['hdfc', 'hdfc bank']],
+  ['HDFCLIFE', 'HDFC Life', ['hdfc life']],
+  ['HINDALCO', 'Hindalco Industries', ['hindalco']],
+  ['HINDUNILVR', 'Hindustan Unilever', ['hul', 'hindustan unilever']],
+  ['ICICIBANK', 'ICICI Bank', ['icici', 'icici bank']],
+  ['INDIGO', 'InterGlobe Aviation (IndiGo)', ['interglobe', 'indigo airlines']],
+  ['INFY', 'Infosys', ['infosys', 'infy']],
+  ['ITC', 'ITC', ['itc']],
+  ['JIOFIN', 'Jio Financial Services', ['jio financial', 'jio finance', 'jiofin']],
+  ['JSWSTEEL', 'JSW Steel', ['jsw', 'jsw steel']],
+  ['KOTAKBANK', 'Kotak Mahindra Bank', ['kotak', 'kotak bank', 'kotak mahindra']],
+  ['LT', 'Larsen & Toubro', ['l&t', 'larsen', 'larsen & toubro']],
+  ['M&M', 'Mahindra & Mahindra', ['m&m', 'mahindra', 'mahindra & mahindra']],
+  ['MARUTI', 'Maruti Suzuki', ['maruti', 'maruti suzuki']],
+  ['MAXHEALTH', 'Max Healthcare', ['max healthcare']],
+  ['NESTLEIND', 'Nestle India', ['nestle', 'maggi']],
+  ['NTPC', 'NTPC', ['ntpc']],
+  ['ONGC', 'ONGC', ['ongc']],
+  ['POWERGRID', 'Power Grid', ['power grid', 'powergrid']],
+  ['RELIANCE', 'Reliance Industries', ['reliance', 'ril', 'ambani', 'mukesh ambani', 'jio']],
+  ['SBILIFE', 'SBI Life Insurance', ['sbi life']],
+  ['SBIN', 'State Bank of India', ['sbi', 'state bank']],
+  ['SHRIRAMFIN', 'Shriram Finance', ['shriram finance']],
+  ['SUNPHARMA', 'Sun Pharma', ['sun pharma']],
+  ['TATACONSUM', 'Tata Consumer Products', ['tata consumer']],
+  ['TATAMOTORS', 'Tata Motors', ['tata motors']],
+  ['TATASTEEL', 'Tata Steel', ['tata steel']],
+  ['TCS', 'Tata Consultancy Services', ['tcs', 'tata consultancy']],
+  ['TECHM', 'Tech Mahindra', ['tech mahindra', 'techm']],
+  ['TITAN', 'Titan Company', ['titan company', 'tanishq']],
+  ['TRENT', 'Trent', ['zudio', 'westside']],
+  ['ULTRACEMCO', 'UltraTech Cement', ['ultratech']],
+  ['WIPRO', 'Wipro', ['wipro']]
+].map(([symbol, name, aliases]) => [symbol, { symbol, yahooSymbol: `${symbol}.NS`, name, aliases, nifty50: true }]));
+
+// Outside the index, but regulars in Indian market memes
+Object.assign(TICKER_REGISTRY, Object.fromEntries([
+  ['PAYTM', 'Paytm (One 97 Communications)', ['paytm', 'one97']],
+  ['YESBANK', 'Yes Bank', ['yes bank']],
+  ['IDEA', 'Vodafone Idea', ['vodafone idea', 'vodafone']],
+  ['SUZLON', 'Suzlon Energy', ['suzlon']],
+  ['IRFC', 'Indian Railway Finance Corporation', ['irfc']],
+  ['ADANIGREEN', 'Adani Green Energy', ['adani green']],
+  ['ADANIPOWER', 'Adani Power', ['adani power']],
+  ['LICI', 'Life Insurance Corporation', ['lic']],
+  ['TATAPOWER', 'Tata Power', ['tata power']]
+].map(([symbol, name, aliases]) => [symbol, { symbol, yahooSymbol: `${symbol}.NS`, name, aliases, nifty50: false }])));
+
+/**
+ * Get registry entry for a stock
+ * @param {string} symbol - NSE symbol (e.g. 'RELIANCE')
+ * @returns {TickerInfo|null} Ticker info or null if the symbol is not in the registry
+ */
+export function getTickerInfo(symbol) {
+  return Object.prototype.hasOwnProperty.call(TICKER_REGISTRY, symbol) ? TICKER_REGISTRY[symbol] : null;
+}
+
+/**
+ * Get the NIFTY 50 constituents
+ * @returns {TickerInfo[]} Constituents in symbol order
+ */
+export function getNifty50Constituents() {
+  return Object.values(TICKER_REGISTRY).filter(ticker => ticker.nifty50);
+}
@@ -0,0 +1,77 @@
+/**
+ * TimeRanges - Supported analysis periods and the data granularity each one uses
+ * Short ranges switch to intraday candles and hourly meme buckets automatically
+ */
+
+/**
+ * Available time range options in display order
+ * - interval: Yahoo Finance candle interval
+ * - granularity: bucket size used for meme popularity and alignment ('hour' or 'day')
+ * - redditTimeframe: Reddit top listing window that covers the range
+ * @type {TimeRangeOption[]}
+ */
+export const TIME_RANGE_OPTIONS = [
+  { value: 1, label: '1 Day', shortLabel: '1D', interval: '15m', granularity: 'hour', redditTimeframe: 'day' },
+  { value: 3, label: '3 Days', shortLabel: '3D', interval: '1h', granularity: 'hour', redditTimeframe: 'week' },
+  { value: 7, label: '7 Days', shortLabel: '7D', interval: '1d', granularity: 'day', redditTimeframe: 'week' },
+  { value: 30, label: '30 Days', shortLabel: '30D', interval: '1d', granularity: 'day', redditTimeframe: 'month' },
+  { value: 90, label: '90 Days', shortLabel: '90D', interval: '1d', granularity: 'day', redditTimeframe: 'month' }
+];
+
+/**
+ * Get the option for a time range
+ * @param {number} days - Time range in days
+ * @returns {TimeRangeOption|null} Matching option or null if unsupported
+ */
+export function getTimeRangeOption(days) {
+  return TIME_RANGE_OPTIONS.find(option => option.value === days) || null;
+}
+
+/**
+ * Get the data granularity for a time range
+ * Unknown ranges fall back to daily buckets.
+ * @param {number} days - Time range in days
+ * @returns {string} 'hour' or 'day'
+ */
+export function getGranularity(days) {
+  const option = getTimeRangeOption(days);
+  return option ? option.granularity : 'day';
+}
+
+/**
+ * Window sizes offered for the rolling correlation series, in aligned buckets
+ * @type {number[]}
+ */
+export const ROLLING_WINDOW_OPTIONS = [5, 10, 20];
+
+/**
+ * Rolling correlation window used until the user picks another
+ * @type {number}
+ */
+export const DEFAULT_ROLLING_WINDOW = 10;
+
+/**
+ * Reddit top listing windows from narrowest to widest, with the span each one covers
+ * @type {Array<{value: string, ms: number}>}
+ */
+export const REDDIT_TIMEFRAMES = [
+  { value: 'hour', ms: 60 * 60 * 1000 },
+  { value: 'day', ms: 24 * 60 * 60 * 1000 },
+  { value: 'week', ms: 7 * 24 * 60 * 60 * 1000 },
+  { value: 'month', ms: 30 * 24 * 60 * 60 * 1000 },
+  { value: 'year', ms: 365 * 24 * 60 * 60 * 1000 }
+];
+
+/**
+ * Get the narrowest Reddit listing window that reaches back a given duration
+ * Never returns a window wider than `maxTimeframe`, so a range keeps the listing it was configured with.
+ * @param {number} durationMs - How far back from now the listing must reach
+ * @param {string} maxTimeframe - Widest window allowed (default 'year')
+ * @returns {string} Reddit timeframe, e.g. 'week'
+ */
+export function getRedditTimeframe(durationMs, maxTimeframe = 'year') {
+  const maxIndex = REDDIT_TIMEFRAMES.findIndex(timeframe => timeframe.value === maxTimeframe);
+  const allowed = maxIndex === -1 ? REDDIT_TIMEFRAMES : REDDIT_TIMEFRAMES.slice(0, maxIndex + 1);
+  const match = allowed.find(timeframe => timeframe.ms >= durationMs);
+  return (match || allowed[allowed.length - 1]).value;
+}
@@ -123,32 +123,32 @@ describe('Performance Optimizations', () => {
   });
 
   describe('Cache Performance Optimizations', () => {
-    it('should have enhanced cache statistics', () => {
+    it('should have enhanced cache statistics', async () => {
       const cache = new Cache();
       
       // Test cache stats method exists
       expect(typeof cache.getStats).toBe('function');
       
-      const stats = cache.getStats();
+      const stats = await cache.getStats();
       expect(stats).toHaveProperty('totalSize');
       expect(stats).toHaveProperty('cacheEntries');
       expect(stats).toHaveProperty('expiredEntries');
       expect(stats).toHaveProperty('estimatedQuotaUsage');
     });
 
-    it('should clear oldest entries when needed', () => {
+    it('should clear oldest entries when needed', async () => {
       const cache = new Cache();
       
       // Add some test entries
-      cache.set('test1', { data: 'value1' });
-      cache.set('test2', { data: 'value2' });
-      cache.set('test3', { data: 'value3' });
+      await cache.set('test1', { data: 'value1' });
+      await cache.set('test2', { data: 'value2' });
+      await cache.set('test3', { data: 'value3' });
       
       // Mock console.log to capture clearing message
       const consoleSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
       
       // Clear stale entries
-      cache.clearStaleEntries();
+      await cache.clearStaleEntries();
       
       // Should have logged the clearing operation
       expect(consoleSpy).toHaveBeenCalled();
@@ -0,0 +1,50 @@
+/**
+ * Abort - Helpers for cancelling requests with AbortSignal
+ * A cancelled load rejects with the signal's AbortError all the way up, so every layer
+ * (backoff, rate limiting, retries) has to stop waiting as soon as the signal fires
+ */
+
+/**
+ * Check whether an error means the caller cancelled the operation
+ * @param {Error} error - Error thrown by an operation
+ * @returns {boolean} True for the AbortError a signal rejects with
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Wait for a number of milliseconds unless the signal fires first
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional signal cancelling the wait
+ * @returns {Promise<void>} Resolves after the delay, rejects with the signal's reason when aborted
+ */
+export function delay(ms, signal) {
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Combine a caller's signal with a time limit for a single request
+ * When the time limit is hit the returned signal aborts with a DOMException named 'TimeoutError'.
+ * @param {AbortSignal} signal - Optional signal of the caller
+ * @param {number} timeout - Time limit in milliseconds
+ * @returns {AbortSignal} Signal that fires on whichever comes first
+ */
+export function withTimeoutSignal(signal, timeout) {
+  const timeoutSignal = AbortSignal.timeout(timeout);
+  return signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
+}
@@ -0,0 +1,63 @@
+/**
+ * Tests for Abort utility
+ */
+
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { delay, isAbortError, withTimeoutSignal } from './Abort.js';
+
+describe('Abort Utility', () => {
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('delay', () => {
+    it('should resolve after the delay', async () => {
+      vi.useFakeTimers();
+      const done = vi.fn();
+
+      delay(1000).then(done);
+      await vi.advanceTimersByTimeAsync(999);
+      expect(done).not.toHaveBeenCalled();
+      await vi.advanceTimersByTimeAsync(1);
+      expect(done).toHaveBeenCalled();
+    });
+
+    it('should reject with an AbortError as soon as the signal fires', async () => {
+      vi.useFakeTimers();
+      const controller = new AbortController();
+
+      const result = delay(60000, controller.signal).catch(e => e);
+      controller.abort();
+
+      expect(isAbortError(await result)).toBe(true);
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it('should reject at once for a signal that already fired', async () => {
+      const error = await delay(1000, AbortSignal.abort()).catch(e => e);
+
+      expect(isAbortError(error)).toBe(true);
+    });
+  });
+
+  describe('withTimeoutSignal', () => {
+    it('should abort with a TimeoutError when the time limit is hit', async () => {
+      const signal = withTimeoutSignal(new AbortController().signal, 10);
+
+      await new Promise(resolve => signal.addEventListener('abort', resolve));
+
+      expect(signal.reason.name).toBe('TimeoutError');
+      expect(isAbortError(signal.reason)).toBe(false);
+    });
+
+    it('should abort with the caller\'s reason when the caller cancels first', () => {
+      const controller = new AbortController();
+      const signal = withTimeoutSignal(controller.signal, 60000);
+
+      controller.abort();
+
+      expect(signal.aborted).toBe(true);
+      expect(isAbortError(signal.reason)).toBe(true);
+    });
+  });
+});
@@ -1,76 +1,295 @@
 /**
- * Cache utility for storing data in LocalStorage with timestamp-based expiration
+ * Cache utility for storing data with timestamp-based expiration
+ * Keys can be given a versioned schema with serializers, revivers and migrations
+ * Each cache owns a key namespace, so eviction, stats and clear never touch other apps' data
+ * Storage is pluggable: IndexedDB by default, localStorage as the fallback, memory for tests
  */
+
+import { LocalStorageAdapter, createStorageAdapter, measureEntry } from './StorageAdapters.js';
+
+/**
+ * Namespace used when none is given
+ * @type {string}
+ */
+export const DEFAULT_CACHE_NAMESPACE = 'meme-market';
+
+/**
+ * Convert date fields of cached records back into Date objects
+ * @param {Object[]} items - Records read from JSON (non-arrays are returned unchanged)
+ * @param {...string} fields - Names of the date fields to revive
+ * @returns {Object[]} New records with the fields as Date objects
+ */
+export function reviveDateFields(items, ...fields) {
+  if (!Array.isArray(items)) {
+    return items;
+  }
+
+  return items.map(item => {
+    const revived = { ...item };
+    for (const field of fields) {
+      if (revived[field] !== undefined && revived[field] !== null && !(revived[field] instanceof Date)) {
+        revived[field] = new Date(revived[field]);
+      }
+    }
+    return revived;
+  });
+}
+
+/**
+ * Check whether an error means the storage backend is full
+ * @private
+ * @param {Error} error - Error thrown by a storage write
+ * @returns {boolean} True for quota errors
+ */
+function isQuotaError(error) {
+  return error?.name === 'QuotaExceededError' || error?.code === 22;
+}
+
 export class Cache {
-  constructor(expiresIn = 3600000) { // Default 1 hour in milliseconds
+  /**
+   * Create a new Cache instance
+   * @param {number} expiresIn - Default expiration in milliseconds (default 1 hour)
+   * @param {Object} options - Storage options
+   * @param {string} options.namespace - Namespace owned by this cache (default 'meme-market')
+   * @param {Object} options.adapter - Storage adapter (default: IndexedDB, falling back to localStorage)
+   * @param {number} options.maxBytes - Storage budget for the namespace (default: the adapter's quota)
+   */
+  constructor(expiresIn = 3600000, options = {}) { // Default 1 hour in milliseconds
+    const { namespace = options.adapter?.namespace || DEFAULT_CACHE_NAMESPACE, adapter = null, maxBytes } = options;
+
+    if (!namespace || namespace.includes(':')) {
+      throw new Error(`Cache namespace must be a non-empty string without ':', got "${namespace}"`);
+    }
+
     this.expiresIn = expiresIn;
+    this.namespace = namespace;
+    this.adapter = adapter || createStorageAdapter(namespace);
+    // Only an automatically chosen IndexedDB adapter falls back to localStorage
+    this.fallbackAdapter = !adapter && this.adapter.name === 'indexedDB' && typeof globalThis.localStorage !== 'undefined'
+      ? new LocalStorageAdapter(namespace)
+      : null;
+    this.maxBytes = maxBytes !== undefined ? maxBytes : this.adapter.defaultQuota;
+    this.adapterReady = null;
+    this.schemas = new Map(); // Key prefix -> schema
+  }
+
+  /**
+   * Register a versioned schema for every key starting with a prefix
+   * Entries written under a different version are migrated step by step when a
+   * migration exists for each version in between, and invalidated otherwise.
+   * Entries written before schemas existed are treated as version 0.
+   * @param {string} prefix - Key prefix the schema applies to (longest match wins)
+   * @param {Object} schema - Schema definition
+   * @param {number} schema.version - Current data shape version (positive integer)
+   * @param {Function} [schema.serialize] - Maps data to a JSON-safe value before storing
+   * @param {Function} [schema.revive] - Restores typed values (e.g. Dates) after reading
+   * @param {Object<number, Function>} [schema.migrations] - Upgrades stored data from version N to N + 1, keyed by N
+   * @param {Function} [schema.validate] - Returns false for revived data that must not be used
+   */
+  defineSchema(prefix, schema) {
+    if (!Number.isInteger(schema?.version) || schema.version < 1) {
+      throw new Error(`Cache schema version must be a positive integer, got ${schema?.version}`);
+    }
+
+    this.schemas.set(prefix, { migrations: {}, ...schema });
+  }
+
+  /**
+   * Find the schema registered for a key
+   * @param {string} key - Cache key
+   * @returns {Object|null} Schema with the longest matching prefix, or null
+   */
+  getSchema(key) {
+    let match = null;
+    let matchLength = -1;
+    for (const [prefix, schema] of this.schemas) {
+      if (key.startsWith(prefix) && prefix.length > matchLength) {
+        match = schema;
+        matchLength = prefix.length;
+      }
+    }
+    return match;
+  }
+
+  /**
+   * Get the storage adapter, switching to the fallback if the preferred backend cannot open
+   * @returns {Promise<Object>} Ready storage adapter
+   */
+  getAdapter() {
+    if (!this.adapterReady) {
+      this.adapterReady = (async () => {
+        try {
+          if (typeof this.adapter.open === 'function') {
+            await this.adapter.open();
+          }
+        } catch (error) {
+          if (!this.fallbackAdapter) {
+            this.adapterReady = null;
+            throw error;
+          }
+          console.warn(`Cache storage "${this.adapter.name}" unavailable, falling back to ${this.fallbackAdapter.name}:`, error);
+          this.adapter = this.fallbackAdapter;
+          this.fallbackAdapter = null;
+          if (this.maxBytes > this.adapter.defaultQuota) {
+            this.maxBytes = this.adapter.defaultQuota;
+          }
+        }
+        return this.adapter;
+      })();
+    }
+    return this.adapterReady;
+  }
+
+  /**
+   * Get every cache key in this namespace
+   * @returns {Promise<string[]>} Cache keys
+   */
+  async keys() {
+    const adapter = await this.getAdapter();
+    return (await adapter.entries()).map(({ key }) => key);
   }
 
   /**
    * Get data from cache
    * @param {string} key - Cache key
-   * @returns {any|null} - Cached data or null if not found/expired
+   * @returns {Promise<any|null>} - Cached data or null if not found/expired
    */
-  get(key) {
+  async get(key) {
     try {
-      const item = localStorage.getItem(key);
+      const adapter = await this.getAdapter();
+      const item = await adapter.get(key);
       if (!item) {
         return null;
       }
 
       const entry = JSON.parse(item);
-      
+
       if (!this.isValid(entry)) {
         // Clear stale entry
-        this.remove(key);
+        await this.remove(key);
         return null;
       }
 
-      return entry.data;
+      const schema = this.getSchema(key);
+      if (!schema) {
+        return entry.data;
+      }
+
+      return await this._readWithSchema(key, entry, schema);
     } catch (error) {
       console.error(`Cache get error for key "${key}":`, error);
       return null;
     }
   }
 
+  /**
+   * Migrate, revive and validate an entry against its schema
+   * Entries that cannot be brought up to the current version are removed.
+   * @private
+   * @param {string} key - Cache key
+   * @param {Object} entry - Parsed cache entry
+   * @param {Object} schema - Schema registered for the key
+   * @returns {Promise<any|null>} Revived data or null if the entry was invalidated
+   */
+  async _readWithSchema(key, entry, schema) {
+    let data = entry.data;
+    let version = Number.isInteger(entry.version) ? entry.version : 0;
+
+    try {
+      if (version > schema.version) {
+        // Written by a newer build; its shape is unknown here
+        await this.remove(key);
+        return null;
+      }
+
+      const migrated = version < schema.version;
+      while (version < schema.version) {
+        const migrate = schema.migrations[version];
+        if (typeof migrate !== 'function') {
+          console.info(`Cache entry "${key}" has schema version ${version}, expected ${schema.version} - invalidating`);
+          await this.remove(key);
+          return null;
+        }
+        data = migrate(data);
+        version++;
+      }
+
+      const revived = schema.revive ? schema.revive(data) : data;
+      if (schema.validate && !schema.validate(revived)) {
+        console.info(`Cache entry "${key}" failed schema validation - invalidating`);
+        await this.remove(key);
+        return null;
+      }
+
+      if (migrated) {
+        // Persist the upgrade but keep the original timestamp so expiry is unchanged
+        await this.adapter.set(key, JSON.stringify({ ...entry, data, version }), {
+          expiresAt: entry.timestamp + entry.expiresIn
+        });
+      }
+
+      return revived;
+    } catch (error) {
+      console.warn(`Cache entry "${key}" could not be read with its schema - invalidating:`, error);
+      await this.remove(key);
+      return null;
+    }
+  }
+
   /**
    * Set data in cache
+   * Least recently used entries in the namespace are evicted when the write would exceed its quota.
    * @param {string} key - Cache key
    * @param {any} data - Data to cache
    * @param {number} [customExpiresIn] - Optional custom expiration time in milliseconds
-   * @returns {boolean} - Success status
+   * @returns {Promise<boolean>} - Success status
    */
-  set(key, data, customExpiresIn) {
+  async set(key, data, customExpiresIn) {
+    let adapter;
+    let serialized;
+    let meta;
     try {
+      adapter = await this.getAdapter();
+      const schema = this.getSchema(key);
       const entry = {
-        data,
+        data: schema?.serialize ? schema.serialize(data) : data,
         timestamp: Date.now(),
         expiresIn: customExpiresIn !== undefined ? customExpiresIn : this.expiresIn
       };
+      if (schema) {
+        entry.version = schema.version;
+      }
+      serialized = JSON.stringify(entry);
+      meta = { expiresAt: entry.timestamp + entry.expiresIn };
 
-      localStorage.setItem(key, JSON.stringify(entry));
+      const size = measureEntry(key, serialized);
+      if (size > this.maxBytes) {
+        console.warn(`Cache entry "${key}" (${size} bytes) exceeds the "${this.namespace}" quota of ${this.maxBytes}`);
+        return false;
+      }
+      await this._ensureCapacity(key, size);
+
+      await adapter.set(key, serialized, meta);
       return true;
     } catch (error) {
-      // Handle quota exceeded error
-      if (error.name === 'QuotaExceededError' || error.code === 22) {
-        console.warn('LocalStorage quota exceeded, clearing old entries');
-        this.clearStaleEntries();
-        
-        // Try again after clearing
-        try {
-          const entry = {
-            data,
-            timestamp: Date.now(),
-            expiresIn: customExpiresIn !== undefined ? customExpiresIn : this.expiresIn
-          };
-          localStorage.setItem(key, JSON.stringify(entry));
-          return true;
-        } catch (retryError) {
-          console.error('Cache set failed after clearing:', retryError);
-          return false;
+      // The backend itself is full: drop expired data, then least recently used entries one at a time
+      if (isQuotaError(error)) {
+        console.warn('Storage quota exceeded, evicting cache entries');
+        await this.clearStaleEntries();
+
+        for (;;) {
+          try {
+            await adapter.set(key, serialized, meta);
+            return true;
+          } catch (retryError) {
+            if (!isQuotaError(retryError) || !(await this._evictLeastRecentlyUsed(key))) {
+              console.error('Cache set failed after evicting entries:', retryError);
+              return false;
+            }
+          }
         }
       }
-      
+
       console.error(`Cache set error for key "${key}":`, error);
       return false;
     }
@@ -92,132 +311,145 @@ export class Cache {
 
     const currentTime = Date.now();
     const age = currentTime - entry.timestamp;
-    
+
     return age < entry.expiresIn;
   }
 
   /**
    * Remove a specific cache entry
    * @param {string} key - Cache key to remove
+   * @returns {Promise<void>}
    */
-  remove(key) {
+  async remove(key) {
     try {
-      localStorage.removeItem(key);
+      const adapter = await this.getAdapter();
+      await adapter.remove(key);
     } catch (error) {
       console.error(`Cache remove error for key "${key}":`, error);
     }
   }
 
   /**
-   * Clear all stale entries from LocalStorage
-   * This helps manage quota by removing expired data
+   * Remove every expired entry in this namespace
+   * @returns {Promise<number>} Number of entries removed
    */
-  clearStaleEntries() {
+  async clearStaleEntries() {
     try {
-      const keysToRemove = [];
-      const cacheKeys = [];
-      
-      // Iterate through all localStorage keys
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (!key) continue;
+      const adapter = await this.getAdapter();
+      const now = Date.now();
+      const stale = (await adapter.entries()).filter(({ expiresAt }) => expiresAt !== null && expiresAt <= now);
 
-        try {
-          const item = localStorage.getItem(key);
-          if (!item) continue;
-
-          const entry = JSON.parse(item);
-          
-          // Check if this looks like a cache entry
-          if (entry && entry.timestamp && entry.expiresIn) {
-            cacheKeys.push({ key, entry, size: item.length });
-            
-            if (!this.isValid(entry)) {
-              keysToRemove.push(key);
-            }
-          }
-        } catch (parseError) {
-          // Skip items that aren't valid JSON or cache entries
-          continue;
-        }
+      for (const { key } of stale) {
+        await adapter.remove(key);
       }
 
-      // Remove all stale entries
-      keysToRemove.forEach(key => localStorage.removeItem(key));
-      
-      // If we still need more space, remove oldest entries
-      if (keysToRemove.length === 0 && cacheKeys.length > 0) {
-        // Sort by timestamp (oldest first)
-        cacheKeys.sort((a, b) => a.entry.timestamp - b.entry.timestamp);
-        
-        // Remove oldest 25% of cache entries
-        const toRemove = Math.ceil(cacheKeys.length * 0.25);
-        for (let i = 0; i < toRemove; i++) {
-          localStorage.removeItem(cacheKeys[i].key);
-          keysToRemove.push(cacheKeys[i].key);
-        }
-      }
-      
-      console.log(`Cleared ${keysToRemove.length} cache entries (${keysToRemove.length - (keysToRemove.length - cacheKeys.length)} stale, ${keysToRemove.length - cacheKeys.length} oldest)`);
+      console.log(`Cleared ${stale.length} stale "${this.namespace}" cache entries`);
+      return stale.length;
     } catch (error) {
       console.error('Error clearing stale entries:', error);
+      return 0;
     }
   }
 
   /**
-   * Get cache usage statistics
-   * @returns {Object} Cache statistics
+   * Get cache usage statistics for this namespace
+   * @returns {Promise<Object>} Cache statistics
    */
-  getStats() {
+  async getStats() {
     try {
-      let totalSize = 0;
-      let cacheEntries = 0;
-      let expiredEntries = 0;
-      
-      for (let i = 0; i < localStorage.length; i++) {
-        const key = localStorage.key(i);
-        if (!key) continue;
-        
-        const item = localStorage.getItem(key);
-        if (!item) continue;
-        
-        totalSize += item.length;
-        
-        try {
-          const entry = JSON.parse(item);
-          if (entry && entry.timestamp && entry.expiresIn) {
-            cacheEntries++;
-            if (!this.isValid(entry)) {
-              expiredEntries++;
-            }
-          }
-        } catch (parseError) {
-          // Not a cache entry
-        }
-      }
-      
+      const adapter = await this.getAdapter();
+      const entries = await adapter.entries();
+      const now = Date.now();
+      const totalSize = entries.reduce((sum, { size }) => sum + size, 0);
+
       return {
+        namespace: this.namespace,
+        storage: adapter.name,
         totalSize,
-        cacheEntries,
-        expiredEntries,
-        estimatedQuotaUsage: (totalSize / (5 * 1024 * 1024)) * 100 // Assume 5MB quota
+        cacheEntries: entries.length,
+        expiredEntries: entries.filter(({ expiresAt }) => expiresAt !== null && expiresAt <= now).length,
+        quota: this.maxBytes,
+        estimatedQuotaUsage: (totalSize / this.maxBytes) * 100
       };
     } catch (error) {
       console.error('Error getting cache stats:', error);
-      return { totalSize: 0, cacheEntries: 0, expiredEntries: 0, estimatedQuotaUsage: 0 };
+      return {
+        namespace: this.namespace,
+        storage: this.adapter.name,
+        totalSize: 0,
+        cacheEntries: 0,
+        expiredEntries: 0,
+        quota: this.maxBytes,
+        estimatedQuotaUsage: 0
+      };
     }
   }
 
   /**
-   * Clear all cache entries (use with caution)
+   * Clear every entry in this namespace (other stored data is left alone)
+   * @returns {Promise<void>}
    */
-  clear() {
+  async clear() {
     try {
-      localStorage.clear();
+      const adapter = await this.getAdapter();
+      await adapter.clear();
     } catch (error) {
       console.error('Cache clear error:', error);
     }
   }
+
+  /**
+   * Evict entries until a write of the given size fits in the namespace quota
+   * Expired entries go first, then the least recently used ones.
+   * @private
+   * @param {string} key - Key being written (its current entry is replaced, not evicted)
+   * @param {number} size - Size of the new entry in bytes
+   * @returns {Promise<void>}
+   */
+  async _ensureCapacity(key, size) {
+    const adapter = await this.getAdapter();
+    const now = Date.now();
+    const others = (await adapter.entries()).filter(entry => entry.key !== key);
+    let used = others.reduce((sum, entry) => sum + entry.size, 0);
+    if (used + size <= this.maxBytes) {
+      return;
+    }
+
+    const isExpired = ({ expiresAt }) => expiresAt !== null && expiresAt <= now;
+    const candidates = [...others].sort((a, b) => (
+      Number(isExpired(b)) - Number(isExpired(a)) || a.lastAccessed - b.lastAccessed
+    ));
+
+    let evicted = 0;
+    for (const candidate of candidates) {
+      if (used + size <= this.maxBytes) break;
+      await adapter.remove(candidate.key);
+      used -= candidate.size;
+      evicted++;
+    }
+
+    console.log(`Evicted ${evicted} "${this.namespace}" cache entries to stay within quota`);
+  }
+
+  /**
+   * Evict the least recently used entry other than the one being written
+   * @private
+   * @param {string} key - Key being written
+   * @returns {Promise<boolean>} True if an entry was evicted
+   */
+  async _evictLeastRecentlyUsed(key) {
+    const adapter = await this.getAdapter();
+    const candidates = (await adapter.entries())
+      .filter(entry => entry.key !== key)
+      .sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+    if (candidates.length === 0) {
+      return false;
+    }
+
+    await adapter.remove(candidates[0].key);
+    return true;
+  }
 }
 
 export default Cache;
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import * as fc from 'fast-check';
-import { Cache } from './Cache.js';
+import { Cache, reviveDateFields } from './Cache.js';
+import { MemoryStorageAdapter } from './StorageAdapters.js';
 
 describe('Cache', () => {
   beforeEach(() => {
@@ -9,48 +10,48 @@ describe('Cache', () => {
   });
 
   describe('Unit Tests', () => {
-    it('should store and retrieve data', () => {
+    it('should store and retrieve data', async () => {
       const cache = new Cache();
       const testData = { value: 'test' };
       
-      cache.set('test-key', testData);
-      const retrieved = cache.get('test-key');
+      await cache.set('test-key', testData);
+      const retrieved = await cache.get('test-key');
       
       expect(retrieved).toEqual(testData);
     });
 
-    it('should return null for non-existent keys', () => {
+    it('should return null for non-existent keys', async () => {
       const cache = new Cache();
-      expect(cache.get('non-existent')).toBeNull();
+      expect(await cache.get('non-existent')).toBeNull();
     });
 
-    it('should handle custom expiration times', () => {
+    it('should handle custom expiration times', async () => {
       const cache = new Cache();
       const testData = { value: 'test' };
       
-      cache.set('test-key', testData, 5000); // 5 seconds
-      const retrieved = cache.get('test-key');
+      await cache.set('test-key', testData, 5000); // 5 seconds
+      const retrieved = await cache.get('test-key');
       
       expect(retrieved).toEqual(testData);
     });
 
-    it('should remove expired entries', () => {
+    it('should remove expired entries', async () => {
       const cache = new Cache(100); // 100ms expiration
       const testData = { value: 'test' };
       
-      cache.set('test-key', testData);
+      await cache.set('test-key', testData);
       
       // Fast-forward time
       vi.useFakeTimers();
       vi.advanceTimersByTime(150);
       
-      const retrieved = cache.get('test-key');
+      const retrieved = await cache.get('test-key');
       expect(retrieved).toBeNull();
       
       vi.useRealTimers();
     });
 
-    it('should handle quota exceeded by clearing stale entries', () => {
+    it('should handle quota exceeded by clearing stale entries', async () => {
       const cache = new Cache(100); // Short expiration
       
       // Mock localStorage to throw quota exceeded
@@ -67,33 +68,33 @@ describe('Cache', () => {
         return originalSetItem.call(localStorage, key, value);
       });
       
-      const result = cache.set('test-key', { value: 'test' });
+      const result = await cache.set('test-key', { value: 'test' });
       expect(result).toBe(true);
     });
 
-    it('should clear stale entries', () => {
+    it('should clear stale entries', async () => {
       const cache = new Cache(100); // 100ms expiration
       
       // Add some entries
-      cache.set('key1', { value: 1 });
-      cache.set('key2', { value: 2 });
-      cache.set('key3', { value: 3 });
+      await cache.set('key1', { value: 1 });
+      await cache.set('key2', { value: 2 });
+      await cache.set('key3', { value: 3 });
       
       // Fast-forward time to expire entries
       vi.useFakeTimers();
       vi.advanceTimersByTime(150);
       
-      cache.clearStaleEntries();
+      await cache.clearStaleEntries();
       
       // All entries should be removed
-      expect(cache.get('key1')).toBeNull();
-      expect(cache.get('key2')).toBeNull();
-      expect(cache.get('key3')).toBeNull();
+      expect(await cache.get('key1')).toBeNull();
+      expect(await cache.get('key2')).toBeNull();
+      expect(await cache.get('key3')).toBeNull();
       
       vi.useRealTimers();
     });
 
-    it('should validate cache entries correctly', () => {
+    it('should validate cache entries correctly', async () => {
       const cache = new Cache(1000);
       
       // Valid entry
@@ -117,16 +118,344 @@ describe('Cache', () => {
       expect(cache.isValid(null)).toBe(false);
     });
 
-    it('should remove specific keys', () => {
+    it('should remove specific keys', async () => {
       const cache = new Cache();
       
-      cache.set('key1', { value: 1 });
-      cache.set('key2', { value: 2 });
+      await cache.set('key1', { value: 1 });
+      await cache.set('key2', { value: 2 });
       
-      cache.remove('key1');
+      await cache.remove('key1');
       
-      expect(cache.get('key1')).toBeNull();
-      expect(cache.get('key2')).toEqual({ value: 2 });
+      expect(await cache.get('key1')).toBeNull();
+      expect(await cache.get('key2')).toEqual({ value: 2 });
+    });
+  });
+
+  describe('Schemas', () => {
+    const reviveSeries = (data) => ({ ...data, points: reviveDateFields(data.points, 'date') });
+
+    it('should revive typed values on read', async () => {
+      const cache = new Cache();
+      cache.defineSchema('series-', { version: 1, revive: reviveSeries });
+
+      await cache.set('series-7', { points: [{ date: new Date('2024-01-01T04:00:00Z'), value: 1 }] });
+      const result = await cache.get('series-7');
+
+      expect(result.points[0].date).toBeInstanceOf(Date);
+      expect(result.points[0].date.toISOString()).toBe('2024-01-01T04:00:00.000Z');
+      expect(JSON.parse(localStorage.getItem(cache.adapter.getStorageKey('series-7'))).version).toBe(1);
+    });
+
+    it('should apply the serializer before storing', async () => {
+      const cache = new Cache();
+      cache.defineSchema('set-', {
+        version: 1,
+        serialize: (data) => [...data],
+        revive: (data) => new Set(data)
+      });
+
+      await cache.set('set-a', new Set([1, 2]));
+
+      expect(JSON.parse(localStorage.getItem(cache.adapter.getStorageKey('set-a'))).data).toEqual([1, 2]);
+      expect(await cache.get('set-a')).toEqual(new Set([1, 2]));
+    });
+
+    it('should invalidate entries written before the schema existed', async () => {
+      const cache = new Cache();
+      await cache.set('series-7', { points: [{ date: '2024-01-01', value: 1 }] });
+      cache.defineSchema('series-', { version: 1, revive: reviveSeries });
+
+      expect(await cache.get('series-7')).toBeNull();
+      expect(localStorage.getItem(cache.adapter.getStorageKey('series-7'))).toBeNull();
+    });
+
+    it('should migrate older entries step by step and persist the upgrade', async () => {
+      const cache = new Cache();
+      const timestamp = Date.now() - 1000;
+      localStorage.setItem(cache.adapter.getStorageKey('series-7'), JSON.stringify({
+        data: { values: [3] },
+        timestamp,
+        expiresIn: 3600000,
+        version: 1
+      }));
+      cache.defineSchema('series-', {
+        version: 3,
+        migrations: {
+          1: (data) => ({ points: data.values.map(value => ({ value })) }),
+          2: (data) => ({ points: data.points.map(point => ({ ...point, date: '2024-01-01T00:00:00Z' })) })
+        },
+        revive: reviveSeries
+      });
+
+      const result = await cache.get('series-7');
+
+      expect(result.points[0].value).toBe(3);
+      expect(result.points[0].date).toBeInstanceOf(Date);
+      const stored = JSON.parse(localStorage.getItem(cache.adapter.getStorageKey('series-7')));
+      expect(stored.version).toBe(3);
+      expect(stored.timestamp).toBe(timestamp);
+    });
+
+    it('should invalidate entries without a migration path or from a newer version', async () => {
+      const cache = new Cache();
+      cache.defineSchema('series-', { version: 2, migrations: { 1: (data) => data } });
+      const write = (key, version) => localStorage.setItem(cache.adapter.getStorageKey(key), JSON.stringify({
+        data: {},
+        timestamp: Date.now(),
+        expiresIn: 3600000,
+        version
+      }));
+
+      write('series-old', 0);
+      write('series-new', 3);
+
+      expect(await cache.get('series-old')).toBeNull();
+      expect(await cache.get('series-new')).toBeNull();
+      expect(localStorage.getItem(cache.adapter.getStorageKey('series-old'))).toBeNull();
+      expect(localStorage.getItem(cache.adapter.getStorageKey('series-new'))).toBeNull();
+    });
+
+    it('should invalidate entries that fail validation or cannot be revived', async () => {
+      const cache = new Cache();
+      cache.defineSchema('valid-', { version: 1, validate: (data) => Array.isArray(data.points) });
+      cache.defineSchema('broken-', { version: 1, revive: () => { throw new Error('bad shape'); } });
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await cache.set('valid-1', { points: 'nope' });
+      await cache.set('broken-1', { points: [] });
+
+      expect(await cache.get('valid-1')).toBeNull();
+      expect(await cache.get('broken-1')).toBeNull();
+      expect(localStorage.getItem(cache.adapter.getStorageKey('broken-1'))).toBeNull();
+      warnSpy.mockRestore();
+    });
+
+    it('should use the schema with the longest matching prefix', async () => {
+      const cache = new Cache();
+      cache.defineSchema('data-', { version: 1 });
+      cache.defineSchema('data-intraday-', { version: 4 });
+
+      expect(cache.getSchema('data-intraday-1').version).toBe(4);
+      expect(cache.getSchema('data-30').version).toBe(1);
+      expect(cache.getSchema('other')).toBeNull();
+    });
+
+    it('should reject invalid schema versions', async () => {
+      const cache = new Cache();
+
+      expect(() => cache.defineSchema('x-', { version: 0 })).toThrow('Cache schema version must be a positive integer, got 0');
+      expect(() => cache.defineSchema('x-', {})).toThrow('Cache schema version must be a positive integer');
+    });
+
+    it('should revive only the requested date fields', async () => {
+      const result = reviveDateFields([{ date: '2024-01-01', created: null, label: '2024' }], 'date', 'created');
+
+      expect(result[0].date).toBeInstanceOf(Date);
+      expect(result[0].created).toBeNull();
+      expect(result[0].label).toBe('2024');
+      expect(reviveDateFields(undefined, 'date')).toBeUndefined();
+    });
+  });
+
+  describe('Namespaces', () => {
+    const foreignEntry = JSON.stringify({ data: 'portal', timestamp: 1, expiresIn: 1 });
+
+    it('should store entries under the namespace prefix', async () => {
+      const cache = new Cache(3600000, { namespace: 'dash' });
+
+      await cache.set('key1', { value: 1 });
+
+      expect(cache.adapter.getStorageKey('key1')).toBe('dash:key1');
+      expect(localStorage.getItem('dash:key1')).not.toBeNull();
+      expect(localStorage.getItem('key1')).toBeNull();
+      expect(await cache.keys()).toEqual(['key1']);
+    });
+
+    it('should only clear its own namespace', async () => {
+      const cache = new Cache(3600000, { namespace: 'dash' });
+      const other = new Cache(3600000, { namespace: 'portal' });
+      localStorage.setItem('portal-settings', foreignEntry);
+
+      await cache.set('key1', { value: 1 });
+      await other.set('key1', { value: 2 });
+      await cache.clear();
+
+      expect(await cache.get('key1')).toBeNull();
+      expect(await cache.keys()).toEqual([]);
+      expect(await other.get('key1')).toEqual({ value: 2 });
+      expect(localStorage.getItem('portal-settings')).toBe(foreignEntry);
+    });
+
+    it('should ignore look-alike entries from other apps when evicting and reporting', async () => {
+      const cache = new Cache(3600000, { namespace: 'dash' });
+      localStorage.setItem('portal-session', foreignEntry);
+      await cache.set('key1', { value: 1 });
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+
+      const stats = await cache.getStats();
+      await cache.clearStaleEntries();
+      logSpy.mockRestore();
+
+      expect(stats.cacheEntries).toBe(1);
+      expect(stats.expiredEntries).toBe(0);
+      expect(stats.namespace).toBe('dash');
+      expect(localStorage.getItem('portal-session')).toBe(foreignEntry);
+    });
+
+    it('should keep the key index in sync on remove', async () => {
+      const cache = new Cache(3600000, { namespace: 'dash' });
+
+      await cache.set('key1', { value: 1 });
+      await cache.set('key2', { value: 2 });
+      await cache.set('key1', { value: 3 });
+      await cache.remove('key1');
+
+      expect(await cache.keys()).toEqual(['key2']);
+    });
+
+    it('should rebuild a lost index from its own prefix', async () => {
+      const cache = new Cache(3600000, { namespace: 'dash' });
+      await cache.set('key1', { value: 1 });
+      await cache.set('key2', { value: 2 });
+      localStorage.setItem('dashboard-theme', 'dark');
+
+      localStorage.removeItem('dash:__index__');
+
+      expect((await cache.keys()).sort()).toEqual(['key1', 'key2']);
+      await cache.clear();
+      expect(localStorage.getItem('dash:key1')).toBeNull();
+      expect(localStorage.getItem('dashboard-theme')).toBe('dark');
+    });
+
+    it('should evict the oldest entries to stay within the namespace quota', async () => {
+      vi.useFakeTimers();
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const cache = new Cache(3600000, { namespace: 'dash', maxBytes: 300 });
+      const payload = 'x'.repeat(60);
+
+      await cache.set('a', payload);
+      vi.advanceTimersByTime(10);
+      await cache.set('b', payload);
+      vi.advanceTimersByTime(10);
+      await cache.set('c', payload);
+
+      expect(await cache.get('a')).toBeNull();
+      expect(await cache.get('b')).toBe(payload);
+      expect(await cache.get('c')).toBe(payload);
+      expect((await cache.getStats()).totalSize).toBeLessThanOrEqual(300);
+      logSpy.mockRestore();
+      vi.useRealTimers();
+    });
+
+    it('should keep recently read entries when evicting', async () => {
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const cache = new Cache(3600000, { namespace: 'dash', maxBytes: 300 });
+      const payload = 'x'.repeat(60);
+
+      await cache.set('a', payload);
+      await cache.set('b', payload);
+      await cache.get('a');
+      await cache.set('c', payload);
+
+      expect(await cache.get('a')).toBe(payload);
+      expect(await cache.get('b')).toBeNull();
+      expect(await cache.get('c')).toBe(payload);
+      logSpy.mockRestore();
+    });
+
+    it('should evict expired entries before recently used ones', async () => {
+      vi.useFakeTimers();
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const cache = new Cache(3600000, { namespace: 'dash', maxBytes: 300 });
+      const payload = 'x'.repeat(60);
+
+      await cache.set('a', payload);
+      await cache.set('b', payload, 5);
+      vi.advanceTimersByTime(10);
+      await cache.set('c', payload);
+
+      expect(await cache.keys()).toEqual(['a', 'c']);
+      logSpy.mockRestore();
+      vi.useRealTimers();
+    });
+
+    it('should reject entries larger than the whole quota', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const cache = new Cache(3600000, { namespace: 'dash', maxBytes: 50 });
+
+      expect(await cache.set('big', 'x'.repeat(100))).toBe(false);
+      expect(await cache.keys()).toEqual([]);
+      warnSpy.mockRestore();
+    });
+
+    it('should reject invalid namespaces', async () => {
+      expect(() => new Cache(1000, { namespace: '' })).toThrow('Cache namespace must be a non-empty string');
+      expect(() => new Cache(1000, { namespace: 'a:b' })).toThrow('Cache namespace must be a non-empty string');
+    });
+  });
+
+  describe('Storage Adapters', () => {
+    it('should use an injected adapter and report it in stats', async () => {
+      const cache = new Cache(3600000, { adapter: new MemoryStorageAdapter('mem') });
+
+      await cache.set('key1', { value: 1 });
+
+      expect(await cache.get('key1')).toEqual({ value: 1 });
+      expect(localStorage.length).toBe(0);
+      const stats = await cache.getStats();
+      expect(stats.storage).toBe('memory');
+      expect(stats.namespace).toBe('mem');
+    });
+
+    it('should evict least recently used entries when the backend is full', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const logSpy = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const cache = new Cache();
+      await cache.set('a', 1);
+      await cache.set('b', 2);
+      await cache.get('a');
+
+      // The browser refuses the write until the least recently used entry is gone
+      const originalSetItem = Storage.prototype.setItem;
+      const setItem = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(function (key, value) {
+        if (key === 'meme-market:c' && localStorage.getItem('meme-market:b') !== null) {
+          const error = new Error('full');
+          error.name = 'QuotaExceededError';
+          throw error;
+        }
+        return originalSetItem.call(this, key, value);
+      });
+
+      try {
+        expect(await cache.set('c', 3)).toBe(true);
+        expect((await cache.keys()).sort()).toEqual(['a', 'c']);
+      } finally {
+        setItem.mockRestore();
+        warnSpy.mockRestore();
+        logSpy.mockRestore();
+      }
+    });
+
+    it('should fall back to localStorage when IndexedDB cannot be opened', async () => {
+      const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      vi.stubGlobal('indexedDB', {
+        open: () => { throw new Error('blocked by privacy settings'); }
+      });
+      vi.stubGlobal('IDBKeyRange', { bound: () => ({}) });
+
+      try {
+        const cache = new Cache();
+        expect(cache.adapter.name).toBe('indexedDB');
+
+        expect(await cache.set('key1', { value: 1 })).toBe(true);
+
+        expect(cache.adapter.name).toBe('localStorage');
+        expect(await cache.get('key1')).toEqual({ value: 1 });
+        expect(localStorage.getItem('meme-market:key1')).not.toBeNull();
+      } finally {
+        vi.unstubAllGlobals();
+        warnSpy.mockRestore();
+      }
     });
   });
 
@@ -139,44 +468,46 @@ describe('Cache', () => {
      * than the expiration time, the cache should be considered invalid and fresh 
      * data should be fetched.
      */
-    it('Property 5: Cache expiration correctness', () => {
+    it('Property 5: Cache expiration correctness', async () => {
       // Generator for JSON-serializable data (excludes undefined, functions, symbols)
       const jsonSerializable = fc.oneof(
         fc.string(),
         fc.integer(),
-        fc.double(),
+        // JSON has no NaN, Infinity or -0, so those don't survive a round trip
+        fc.double({ noNaN: true, noDefaultInfinity: true }).filter(value => !Object.is(value, -0)),
         fc.boolean(),
         fc.constant(null),
         fc.array(fc.oneof(fc.string(), fc.integer(), fc.boolean())),
         fc.dictionary(fc.string(), fc.oneof(fc.string(), fc.integer(), fc.boolean()))
       );
 
-      fc.assert(
-        fc.property(
+      await fc.assert(
+        fc.asyncProperty(
           fc.record({
             key: fc.string({ minLength: 1, maxLength: 50 }),
             data: jsonSerializable,
             expiresIn: fc.integer({ min: 1, max: 10000 }), // 1ms to 10s
             timeElapsed: fc.integer({ min: 0, max: 20000 }) // 0 to 20s
           }),
-          ({ key, data, expiresIn, timeElapsed }) => {
+          async ({ key, data, expiresIn, timeElapsed }) => {
+            // Freeze the clock so the write and the read are exactly timeElapsed apart
+            vi.useFakeTimers();
             const cache = new Cache(expiresIn);
             
             // Set the data in cache
-            const setResult = cache.set(key, data);
+            const setResult = await cache.set(key, data);
             
             // If set failed, skip this test case
             if (!setResult) {
+              vi.useRealTimers();
               return true;
             }
             
             // Simulate time passing
-            vi.useFakeTimers();
-            const startTime = Date.now();
-            vi.setSystemTime(startTime + timeElapsed);
+            vi.setSystemTime(Date.now() + timeElapsed);
             
             // Get the data from cache
-            const retrieved = cache.get(key);
+            const retrieved = await cache.get(key);
             
             // Property: If time elapsed >= expiration time, data should be null (expired)
             // If time elapsed < expiration time, data should be retrieved
@@ -185,7 +516,7 @@ describe('Cache', () => {
               expect(retrieved).toBeNull();
               
               // The key should also be removed from localStorage
-              const rawItem = localStorage.getItem(key);
+              const rawItem = localStorage.getItem(cache.adapter.getStorageKey(key));
               expect(rawItem).toBeNull();
             } else {
               // Cache should still be valid and return the data
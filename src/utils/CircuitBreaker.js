@@ -0,0 +1,215 @@
+/**
+ * CircuitBreaker - Stops calling a data source that keeps failing
+ * After repeated failures the circuit opens and calls fail at once; once the reset
+ * timeout has passed a single trial call is let through (half-open) to see whether
+ * the source has recovered
+ */
+
+import { isRetryableError } from './HttpErrors.js';
+import { isAbortError } from './Abort.js';
+
+/**
+ * Circuit states
+ * @type {{CLOSED: string, OPEN: string, HALF_OPEN: string}}
+ */
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Thrown instead of calling a source whose circuit is open
+ */
+export class CircuitOpenError extends Error {
+  /**
+   * @param {string} source - Name of the data source
+   * @param {Date} unavailableSince - When the source started failing
+   * @param {Date} retryAt - When the next trial call will be allowed
+   */
+  constructor(source, unavailableSince, retryAt) {
+    super(`${source} is unavailable; next attempt after ${retryAt.toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.source = source;
+    this.unavailableSince = unavailableSince;
+    this.retryAt = retryAt;
+  }
+}
+
+export class CircuitBreaker {
+  /**
+   * Create a new CircuitBreaker instance
+   * @param {string} source - Name of the data source, e.g. 'Yahoo Finance'
+   * @param {Object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default 3)
+   * @param {number} options.resetTimeout - Milliseconds the circuit stays open before a trial call (default 60000)
+   * @param {Function} options.isFailure - Whether an error means the source is unavailable (default: retryable errors)
+   */
+  constructor(source, options = {}) {
+    this.source = source;
+    this.failureThreshold = options.failureThreshold || 3;
+    this.resetTimeout = options.resetTimeout || 60000;
+    this.isFailure = options.isFailure || isRetryableError;
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null; // Last time the circuit opened (epoch ms)
+    this.unavailableSince = null; // First failure of the current outage (epoch ms)
+    this.trialInFlight = false;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Call the source through the breaker
+   * Errors that don't mean the source is down (e.g. a 404) count as a response from it;
+   * a cancelled call counts as neither.
+   * @param {Function} fn - Async function calling the source
+   * @returns {Promise} Result of fn
+   * @throws {CircuitOpenError} If the circuit is open
+   */
+  async execute(fn) {
+    if (!this._allowRequest()) {
+      throw new CircuitOpenError(
+        this.source,
+        new Date(this.unavailableSince),
+        new Date(this.openedAt + this.resetTimeout)
+      );
+    }
+
+    const isTrial = this.state === CIRCUIT_STATES.HALF_OPEN;
+    try {
+      const result = await fn();
+      this._recordSuccess();
+      return result;
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error; // Says nothing about the source
+      }
+      if (this.isFailure(error)) {
+        this._recordFailure();
+      } else {
+        this._recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Get the current state, moving an expired open circuit to half-open
+   * @returns {string} One of CIRCUIT_STATES
+   */
+  getState() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() >= this.openedAt + this.resetTimeout) {
+      this._setState(CIRCUIT_STATES.HALF_OPEN);
+    }
+    return this.state;
+  }
+
+  /**
+   * Check whether calls currently fail fast
+   * @returns {boolean} True while the circuit is open
+   */
+  isOpen() {
+    return this.getState() === CIRCUIT_STATES.OPEN;
+  }
+
+  /**
+   * Get when the current outage began
+   * @returns {Date|null} Start of the outage, or null while the source is healthy
+   */
+  getUnavailableSince() {
+    return this.unavailableSince === null ? null : new Date(this.unavailableSince);
+  }
+
+  /**
+   * Subscribe to state changes
+   * @param {Function} handler - Called with (state, breaker)
+   * @returns {Function} Unsubscribe function
+   */
+  onStateChange(handler) {
+    this.listeners.add(handler);
+    return () => this.listeners.delete(handler);
+  }
+
+  /**
+   * Close the circuit and forget past failures
+   */
+  reset() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.unavailableSince = null;
+    this.trialInFlight = false;
+    this._setState(CIRCUIT_STATES.CLOSED);
+  }
+
+  /**
+   * Decide whether a call may go through; half-open lets one trial call at a time
+   * @private
+   * @returns {boolean} True if the call may go through
+   */
+  _allowRequest() {
+    const state = this.getState();
+    if (state === CIRCUIT_STATES.CLOSED) {
+      return true;
+    }
+    if (state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a response from the source
+   * @private
+   */
+  _recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED || this.failures > 0) {
+      this.reset();
+    }
+  }
+
+  /**
+   * Record a failure and open the circuit when the threshold is reached
+   * A failed trial call reopens the circuit at once.
+   * @private
+   */
+  _recordFailure() {
+    const now = Date.now();
+    this.failures += 1;
+    if (this.unavailableSince === null) {
+      this.unavailableSince = now;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.openedAt = now;
+      this._setState(CIRCUIT_STATES.OPEN);
+    }
+  }
+
+  /**
+   * Change state and notify listeners
+   * @private
+   * @param {string} state - New state
+   */
+  _setState(state) {
+    if (state === this.state) {
+      return;
+    }
+
+    this.state = state;
+    for (const handler of this.listeners) {
+      try {
+        handler(state, this);
+      } catch (error) {
+        console.error(`Circuit state handler for ${this.source} failed:`, error);
+      }
+    }
+  }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,148 @@
+/**
+ * Tests for CircuitBreaker utility
+ * Includes both unit tests and property-based tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { CircuitBreaker, CircuitOpenError, CIRCUIT_STATES } from './CircuitBreaker.js';
+import { HttpError, NetworkError } from './HttpErrors.js';
+
+describe('CircuitBreaker Utility', () => {
+  let breaker;
+  const fail = () => Promise.reject(new NetworkError('Source is down'));
+  const succeed = () => Promise.resolve('data');
+  const run = (fn) => breaker.execute(fn).catch(error => error);
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-01T09:00:00Z'));
+    breaker = new CircuitBreaker('Yahoo Finance', { failureThreshold: 3, resetTimeout: 60000 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should open after consecutive failures and then fail fast', async () => {
+    await run(fail);
+    await run(fail);
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+
+    await run(fail);
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+
+    const call = vi.fn(succeed);
+    const error = await run(call);
+
+    expect(call).not.toHaveBeenCalled();
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.source).toBe('Yahoo Finance');
+    expect(error.unavailableSince).toEqual(new Date('2024-01-01T09:00:00Z'));
+    expect(error.retryAt).toEqual(new Date('2024-01-01T09:01:00Z'));
+  });
+
+  it('should reset the failure count on success', async () => {
+    await run(fail);
+    await run(fail);
+    await run(succeed);
+    await run(fail);
+    await run(fail);
+
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+  });
+
+  it('should not count errors that do not mean the source is down', async () => {
+    for (let i = 0; i < 5; i++) {
+      await run(() => Promise.reject(new HttpError('Not found', { status: 404 })));
+    }
+
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.getUnavailableSince()).toBeNull();
+  });
+
+  it('should let one trial call through once the reset timeout has passed', async () => {
+    for (let i = 0; i < 3; i++) await run(fail);
+    vi.advanceTimersByTime(60000);
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.HALF_OPEN);
+
+    let finishTrial;
+    const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+    const concurrent = vi.fn(succeed);
+    expect(await run(concurrent)).toBeInstanceOf(CircuitOpenError);
+    expect(concurrent).not.toHaveBeenCalled();
+
+    finishTrial('data');
+    await trial;
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.CLOSED);
+    expect(breaker.getUnavailableSince()).toBeNull();
+  });
+
+  it('should reopen when the trial call fails and keep the start of the outage', async () => {
+    for (let i = 0; i < 3; i++) await run(fail);
+    vi.advanceTimersByTime(60000);
+
+    await run(fail);
+
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+    expect(breaker.getUnavailableSince()).toEqual(new Date('2024-01-01T09:00:00Z'));
+    expect((await run(succeed)).retryAt).toEqual(new Date('2024-01-01T09:02:00Z'));
+  });
+
+  it('should not count cancelled calls either way', async () => {
+    const cancel = () => Promise.reject(new DOMException('The operation was aborted.', 'AbortError'));
+
+    await run(fail);
+    await run(fail);
+    await run(cancel);
+    expect(breaker.failures).toBe(2);
+
+    await run(fail);
+    expect(breaker.getState()).toBe(CIRCUIT_STATES.OPEN);
+  });
+
+  it('should notify listeners of state changes', async () => {
+    const onChange = vi.fn();
+    const unsubscribe = breaker.onStateChange(onChange);
+
+    for (let i = 0; i < 3; i++) await run(fail);
+    vi.advanceTimersByTime(60000);
+    await run(succeed);
+    unsubscribe();
+    breaker.reset();
+
+    expect(onChange.mock.calls.map(([state]) => state)).toEqual([
+      CIRCUIT_STATES.OPEN,
+      CIRCUIT_STATES.HALF_OPEN,
+      CIRCUIT_STATES.CLOSED
+    ]);
+  });
+
+  describe('Property-Based Tests', () => {
+    it('should be open exactly when the last failureThreshold calls all failed', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 5 }),
+          fc.array(fc.boolean(), { maxLength: 20 }),
+          async (failureThreshold, outcomes) => {
+            breaker = new CircuitBreaker('Reddit', { failureThreshold });
+            let streak = 0;
+
+            for (const failed of outcomes) {
+              if (streak >= failureThreshold) {
+                // Open: calls are rejected without touching the source
+                expect(await run(failed ? fail : succeed)).toBeInstanceOf(CircuitOpenError);
+                continue;
+              }
+              await run(failed ? fail : succeed);
+              streak = failed ? streak + 1 : 0;
+            }
+
+            expect(breaker.isOpen()).toBe(streak >= failureThreshold);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
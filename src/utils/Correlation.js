@@ -1,32 +1,141 @@
 /**
  * Correlation - Utility for calculating correlation between volatility and popularity data
- * Implements Pearson correlation coefficient and data alignment
+ * Implements Pearson, Spearman and Kendall correlation coefficients and data alignment
  */
 
+import { toBucketKey, bucketKeyToDate } from './DateKeys.js';
+import { ALIGNMENT_POLICIES, resolveTradingDay } from './TradingCalendar.js';
+import { studentTTwoTailedPValue, normalTwoTailedPValue, normalQuantile } from './Statistics.js';
+
+/**
+ * Supported correlation methods
+ * Pearson measures linear association; Spearman and Kendall are rank-based
+ * and robust to viral outlier days.
+ * @type {Object<string, string>}
+ */
+export const CORRELATION_METHODS = {
+  PEARSON: 'pearson',
+  SPEARMAN: 'spearman',
+  KENDALL: 'kendall'
+};
+
+/**
+ * p-value below which a correlation is reported as statistically significant
+ * @type {number}
+ */
+export const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Variance inflation of the Fisher z standard error for rank coefficients
+ * (Fieller, Hartley and Pearson, 1957); Pearson uses 1 / (n - 3).
+ * @type {Object<string, {factor: number, offset: number}>}
+ */
+const FISHER_Z_VARIANCE = {
+  [CORRELATION_METHODS.PEARSON]: { factor: 1, offset: 3 },
+  [CORRELATION_METHODS.SPEARMAN]: { factor: 1.06, offset: 3 },
+  [CORRELATION_METHODS.KENDALL]: { factor: 0.437, offset: 4 }
+};
+
+/**
+ * How the popularity side of an alignment combines points that share a bucket
+ * Popularity and mention counts are totals, so weekend activity moved onto a session adds
+ * to that session; scores such as sentiment are averaged.
+ * @type {Object<string, string>}
+ */
+export const BUCKET_AGGREGATES = {
+  SUM: 'sum',
+  MEAN: 'mean'
+};
+
+/**
+ * Combine values that fall into the same bucket
+ * Intraday candles (e.g. four 15m candles) collapse into one hourly value.
+ * @private
+ * @param {Object[]} points - Data points with a `date` property
+ * @param {string} valueKey - Name of the numeric property to combine
+ * @param {string} granularity - 'day' or 'hour'
+ * @param {string} aggregate - One of BUCKET_AGGREGATES (default MEAN)
+ * @returns {Map<string, number>} Map of bucket key to combined value
+ */
+function bucketValues(points, valueKey, granularity, aggregate = BUCKET_AGGREGATES.MEAN) {
+  const sums = new Map();
+  for (const point of points) {
+    const key = toBucketKey(point.date, granularity);
+    const entry = sums.get(key) || { total: 0, count: 0 };
+    entry.total += point[valueKey];
+    entry.count++;
+    sums.set(key, entry);
+  }
+
+  const values = new Map();
+  for (const [key, entry] of sums.entries()) {
+    values.set(key, aggregate === BUCKET_AGGREGATES.SUM ? entry.total : entry.total / entry.count);
+  }
+  return values;
+}
+
+/**
+ * Move popularity points that fall on non-trading days onto a trading session
+ * Only daily buckets are calendar-aware; hourly data is returned unchanged.
+ * @private
+ * @param {PopularityPoint[]} popularityData - Array of popularity points
+ * @param {string} granularity - 'day' or 'hour'
+ * @param {string} policy - One of ALIGNMENT_POLICIES
+ * @returns {{points: PopularityPoint[], reassigned: number, dropped: number}} Session-aligned points and counts
+ */
+function applyTradingCalendar(popularityData, granularity, policy) {
+  if (granularity !== 'day') {
+    return { points: popularityData, reassigned: 0, dropped: 0 };
+  }
+
+  const points = [];
+  let reassigned = 0;
+  let dropped = 0;
+
+  for (const point of popularityData) {
+    const dayKey = toBucketKey(point.date, granularity);
+    const sessionKey = resolveTradingDay(dayKey, policy);
+
+    if (sessionKey === null) {
+      dropped++;
+    } else if (sessionKey !== dayKey) {
+      reassigned++;
+      points.push({ ...point, date: bucketKeyToDate(sessionKey) });
+    } else {
+      points.push(point);
+    }
+  }
+
+  return { points, reassigned, dropped };
+}
+
 /**
  * Align volatility and popularity data by matching dates
+ * Meme activity on weekends and NSE holidays is mapped onto a trading session
+ * according to `options.policy` before matching, and added to that session's own activity.
+ * Volatility that shares a bucket is averaged.
  * @param {VolatilityPoint[]} volatilityData - Array of volatility points
  * @param {PopularityPoint[]} popularityData - Array of popularity points
- * @returns {{volatility: number[], popularity: number[], dates: Date[]}} Aligned data arrays
+ * @param {string} granularity - Bucket size to match on: 'day' (default) or 'hour'
+ * @param {Object} options - Alignment options
+ * @param {string} options.policy - Non-trading day policy from ALIGNMENT_POLICIES (default NEXT_SESSION)
+ * @param {string} options.aggregate - How popularity sharing a bucket is combined, from BUCKET_AGGREGATES (default SUM)
+ * @returns {{volatility: number[], popularity: number[], dates: Date[], reassigned: number, dropped: number}} Aligned data arrays and policy counts
  */
-export function alignDataByDate(volatilityData, popularityData) {
+export function alignDataByDate(volatilityData, popularityData, granularity = 'day', options = {}) {
+  const policy = options.policy || ALIGNMENT_POLICIES.NEXT_SESSION;
+
   // Handle edge cases
   if (!volatilityData || !popularityData || volatilityData.length === 0 || popularityData.length === 0) {
-    return { volatility: [], popularity: [], dates: [] };
+    return { volatility: [], popularity: [], dates: [], reassigned: 0, dropped: 0 };
   }
 
-  // Create maps for quick lookup by date string
-  const volatilityMap = new Map();
-  for (const point of volatilityData) {
-    const dateStr = point.date.toISOString().split('T')[0];
-    volatilityMap.set(dateStr, point.volatility);
-  }
+  // Map non-trading day meme activity onto trading sessions
+  const sessions = applyTradingCalendar(popularityData, granularity, policy);
 
-  const popularityMap = new Map();
-  for (const point of popularityData) {
-    const dateStr = point.date.toISOString().split('T')[0];
-    popularityMap.set(dateStr, point.popularity);
-  }
+  // Create maps for quick lookup by bucket key
+  const volatilityMap = bucketValues(volatilityData, 'volatility', granularity);
+  const popularityMap = bucketValues(sessions.points, 'popularity', granularity, options.aggregate || BUCKET_AGGREGATES.SUM);
 
   // Find common dates
   const alignedVolatility = [];
@@ -37,14 +146,16 @@ export function alignDataByDate(volatilityData, popularityData) {
     if (popularityMap.has(dateStr)) {
       alignedVolatility.push(volatility);
       alignedPopularity.push(popularityMap.get(dateStr));
-      alignedDates.push(new Date(dateStr));
+      alignedDates.push(bucketKeyToDate(dateStr));
     }
   }
 
   return {
     volatility: alignedVolatility,
     popularity: alignedPopularity,
-    dates: alignedDates
+    dates: alignedDates,
+    reassigned: sessions.reassigned,
+    dropped: sessions.dropped
   };
 }
 
@@ -100,6 +211,108 @@ export function calculatePearsonCorrelation(x, y) {
   return Math.max(-1, Math.min(1, correlation));
 }
 
+/**
+ * Rank values in ascending order, giving tied values the average of their ranks
+ * @private
+ * @param {number[]} values - Values to rank
+ * @returns {number[]} 1-based ranks in the original order
+ */
+function rankWithTies(values) {
+  const order = values
+    .map((value, index) => ({ value, index }))
+    .sort((a, b) => a.value - b.value);
+
+  const ranks = new Array(values.length);
+  let i = 0;
+  while (i < order.length) {
+    // Find the run of tied values starting at i
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) {
+      j++;
+    }
+
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      ranks[order[k].index] = averageRank;
+    }
+    i = j + 1;
+  }
+
+  return ranks;
+}
+
+/**
+ * Calculate Spearman rank correlation coefficient between two datasets
+ * Tied values receive average ranks before the Pearson coefficient of the ranks is taken.
+ * @param {number[]} x - First dataset
+ * @param {number[]} y - Second dataset
+ * @returns {number} Correlation coefficient between -1 and 1
+ */
+export function calculateSpearmanCorrelation(x, y) {
+  // Handle edge cases
+  if (!x || !y || x.length === 0 || y.length === 0) {
+    return 0;
+  }
+
+  if (x.length !== y.length) {
+    throw new Error('Arrays must have the same length for correlation calculation');
+  }
+
+  return calculatePearsonCorrelation(rankWithTies(x), rankWithTies(y));
+}
+
+/**
+ * Calculate Kendall rank correlation coefficient (tau-b) between two datasets
+ * Tau-b corrects for ties in either dataset.
+ * @param {number[]} x - First dataset
+ * @param {number[]} y - Second dataset
+ * @returns {number} Correlation coefficient between -1 and 1
+ */
+export function calculateKendallTau(x, y) {
+  // Handle edge cases
+  if (!x || !y || x.length === 0 || y.length === 0) {
+    return 0;
+  }
+
+  if (x.length !== y.length) {
+    throw new Error('Arrays must have the same length for correlation calculation');
+  }
+
+  let concordant = 0;
+  let discordant = 0;
+  let tiedOnlyX = 0;
+  let tiedOnlyY = 0;
+
+  for (let i = 0; i < x.length; i++) {
+    for (let j = i + 1; j < x.length; j++) {
+      const signX = Math.sign(x[j] - x[i]);
+      const signY = Math.sign(y[j] - y[i]);
+
+      if (signX === 0 && signY === 0) {
+        continue; // Tied in both datasets - counts towards neither
+      } else if (signX === 0) {
+        tiedOnlyX++;
+      } else if (signY === 0) {
+        tiedOnlyY++;
+      } else if (signX === signY) {
+        concordant++;
+      } else {
+        discordant++;
+      }
+    }
+  }
+
+  const denominator = Math.sqrt((concordant + discordant + tiedOnlyX) * (concordant + discordant + tiedOnlyY));
+
+  // Handle case where one variable has no variation
+  if (denominator === 0) {
+    return 0;
+  }
+
+  const tau = (concordant - discordant) / denominator;
+  return Math.max(-1, Math.min(1, tau));
+}
+
 /**
  * Classify correlation strength based on coefficient value
  * @param {number} coefficient - Correlation coefficient
@@ -120,11 +333,11 @@ export function classifyCorrelationStrength(coefficient) {
 }
 
 /**
- * Calculate p-value for correlation coefficient (simplified approximation)
- * Uses t-distribution approximation for significance testing
+ * Calculate two-tailed p-value for a correlation coefficient
+ * Uses the exact Student-t distribution with n - 2 degrees of freedom
  * @param {number} r - Correlation coefficient
  * @param {number} n - Sample size
- * @returns {number} Approximate p-value
+ * @returns {number} p-value between 0 and 1
  */
 export function calculatePValue(r, n) {
   // Handle edge cases
@@ -140,52 +353,306 @@ export function calculatePValue(r, n) {
   const t = r * Math.sqrt((n - 2) / (1 - r * r));
   const df = n - 2; // degrees of freedom
 
-  // Simplified p-value approximation using t-distribution
-  // This is a rough approximation; for production use a proper statistical library
-  const absT = Math.abs(t);
-  
-  // Very rough approximation based on common critical values
-  if (absT > 2.576) return 0.01;   // p < 0.01
-  if (absT > 1.96) return 0.05;    // p < 0.05
-  if (absT > 1.645) return 0.10;   // p < 0.10
-  
-  // For smaller t-values, use a simple approximation
-  return Math.max(0, Math.min(1, 1 - (absT / 3)));
+  return studentTTwoTailedPValue(t, df);
+}
+
+/**
+ * Calculate two-tailed p-value for Kendall's tau (normal approximation)
+ * @param {number} tau - Kendall tau coefficient
+ * @param {number} n - Sample size
+ * @returns {number} p-value between 0 and 1
+ */
+export function calculateKendallPValue(tau, n) {
+  // Handle edge cases
+  if (n < 3) {
+    return 1; // Not enough data for significance testing
+  }
+
+  if (Math.abs(tau) === 1) {
+    return 0; // Perfect correlation
+  }
+
+  // Under independence tau is approximately normal with variance 2(2n+5) / 9n(n-1)
+  const z = (3 * tau * Math.sqrt(n * (n - 1))) / Math.sqrt(2 * (2 * n + 5));
+
+  return normalTwoTailedPValue(z);
+}
+
+/**
+ * Calculate a confidence interval for a correlation coefficient via Fisher z-transform
+ * Samples too small for the transform yield the uninformative interval [-1, 1].
+ * @param {number} r - Correlation coefficient
+ * @param {number} n - Sample size
+ * @param {number} level - Confidence level (default 0.95)
+ * @param {string} method - One of CORRELATION_METHODS, selects the standard error
+ * @returns {{lower: number, upper: number, level: number}} Confidence interval
+ */
+export function calculateConfidenceInterval(r, n, level = 0.95, method = CORRELATION_METHODS.PEARSON) {
+  const variance = FISHER_Z_VARIANCE[method];
+  if (!variance) {
+    throw new Error(`Unsupported correlation method: ${method}`);
+  }
+
+  if (n <= variance.offset) {
+    return { lower: -1, upper: 1, level };
+  }
+
+  if (Math.abs(r) === 1) {
+    return { lower: r, upper: r, level };
+  }
+
+  const z = Math.atanh(r);
+  const standardError = Math.sqrt(variance.factor / (n - variance.offset));
+  const critical = normalQuantile(1 - (1 - level) / 2);
+
+  return {
+    lower: Math.tanh(z - critical * standardError),
+    upper: Math.tanh(z + critical * standardError),
+    level
+  };
+}
+
+/**
+ * Align data by session and order it chronologically
+ * Time-series analyses (lags, rolling windows, Granger tests) rely on this ordering.
+ * @param {VolatilityPoint[]} volatilityData - Array of volatility points
+ * @param {PopularityPoint[]} popularityData - Array of popularity points
+ * @param {string} granularity - 'day' or 'hour'
+ * @param {string} policy - Non-trading day policy from ALIGNMENT_POLICIES
+ * @returns {{volatility: number[], popularity: number[], dates: Date[]}} Aligned arrays sorted by date
+ */
+export function alignChronologically(volatilityData, popularityData, granularity, policy) {
+  const aligned = alignDataByDate(volatilityData, popularityData, granularity, { policy });
+  const order = aligned.dates
+    .map((date, index) => index)
+    .sort((a, b) => aligned.dates[a] - aligned.dates[b]);
+
+  return {
+    volatility: order.map(index => aligned.volatility[index]),
+    popularity: order.map(index => aligned.popularity[index]),
+    dates: order.map(index => aligned.dates[index])
+  };
+}
+
+/**
+ * Minimum overlapping observations for a lag to be considered for the best lag
+ * @type {number}
+ */
+const MIN_LAG_SAMPLE_SIZE = 3;
+
+/**
+ * Calculate lagged cross-correlation between meme popularity and volatility
+ * A positive lag k correlates popularity on session t with volatility on session t + k,
+ * so the best lag being positive means memes lead the market and negative means they lag.
+ * Lags are counted in aligned buckets (trading days, or hours for intraday data).
+ * @param {VolatilityPoint[]} volatilityData - Array of volatility points
+ * @param {PopularityPoint[]} popularityData - Array of popularity points
+ * @param {Object} options - Cross-correlation options
+ * @param {number} options.maxLag - Largest lag in either direction (default 7)
+ * @param {string} options.granularity - Bucket size to align on: 'day' (default) or 'hour'
+ * @param {string} options.policy - Non-trading day policy from ALIGNMENT_POLICIES
+ * @returns {{lags: Array<{lag: number, coefficient: number, pValue: number, significant: boolean, sampleSize: number}>, bestLag: Object|null, maxLag: number, granularity: string}} Coefficient and significance per lag
+ */
+export function calculateCrossCorrelation(volatilityData, popularityData, options = {}) {
+  const { maxLag = 7, granularity = 'day', policy } = options;
+
+  if (!Number.isInteger(maxLag) || maxLag < 0) {
+    throw new Error(`maxLag must be a non-negative integer, got ${maxLag}`);
+  }
+
+  // Index offsets in the chronological series are lags
+  const { volatility, popularity } = alignChronologically(volatilityData, popularityData, granularity, policy);
+  const n = volatility.length;
+
+  const lags = [];
+  for (let lag = -maxLag; lag <= maxLag; lag++) {
+    const memeValues = [];
+    const marketValues = [];
+    for (let i = 0; i < n; i++) {
+      const j = i + lag;
+      if (j >= 0 && j < n) {
+        memeValues.push(popularity[i]);
+        marketValues.push(volatility[j]);
+      }
+    }
+
+    const coefficient = calculatePearsonCorrelation(memeValues, marketValues);
+    const pValue = calculatePValue(coefficient, memeValues.length);
+    lags.push({
+      lag,
+      coefficient,
+      pValue,
+      significant: pValue < SIGNIFICANCE_LEVEL,
+      sampleSize: memeValues.length
+    });
+  }
+
+  // Strongest absolute coefficient wins; ties go to the shorter lag
+  let bestLag = null;
+  for (const entry of lags) {
+    if (entry.sampleSize < MIN_LAG_SAMPLE_SIZE) continue;
+
+    const stronger = !bestLag || Math.abs(entry.coefficient) > Math.abs(bestLag.coefficient);
+    const tiedButShorter = bestLag &&
+      Math.abs(entry.coefficient) === Math.abs(bestLag.coefficient) &&
+      Math.abs(entry.lag) < Math.abs(bestLag.lag);
+    if (stronger || tiedButShorter) {
+      bestLag = entry;
+    }
+  }
+
+  return { lags, bestLag, maxLag, granularity };
+}
+
+/**
+ * Calculate Pearson correlation over a sliding window of aligned sessions
+ * Each point covers the `window` most recent aligned buckets ending at its date,
+ * which exposes regime changes hidden by a single whole-period coefficient.
+ * @param {VolatilityPoint[]} volatilityData - Array of volatility points
+ * @param {PopularityPoint[]} popularityData - Array of popularity points
+ * @param {number} window - Number of aligned buckets per window (at least 3)
+ * @param {Object} options - Alignment options
+ * @param {string} options.granularity - Bucket size to align on: 'day' (default) or 'hour'
+ * @param {string} options.policy - Non-trading day policy from ALIGNMENT_POLICIES
+ * @returns {Array<{date: Date, coefficient: number, pValue: number, significant: boolean, sampleSize: number}>} Rolling coefficients in chronological order
+ */
+export function calculateRollingCorrelation(volatilityData, popularityData, window = 10, options = {}) {
+  const { granularity = 'day', policy } = options;
+
+  if (!Number.isInteger(window) || window < 3) {
+    throw new Error(`Rolling window must be an integer of at least 3, got ${window}`);
+  }
+
+  const { volatility, popularity, dates } = alignChronologically(volatilityData, popularityData, granularity, policy);
+
+  const rolling = [];
+  for (let end = window; end <= dates.length; end++) {
+    const coefficient = calculatePearsonCorrelation(
+      volatility.slice(end - window, end),
+      popularity.slice(end - window, end)
+    );
+    const pValue = calculatePValue(coefficient, window);
+
+    rolling.push({
+      date: dates[end - 1],
+      coefficient,
+      pValue,
+      significant: pValue < SIGNIFICANCE_LEVEL,
+      sampleSize: window
+    });
+  }
+
+  return rolling;
 }
 
 /**
  * Calculate complete correlation result with all metrics
  * @param {VolatilityPoint[]} volatilityData - Array of volatility points
  * @param {PopularityPoint[]} popularityData - Array of popularity points
- * @returns {CorrelationResult} Complete correlation analysis
+ * @param {string} granularity - Bucket size to align on: 'day' (default) or 'hour'
+ * @param {Object} options - Alignment options passed to alignDataByDate
+ * @param {string} options.policy - Non-trading day policy from ALIGNMENT_POLICIES (default NEXT_SESSION)
+ * @returns {CorrelationResult} Complete correlation analysis; top-level fields are Pearson,
+ *   `methods` holds the result for every entry in CORRELATION_METHODS
  */
-export function calculateCorrelation(volatilityData, popularityData) {
+export function calculateCorrelation(volatilityData, popularityData, granularity = 'day', options = {}) {
   // Align data by date
-  const aligned = alignDataByDate(volatilityData, popularityData);
+  const aligned = alignDataByDate(volatilityData, popularityData, granularity, options);
+
+  // Report what the non-trading day policy did to the meme data
+  const alignment = {
+    policy: options.policy || ALIGNMENT_POLICIES.NEXT_SESSION,
+    reassigned: aligned.reassigned,
+    dropped: aligned.dropped
+  };
   
   // Handle case with no aligned data
   if (aligned.volatility.length === 0) {
-    return {
+    const empty = {
       coefficient: 0,
       strength: 'Very Weak',
       pValue: 1,
-      sampleSize: 0
+      significant: false,
+      confidenceInterval: { lower: -1, upper: 1, level: 0.95 }
+    };
+    return {
+      ...empty,
+      sampleSize: 0,
+      methods: {
+        [CORRELATION_METHODS.PEARSON]: { ...empty },
+        [CORRELATION_METHODS.SPEARMAN]: { ...empty },
+        [CORRELATION_METHODS.KENDALL]: { ...empty }
+      },
+      alignment
     };
   }
 
-  // Calculate correlation coefficient
-  const coefficient = calculatePearsonCorrelation(aligned.volatility, aligned.popularity);
-  
-  // Classify strength
-  const strength = classifyCorrelationStrength(coefficient);
-  
-  // Calculate p-value
-  const pValue = calculatePValue(coefficient, aligned.volatility.length);
-  
+  const n = aligned.volatility.length;
+
+  // Calculate each coefficient with its strength, p-value and confidence interval
+  const summarize = (method, coefficient, pValue) => ({
+    coefficient,
+    strength: classifyCorrelationStrength(coefficient),
+    pValue,
+    significant: pValue < SIGNIFICANCE_LEVEL,
+    confidenceInterval: calculateConfidenceInterval(coefficient, n, 0.95, method)
+  });
+
+  const pearson = calculatePearsonCorrelation(aligned.volatility, aligned.popularity);
+  const spearman = calculateSpearmanCorrelation(aligned.volatility, aligned.popularity);
+  const kendall = calculateKendallTau(aligned.volatility, aligned.popularity);
+
+  const methods = {
+    [CORRELATION_METHODS.PEARSON]: summarize(CORRELATION_METHODS.PEARSON, pearson, calculatePValue(pearson, n)),
+    [CORRELATION_METHODS.SPEARMAN]: summarize(CORRELATION_METHODS.SPEARMAN, spearman, calculatePValue(spearman, n)),
+    [CORRELATION_METHODS.KENDALL]: summarize(CORRELATION_METHODS.KENDALL, kendall, calculateKendallPValue(kendall, n))
+  };
+
+  // Top-level fields stay Pearson for existing consumers
   return {
-    coefficient: coefficient,
-    strength: strength,
-    pValue: pValue,
-    sampleSize: aligned.volatility.length
+    ...methods[CORRELATION_METHODS.PEARSON],
+    sampleSize: n,
+    methods,
+    alignment
   };
 }
+
+/**
+ * Correlate meme sentiment with market returns and with volatility
+ * The alignment helpers match `volatility` against `popularity`, so each market series
+ * takes the volatility side and sentiment the popularity side. Sentiment is a score, so
+ * weekend sentiment moved onto a session is averaged with it rather than added.
+ * @param {Array<{date: Date, change: number}>} returnsData - Close-to-close returns
+ * @param {VolatilityPoint[]} volatilityData - Array of volatility points
+ * @param {SentimentPoint[]} sentimentData - Array of sentiment points
+ * @param {string} granularity - Bucket size to align on: 'day' (default) or 'hour'
+ * @param {Object} options - Alignment options passed to alignDataByDate
+ * @param {string} options.policy - Non-trading day policy from ALIGNMENT_POLICIES (default NEXT_SESSION)
+ * @returns {{returns: CorrelationResult, volatility: CorrelationResult}} Sentiment against each market series
+ */
+export function calculateSentimentCorrelation(returnsData, volatilityData, sentimentData, granularity = 'day', options = {}) {
+  const sentiment = (sentimentData || []).map(point => ({ date: point.date, popularity: point.sentiment }));
+  const returns = (returnsData || []).map(point => ({ date: point.date, volatility: point.change }));
+
+  const alignment = { ...options, aggregate: BUCKET_AGGREGATES.MEAN };
+
+  return {
+    returns: calculateCorrelation(returns, sentiment, granularity, alignment),
+    volatility: calculateCorrelation(volatilityData, sentiment, granularity, alignment)
+  };
+}
+
+/**
+ * Correlate how often memes mention a stock with that stock's volatility
+ * Mention counts take the popularity side of the alignment helpers, so weekend mentions add to the next session's.
+ * @param {VolatilityPoint[]} volatilityData - Volatility of the mentioned stock
+ * @param {Array<{date: Date, mentions: number}>} mentionData - Mention counts from RedditAPI.calculateTickerMentions()
+ * @param {string} granularity - Bucket size to align on: 'day' (default) or 'hour'
+ * @param {Object} options - Alignment options passed to alignDataByDate
+ * @param {string} options.policy - Non-trading day policy from ALIGNMENT_POLICIES (default NEXT_SESSION)
+ * @returns {CorrelationResult} Mentions against volatility
+ */
+export function calculateMentionCorrelation(volatilityData, mentionData, granularity = 'day', options = {}) {
+  const mentions = (mentionData || []).map(point => ({ date: point.date, popularity: point.mentions }));
+  return calculateCorrelation(volatilityData, mentions, granularity, options);
+}
@@ -8,10 +8,22 @@ import * as fc from 'fast-check';
 import {
   alignDataByDate,
   calculatePearsonCorrelation,
+  calculateSpearmanCorrelation,
+  calculateKendallTau,
   classifyCorrelationStrength,
   calculatePValue,
-  calculateCorrelation
+  calculateKendallPValue,
+  calculateConfidenceInterval,
+  calculateCrossCorrelation,
+  calculateRollingCorrelation,
+  calculateCorrelation,
+  calculateSentimentCorrelation,
+  calculateMentionCorrelation,
+  BUCKET_AGGREGATES,
+  CORRELATION_METHODS
 } from './Correlation.js';
+import { ALIGNMENT_POLICIES, getNextTradingDay } from './TradingCalendar.js';
+import { toDayKey } from './DateKeys.js';
 
 describe('Correlation Utility', () => {
   describe('alignDataByDate', () => {
@@ -50,6 +62,101 @@ describe('Correlation Utility', () => {
       expect(result.dates).toEqual([]);
     });
 
+    it('should align intraday data by IST hour and average candles within the hour', () => {
+      const volatilityData = [
+        { date: new Date('2024-01-01T03:45:00Z'), volatility: 1.0 }, // 09:15 IST
+        { date: new Date('2024-01-01T04:00:00Z'), volatility: 2.0 }, // 09:30 IST
+        { date: new Date('2024-01-01T04:45:00Z'), volatility: 4.0 }  // 10:15 IST
+      ];
+
+      const popularityData = [
+        { date: new Date('2024-01-01T03:30:00Z'), popularity: 100 }, // 09:00 IST bucket
+        { date: new Date('2024-01-01T04:30:00Z'), popularity: 200 }  // 10:00 IST bucket
+      ];
+
+      const result = alignDataByDate(volatilityData, popularityData, 'hour');
+
+      expect(result.volatility).toEqual([1.5, 4.0]);
+      expect(result.popularity).toEqual([100, 200]);
+      expect(result.dates.map(d => d.toISOString())).toEqual([
+        '2024-01-01T03:30:00.000Z',
+        '2024-01-01T04:30:00.000Z'
+      ]);
+    });
+
+    it('should roll weekend meme activity into the next trading session by default', () => {
+      // 2024-01-05 is a Friday, 2024-01-06/07 the weekend, 2024-01-08 a Monday
+      const volatilityData = [
+        { date: new Date('2024-01-05'), volatility: 1.0 },
+        { date: new Date('2024-01-08'), volatility: 2.0 }
+      ];
+      const popularityData = [
+        { date: new Date('2024-01-05'), popularity: 10 },
+        { date: new Date('2024-01-06'), popularity: 20 },
+        { date: new Date('2024-01-07'), popularity: 30 },
+        { date: new Date('2024-01-08'), popularity: 40 }
+      ];
+
+      const result = alignDataByDate(volatilityData, popularityData);
+
+      // Monday's own 40 plus the weekend's 20 + 30
+      expect(result.popularity).toEqual([10, 90]);
+      expect(result.reassigned).toBe(2);
+      expect(result.dropped).toBe(0);
+    });
+
+    it('should average rolled-in values when asked to', () => {
+      const volatilityData = [{ date: new Date('2024-01-08'), volatility: 2.0 }];
+      const popularityData = [
+        { date: new Date('2024-01-06'), popularity: 20 },
+        { date: new Date('2024-01-07'), popularity: 30 },
+        { date: new Date('2024-01-08'), popularity: 40 }
+      ];
+
+      const result = alignDataByDate(volatilityData, popularityData, 'day', { aggregate: BUCKET_AGGREGATES.MEAN });
+
+      expect(result.popularity).toEqual([30]);
+    });
+
+    it('should attribute non-trading day activity to the previous session', () => {
+      // 2024-01-26 (Friday) is Republic Day, so the weekend maps back to Thursday
+      const volatilityData = [
+        { date: new Date('2024-01-25'), volatility: 1.0 },
+        { date: new Date('2024-01-29'), volatility: 2.0 }
+      ];
+      const popularityData = [
+        { date: new Date('2024-01-25'), popularity: 10 },
+        { date: new Date('2024-01-26'), popularity: 20 },
+        { date: new Date('2024-01-27'), popularity: 30 },
+        { date: new Date('2024-01-29'), popularity: 40 }
+      ];
+
+      const result = alignDataByDate(volatilityData, popularityData, 'day', {
+        policy: ALIGNMENT_POLICIES.PREVIOUS_SESSION
+      });
+
+      expect(result.popularity).toEqual([60, 40]);
+      expect(result.reassigned).toBe(2);
+    });
+
+    it('should drop non-trading day activity with the drop policy', () => {
+      const volatilityData = [
+        { date: new Date('2024-01-05'), volatility: 1.0 }
+      ];
+      const popularityData = [
+        { date: new Date('2024-01-05'), popularity: 10 },
+        { date: new Date('2024-01-06'), popularity: 20 }
+      ];
+
+      const result = alignDataByDate(volatilityData, popularityData, 'day', {
+        policy: ALIGNMENT_POLICIES.DROP
+      });
+
+      expect(result.popularity).toEqual([10]);
+      expect(result.reassigned).toBe(0);
+      expect(result.dropped).toBe(1);
+    });
+
     it('should handle empty arrays', () => {
       const result = alignDataByDate([], []);
       expect(result.volatility).toEqual([]);
@@ -99,6 +206,49 @@ describe('Correlation Utility', () => {
     });
   });
 
+  describe('calculateSpearmanCorrelation', () => {
+    it('should return 1 for any monotonically increasing relationship', () => {
+      const x = [1, 2, 3, 4, 5];
+      const y = [1, 4, 9, 16, 1000]; // Viral outlier does not matter for ranks
+      expect(calculateSpearmanCorrelation(x, y)).toBeCloseTo(1, 10);
+    });
+
+    it('should give tied values their average rank', () => {
+      // Ranks of y are [1, 2.5, 2.5, 4]
+      const x = [1, 2, 3, 4];
+      const y = [10, 20, 20, 30];
+      expect(calculateSpearmanCorrelation(x, y)).toBeCloseTo(0.9487, 4);
+    });
+
+    it('should handle empty arrays and mismatched lengths', () => {
+      expect(calculateSpearmanCorrelation([], [])).toBe(0);
+      expect(() => calculateSpearmanCorrelation([1, 2], [1])).toThrow('Arrays must have the same length');
+    });
+  });
+
+  describe('calculateKendallTau', () => {
+    it('should return 1 and -1 for perfectly concordant and discordant data', () => {
+      expect(calculateKendallTau([1, 2, 3, 4], [5, 6, 7, 100])).toBe(1);
+      expect(calculateKendallTau([1, 2, 3, 4], [4, 3, 2, 1])).toBe(-1);
+    });
+
+    it('should compute tau-b with ties', () => {
+      // 5 concordant, 0 discordant, 1 pair tied only in y
+      const x = [1, 2, 3, 4];
+      const y = [10, 20, 20, 30];
+      expect(calculateKendallTau(x, y)).toBeCloseTo(5 / Math.sqrt(6 * 5), 10);
+    });
+
+    it('should return 0 when one variable is constant', () => {
+      expect(calculateKendallTau([1, 2, 3], [5, 5, 5])).toBe(0);
+    });
+
+    it('should handle empty arrays and mismatched lengths', () => {
+      expect(calculateKendallTau([], [])).toBe(0);
+      expect(() => calculateKendallTau([1, 2], [1])).toThrow('Arrays must have the same length');
+    });
+  });
+
   describe('classifyCorrelationStrength', () => {
     it('should classify strong correlation', () => {
       expect(classifyCorrelationStrength(0.8)).toBe('Strong');
@@ -132,12 +282,156 @@ describe('Correlation Utility', () => {
       expect(calculatePValue(-1, 10)).toBe(0);
     });
 
+    it('should return exact Student-t p-values', () => {
+      // r = 0.5, n = 10 gives t = 1.633 with 8 degrees of freedom
+      expect(calculatePValue(0.5, 10)).toBeCloseTo(0.1411, 4);
+      expect(calculatePValue(-0.5, 10)).toBeCloseTo(0.1411, 4);
+      expect(calculatePValue(0, 10)).toBeCloseTo(1, 10);
+    });
+
     it('should return low p-value for strong correlation with large sample', () => {
       const pValue = calculatePValue(0.9, 100);
       expect(pValue).toBeLessThan(0.05);
     });
   });
 
+  describe('calculateKendallPValue', () => {
+    it('should return 1 for insufficient sample size', () => {
+      expect(calculateKendallPValue(0.5, 2)).toBe(1);
+    });
+
+    it('should return low p-value for strong association with large sample', () => {
+      expect(calculateKendallPValue(0.6, 40)).toBeLessThanOrEqual(0.01);
+    });
+  });
+
+  describe('calculateConfidenceInterval', () => {
+    it('should compute a 95% Fisher z interval', () => {
+      const ci = calculateConfidenceInterval(0.5, 30);
+
+      expect(ci.level).toBe(0.95);
+      expect(ci.lower).toBeCloseTo(0.1704, 4);
+      expect(ci.upper).toBeCloseTo(0.7290, 4);
+    });
+
+    it('should widen the interval for rank methods', () => {
+      const pearson = calculateConfidenceInterval(0.5, 30);
+      const spearman = calculateConfidenceInterval(0.5, 30, 0.95, CORRELATION_METHODS.SPEARMAN);
+
+      expect(spearman.upper - spearman.lower).toBeGreaterThan(pearson.upper - pearson.lower);
+    });
+
+    it('should return [-1, 1] when the sample is too small', () => {
+      expect(calculateConfidenceInterval(0.9, 3)).toEqual({ lower: -1, upper: 1, level: 0.95 });
+    });
+
+    it('should throw for unknown methods', () => {
+      expect(() => calculateConfidenceInterval(0.5, 30, 0.95, 'distance')).toThrow('Unsupported correlation method: distance');
+    });
+  });
+
+  describe('calculateCrossCorrelation', () => {
+    // Consecutive NSE sessions starting 2024-01-01
+    const sessions = (count) => {
+      const days = ['2024-01-01'];
+      while (days.length < count) {
+        days.push(getNextTradingDay(days[days.length - 1]));
+      }
+      return days.map(day => new Date(`${day}T04:00:00Z`));
+    };
+
+    it('should find the lag at which memes lead volatility', () => {
+      const dates = sessions(30);
+      const memes = dates.map((_, i) => Math.sin(i * 1.7) * 50 + 100 + (i % 4) * 7);
+      const popularityData = dates.map((date, i) => ({ date, popularity: memes[i] }));
+      // Volatility echoes meme popularity two sessions later
+      const volatilityData = dates.map((date, i) => ({ date, volatility: i >= 2 ? memes[i - 2] / 10 : 5 }));
+
+      const result = calculateCrossCorrelation(volatilityData, popularityData, { maxLag: 5 });
+
+      expect(result.lags.map(entry => entry.lag)).toEqual([-5, -4, -3, -2, -1, 0, 1, 2, 3, 4, 5]);
+      expect(result.bestLag.lag).toBe(2);
+      expect(result.bestLag.coefficient).toBeCloseTo(1, 10);
+      expect(result.bestLag.significant).toBe(true);
+      expect(result.lags.find(entry => entry.lag === 2).sampleSize).toBe(28);
+    });
+
+    it('should detect volatility leading memes as a negative lag', () => {
+      const dates = sessions(30);
+      const market = dates.map((_, i) => Math.cos(i * 2.3) * 3 + 5 + (i % 3));
+      const volatilityData = dates.map((date, i) => ({ date, volatility: market[i] }));
+      const popularityData = dates.map((date, i) => ({ date, popularity: i >= 3 ? market[i - 3] * 20 : 50 }));
+
+      const result = calculateCrossCorrelation(volatilityData, popularityData, { maxLag: 7 });
+
+      expect(result.bestLag.lag).toBe(-3);
+    });
+
+    it('should return no best lag without enough overlapping data', () => {
+      const result = calculateCrossCorrelation([], [], { maxLag: 2 });
+
+      expect(result.lags).toHaveLength(5);
+      expect(result.bestLag).toBeNull();
+      expect(result.lags.every(entry => entry.sampleSize === 0)).toBe(true);
+    });
+
+    it('should reject invalid lag windows', () => {
+      expect(() => calculateCrossCorrelation([], [], { maxLag: -1 })).toThrow('maxLag must be a non-negative integer');
+      expect(() => calculateCrossCorrelation([], [], { maxLag: 1.5 })).toThrow('maxLag must be a non-negative integer');
+    });
+  });
+
+  describe('calculateRollingCorrelation', () => {
+    const sessions = (count) => {
+      const days = ['2024-01-01'];
+      while (days.length < count) {
+        days.push(getNextTradingDay(days[days.length - 1]));
+      }
+      return days.map(day => new Date(`${day}T04:00:00Z`));
+    };
+
+    it('should produce one coefficient per full window ending at each session', () => {
+      const dates = sessions(12);
+      const volatilityData = dates.map((date, i) => ({ date, volatility: i }));
+      const popularityData = dates.map((date, i) => ({ date, popularity: i * 2 }));
+
+      const rolling = calculateRollingCorrelation(volatilityData, popularityData, 5);
+
+      expect(rolling).toHaveLength(8);
+      expect(toDayKey(rolling[0].date)).toBe(toDayKey(dates[4]));
+      expect(toDayKey(rolling[rolling.length - 1].date)).toBe(toDayKey(dates[11]));
+      for (const point of rolling) {
+        expect(point.coefficient).toBeCloseTo(1, 10);
+        expect(point.significant).toBe(true);
+        expect(point.sampleSize).toBe(5);
+      }
+    });
+
+    it('should expose a regime change hidden by the full-period coefficient', () => {
+      const dates = sessions(20);
+      const volatilityData = dates.map((date, i) => ({ date, volatility: i % 10 }));
+      // Memes track volatility in the first half and move against it in the second
+      const popularityData = dates.map((date, i) => ({ date, popularity: i < 10 ? i % 10 : 10 - (i % 10) }));
+
+      const rolling = calculateRollingCorrelation(volatilityData, popularityData, 5);
+
+      expect(rolling[0].coefficient).toBeCloseTo(1, 10);
+      expect(rolling[rolling.length - 1].coefficient).toBeCloseTo(-1, 10);
+    });
+
+    it('should return an empty series when there are fewer sessions than the window', () => {
+      const dates = sessions(3);
+      const volatilityData = dates.map((date, i) => ({ date, volatility: i }));
+      const popularityData = dates.map((date, i) => ({ date, popularity: i }));
+
+      expect(calculateRollingCorrelation(volatilityData, popularityData, 5)).toEqual([]);
+    });
+
+    it('should reject windows smaller than 3', () => {
+      expect(() => calculateRollingCorrelation([], [], 2)).toThrow('Rolling window must be an integer of at least 3');
+    });
+  });
+
   describe('calculateCorrelation', () => {
     it('should calculate complete correlation result', () => {
       const volatilityData = [
@@ -177,6 +471,127 @@ describe('Correlation Utility', () => {
       expect(result.sampleSize).toBe(0);
       expect(result.pValue).toBe(1);
     });
+
+    it('should return Pearson, Spearman and Kendall results', () => {
+      const volatilityData = [1, 2, 3, 4, 5].map(day => ({
+        date: new Date(`2024-01-0${day}`),
+        volatility: day
+      }));
+      // A viral outlier on the last day distorts Pearson but not the rank methods
+      const popularityData = [10, 20, 30, 40, 5000].map((popularity, i) => ({
+        date: new Date(`2024-01-0${i + 1}`),
+        popularity
+      }));
+
+      const result = calculateCorrelation(volatilityData, popularityData);
+
+      expect(Object.keys(result.methods)).toEqual(Object.values(CORRELATION_METHODS));
+      expect(result.coefficient).toBe(result.methods.pearson.coefficient);
+      expect(result.methods.pearson.coefficient).toBeLessThan(0.8);
+      expect(result.methods.spearman.coefficient).toBeCloseTo(1, 10);
+      expect(result.methods.kendall.coefficient).toBe(1);
+      expect(result.methods.kendall.strength).toBe('Strong');
+    });
+
+    it('should include significance and confidence intervals for every method', () => {
+      const volatilityData = [];
+      const popularityData = [];
+      for (let day = 1; day <= 20; day++) {
+        const date = new Date(Date.UTC(2024, 0, day));
+        volatilityData.push({ date, volatility: day });
+        popularityData.push({ date, popularity: day % 2 === 0 ? day : -day });
+      }
+
+      const result = calculateCorrelation(volatilityData, popularityData, 'day', {
+        policy: ALIGNMENT_POLICIES.DROP
+      });
+
+      for (const method of Object.values(CORRELATION_METHODS)) {
+        const methodResult = result.methods[method];
+        expect(methodResult.significant).toBe(methodResult.pValue < 0.05);
+        expect(methodResult.confidenceInterval.lower).toBeLessThanOrEqual(methodResult.coefficient);
+        expect(methodResult.confidenceInterval.upper).toBeGreaterThanOrEqual(methodResult.coefficient);
+      }
+      expect(result.confidenceInterval).toEqual(result.methods.pearson.confidenceInterval);
+    });
+
+    it('should report how many observations the alignment policy reassigned', () => {
+      const volatilityData = [
+        { date: new Date('2024-01-08'), volatility: 1.5 }
+      ];
+      const popularityData = [
+        { date: new Date('2024-01-06'), popularity: 100 },
+        { date: new Date('2024-01-07'), popularity: 200 }
+      ];
+
+      const result = calculateCorrelation(volatilityData, popularityData, 'day', {
+        policy: ALIGNMENT_POLICIES.NEXT_SESSION
+      });
+
+      expect(result.sampleSize).toBe(1);
+      expect(result.alignment).toEqual({ policy: 'next-session', reassigned: 2, dropped: 0 });
+    });
+  });
+
+  describe('calculateSentimentCorrelation', () => {
+    it('should correlate sentiment with returns and with volatility separately', () => {
+      const days = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'];
+      const returnsData = days.map((day, i) => ({ date: new Date(`${day}T10:00:00Z`), change: i - 2 }));
+      const volatilityData = days.map((day, i) => ({ date: new Date(`${day}T10:00:00Z`), volatility: 5 - i }));
+      const sentimentData = days.map((day, i) => ({ date: new Date(`${day}T10:00:00Z`), sentiment: (i - 2) / 4 }));
+
+      const result = calculateSentimentCorrelation(returnsData, volatilityData, sentimentData);
+
+      expect(result.returns.coefficient).toBeCloseTo(1, 10);
+      expect(result.volatility.coefficient).toBeCloseTo(-1, 10);
+      expect(result.returns.sampleSize).toBe(5);
+    });
+
+    it('should average weekend sentiment into the next session instead of adding it', () => {
+      // 2024-01-04/05 are Thursday and Friday, 2024-01-08 the Monday after the weekend
+      const volatilityData = ['2024-01-04', '2024-01-05', '2024-01-08']
+        .map((day, i) => ({ date: new Date(`${day}T10:00:00Z`), volatility: i + 1 }));
+      const sentimentData = [['2024-01-04', 0.1], ['2024-01-05', 0.2], ['2024-01-06', 0.3], ['2024-01-07', 0.3], ['2024-01-08', 0.3]]
+        .map(([day, sentiment]) => ({ date: new Date(`${day}T10:00:00Z`), sentiment }));
+
+      const result = calculateSentimentCorrelation([], volatilityData, sentimentData);
+
+      expect(result.volatility.coefficient).toBeCloseTo(1, 10);
+    });
+
+    it('should report no sample without sentiment data', () => {
+      const result = calculateSentimentCorrelation([], [], []);
+
+      expect(result.returns.sampleSize).toBe(0);
+      expect(result.volatility.sampleSize).toBe(0);
+    });
+  });
+
+  describe('calculateMentionCorrelation', () => {
+    it('should correlate mention counts with volatility', () => {
+      const days = ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'];
+      const volatilityData = days.map((day, i) => ({ date: new Date(`${day}T10:00:00Z`), volatility: i + 1 }));
+      const mentionData = days.map((day, i) => ({ date: new Date(`${day}T10:00:00Z`), mentions: 2 * i, posts: 10 }));
+
+      const result = calculateMentionCorrelation(volatilityData, mentionData);
+
+      expect(result.coefficient).toBeCloseTo(1, 10);
+      expect(result.sampleSize).toBe(5);
+      expect(calculateMentionCorrelation(volatilityData, null).sampleSize).toBe(0);
+    });
+
+    it('should add weekend mentions to the next session', () => {
+      // Monday 2024-01-08 gets its own mention plus one each from Saturday and Sunday
+      const volatilityData = ['2024-01-04', '2024-01-05', '2024-01-08', '2024-01-09', '2024-01-10']
+        .map((day, i) => ({ date: new Date(`${day}T10:00:00Z`), volatility: i + 1 }));
+      const mentionData = [['2024-01-04', 1], ['2024-01-05', 2], ['2024-01-06', 1], ['2024-01-07', 1], ['2024-01-08', 1], ['2024-01-09', 4], ['2024-01-10', 5]]
+        .map(([day, mentions]) => ({ date: new Date(`${day}T10:00:00Z`), mentions, posts: 10 }));
+
+      const result = calculateMentionCorrelation(volatilityData, mentionData);
+
+      expect(result.coefficient).toBeCloseTo(1, 10);
+      expect(result.alignment.reassigned).toBe(2);
+    });
   });
 
   // Property-Based Tests
@@ -211,6 +626,34 @@ describe('Correlation Utility', () => {
       );
     });
 
+    it('Rank correlations stay within bounds and ignore monotonic transforms', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 2, max: 40 }).chain(length =>
+            fc.tuple(
+              fc.array(fc.integer({ min: -50, max: 50 }), { minLength: length, maxLength: length }),
+              fc.array(fc.integer({ min: -50, max: 50 }), { minLength: length, maxLength: length })
+            )
+          ),
+          ([x, y]) => {
+            const spearman = calculateSpearmanCorrelation(x, y);
+            const kendall = calculateKendallTau(x, y);
+
+            expect(spearman).toBeGreaterThanOrEqual(-1);
+            expect(spearman).toBeLessThanOrEqual(1);
+            expect(kendall).toBeGreaterThanOrEqual(-1);
+            expect(kendall).toBeLessThanOrEqual(1);
+
+            // A strictly increasing transform preserves ranks
+            const transformed = y.map(value => Math.exp(value / 10));
+            expect(calculateSpearmanCorrelation(x, transformed)).toBeCloseTo(spearman, 10);
+            expect(calculateKendallTau(x, transformed)).toBeCloseTo(kendall, 10);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
     /**
      * **Feature: meme-market-dashboard, Property 7: Time range filter consistency**
      * **Validates: Requirements 10.2, 10.3**
@@ -0,0 +1,200 @@
+/**
+ * DateKeys - Utility for deriving time-zone aware bucket keys from timestamps
+ * Used to group stock candles and meme posts into comparable time buckets
+ * Buckets follow Asia/Kolkata wall-clock time unless configured otherwise
+ */
+
+/**
+ * Default time zone for day and hour buckets (market sessions run on IST)
+ * @type {string}
+ */
+export const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+
+const MS_PER_MINUTE = 60 * 1000;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+
+// Time zone used when callers don't pass one explicitly
+let activeTimeZone = DEFAULT_TIME_ZONE;
+
+// Intl formatters are expensive to build, so keep one per time zone
+const formatters = new Map();
+
+/**
+ * Pad a number to two digits
+ * @private
+ * @param {number} value - Number to pad
+ * @returns {string} Zero-padded string
+ */
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+/**
+ * Get a cached formatter that reports wall-clock parts in a time zone
+ * @private
+ * @param {string} timeZone - IANA time zone name
+ * @returns {Intl.DateTimeFormat} Formatter
+ */
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a time zone
+ * @private
+ * @param {Date} date - Instant to convert
+ * @param {string} timeZone - IANA time zone name
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}} Wall-clock parts
+ */
+function getWallClock(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second
+  };
+}
+
+/**
+ * Format a UTC offset in minutes as ±HH:MM
+ * @private
+ * @param {number} offsetMinutes - Offset from UTC in minutes
+ * @returns {string} Offset string
+ */
+function formatOffset(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const abs = Math.abs(offsetMinutes);
+  return `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+}
+
+/**
+ * Set the time zone used by default for all bucket keys
+ * @param {string} timeZone - IANA time zone name, e.g. 'Asia/Kolkata' or 'UTC'
+ */
+export function setTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+  } catch (error) {
+    throw new Error(`Unsupported time zone: ${timeZone}`);
+  }
+  activeTimeZone = timeZone;
+}
+
+/**
+ * Get the time zone currently used by default for bucket keys
+ * @returns {string} IANA time zone name
+ */
+export function getTimeZone() {
+  return activeTimeZone;
+}
+
+/**
+ * Get the UTC offset of a time zone at a given instant
+ * @param {Date} date - Instant to evaluate (offsets change with daylight saving)
+ * @param {string} timeZone - IANA time zone name
+ * @returns {number} Offset from UTC in minutes (330 for IST)
+ */
+export function getTimeZoneOffsetMinutes(date, timeZone = activeTimeZone) {
+  const wall = getWallClock(date, timeZone);
+  const wallAsUtc = Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute, wall.second);
+  const instant = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((wallAsUtc - instant) / MS_PER_MINUTE);
+}
+
+/**
+ * Get the day key (YYYY-MM-DD) for a date in a time zone
+ * A post at 02:00 IST belongs to that IST day, not the previous UTC day.
+ * @param {Date} date - Date to convert
+ * @param {string} timeZone - IANA time zone name (defaults to the active time zone)
+ * @returns {string} Day key
+ */
+export function toDayKey(date, timeZone = activeTimeZone) {
+  const wall = getWallClock(date, timeZone);
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)}`;
+}
+
+/**
+ * Get the hour key for a date in a time zone
+ * The key is an ISO-8601 timestamp of the start of the local hour with its offset,
+ * e.g. '2024-01-01T09:00+05:30', so `new Date(key)` yields the bucket start.
+ * @param {Date} date - Date to convert
+ * @param {string} timeZone - IANA time zone name (defaults to the active time zone)
+ * @returns {string} Hour key
+ */
+export function toHourKey(date, timeZone = activeTimeZone) {
+  const wall = getWallClock(date, timeZone);
+  const offset = formatOffset(getTimeZoneOffsetMinutes(date, timeZone));
+  return `${wall.year}-${pad(wall.month)}-${pad(wall.day)}T${pad(wall.hour)}:00${offset}`;
+}
+
+/**
+ * Format the wall-clock time of a date as HH:MM in a time zone
+ * @param {Date} date - Date to format
+ * @param {string} timeZone - IANA time zone name (defaults to the active time zone)
+ * @returns {string} Time of day, e.g. '09:15'
+ */
+export function formatTimeOfDay(date, timeZone = activeTimeZone) {
+  const wall = getWallClock(date, timeZone);
+  return `${pad(wall.hour)}:${pad(wall.minute)}`;
+}
+
+/**
+ * Get the bucket key for a date at the given granularity
+ * @param {Date} date - Date to convert
+ * @param {string} granularity - 'day' or 'hour'
+ * @param {string} timeZone - IANA time zone name (defaults to the active time zone)
+ * @returns {string} Bucket key
+ */
+export function toBucketKey(date, granularity = 'day', timeZone = activeTimeZone) {
+  return granularity === 'hour' ? toHourKey(date, timeZone) : toDayKey(date, timeZone);
+}
+
+/**
+ * Get the start of the bucket a key refers to
+ * Day keys resolve to local midnight in the time zone.
+ * @param {string} key - Day or hour key
+ * @param {string} timeZone - IANA time zone name used for day keys (defaults to the active time zone)
+ * @returns {Date} Bucket start
+ */
+export function bucketKeyToDate(key, timeZone = activeTimeZone) {
+  if (key.includes('T')) {
+    return new Date(key); // Hour keys carry their own offset
+  }
+
+  const [year, month, day] = key.split('-').map(Number);
+  const midnightUtc = Date.UTC(year, month - 1, day);
+
+  // Re-check the offset at the candidate instant in case midnight straddles a DST change
+  let offset = getTimeZoneOffsetMinutes(new Date(midnightUtc), timeZone);
+  const candidate = midnightUtc - offset * MS_PER_MINUTE;
+  offset = getTimeZoneOffsetMinutes(new Date(candidate), timeZone);
+
+  return new Date(midnightUtc - offset * MS_PER_MINUTE);
+}
+
+/**
+ * Get the width of a bucket in milliseconds
+ * @param {string} granularity - 'day' or 'hour'
+ * @returns {number} Bucket width in milliseconds
+ */
+export function getBucketDuration(granularity = 'day') {
+  return granularity === 'hour' ? MS_PER_HOUR : 24 * MS_PER_HOUR;
+}
@@ -0,0 +1,171 @@
+/**
+ * Tests for DateKeys utility
+ * Includes both unit tests and property-based tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { afterEach } from 'vitest';
+import {
+  DEFAULT_TIME_ZONE,
+  setTimeZone,
+  getTimeZone,
+  getTimeZoneOffsetMinutes,
+  toDayKey,
+  toHourKey,
+  toBucketKey,
+  formatTimeOfDay,
+  bucketKeyToDate,
+  getBucketDuration
+} from './DateKeys.js';
+
+describe('DateKeys Utility', () => {
+  afterEach(() => {
+    setTimeZone(DEFAULT_TIME_ZONE);
+  });
+
+  describe('toDayKey', () => {
+    it('should return the YYYY-MM-DD day key', () => {
+      expect(toDayKey(new Date('2024-03-15T10:00:00Z'))).toBe('2024-03-15');
+    });
+
+    it('should bucket by IST day rather than UTC day', () => {
+      // 02:00 IST on Jan 2 is still Jan 1 in UTC
+      expect(toDayKey(new Date('2024-01-01T20:30:00Z'))).toBe('2024-01-02');
+      expect(toDayKey(new Date('2024-01-01T20:30:00Z'), 'UTC')).toBe('2024-01-01');
+    });
+  });
+
+  describe('time zone configuration', () => {
+    it('should default to Asia/Kolkata', () => {
+      expect(getTimeZone()).toBe('Asia/Kolkata');
+      expect(getTimeZoneOffsetMinutes(new Date('2024-01-01T00:00:00Z'))).toBe(330);
+    });
+
+    it('should use the configured time zone by default', () => {
+      setTimeZone('UTC');
+
+      expect(toDayKey(new Date('2024-01-01T20:30:00Z'))).toBe('2024-01-01');
+      expect(toHourKey(new Date('2024-01-01T20:30:00Z'))).toBe('2024-01-01T20:00+00:00');
+    });
+
+    it('should reject unknown time zones', () => {
+      expect(() => setTimeZone('Mars/Olympus')).toThrow('Unsupported time zone: Mars/Olympus');
+      expect(getTimeZone()).toBe(DEFAULT_TIME_ZONE);
+    });
+  });
+
+  describe('bucketKeyToDate', () => {
+    it('should resolve day keys to local midnight', () => {
+      expect(bucketKeyToDate('2024-01-02').toISOString()).toBe('2024-01-01T18:30:00.000Z');
+      expect(bucketKeyToDate('2024-01-02', 'UTC').toISOString()).toBe('2024-01-02T00:00:00.000Z');
+    });
+
+    it('should handle daylight saving transitions', () => {
+      // New York switched to EDT on 2024-03-10
+      expect(bucketKeyToDate('2024-03-11', 'America/New_York').toISOString()).toBe('2024-03-11T04:00:00.000Z');
+      expect(toHourKey(new Date('2024-03-11T04:00:00Z'), 'America/New_York')).toBe('2024-03-11T00:00-04:00');
+    });
+  });
+
+  describe('toHourKey', () => {
+    it('should return the start of the IST hour with offset', () => {
+      // 04:20 UTC is 09:50 IST
+      expect(toHourKey(new Date('2024-01-01T04:20:00Z'))).toBe('2024-01-01T09:00+05:30');
+    });
+
+    it('should roll over to the next IST day after 18:30 UTC', () => {
+      expect(toHourKey(new Date('2024-01-01T18:45:00Z'))).toBe('2024-01-02T00:00+05:30');
+    });
+  });
+
+  describe('toBucketKey', () => {
+    it('should use day keys by default and hour keys for hourly granularity', () => {
+      const date = new Date('2024-01-01T04:20:00Z');
+      expect(toBucketKey(date)).toBe('2024-01-01');
+      expect(toBucketKey(date, 'hour')).toBe('2024-01-01T09:00+05:30');
+    });
+  });
+
+  describe('formatTimeOfDay', () => {
+    it('should format the wall-clock time in the active time zone', () => {
+      const date = new Date('2024-03-15T03:45:00Z');
+
+      expect(formatTimeOfDay(date)).toBe('09:15');
+      expect(formatTimeOfDay(date, 'UTC')).toBe('03:45');
+    });
+  });
+
+  describe('getBucketDuration', () => {
+    it('should return bucket widths in milliseconds', () => {
+      expect(getBucketDuration('hour')).toBe(3600000);
+      expect(getBucketDuration('day')).toBe(86400000);
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    // Instants within a few minutes either side of IST midnight (18:30 UTC)
+    const istMidnightArb = fc.tuple(
+      fc.date({ min: new Date('2020-01-01'), max: new Date('2030-12-31'), noInvalidDate: true }),
+      fc.integer({ min: -5 * 60 * 1000, max: 5 * 60 * 1000 })
+    ).map(([day, offsetMs]) => {
+      const midnight = Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), 18, 30);
+      return new Date(midnight + offsetMs);
+    });
+
+    it('should switch IST day exactly at IST midnight', () => {
+      fc.assert(
+        fc.property(istMidnightArb, (date) => {
+          const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+          const istDayStarted = utcMinutes >= 18 * 60 + 30;
+          const utcDay = date.toISOString().split('T')[0];
+
+          // Before IST midnight the IST day equals the UTC day, after it the next one
+          if (istDayStarted) {
+            expect(toDayKey(date)).not.toBe(utcDay);
+            expect(toDayKey(date)).toBe(toDayKey(new Date(date.getTime() + 6 * 3600000), 'UTC'));
+          } else {
+            expect(toDayKey(date)).toBe(utcDay);
+          }
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should map every instant to a day bucket that contains it', () => {
+      fc.assert(
+        fc.property(
+          fc.oneof(istMidnightArb, fc.date({ min: new Date('2020-01-01'), max: new Date('2030-12-31'), noInvalidDate: true })),
+          fc.constantFrom('Asia/Kolkata', 'UTC', 'America/New_York'),
+          (date, timeZone) => {
+            const key = toDayKey(date, timeZone);
+            const start = bucketKeyToDate(key, timeZone);
+
+            expect(start.getTime()).toBeLessThanOrEqual(date.getTime());
+            // DST days can be 25 hours long
+            expect(date.getTime() - start.getTime()).toBeLessThan(25 * 3600000);
+            expect(toDayKey(start, timeZone)).toBe(key);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should map every instant to an hour bucket that contains it', () => {
+      fc.assert(
+        fc.property(
+          fc.date({ min: new Date('2020-01-01'), max: new Date('2030-12-31'), noInvalidDate: true }),
+          (date) => {
+            const start = bucketKeyToDate(toHourKey(date));
+
+            expect(start.getTime()).toBeLessThanOrEqual(date.getTime());
+            expect(date.getTime() - start.getTime()).toBeLessThan(getBucketDuration('hour'));
+            // Round-tripping the bucket start yields the same key
+            expect(toHourKey(start)).toBe(toHourKey(date));
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
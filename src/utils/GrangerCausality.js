@@ -0,0 +1,187 @@
+/**
+ * GrangerCausality - Utility for testing whether one time series helps predict another
+ * Compares OLS autoregressions with and without lags of the other series using an F-test
+ */
+
+import { alignChronologically, SIGNIFICANCE_LEVEL } from './Correlation.js';
+import { fDistributionUpperTail } from './Statistics.js';
+
+/**
+ * Observations below which Granger results are flagged as indicative only
+ * @type {number}
+ */
+export const MIN_RELIABLE_OBSERVATIONS = 30;
+
+// Relative pivot size below which the normal equations are treated as singular
+const SINGULAR_TOLERANCE = 1e-10;
+
+/**
+ * Solve a linear system with Gaussian elimination and partial pivoting
+ * @private
+ * @param {number[][]} matrix - Square coefficient matrix (modified in place)
+ * @param {number[]} vector - Right-hand side (modified in place)
+ * @returns {number[]|null} Solution, or null if the system is singular
+ */
+function solveLinearSystem(matrix, vector) {
+  const size = vector.length;
+  const scale = Math.max(1, ...matrix.map(row => Math.max(...row.map(Math.abs))));
+
+  for (let col = 0; col < size; col++) {
+    // Swap in the row with the largest pivot
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(matrix[pivot][col]) < SINGULAR_TOLERANCE * scale) {
+      return null;
+    }
+    [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+    [vector[col], vector[pivot]] = [vector[pivot], vector[col]];
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = matrix[row][col] / matrix[col][col];
+      for (let k = col; k < size; k++) {
+        matrix[row][k] -= factor * matrix[col][k];
+      }
+      vector[row] -= factor * vector[col];
+    }
+  }
+
+  // Back substitution
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = vector[row];
+    for (let k = row + 1; k < size; k++) {
+      sum -= matrix[row][k] * solution[k];
+    }
+    solution[row] = sum / matrix[row][row];
+  }
+  return solution;
+}
+
+/**
+ * Fit an OLS regression and return its residual sum of squares
+ * @private
+ * @param {number[]} y - Dependent variable
+ * @param {number[][]} rows - Design matrix rows (including the intercept column)
+ * @returns {number|null} Residual sum of squares, or null if the design is singular
+ */
+function residualSumOfSquares(y, rows) {
+  const columns = rows[0].length;
+
+  // Normal equations: (X'X) b = X'y
+  const xtx = Array.from({ length: columns }, () => new Array(columns).fill(0));
+  const xty = new Array(columns).fill(0);
+  for (let i = 0; i < rows.length; i++) {
+    for (let a = 0; a < columns; a++) {
+      xty[a] += rows[i][a] * y[i];
+      for (let b = 0; b < columns; b++) {
+        xtx[a][b] += rows[i][a] * rows[i][b];
+      }
+    }
+  }
+
+  const coefficients = solveLinearSystem(xtx, xty);
+  if (!coefficients) {
+    return null;
+  }
+
+  let rss = 0;
+  for (let i = 0; i < rows.length; i++) {
+    const fitted = rows[i].reduce((sum, value, k) => sum + value * coefficients[k], 0);
+    rss += (y[i] - fitted) ** 2;
+  }
+  return rss;
+}
+
+/**
+ * Test whether lags of `predictor` improve an autoregression of `target`
+ * Restricted model:   target_t ~ 1 + target_{t-1..t-lags}
+ * Unrestricted model: target_t ~ 1 + target_{t-1..t-lags} + predictor_{t-1..t-lags}
+ * @param {number[]} target - Series being predicted, in chronological order
+ * @param {number[]} predictor - Candidate leading series, same length as target
+ * @param {number} lags - Number of lags in each model (at least 1)
+ * @returns {{fStatistic: number, pValue: number, significant: boolean, df1: number, df2: number, observations: number}|null} Test result, or null with too little or degenerate data
+ */
+export function grangerCausalityTest(target, predictor, lags = 2) {
+  if (!Number.isInteger(lags) || lags < 1) {
+    throw new Error(`Granger lags must be a positive integer, got ${lags}`);
+  }
+
+  if (target.length !== predictor.length) {
+    throw new Error('Series must have the same length for Granger causality test');
+  }
+
+  const observations = target.length - lags;
+  const df1 = lags;
+  const df2 = observations - 2 * lags - 1;
+  if (df2 < 1) {
+    return null; // Not enough observations to estimate the unrestricted model
+  }
+
+  const y = [];
+  const restrictedRows = [];
+  const unrestrictedRows = [];
+  for (let t = lags; t < target.length; t++) {
+    const ownLags = [];
+    const otherLags = [];
+    for (let k = 1; k <= lags; k++) {
+      ownLags.push(target[t - k]);
+      otherLags.push(predictor[t - k]);
+    }
+    y.push(target[t]);
+    restrictedRows.push([1, ...ownLags]);
+    unrestrictedRows.push([1, ...ownLags, ...otherLags]);
+  }
+
+  const rssRestricted = residualSumOfSquares(y, restrictedRows);
+  const rssUnrestricted = residualSumOfSquares(y, unrestrictedRows);
+  if (rssRestricted === null || rssUnrestricted === null) {
+    return null; // Constant or collinear series
+  }
+
+  let fStatistic;
+  if (rssUnrestricted <= Number.EPSILON * Math.max(1, rssRestricted)) {
+    // Predictor lags explain the target perfectly (or nothing is left to explain)
+    fStatistic = rssRestricted > rssUnrestricted ? Infinity : 0;
+  } else {
+    fStatistic = Math.max(0, ((rssRestricted - rssUnrestricted) / df1) / (rssUnrestricted / df2));
+  }
+
+  const pValue = fDistributionUpperTail(fStatistic, df1, df2);
+
+  return {
+    fStatistic,
+    pValue,
+    significant: pValue < SIGNIFICANCE_LEVEL,
+    df1,
+    df2,
+    observations
+  };
+}
+
+/**
+ * Run Granger causality tests in both directions on aligned volatility and meme data
+ * @param {VolatilityPoint[]} volatilityData - Array of volatility points
+ * @param {PopularityPoint[]} popularityData - Array of popularity points
+ * @param {Object} options - Test options
+ * @param {number} options.lags - Number of lags in each model (default 2)
+ * @param {string} options.granularity - Bucket size to align on: 'day' (default) or 'hour'
+ * @param {string} options.policy - Non-trading day policy from ALIGNMENT_POLICIES
+ * @returns {{memesToVolatility: Object|null, volatilityToMemes: Object|null, lags: number, sampleSize: number, smallSample: boolean}} Directional test results
+ */
+export function calculateGrangerCausality(volatilityData, popularityData, options = {}) {
+  const { lags = 2, granularity = 'day', policy } = options;
+
+  const { volatility, popularity } = alignChronologically(volatilityData, popularityData, granularity, policy);
+
+  return {
+    memesToVolatility: grangerCausalityTest(volatility, popularity, lags),
+    volatilityToMemes: grangerCausalityTest(popularity, volatility, lags),
+    lags,
+    sampleSize: volatility.length,
+    smallSample: volatility.length < MIN_RELIABLE_OBSERVATIONS
+  };
+}
@@ -0,0 +1,140 @@
+/**
+ * Tests for GrangerCausality utility
+ * Includes both unit tests and property-based tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  grangerCausalityTest,
+  calculateGrangerCausality,
+  MIN_RELIABLE_OBSERVATIONS
+} from './GrangerCausality.js';
+import { getNextTradingDay } from './TradingCalendar.js';
+
+// Deterministic pseudo-random noise so results are reproducible
+const noise = (seed, count) => {
+  let state = seed;
+  return Array.from({ length: count }, () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296 - 0.5;
+  });
+};
+
+// Consecutive NSE sessions starting 2024-01-01
+const sessions = (count) => {
+  const days = ['2024-01-01'];
+  while (days.length < count) {
+    days.push(getNextTradingDay(days[days.length - 1]));
+  }
+  return days.map(day => new Date(`${day}T04:00:00Z`));
+};
+
+// x is white noise; y follows x with a one-step delay plus a little noise
+const leadingPair = (count) => {
+  const x = noise(7, count);
+  const e = noise(11, count);
+  const y = x.map((_, t) => (t > 0 ? 0.8 * x[t - 1] : 0) + 0.1 * e[t]);
+  return { x, y };
+};
+
+describe('GrangerCausality Utility', () => {
+  describe('grangerCausalityTest', () => {
+    it('should detect a series that helps predict the target', () => {
+      const { x, y } = leadingPair(60);
+
+      const result = grangerCausalityTest(y, x, 2);
+
+      expect(result.significant).toBe(true);
+      expect(result.pValue).toBeLessThan(0.001);
+      expect(result.df1).toBe(2);
+      expect(result.df2).toBe(53);
+      expect(result.observations).toBe(58);
+    });
+
+    it('should not find predictive power in the reverse direction', () => {
+      const { x, y } = leadingPair(60);
+
+      const result = grangerCausalityTest(x, y, 2);
+
+      expect(result.significant).toBe(false);
+      expect(result.pValue).toBeGreaterThan(0.05);
+    });
+
+    it('should return null when there are too few observations', () => {
+      expect(grangerCausalityTest([1, 2, 3, 4, 5], [5, 3, 4, 1, 2], 2)).toBeNull();
+    });
+
+    it('should return null for a constant predictor', () => {
+      const target = noise(3, 20);
+      const predictor = new Array(20).fill(4);
+
+      expect(grangerCausalityTest(target, predictor, 2)).toBeNull();
+    });
+
+    it('should reject invalid lags and mismatched series', () => {
+      expect(() => grangerCausalityTest([1, 2], [1, 2], 0)).toThrow('Granger lags must be a positive integer, got 0');
+      expect(() => grangerCausalityTest([1, 2], [1, 2], 1.5)).toThrow('Granger lags must be a positive integer, got 1.5');
+      expect(() => grangerCausalityTest([1, 2, 3], [1, 2], 1)).toThrow('Series must have the same length');
+    });
+  });
+
+  describe('calculateGrangerCausality', () => {
+    it('should test both directions on aligned data', () => {
+      const dates = sessions(40);
+      const { x, y } = leadingPair(40);
+      const popularityData = dates.map((date, i) => ({ date, popularity: 1000 + x[i] * 500 }));
+      const volatilityData = dates.map((date, i) => ({ date, volatility: 5 + y[i] }));
+
+      const result = calculateGrangerCausality(volatilityData, popularityData, { lags: 2 });
+
+      expect(result.lags).toBe(2);
+      expect(result.sampleSize).toBe(40);
+      expect(result.smallSample).toBe(false);
+      expect(result.memesToVolatility.significant).toBe(true);
+      expect(result.volatilityToMemes.significant).toBe(false);
+    });
+
+    it('should flag small samples', () => {
+      const dates = sessions(12);
+      const { x, y } = leadingPair(12);
+      const popularityData = dates.map((date, i) => ({ date, popularity: 1000 + x[i] * 500 }));
+      const volatilityData = dates.map((date, i) => ({ date, volatility: 5 + y[i] }));
+
+      const result = calculateGrangerCausality(volatilityData, popularityData);
+
+      expect(result.sampleSize).toBeLessThan(MIN_RELIABLE_OBSERVATIONS);
+      expect(result.smallSample).toBe(true);
+    });
+
+    it('should return null findings without overlapping data', () => {
+      const result = calculateGrangerCausality([], []);
+
+      expect(result.memesToVolatility).toBeNull();
+      expect(result.volatilityToMemes).toBeNull();
+      expect(result.sampleSize).toBe(0);
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    it('should always produce a valid F statistic and p-value', () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 1000 }),
+          fc.integer({ min: 1, max: 3 }),
+          fc.integer({ min: 12, max: 40 }),
+          (seed, lags, length) => {
+            const result = grangerCausalityTest(noise(seed, length), noise(seed + 1, length), lags);
+            if (result === null) return;
+
+            expect(result.fStatistic).toBeGreaterThanOrEqual(0);
+            expect(result.pValue).toBeGreaterThanOrEqual(0);
+            expect(result.pValue).toBeLessThanOrEqual(1);
+            expect(result.significant).toBe(result.pValue < 0.05);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * HttpErrors - Typed errors thrown by the API clients
+ * Retry and messaging logic branch on the error class and HTTP status instead of
+ * searching error messages for substrings
+ */
+
+import { isAbortError } from './Abort.js';
+
+/**
+ * Statuses worth retrying besides 5xx: request timeout and rate limiting
+ * @type {number[]}
+ */
+const RETRYABLE_CLIENT_STATUSES = [408, 429];
+
+/**
+ * Statuses whose Retry-After header is honored
+ * @type {number[]}
+ */
+export const RETRY_AFTER_STATUSES = [429, 503];
+
+/**
+ * Response received with a non-2xx status
+ */
+export class HttpError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Response details
+   * @param {number} details.status - HTTP status code
+   * @param {string} details.statusText - HTTP status text
+   * @param {Headers} details.headers - Response headers
+   * @param {string} details.url - Requested URL
+   * @param {number|null} details.retryAfter - Milliseconds the server asked us to wait (Retry-After), null if not given
+   */
+  constructor(message, { status, statusText = '', headers = new Headers(), url = '', retryAfter = null } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.statusText = statusText;
+    this.headers = headers;
+    this.url = url;
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Response with status 429, or a request the client-side rate limiter held back;
+ * retryAfter is how long to wait before the next request
+ */
+export class RateLimitError extends HttpError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Response details, as for HttpError
+   */
+  constructor(message, details = {}) {
+    super(message, { ...details, status: details.status ?? 429 });
+    this.name = 'RateLimitError';
+  }
+}
+
+/**
+ * Request never got a response (offline, DNS failure, CORS rejection)
+ */
+export class NetworkError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - Underlying error, usually the TypeError thrown by fetch
+   */
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * Request did not complete in time
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {number} options.timeout - Time limit that was exceeded in milliseconds
+   */
+  constructor(message, { timeout } = {}) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Response body could not be read or did not have the expected shape
+ */
+export class ParseError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - Underlying error, e.g. the SyntaxError thrown by response.json()
+   */
+  constructor(message, { cause } = {}) {
+    super(message, { cause });
+    this.name = 'ParseError';
+  }
+}
+
+/**
+ * Parse a Retry-After header given in seconds or as an HTTP date
+ * @param {string|null} value - Header value
+ * @param {number} now - Current time in epoch ms (default: Date.now())
+ * @returns {number|null} Milliseconds to wait, or null if the header is missing or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return null;
+  }
+
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Build the typed error for a response with a non-2xx status
+ * @param {Response} response - Fetch response
+ * @param {string} message - Error message (default: 'HTTP error! status: <status> - <statusText>')
+ * @returns {HttpError|RateLimitError} Error describing the response
+ */
+export function createHttpError(response, message) {
+  const details = {
+    status: response.status,
+    statusText: response.statusText || '',
+    headers: response.headers || new Headers(),
+    url: response.url || ''
+  };
+  details.retryAfter = parseRetryAfter(details.headers.get('Retry-After'));
+  const text = message || `HTTP error! status: ${details.status} - ${details.statusText}`;
+
+  return details.status === 429 ? new RateLimitError(text, details) : new HttpError(text, details);
+}
+
+/**
+ * Get the wait a server asked for with Retry-After on a 429 or 503 response
+ * @param {Error} error - Error thrown by a request
+ * @returns {number|null} Milliseconds to wait, or null if the server did not say
+ */
+export function getRetryAfter(error) {
+  if (error instanceof HttpError && RETRY_AFTER_STATUSES.includes(error.status)) {
+    return error.retryAfter;
+  }
+  return null;
+}
+
+/**
+ * Decide whether retrying could make a failed request succeed
+ * Network failures, timeouts, rate limiting and 5xx responses are transient; other HTTP
+ * errors, unparseable responses and cancelled requests are not. Errors of unknown type are retried.
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean} True if the request is worth retrying
+ */
+export function isRetryableError(error) {
+  if (error instanceof ParseError || isAbortError(error)) {
+    return false;
+  }
+  if (error instanceof HttpError) {
+    return error.status >= 500 || RETRYABLE_CLIENT_STATUSES.includes(error.status);
+  }
+  return true;
+}
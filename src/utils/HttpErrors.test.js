@@ -0,0 +1,98 @@
+/**
+ * Tests for HttpErrors utility
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  HttpError,
+  RateLimitError,
+  NetworkError,
+  TimeoutError,
+  ParseError,
+  parseRetryAfter,
+  createHttpError,
+  isRetryableError
+} from './HttpErrors.js';
+
+const response = (status, headers = {}) => ({
+  status,
+  statusText: 'Status text',
+  headers: new Headers(headers),
+  url: 'https://example.com/data'
+});
+
+describe('HttpErrors Utility', () => {
+  describe('createHttpError', () => {
+    it('should keep status and headers of the response', () => {
+      const error = createHttpError(response(503, { 'X-Request-Id': 'abc' }));
+
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error).not.toBeInstanceOf(RateLimitError);
+      expect(error.name).toBe('HttpError');
+      expect(error.status).toBe(503);
+      expect(error.headers.get('X-Request-Id')).toBe('abc');
+      expect(error.message).toBe('HTTP error! status: 503 - Status text');
+    });
+
+    it('should create a RateLimitError for 429 with the Retry-After delay', () => {
+      const error = createHttpError(response(429, { 'Retry-After': '30' }), 'Slow down');
+
+      expect(error).toBeInstanceOf(RateLimitError);
+      expect(error).toBeInstanceOf(HttpError);
+      expect(error.message).toBe('Slow down');
+      expect(error.retryAfter).toBe(30000);
+    });
+
+    it('should leave retryAfter empty when the header is missing', () => {
+      expect(createHttpError(response(429)).retryAfter).toBeNull();
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse delays in seconds and HTTP dates', () => {
+      const now = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+      expect(parseRetryAfter('120', now)).toBe(120000);
+      expect(parseRetryAfter('Mon, 01 Jan 2024 12:00:45 GMT', now)).toBe(45000);
+      expect(parseRetryAfter('Mon, 01 Jan 2024 11:00:00 GMT', now)).toBe(0);
+    });
+
+    it('should ignore missing or invalid values', () => {
+      expect(parseRetryAfter(null)).toBeNull();
+      expect(parseRetryAfter('')).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('isRetryableError', () => {
+    it('should retry transient failures', () => {
+      expect(isRetryableError(new NetworkError('offline'))).toBe(true);
+      expect(isRetryableError(new TimeoutError('slow', { timeout: 1000 }))).toBe(true);
+      expect(isRetryableError(new RateLimitError('429'))).toBe(true);
+      expect(isRetryableError(new HttpError('408', { status: 408 }))).toBe(true);
+    });
+
+    it('should not retry parse errors', () => {
+      expect(isRetryableError(new ParseError('bad json', { cause: new SyntaxError('x') }))).toBe(false);
+    });
+
+    it('should not retry cancelled requests', () => {
+      expect(isRetryableError(new DOMException('The operation was aborted.', 'AbortError'))).toBe(false);
+    });
+
+    it('should retry unknown errors regardless of their message', () => {
+      expect(isRetryableError(new Error('404 Not Found'))).toBe(true);
+    });
+
+    it('should retry exactly the 5xx, 408 and 429 statuses', () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 400, max: 599 }), (status) => {
+          const expected = status >= 500 || status === 408 || status === 429;
+          expect(isRetryableError(createHttpError(response(status)))).toBe(expected);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * MemeArchive - Snapshots of Reddit posts collected over time
+ * Reddit's listings only reach a few weeks back with any density, so the collector script
+ * records every post it sees on each run. The archive is append-only JSON Lines: one
+ * snapshot per line, keyed by post id, so a post's score and comment history is every
+ * snapshot with its id in the order they were observed.
+ */
+
+/**
+ * Get the id of a Reddit post
+ * Posts parsed before ids were kept only have their permalink, which contains the id.
+ * @param {MemePost} post - Meme post
+ * @returns {string|null} Reddit post id, e.g. '1abc23', or null if it cannot be told
+ */
+export function getPostId(post) {
+  if (post.id) {
+    return post.id;
+  }
+  return post.url?.match(/\/comments\/([a-z0-9]+)/i)?.[1] ?? null;
+}
+
+/**
+ * Record what a post looked like at one point in time
+ * @param {MemePost} post - Meme post
+ * @param {Date} observedAt - When the post was seen (default: now)
+ * @returns {Object|null} Snapshot with ISO date strings, or null for a post without an id
+ */
+export function createSnapshot(post, observedAt = new Date()) {
+  const id = getPostId(post);
+  if (!id) {
+    return null;
+  }
+
+  return {
+    id,
+    observedAt: observedAt.toISOString(),
+    subreddit: post.subreddit,
+    title: post.title,
+    author: post.author,
+    url: post.url,
+    thumbnail: post.thumbnail || '',
+    created: new Date(post.created).toISOString(),
+    score: post.score,
+    comments: post.comments
+  };
+}
+
+/**
+ * Serialize snapshots as JSON Lines
+ * @param {Object[]} snapshots - Snapshots from createSnapshot()
+ * @returns {string} One JSON object per line, newline-terminated
+ */
+export function serializeSnapshots(snapshots) {
+  return snapshots.map(snapshot => `${JSON.stringify(snapshot)}\n`).join('');
+}
+
+/**
+ * Parse the JSON Lines of an archive
+ * Blank and malformed lines are skipped: a collector stopped mid-write leaves a partial last line.
+ * @param {string} text - Archive contents
+ * @returns {Object[]} Snapshots in file order
+ */
+export function parseSnapshots(text) {
+  const snapshots = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+    try {
+      const snapshot = JSON.parse(line);
+      if (snapshot?.id && snapshot.observedAt && snapshot.created) {
+        snapshots.push(snapshot);
+      }
+    } catch {
+      // Partial line
+    }
+  }
+  return snapshots;
+}
+
+/**
+ * Group snapshots by post
+ * @param {Object[]} snapshots - Snapshots in any order
+ * @returns {Map<string, {latest: Object, history: Array<{observedAt: Date, score: number, comments: number}>}>}
+ *   Post id to its most recent snapshot and its score/comment history, oldest first
+ */
+export function buildPostHistory(snapshots) {
+  const posts = new Map();
+  const ordered = [...snapshots].sort((a, b) => new Date(a.observedAt) - new Date(b.observedAt));
+
+  for (const snapshot of ordered) {
+    if (!posts.has(snapshot.id)) {
+      posts.set(snapshot.id, { latest: snapshot, history: [] });
+    }
+    const entry = posts.get(snapshot.id);
+    entry.latest = snapshot;
+    entry.history.push({
+      observedAt: new Date(snapshot.observedAt),
+      score: snapshot.score,
+      comments: snapshot.comments
+    });
+  }
+
+  return posts;
+}
+
+/**
+ * Get the archived posts created inside a window, each with its latest score and comments
+ * @param {Object[]} snapshots - Snapshots in any order
+ * @param {number} start - Window start (epoch ms)
+ * @param {number} end - Window end (epoch ms)
+ * @param {string[]} subreddits - Only posts from these subreddits, case-insensitive (default: all)
+ * @returns {MemePost[]} Posts in chronological order
+ */
+export function getArchivedPosts(snapshots, start, end, subreddits = null) {
+  const wanted = subreddits ? new Set(subreddits.map(name => name.toLowerCase())) : null;
+  const posts = [];
+
+  for (const { latest } of buildPostHistory(snapshots).values()) {
+    const created = new Date(latest.created);
+    if (created.getTime() < start || created.getTime() > end) {
+      continue;
+    }
+    if (wanted && !wanted.has(latest.subreddit?.toLowerCase())) {
+      continue;
+    }
+    const { observedAt, ...post } = latest;
+    posts.push({ ...post, created });
+  }
+
+  return posts.sort((a, b) => a.created - b.created);
+}
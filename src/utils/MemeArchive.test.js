@@ -0,0 +1,105 @@
+/**
+ * Tests for MemeArchive utility
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getPostId,
+  createSnapshot,
+  serializeSnapshots,
+  parseSnapshots,
+  buildPostHistory,
+  getArchivedPosts
+} from './MemeArchive.js';
+
+const post = (overrides = {}) => ({
+  id: 'abc12',
+  title: 'Meme',
+  score: 10,
+  comments: 2,
+  created: new Date('2024-01-10T08:00:00Z'),
+  url: 'https://www.reddit.com/r/IndianDankMemes/comments/abc12/meme/',
+  subreddit: 'IndianDankMemes',
+  thumbnail: '',
+  author: 'someone',
+  ...overrides
+});
+
+describe('MemeArchive Utility', () => {
+  describe('getPostId', () => {
+    it('should use the post id, or read it from the permalink', () => {
+      expect(getPostId(post())).toBe('abc12');
+      expect(getPostId(post({ id: undefined }))).toBe('abc12');
+      expect(getPostId(post({ id: undefined, url: 'https://reddit.com/r/demo/post1' }))).toBeNull();
+    });
+  });
+
+  describe('createSnapshot', () => {
+    it('should record the post with ISO dates', () => {
+      const snapshot = createSnapshot(post(), new Date('2024-01-11T00:00:00Z'));
+
+      expect(snapshot).toMatchObject({
+        id: 'abc12',
+        observedAt: '2024-01-11T00:00:00.000Z',
+        created: '2024-01-10T08:00:00.000Z',
+        score: 10,
+        comments: 2
+      });
+    });
+
+    it('should skip posts without an id', () => {
+      expect(createSnapshot(post({ id: undefined, url: '' }))).toBeNull();
+    });
+  });
+
+  describe('parseSnapshots', () => {
+    it('should read back serialized snapshots and skip a partial last line', () => {
+      const snapshots = [createSnapshot(post()), createSnapshot(post({ id: 'def34', score: 5 }))];
+      const text = `${serializeSnapshots(snapshots)}\n{"id":"ghi`;
+
+      expect(parseSnapshots(text)).toEqual(snapshots);
+    });
+  });
+
+  describe('buildPostHistory', () => {
+    it('should keep the score and comment history of each post, oldest first', () => {
+      const snapshots = [
+        createSnapshot(post({ score: 90, comments: 12 }), new Date('2024-01-12T00:00:00Z')),
+        createSnapshot(post({ score: 10, comments: 2 }), new Date('2024-01-10T12:00:00Z')),
+        createSnapshot(post({ id: 'def34' }), new Date('2024-01-11T00:00:00Z'))
+      ];
+
+      const history = buildPostHistory(snapshots);
+
+      expect(history.size).toBe(2);
+      expect(history.get('abc12').latest.score).toBe(90);
+      expect(history.get('abc12').history.map(point => [point.score, point.comments])).toEqual([[10, 2], [90, 12]]);
+      expect(history.get('abc12').history[0].observedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('getArchivedPosts', () => {
+    const snapshots = [
+      createSnapshot(post({ score: 10 }), new Date('2024-01-10T12:00:00Z')),
+      createSnapshot(post({ score: 90 }), new Date('2024-01-12T00:00:00Z')),
+      createSnapshot(post({ id: 'old', created: new Date('2023-12-01T00:00:00Z') }), new Date('2023-12-02T00:00:00Z')),
+      createSnapshot(post({ id: 'other', subreddit: 'indiameme' }), new Date('2024-01-11T00:00:00Z'))
+    ];
+    const start = Date.parse('2024-01-01T00:00:00Z');
+    const end = Date.parse('2024-01-31T00:00:00Z');
+
+    it('should return each post in the window once with its latest numbers', () => {
+      const posts = getArchivedPosts(snapshots, start, end);
+
+      expect(posts.map(archived => [archived.id, archived.score])).toEqual([['abc12', 90], ['other', 10]]);
+      expect(posts[0].created).toBeInstanceOf(Date);
+      expect(posts[0]).not.toHaveProperty('observedAt');
+    });
+
+    it('should filter by subreddit regardless of case', () => {
+      const posts = getArchivedPosts(snapshots, start, end, ['INDIAMEME']);
+
+      expect(posts.map(archived => archived.id)).toEqual(['other']);
+    });
+  });
+});
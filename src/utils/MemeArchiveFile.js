@@ -0,0 +1,55 @@
+/**
+ * MemeArchiveFile - Reads and appends the meme archive on disk (Node only)
+ * Used by the collector script, the dev server and the social MCP server; the browser
+ * reads the archive through the dev server with MemeArchiveAPI
+ */
+
+import { appendFile, mkdir, readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseSnapshots, serializeSnapshots } from './MemeArchive.js';
+
+/**
+ * Archive location unless MEME_ARCHIVE_PATH is set: data/meme-archive.jsonl in the project root
+ * @type {string}
+ */
+export const DEFAULT_ARCHIVE_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'data', 'meme-archive.jsonl');
+
+/**
+ * Get the archive location
+ * @returns {string} MEME_ARCHIVE_PATH if set, otherwise DEFAULT_ARCHIVE_PATH
+ */
+export function getArchivePath() {
+  return process.env.MEME_ARCHIVE_PATH || DEFAULT_ARCHIVE_PATH;
+}
+
+/**
+ * Append snapshots to the archive, creating it and its directory if needed
+ * @param {Object[]} snapshots - Snapshots from createSnapshot()
+ * @param {string} path - Archive file (default: getArchivePath())
+ * @returns {Promise<void>}
+ */
+export async function appendSnapshots(snapshots, path = getArchivePath()) {
+  if (snapshots.length === 0) {
+    return;
+  }
+  await mkdir(dirname(path), { recursive: true });
+  // One write per run keeps the lines of concurrent collectors from interleaving
+  await appendFile(path, serializeSnapshots(snapshots), 'utf8');
+}
+
+/**
+ * Read every snapshot in the archive
+ * @param {string} path - Archive file (default: getArchivePath())
+ * @returns {Promise<Object[]>} Snapshots in file order, empty if nothing was collected yet
+ */
+export async function readSnapshots(path = getArchivePath()) {
+  try {
+    return parseSnapshots(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
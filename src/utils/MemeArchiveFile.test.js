@@ -0,0 +1,65 @@
+/**
+ * Tests for MemeArchiveFile utility
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, appendFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { appendSnapshots, readSnapshots, getArchivePath, DEFAULT_ARCHIVE_PATH } from './MemeArchiveFile.js';
+
+const snapshot = (id, score) => ({
+  id,
+  observedAt: '2024-01-11T00:00:00.000Z',
+  subreddit: 'IndianDankMemes',
+  title: 'Meme',
+  author: 'someone',
+  url: `https://www.reddit.com/r/IndianDankMemes/comments/${id}/meme/`,
+  thumbnail: '',
+  created: '2024-01-10T08:00:00.000Z',
+  score,
+  comments: 1
+});
+
+describe('MemeArchiveFile Utility', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'meme-archive-'));
+  });
+
+  afterEach(async () => {
+    delete process.env.MEME_ARCHIVE_PATH;
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should read nothing before the first run', async () => {
+    await expect(readSnapshots(join(directory, 'missing.jsonl'))).resolves.toEqual([]);
+  });
+
+  it('should append runs to the archive, creating its directory', async () => {
+    const path = join(directory, 'data', 'archive.jsonl');
+
+    await appendSnapshots([snapshot('a1', 5)], path);
+    await appendSnapshots([snapshot('a1', 50), snapshot('b2', 3)], path);
+
+    const snapshots = await readSnapshots(path);
+    expect(snapshots.map(entry => [entry.id, entry.score])).toEqual([['a1', 5], ['a1', 50], ['b2', 3]]);
+  });
+
+  it('should keep reading after a run was cut off mid-line', async () => {
+    const path = join(directory, 'archive.jsonl');
+    await appendSnapshots([snapshot('a1', 5)], path);
+    await appendFile(path, '{"id":"b2","obs');
+
+    await expect(readSnapshots(path)).resolves.toHaveLength(1);
+  });
+
+  it('should use MEME_ARCHIVE_PATH when it is set', () => {
+    expect(getArchivePath()).toBe(DEFAULT_ARCHIVE_PATH);
+    expect(DEFAULT_ARCHIVE_PATH).toMatch(/data[\\/]meme-archive\.jsonl$/);
+
+    process.env.MEME_ARCHIVE_PATH = join(directory, 'elsewhere.jsonl');
+    expect(getArchivePath()).toBe(join(directory, 'elsewhere.jsonl'));
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * MemePopularity - Engagement of meme posts aggregated by day or hour
+ * Shared by the dashboard's RedditAPI and the social MCP server, so the same posts and
+ * source weights give the same popularity series in both.
+ */
+
+import { toBucketKey, bucketKeyToDate } from './DateKeys.js';
+
+/**
+ * Calculate engagement score for meme popularity
+ * Formula: score + (comments * 2)
+ * @param {number} score - Total upvote score
+ * @param {number} comments - Total comment count
+ * @returns {number} Engagement score
+ */
+export function calculateEngagementScore(score, comments) {
+  return score + (comments * 2);
+}
+
+/**
+ * Get the weight of a subreddit in the engagement aggregate
+ * @param {Map<string, number>} weights - Lower-cased subreddit name to weight, from getSourceWeights()
+ * @param {string} subreddit - Subreddit name in any case
+ * @returns {number} Configured weight, 1 for subreddits that are not configured
+ */
+export function getSourceWeight(weights, subreddit) {
+  return weights.get(String(subreddit).toLowerCase()) ?? 1;
+}
+
+/**
+ * Aggregate posts into day or hour buckets
+ * @param {MemePost[]} posts - Array of meme posts
+ * @param {string} granularity - 'day' (default) or 'hour'
+ * @param {Map<string, number>} weights - Source weights from getSourceWeights() (default: every source weighs 1)
+ * @returns {Map<string, MemeStats>} Map of bucket key to {posts, totalScore, totalComments, weightedEngagement}
+ */
+export function aggregatePosts(posts, granularity = 'day', weights = new Map()) {
+  const buckets = new Map();
+
+  for (const post of posts) {
+    const key = toBucketKey(post.created, granularity);
+
+    if (!buckets.has(key)) {
+      buckets.set(key, {
+        posts: [],
+        totalScore: 0,
+        totalComments: 0,
+        weightedEngagement: 0
+      });
+    }
+
+    const stats = buckets.get(key);
+    stats.posts.push(post);
+    stats.totalScore += post.score;
+    stats.totalComments += post.comments;
+    stats.weightedEngagement += getSourceWeight(weights, post.subreddit) * calculateEngagementScore(post.score, post.comments);
+  }
+
+  return buckets;
+}
+
+/**
+ * Calculate meme popularity per day or hour
+ * Popularity is the sum of each post's engagement times the weight of its subreddit.
+ * @param {MemePost[]} posts - Array of meme posts
+ * @param {string} granularity - 'day' (default) or 'hour'
+ * @param {Map<string, number>} weights - Source weights from getSourceWeights() (default: every source weighs 1)
+ * @returns {PopularityPoint[]} Array of popularity points, one per bucket, sorted by date
+ */
+export function calculatePopularity(posts, granularity = 'day', weights = new Map()) {
+  if (!posts || posts.length === 0) {
+    return [];
+  }
+
+  const popularityData = [];
+  for (const [key, stats] of aggregatePosts(posts, granularity, weights).entries()) {
+    popularityData.push({
+      date: bucketKeyToDate(key),
+      popularity: stats.weightedEngagement,
+      posts: stats.posts.length,
+      avgScore: stats.totalScore / stats.posts.length,
+      totalComments: stats.totalComments
+    });
+  }
+
+  return popularityData.sort((a, b) => a.date - b.date);
+}
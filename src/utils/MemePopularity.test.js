@@ -0,0 +1,47 @@
+/**
+ * Tests for MemePopularity utility
+ */
+
+import { describe, it, expect } from 'vitest';
+import { aggregatePosts, calculateEngagementScore, calculatePopularity, getSourceWeight } from './MemePopularity.js';
+import { getSourceWeights } from './SourceConfig.js';
+
+const post = (subreddit, created, score, comments) => ({ subreddit, created: new Date(created), score, comments, title: 'Meme' });
+
+describe('MemePopularity Utility', () => {
+  const weights = getSourceWeights([{ subreddit: 'IndianDankMemes', weight: 2 }, { subreddit: 'indiameme', weight: 0 }]);
+
+  it('should count comments twice in the engagement score', () => {
+    expect(calculateEngagementScore(10, 3)).toBe(16);
+  });
+
+  it('should weigh configured sources in any case and others once', () => {
+    expect(getSourceWeight(weights, 'indiandankmemes')).toBe(2);
+    expect(getSourceWeight(weights, 'indiameme')).toBe(0);
+    expect(getSourceWeight(weights, 'SaimanSays')).toBe(1);
+  });
+
+  it('should sum weighted engagement per IST day', () => {
+    const posts = [
+      post('IndianDankMemes', '2024-01-10T08:00:00Z', 10, 0),
+      // 20:00 UTC is already the next day in IST
+      post('SaimanSays', '2024-01-10T20:00:00Z', 5, 1),
+      post('indiameme', '2024-01-10T09:00:00Z', 100, 50)
+    ];
+
+    const popularity = calculatePopularity(posts, 'day', weights);
+
+    expect(popularity.map(point => [point.popularity, point.posts])).toEqual([[20, 2], [7, 1]]);
+    expect(popularity[0].avgScore).toBe(55);
+  });
+
+  it('should bucket by IST hour', () => {
+    const posts = [post('SaimanSays', '2024-01-10T08:10:00Z', 1, 0), post('SaimanSays', '2024-01-10T08:50:00Z', 1, 0)];
+
+    expect([...aggregatePosts(posts, 'hour').keys()]).toEqual(['2024-01-10T13:00+05:30', '2024-01-10T14:00+05:30']);
+  });
+
+  it('should return nothing without posts', () => {
+    expect(calculatePopularity([], 'day', weights)).toEqual([]);
+  });
+});
@@ -0,0 +1,257 @@
+/**
+ * RateLimiter - Per-host token buckets shared by the API clients
+ * Requests wait for a token before they are sent, and a host that answered with
+ * Retry-After is paused for everyone until that time has passed
+ */
+
+import { RATE_LIMITS, DEFAULT_RATE_LIMIT } from '../config/rateLimits.js';
+import { RateLimitError, RETRY_AFTER_STATUSES, parseRetryAfter } from './HttpErrors.js';
+import { delay } from './Abort.js';
+
+export class TokenBucket {
+  /**
+   * Create a new TokenBucket instance, initially full
+   * @param {Object} options - Bucket settings
+   * @param {number} options.capacity - Tokens available in a burst
+   * @param {number} options.refillPerSecond - Tokens added per second
+   * @param {number} now - Current time in epoch ms (default: Date.now())
+   */
+  constructor({ capacity, refillPerSecond }, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = now;
+  }
+
+  /**
+   * Take a token, borrowing against future refills when the bucket is empty
+   * Borrowed tokens queue callers in order: each one waits for its own token.
+   * @param {number} now - Current time in epoch ms (default: Date.now())
+   * @returns {number} Milliseconds until the token is actually available (0 if now)
+   */
+  reserve(now = Date.now()) {
+    this._refill(now);
+    this.tokens -= 1;
+    return this.tokens >= 0 ? 0 : Math.ceil((-this.tokens * 1000) / this.refillPerSecond);
+  }
+
+  /**
+   * Time until a token will be available, without taking it
+   * @param {number} now - Current time in epoch ms (default: Date.now())
+   * @returns {number} Milliseconds to wait (0 if a token is available)
+   */
+  getWaitTime(now = Date.now()) {
+    this._refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) * 1000) / this.refillPerSecond);
+  }
+
+  /**
+   * Give back a reserved token that was not used
+   */
+  release() {
+    this.tokens = Math.min(this.capacity, this.tokens + 1);
+  }
+
+  /**
+   * Add the tokens earned since the last update
+   * @private
+   * @param {number} now - Current time in epoch ms
+   */
+  _refill(now) {
+    const earned = ((now - this.updatedAt) / 1000) * this.refillPerSecond;
+    this.tokens = Math.min(this.capacity, this.tokens + Math.max(0, earned));
+    this.updatedAt = Math.max(this.updatedAt, now);
+  }
+}
+
+export class RateLimiter {
+  /**
+   * Create a new RateLimiter instance
+   * @param {Object} options - Limiter options
+   * @param {Object<string, {capacity: number, refillPerSecond: number}>} options.limits - Bucket settings per host (default: RATE_LIMITS)
+   * @param {{capacity: number, refillPerSecond: number}} options.defaultLimit - Settings for other hosts (default: DEFAULT_RATE_LIMIT)
+   * @param {number} options.maxWait - Longest a request is held back before failing with a RateLimitError (default 30000)
+   */
+  constructor(options = {}) {
+    this.limits = options.limits || RATE_LIMITS;
+    this.defaultLimit = options.defaultLimit || DEFAULT_RATE_LIMIT;
+    this.maxWait = options.maxWait ?? 30000;
+    this.buckets = new Map(); // Host -> TokenBucket
+    this.pausedUntil = new Map(); // Host -> epoch ms
+    this.waitHandlers = new Set();
+  }
+
+  /**
+   * Wait until a request to a host may be sent
+   * A request cancelled or failed while it waits gives its token back.
+   * @param {string} host - Upstream host name
+   * @param {AbortSignal} signal - Optional signal cancelling the wait
+   * @returns {Promise<void>} Resolves when the request may go out
+   * @throws {RateLimitError} If the wait would be longer than maxWait
+   */
+  async acquire(host, signal) {
+    signal?.throwIfAborted();
+    const now = Date.now();
+    const bucket = this._getBucket(host, now);
+    const wait = Math.max(bucket.reserve(now), this._getPauseRemaining(host, now));
+
+    if (wait > this.maxWait) {
+      bucket.release();
+      throw this._createWaitError(host, wait);
+    }
+
+    try {
+      if (wait > 0) {
+        this._emitWait(host, now + wait);
+        await this._delay(wait, signal);
+      }
+
+      // Another response may have paused the host while we were waiting
+      let remaining = this._getPauseRemaining(host, Date.now());
+      while (remaining > 0) {
+        if (remaining > this.maxWait) {
+          throw this._createWaitError(host, remaining);
+        }
+        await this._delay(remaining, signal);
+        remaining = this._getPauseRemaining(host, Date.now());
+      }
+    } catch (error) {
+      bucket.release();
+      throw error;
+    }
+  }
+
+  /**
+   * Hold back every request to a host, e.g. for a Retry-After the host sent
+   * An earlier pause is only ever extended, never shortened.
+   * @param {string} host - Upstream host name
+   * @param {number} ms - Milliseconds to pause for
+   */
+  pause(host, ms) {
+    const until = Date.now() + ms;
+    if (until > (this.pausedUntil.get(host) || 0)) {
+      this.pausedUntil.set(host, until);
+      this._emitWait(host, until);
+    }
+  }
+
+  /**
+   * Pause a host if its response asks for it with Retry-After on a 429 or 503
+   * @param {string} host - Upstream host name
+   * @param {Response} response - Fetch response from the host
+   * @returns {number|null} Milliseconds the host was paused for, or null if it was not
+   */
+  recordResponse(host, response) {
+    if (!RETRY_AFTER_STATUSES.includes(response.status)) {
+      return null;
+    }
+
+    const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'));
+    if (retryAfter !== null) {
+      this.pause(host, retryAfter);
+    }
+    return retryAfter;
+  }
+
+  /**
+   * Get how long a request to a host would have to wait right now
+   * @param {string} host - Upstream host name
+   * @returns {number} Milliseconds until the next request is allowed (0 if now)
+   */
+  getWaitTime(host) {
+    const now = Date.now();
+    return Math.max(this._getBucket(host, now).getWaitTime(now), this._getPauseRemaining(host, now));
+  }
+
+  /**
+   * Subscribe to requests being held back
+   * @param {Function} handler - Called with {host, until} whenever a host starts making requests wait
+   * @returns {Function} Unsubscribe function
+   */
+  onWait(handler) {
+    this.waitHandlers.add(handler);
+    return () => this.waitHandlers.delete(handler);
+  }
+
+  /**
+   * Forget all buckets and pauses
+   */
+  reset() {
+    this.buckets.clear();
+    this.pausedUntil.clear();
+  }
+
+  /**
+   * Get or create the bucket of a host
+   * @private
+   * @param {string} host - Upstream host name
+   * @param {number} now - Current time in epoch ms
+   * @returns {TokenBucket} Bucket of the host
+   */
+  _getBucket(host, now) {
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, new TokenBucket(this.limits[host] || this.defaultLimit, now));
+    }
+    return this.buckets.get(host);
+  }
+
+  /**
+   * Time left on a host's pause
+   * @private
+   * @param {string} host - Upstream host name
+   * @param {number} now - Current time in epoch ms
+   * @returns {number} Milliseconds left (0 if not paused)
+   */
+  _getPauseRemaining(host, now) {
+    return Math.max(0, (this.pausedUntil.get(host) || 0) - now);
+  }
+
+  /**
+   * Build the error for a request that would wait too long
+   * @private
+   * @param {string} host - Upstream host name
+   * @param {number} wait - Milliseconds the request would wait
+   * @returns {RateLimitError} Error with retryAfter set to the wait
+   */
+  _createWaitError(host, wait) {
+    return new RateLimitError(
+      `Request to ${host} held back: next request allowed in ${Math.ceil(wait / 1000)}s`,
+      { retryAfter: wait, url: host }
+    );
+  }
+
+  /**
+   * Notify wait handlers
+   * @private
+   * @param {string} host - Upstream host name
+   * @param {number} until - Epoch ms when requests may go out again
+   */
+  _emitWait(host, until) {
+    for (const handler of this.waitHandlers) {
+      try {
+        handler({ host, until });
+      } catch (error) {
+        console.error('Rate limit wait handler failed:', error);
+      }
+    }
+  }
+
+  /**
+   * Delay execution for specified milliseconds
+   * @private
+   * @param {number} ms - Milliseconds to delay
+   * @param {AbortSignal} signal - Optional signal cutting the delay short
+   * @returns {Promise} Promise that resolves after delay, or rejects when aborted
+   */
+  _delay(ms, signal) {
+    return delay(ms, signal);
+  }
+}
+
+/**
+ * Limiter shared by every API client in the page
+ * @type {RateLimiter}
+ */
+export const rateLimiter = new RateLimiter();
+
+export default RateLimiter;
@@ -0,0 +1,162 @@
+/**
+ * Tests for RateLimiter utility
+ * Includes both unit tests and property-based tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import { RateLimiter, TokenBucket } from './RateLimiter.js';
+import { RateLimitError } from './HttpErrors.js';
+
+const HOST = 'api.example.com';
+
+describe('RateLimiter Utility', () => {
+  let limiter;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    limiter = new RateLimiter({ limits: { [HOST]: { capacity: 2, refillPerSecond: 1 } } });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  describe('TokenBucket', () => {
+    it('should queue borrowers one refill interval apart', () => {
+      const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 4 }, 0);
+
+      expect([bucket.reserve(0), bucket.reserve(0), bucket.reserve(0), bucket.reserve(0)]).toEqual([0, 0, 250, 500]);
+    });
+
+    it('should never hold more than its capacity', () => {
+      const bucket = new TokenBucket({ capacity: 2, refillPerSecond: 1 }, 0);
+
+      bucket.reserve(0);
+      expect(bucket.getWaitTime(60000)).toBe(0);
+      expect(bucket.tokens).toBe(2);
+    });
+  });
+
+  it('should let a burst through and make the next request wait for a token', async () => {
+    const sent = vi.fn();
+    const onWait = vi.fn();
+    limiter.onWait(onWait);
+
+    for (let i = 0; i < 3; i++) {
+      limiter.acquire(HOST).then(sent);
+    }
+    await vi.advanceTimersByTimeAsync(0);
+    expect(sent).toHaveBeenCalledTimes(2);
+    expect(onWait).toHaveBeenCalledWith({ host: HOST, until: Date.now() + 1000 });
+
+    await vi.advanceTimersByTimeAsync(1000);
+    expect(sent).toHaveBeenCalledTimes(3);
+  });
+
+  it('should keep separate budgets per host', async () => {
+    await limiter.acquire(HOST);
+    await limiter.acquire(HOST);
+
+    expect(limiter.getWaitTime(HOST)).toBe(1000);
+    expect(limiter.getWaitTime('other.example.com')).toBe(0);
+  });
+
+  it('should pause a host for the Retry-After of a 429 or 503 response', async () => {
+    const headers = new Headers({ 'Retry-After': '5' });
+
+    expect(limiter.recordResponse(HOST, { status: 200, headers })).toBeNull();
+    expect(limiter.recordResponse(HOST, { status: 503, headers })).toBe(5000);
+    expect(limiter.getWaitTime(HOST)).toBe(5000);
+
+    const sent = vi.fn();
+    limiter.acquire(HOST).then(sent);
+    await vi.advanceTimersByTimeAsync(4999);
+    expect(sent).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(sent).toHaveBeenCalled();
+  });
+
+  it('should only ever extend a pause', () => {
+    limiter.pause(HOST, 10000);
+    limiter.pause(HOST, 2000);
+
+    expect(limiter.getWaitTime(HOST)).toBe(10000);
+  });
+
+  it('should fail fast instead of waiting longer than maxWait', async () => {
+    limiter = new RateLimiter({ maxWait: 5000 });
+    limiter.pause(HOST, 60000);
+
+    const error = await limiter.acquire(HOST).catch(e => e);
+
+    expect(error).toBeInstanceOf(RateLimitError);
+    expect(error.retryAfter).toBe(60000);
+  });
+
+  it('should fail a waiting request when the host is paused for too long meanwhile', async () => {
+    limiter = new RateLimiter({ limits: { [HOST]: { capacity: 1, refillPerSecond: 1 } }, maxWait: 5000 });
+    await limiter.acquire(HOST);
+
+    const result = limiter.acquire(HOST).catch(e => e);
+    limiter.pause(HOST, 60000);
+    await vi.advanceTimersByTimeAsync(1000);
+
+    expect(await result).toBeInstanceOf(RateLimitError);
+    expect(limiter.buckets.get(HOST).getWaitTime()).toBe(0);
+  });
+
+  it('should give the token back when a waiting request is cancelled', async () => {
+    await limiter.acquire(HOST);
+    await limiter.acquire(HOST);
+    const controller = new AbortController();
+
+    const result = limiter.acquire(HOST, controller.signal).catch(e => e);
+    controller.abort();
+
+    expect((await result).name).toBe('AbortError');
+    expect(limiter.getWaitTime(HOST)).toBe(1000);
+  });
+
+  it('should give the token back when a request is cancelled while the host is paused', async () => {
+    limiter = new RateLimiter({ limits: { [HOST]: { capacity: 1, refillPerSecond: 1 } } });
+    await limiter.acquire(HOST);
+    const controller = new AbortController();
+
+    const result = limiter.acquire(HOST, controller.signal).catch(e => e);
+    limiter.pause(HOST, 3000);
+    await vi.advanceTimersByTimeAsync(1500);
+    controller.abort();
+
+    expect((await result).name).toBe('AbortError');
+    expect(limiter.buckets.get(HOST).getWaitTime()).toBe(0);
+  });
+
+  describe('Property-Based Tests', () => {
+    it('should never send more than capacity plus the refilled tokens', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 5 }),
+          fc.integer({ min: 1, max: 10 }),
+          fc.integer({ min: 1, max: 20 }),
+          fc.integer({ min: 0, max: 3000 }),
+          async (capacity, refillPerSecond, requests, elapsed) => {
+            const bounded = new RateLimiter({ limits: { [HOST]: { capacity, refillPerSecond } } });
+            const sent = vi.fn();
+
+            for (let i = 0; i < requests; i++) {
+              bounded.acquire(HOST).then(sent);
+            }
+            await vi.advanceTimersByTimeAsync(elapsed);
+
+            const allowed = capacity + Math.floor((elapsed / 1000) * refillPerSecond);
+            expect(sent.mock.calls.length).toBe(Math.min(requests, allowed));
+
+            await vi.runAllTimersAsync();
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Sentiment - Lexicon-based sentiment scoring for meme titles
+ * Titles on Indian subreddits mix English with romanized Hindi (Hinglish), so the lexicon
+ * covers both, including market slang like "stonks", "bull run" and "paisa doob gaya".
+ * Scoring follows VADER: term weights are summed, negation flips a term, intensifiers
+ * strengthen it, and the sum is squashed into -1..1.
+ */
+
+/**
+ * Term weights from -4 (very negative) to 4 (very positive)
+ * Multi-word entries are matched as phrases before their words are scored on their own.
+ * @type {Object<string, number>}
+ */
+export const SENTIMENT_LEXICON = {
+  // English market slang
+  'stonks': 2,
+  'stonk': 2,
+  'bull run': 3,
+  'bullish': 2,
+  'bull': 1.5,
+  'bulls': 1.5,
+  'to the moon': 3,
+  'moon': 2,
+  'mooning': 3,
+  'rocket': 2,
+  'rally': 2,
+  'breakout': 1.5,
+  'all time high': 2.5,
+  'ath': 2,
+  'upper circuit': 3,
+  'profit': 2,
+  'profits': 2,
+  'gains': 2,
+  'green': 1,
+  'diamond hands': 2,
+  'buy the dip': 1,
+  'bearish': -2,
+  'bear': -1.5,
+  'bears': -1.5,
+  'crash': -3,
+  'crashed': -3,
+  'crashing': -3,
+  'dump': -2,
+  'dumped': -2,
+  'selloff': -2.5,
+  'sell off': -2.5,
+  'lower circuit': -3,
+  'bloodbath': -3.5,
+  'bleeding': -2.5,
+  'red': -1,
+  'loss': -2,
+  'losses': -2,
+  'rekt': -3,
+  'bagholder': -2,
+  'bag holder': -2,
+  'paper hands': -1.5,
+  'recession': -2.5,
+  'panic': -2.5,
+  'scam': -3,
+  'fraud': -3,
+  'broke': -2,
+
+  // General English
+  'win': 2,
+  'winning': 2,
+  'rich': 2,
+  'happy': 2,
+  'love': 2,
+  'great': 2,
+  'best': 2,
+  'good': 1.5,
+  'sad': -2,
+  'fear': -2,
+  'bad': -2,
+  'worst': -3,
+  'ruined': -3,
+
+  // Hinglish / romanized Hindi
+  'paisa doob gaya': -3.5,
+  'paise doob gaye': -3.5,
+  'doob gaya': -3,
+  'doob gaye': -3,
+  'doob': -2,
+  'dooba': -2.5,
+  'barbaad': -3,
+  'barbad': -3,
+  'tabahi': -3,
+  'lut gaye': -3,
+  'loot gaye': -3,
+  'lag gaye': -2.5,
+  'kangaal': -3,
+  'kangal': -3,
+  'gareeb': -2,
+  'garib': -2,
+  'gir gaya': -2.5,
+  'dhoka': -2.5,
+  'bakwas': -2.5,
+  'bekaar': -2,
+  'bekar': -2,
+  'ghatiya': -3,
+  'dukh': -2,
+  'dard': -2,
+  'rona': -2,
+  'haar': -2,
+  'paisa double': 3,
+  'paisa hi paisa': 3,
+  'chadh gaya': 2,
+  'ameer': 2,
+  'jeet': 2,
+  'khushi': 2.5,
+  'mauj': 2.5,
+  'maje': 2,
+  'maza': 2,
+  'mazaa': 2,
+  'mast': 2,
+  'badhiya': 2.5,
+  'badiya': 2.5,
+  'zabardast': 3,
+  'jhakaas': 3,
+
+  // Emoji
+  '🚀': 2,
+  '📈': 2,
+  '📉': -2,
+  '💸': -1.5
+};
+
+/**
+ * Words that flip the sentiment of a term up to three words after them
+ * @type {Set<string>}
+ */
+const NEGATIONS = new Set([
+  'not', 'no', 'never', "don't", "doesn't", "didn't", "isn't", "wasn't", "ain't", "won't", "can't",
+  'nahi', 'nahin', 'nhi', 'na', 'mat'
+]);
+
+/**
+ * Words that strengthen the term right after them
+ * @type {Set<string>}
+ */
+const INTENSIFIERS = new Set(['very', 'so', 'super', 'extremely', 'mega', 'bahut', 'bohot', 'bhot', 'ekdum', 'full']);
+
+// VADER's constants: negation scales a term by -0.74, and alpha sets how fast sums approach ±1
+const NEGATION_SCALAR = -0.74;
+const INTENSIFIER_SCALAR = 1.5;
+const NORMALIZATION_ALPHA = 15;
+const NEGATION_WINDOW = 3;
+
+/**
+ * Scores below -0.05 are negative and above 0.05 positive, as in VADER
+ * @type {number}
+ */
+export const NEUTRAL_THRESHOLD = 0.05;
+
+// Phrases indexed by their first word, longest first, so "paisa doob gaya" wins over "doob"
+const PHRASES = new Map();
+for (const term of Object.keys(SENTIMENT_LEXICON)) {
+  const words = term.split(' ');
+  if (!PHRASES.has(words[0])) {
+    PHRASES.set(words[0], []);
+  }
+  PHRASES.get(words[0]).push(words);
+}
+for (const phrases of PHRASES.values()) {
+  phrases.sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Split text into lower-case words and emoji
+ * @param {string} text - Text to split
+ * @returns {string[]} Tokens
+ */
+export function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[’‘]/g, "'")
+    .match(/[\p{L}\p{N}']+|\p{Extended_Pictographic}/gu) || [];
+}
+
+/**
+ * Find the lexicon term starting at a token
+ * @private
+ * @param {string[]} tokens - Tokens of the text
+ * @param {number} index - Position to match at
+ * @returns {{term: string, length: number}|null} Longest matching term and how many tokens it spans
+ */
+function matchTerm(tokens, index) {
+  for (const words of PHRASES.get(tokens[index]) || []) {
+    if (words.every((word, offset) => tokens[index + offset] === word)) {
+      return { term: words.join(' '), length: words.length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Score the sentiment of a text
+ * @param {string} text - Text to score, e.g. a meme title
+ * @returns {number} Score between -1 (very negative) and 1 (very positive), 0 without sentiment terms
+ */
+export function scoreSentiment(text) {
+  const tokens = tokenize(text);
+  let sum = 0;
+
+  for (let i = 0; i < tokens.length;) {
+    const match = matchTerm(tokens, i);
+    if (!match) {
+      i++;
+      continue;
+    }
+
+    let weight = SENTIMENT_LEXICON[match.term];
+    if (i > 0 && INTENSIFIERS.has(tokens[i - 1])) {
+      weight *= INTENSIFIER_SCALAR;
+    }
+    if (tokens.slice(Math.max(0, i - NEGATION_WINDOW), i).some(token => NEGATIONS.has(token))) {
+      weight *= NEGATION_SCALAR;
+    }
+
+    sum += weight;
+    i += match.length;
+  }
+
+  return sum === 0 ? 0 : sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+}
+
+/**
+ * Classify a sentiment score
+ * @param {number} score - Score from scoreSentiment()
+ * @returns {string} 'positive', 'negative' or 'neutral'
+ */
+export function classifySentiment(score) {
+  if (score > NEUTRAL_THRESHOLD) {
+    return 'positive';
+  }
+  if (score < -NEUTRAL_THRESHOLD) {
+    return 'negative';
+  }
+  return 'neutral';
+}
@@ -0,0 +1,74 @@
+/**
+ * Tests for Sentiment utility
+ * Includes unit tests and property-based tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { scoreSentiment, classifySentiment, tokenize, SENTIMENT_LEXICON } from './Sentiment.js';
+
+describe('Sentiment Utility', () => {
+  describe('tokenize', () => {
+    it('should split words, keep apostrophes and emoji, and lower-case', () => {
+      expect(tokenize("Nifty DIDN'T crash 🚀!")).toEqual(["nifty", "didn't", 'crash', '🚀']);
+      expect(tokenize('')).toEqual([]);
+      expect(tokenize(undefined)).toEqual([]);
+    });
+  });
+
+  describe('scoreSentiment', () => {
+    it('should score English market slang', () => {
+      expect(scoreSentiment('Stonks only go up')).toBeGreaterThan(0.3);
+      expect(scoreSentiment('Bull run incoming, to the moon')).toBeGreaterThan(0.8);
+      expect(scoreSentiment('Market crash bloodbath')).toBeLessThan(-0.8);
+    });
+
+    it('should score Hinglish phrases as a whole', () => {
+      expect(scoreSentiment('Bhai paisa doob gaya')).toBeCloseTo(-3.5 / Math.sqrt(3.5 * 3.5 + 15), 10);
+      expect(scoreSentiment('Portfolio barbaad ho gaya')).toBeLessThan(-0.5);
+      expect(scoreSentiment('Aaj toh mauj hi mauj')).toBeGreaterThan(0.5);
+    });
+
+    it('should flip negated terms in English and Hindi', () => {
+      expect(scoreSentiment('This is not a crash')).toBeGreaterThan(0);
+      expect(scoreSentiment('Paisa nahi dooba')).toBeGreaterThan(0);
+    });
+
+    it('should strengthen intensified terms', () => {
+      expect(scoreSentiment('bahut barbaad')).toBeLessThan(scoreSentiment('barbaad'));
+      expect(scoreSentiment('very bullish')).toBeGreaterThan(scoreSentiment('bullish'));
+    });
+
+    it('should score emoji', () => {
+      expect(scoreSentiment('Sensex 📉📉')).toBeLessThan(0);
+      expect(scoreSentiment('Nifty 🚀')).toBeGreaterThan(0);
+    });
+
+    it('should return 0 for titles without sentiment terms', () => {
+      expect(scoreSentiment('When the intern explains options trading')).toBe(0);
+      expect(scoreSentiment('')).toBe(0);
+    });
+  });
+
+  describe('classifySentiment', () => {
+    it('should use the neutral band around 0', () => {
+      expect(classifySentiment(0.5)).toBe('positive');
+      expect(classifySentiment(-0.5)).toBe('negative');
+      expect(classifySentiment(0.01)).toBe('neutral');
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    it('should keep every score between -1 and 1', () => {
+      const term = fc.constantFrom(...Object.keys(SENTIMENT_LEXICON), 'not', 'nahi', 'bahut', 'meme', 'bhai');
+
+      fc.assert(
+        fc.property(fc.array(term, { maxLength: 30 }), (words) => {
+          const score = scoreSentiment(words.join(' '));
+          return score >= -1 && score <= 1;
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * SourceConfig - Validation and serialization of subreddit source configurations
+ * A configuration is a list of {subreddit, weight}. It is stored as JSON in data/sources.json
+ * (SourceConfigFile.js) and shared by the dashboard, the archive collector and the social
+ * MCP server.
+ */
+
+import { DEFAULT_SOURCES, MAX_SOURCES, MAX_SOURCE_WEIGHT } from '../config/sources.js';
+
+// Reddit's rules for subreddit names: 3-21 letters, digits and underscores, not starting with an underscore
+const SUBREDDIT_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_]{2,20}$/;
+
+/**
+ * Source configuration that breaks a rule; the message says which
+ */
+export class SourceConfigError extends Error {
+  /**
+   * @param {string} message - Error message
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'SourceConfigError';
+  }
+}
+
+/**
+ * Normalize a subreddit name as typed, e.g. "r/IndianDankMemes" or "/r/indiameme/"
+ * @param {string} name - Subreddit name, with or without the r/ prefix
+ * @returns {string} Name without prefix or slashes, in its original case
+ * @throws {SourceConfigError} If the name cannot be a subreddit
+ */
+export function normalizeSubredditName(name) {
+  const subreddit = String(name ?? '').trim().replace(/^\/?r\//i, '').replace(/\/+$/, '');
+  if (!SUBREDDIT_NAME_PATTERN.test(subreddit)) {
+    throw new SourceConfigError(`"${name}" is not a valid subreddit name`);
+  }
+  return subreddit;
+}
+
+/**
+ * Validate a source configuration
+ * @param {Array<SourceConfig|string>} sources - Sources; a bare name gets weight 1
+ * @returns {SourceConfig[]} Normalized copy of the sources
+ * @throws {SourceConfigError} If the list is empty or too long, a name is invalid or repeated, or a weight is out of range
+ */
+export function validateSources(sources) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new SourceConfigError('At least one subreddit source is required');
+  }
+  if (sources.length > MAX_SOURCES) {
+    throw new SourceConfigError(`At most ${MAX_SOURCES} subreddit sources are supported`);
+  }
+
+  const seen = new Set();
+  return sources.map(source => {
+    const { subreddit: name, weight = 1 } = typeof source === 'string' ? { subreddit: source } : (source || {});
+    const subreddit = normalizeSubredditName(name);
+
+    // Reddit treats names case-insensitively
+    if (seen.has(subreddit.toLowerCase())) {
+      throw new SourceConfigError(`r/${subreddit} is listed more than once`);
+    }
+    seen.add(subreddit.toLowerCase());
+
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0 || weight > MAX_SOURCE_WEIGHT) {
+      throw new SourceConfigError(`Weight of r/${subreddit} must be a number between 0 and ${MAX_SOURCE_WEIGHT}`);
+    }
+
+    return { subreddit, weight };
+  });
+}
+
+/**
+ * Get the weight of every source by lower-cased subreddit name
+ * @param {SourceConfig[]} sources - Validated sources
+ * @returns {Map<string, number>} Weight by lower-cased subreddit name
+ */
+export function getSourceWeights(sources) {
+  return new Map(sources.map(({ subreddit, weight }) => [subreddit.toLowerCase(), weight]));
+}
+
+/**
+ * Serialize a source configuration for storage
+ * @param {SourceConfig[]} sources - Sources to store
+ * @returns {string} JSON text
+ * @throws {SourceConfigError} If the sources are invalid
+ */
+export function serializeSources(sources) {
+  return `${JSON.stringify({ sources: validateSources(sources) }, null, 2)}\n`;
+}
+
+/**
+ * Parse a stored source configuration
+ * @param {string} text - JSON text from serializeSources()
+ * @returns {SourceConfig[]} Validated sources
+ * @throws {SourceConfigError} If the text is not a valid configuration
+ */
+export function parseSources(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new SourceConfigError(`Source configuration is not valid JSON: ${error.message}`);
+  }
+  return validateSources(data?.sources);
+}
+
+/**
+ * Copy of the default sources
+ * @returns {SourceConfig[]} DEFAULT_SOURCES
+ */
+export function getDefaultSources() {
+  return DEFAULT_SOURCES.map(source => ({ ...source }));
+}
@@ -0,0 +1,87 @@
+/**
+ * Tests for SourceConfig utility
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  SourceConfigError,
+  normalizeSubredditName,
+  validateSources,
+  getSourceWeights,
+  serializeSources,
+  parseSources,
+  getDefaultSources
+} from './SourceConfig.js';
+import { DEFAULT_SOURCES, MAX_SOURCES } from '../config/sources.js';
+
+describe('SourceConfig Utility', () => {
+  describe('normalizeSubredditName', () => {
+    it('should strip the r/ prefix and slashes but keep the case', () => {
+      expect(normalizeSubredditName('r/IndianDankMemes')).toBe('IndianDankMemes');
+      expect(normalizeSubredditName(' /r/indiameme/ ')).toBe('indiameme');
+      expect(normalizeSubredditName('SaimanSays')).toBe('SaimanSays');
+    });
+
+    it('should reject names Reddit does not allow', () => {
+      expect(() => normalizeSubredditName('ab')).toThrow(SourceConfigError);
+      expect(() => normalizeSubredditName('_memes')).toThrow('is not a valid subreddit name');
+      expect(() => normalizeSubredditName('indian memes')).toThrow(SourceConfigError);
+      expect(() => normalizeSubredditName('')).toThrow(SourceConfigError);
+      expect(() => normalizeSubredditName(undefined)).toThrow(SourceConfigError);
+    });
+  });
+
+  describe('validateSources', () => {
+    it('should normalize names and give bare names weight 1', () => {
+      expect(validateSources(['r/indiameme', { subreddit: 'SaimanSays', weight: 2.5 }])).toEqual([
+        { subreddit: 'indiameme', weight: 1 },
+        { subreddit: 'SaimanSays', weight: 2.5 }
+      ]);
+    });
+
+    it('should reject empty, oversized and repeated lists', () => {
+      expect(() => validateSources([])).toThrow('At least one subreddit source is required');
+      expect(() => validateSources(null)).toThrow(SourceConfigError);
+      expect(() => validateSources(Array.from({ length: MAX_SOURCES + 1 }, (_, i) => `memes${i}`))).toThrow(`At most ${MAX_SOURCES}`);
+      expect(() => validateSources(['indiameme', 'IndiaMeme'])).toThrow('r/IndiaMeme is listed more than once');
+    });
+
+    it('should reject weights outside 0 to the maximum', () => {
+      expect(validateSources([{ subreddit: 'indiameme', weight: 0 }])[0].weight).toBe(0);
+      expect(() => validateSources([{ subreddit: 'indiameme', weight: -1 }])).toThrow('Weight of r/indiameme');
+      expect(() => validateSources([{ subreddit: 'indiameme', weight: 11 }])).toThrow(SourceConfigError);
+      expect(() => validateSources([{ subreddit: 'indiameme', weight: '2' }])).toThrow(SourceConfigError);
+      expect(() => validateSources([{ subreddit: 'indiameme', weight: NaN }])).toThrow(SourceConfigError);
+    });
+  });
+
+  describe('getSourceWeights', () => {
+    it('should key weights by lower-cased name', () => {
+      const weights = getSourceWeights([{ subreddit: 'IndianDankMemes', weight: 2 }]);
+      expect(weights.get('indiandankmemes')).toBe(2);
+    });
+  });
+
+  describe('serializeSources and parseSources', () => {
+    it('should round-trip a configuration', () => {
+      const sources = [{ subreddit: 'indiameme', weight: 1.5 }];
+      expect(parseSources(serializeSources(sources))).toEqual(sources);
+    });
+
+    it('should reject text that is not a valid configuration', () => {
+      expect(() => parseSources('{"sources":')).toThrow('not valid JSON');
+      expect(() => parseSources('{"sources":[]}')).toThrow(SourceConfigError);
+      expect(() => serializeSources([{ subreddit: 'x' }])).toThrow(SourceConfigError);
+    });
+  });
+
+  describe('getDefaultSources', () => {
+    it('should return a copy of the defaults', () => {
+      const sources = getDefaultSources();
+      sources[0].weight = 5;
+
+      expect(DEFAULT_SOURCES[0].weight).toBe(1);
+      expect(getDefaultSources().map(source => source.subreddit)).toEqual(['IndianDankMemes', 'indiameme', 'SaimanSays']);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * SourceConfigFile - Reads and writes the subreddit source configuration on disk (Node only)
+ * Used by the dev server, the archive collector and the social MCP server; the browser
+ * reads and saves the configuration through the dev server with SourceConfigAPI
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { getDefaultSources, parseSources, serializeSources } from './SourceConfig.js';
+
+/**
+ * Configuration location unless MEME_SOURCES_PATH is set: data/sources.json in the project root
+ * @type {string}
+ */
+export const DEFAULT_SOURCES_PATH = join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'data', 'sources.json');
+
+/**
+ * Get the configuration location
+ * @returns {string} MEME_SOURCES_PATH if set, otherwise DEFAULT_SOURCES_PATH
+ */
+export function getSourcesPath() {
+  return process.env.MEME_SOURCES_PATH || DEFAULT_SOURCES_PATH;
+}
+
+/**
+ * Read the source configuration
+ * @param {string} path - Configuration file (default: getSourcesPath())
+ * @returns {Promise<SourceConfig[]>} Saved sources, or the default sources if none were saved
+ * @throws {SourceConfigError} If the file holds an invalid configuration
+ */
+export async function readSources(path = getSourcesPath()) {
+  try {
+    return parseSources(await readFile(path, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return getDefaultSources();
+    }
+    throw error;
+  }
+}
+
+/**
+ * Save the source configuration, creating its directory if needed
+ * @param {SourceConfig[]} sources - Sources to save
+ * @param {string} path - Configuration file (default: getSourcesPath())
+ * @returns {Promise<SourceConfig[]>} Saved (normalized) sources
+ * @throws {SourceConfigError} If the sources are invalid; the file is left as it was
+ */
+export async function writeSources(sources, path = getSourcesPath()) {
+  const text = serializeSources(sources);
+  await mkdir(dirname(path), { recursive: true });
+  // Readers never see a half-written file: the new one replaces the old in one step
+  const temporaryPath = `${path}.${process.pid}.tmp`;
+  await writeFile(temporaryPath, text, 'utf8');
+  await rename(temporaryPath, path);
+  return parseSources(text);
+}
@@ -0,0 +1,61 @@
+/**
+ * Tests for SourceConfigFile utility
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, writeFile, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { readSources, writeSources, getSourcesPath, DEFAULT_SOURCES_PATH } from './SourceConfigFile.js';
+import { SourceConfigError } from './SourceConfig.js';
+import { DEFAULT_SOURCES } from '../config/sources.js';
+
+describe('SourceConfigFile Utility', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'meme-sources-'));
+  });
+
+  afterEach(async () => {
+    delete process.env.MEME_SOURCES_PATH;
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should read the default sources before anything was saved', async () => {
+    await expect(readSources(join(directory, 'missing.json'))).resolves.toEqual(DEFAULT_SOURCES);
+  });
+
+  it('should save sources, creating the directory, and read them back', async () => {
+    const path = join(directory, 'data', 'sources.json');
+
+    const saved = await writeSources(['r/indiameme', { subreddit: 'SaimanSays', weight: 3 }], path);
+
+    expect(saved).toEqual([{ subreddit: 'indiameme', weight: 1 }, { subreddit: 'SaimanSays', weight: 3 }]);
+    await expect(readSources(path)).resolves.toEqual(saved);
+    expect(await readdir(join(directory, 'data'))).toEqual(['sources.json']);
+  });
+
+  it('should leave the file as it was when the sources are invalid', async () => {
+    const path = join(directory, 'sources.json');
+    await writeSources(['indiameme'], path);
+
+    await expect(writeSources([], path)).rejects.toThrow(SourceConfigError);
+    await expect(readSources(path)).resolves.toEqual([{ subreddit: 'indiameme', weight: 1 }]);
+  });
+
+  it('should reject a file with an invalid configuration', async () => {
+    const path = join(directory, 'sources.json');
+    await writeFile(path, '{"sources": [{"subreddit": "indiameme", "weight": 99}]}');
+
+    await expect(readSources(path)).rejects.toThrow(SourceConfigError);
+  });
+
+  it('should use MEME_SOURCES_PATH when it is set', () => {
+    expect(getSourcesPath()).toBe(DEFAULT_SOURCES_PATH);
+    expect(DEFAULT_SOURCES_PATH).toMatch(/data[\\/]sources\.json$/);
+
+    process.env.MEME_SOURCES_PATH = join(directory, 'elsewhere.json');
+    expect(getSourcesPath()).toBe(join(directory, 'elsewhere.json'));
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Statistics - Utility for probability distributions used in significance testing
+ * Implements Student-t, F and standard normal distributions without external libraries
+ */
+
+// Lanczos approximation coefficients (g = 7, n = 9)
+const LANCZOS_COEFFICIENTS = [
+  0.99999999999980993,
+  676.5203681218851,
+  -1259.1392167224028,
+  771.32342877765313,
+  -176.61502916214059,
+  12.507343278686905,
+  -0.13857109526572012,
+  9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+const CONTINUED_FRACTION_MAX_ITERATIONS = 300;
+const CONTINUED_FRACTION_EPSILON = 1e-14;
+const TINY = 1e-300;
+
+/**
+ * Natural logarithm of the gamma function
+ * @param {number} x - Positive input
+ * @returns {number} ln(Γ(x))
+ */
+export function logGamma(x) {
+  if (x < 0.5) {
+    // Reflection formula keeps the approximation accurate for small inputs
+    return Math.log(Math.PI / Math.abs(Math.sin(Math.PI * x))) - logGamma(1 - x);
+  }
+
+  const z = x - 1;
+  let sum = LANCZOS_COEFFICIENTS[0];
+  for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) {
+    sum += LANCZOS_COEFFICIENTS[i] / (z + i);
+  }
+
+  const t = z + 7.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Evaluate the continued fraction for the incomplete beta function (modified Lentz)
+ * @private
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number} Continued fraction value
+ */
+function betaContinuedFraction(x, a, b) {
+  const qab = a + b;
+  const qap = a + 1;
+  const qam = a - 1;
+
+  let c = 1;
+  let d = 1 - (qab * x) / qap;
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= CONTINUED_FRACTION_MAX_ITERATIONS; m++) {
+    const m2 = 2 * m;
+
+    // Even step
+    let aa = (m * (b - m) * x) / ((qam + m2) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    result *= d * c;
+
+    // Odd step
+    aa = (-(a + m) * (qab + m) * x) / ((a + m2) * (qap + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < CONTINUED_FRACTION_EPSILON) {
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Point in [0, 1]
+ * @param {number} a - First shape parameter (> 0)
+ * @param {number} b - Second shape parameter (> 0)
+ * @returns {number} Value between 0 and 1
+ */
+export function regularizedIncompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const logFront = logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x);
+  const front = Math.exp(logFront);
+
+  // The continued fraction converges fastest on this side of the mean
+  if (x < (a + 1) / (a + b + 2)) {
+    return (front * betaContinuedFraction(x, a, b)) / a;
+  }
+  return 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * Cumulative distribution function of Student's t-distribution
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom (> 0, need not be an integer)
+ * @returns {number} P(T <= t)
+ */
+export function studentTCdf(t, df) {
+  if (!Number.isFinite(t)) {
+    return t > 0 ? 1 : 0;
+  }
+
+  const tail = 0.5 * regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t >= 0 ? 1 - tail : tail;
+}
+
+/**
+ * Two-tailed p-value for a t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom (> 0)
+ * @returns {number} P(|T| >= |t|)
+ */
+export function studentTTwoTailedPValue(t, df) {
+  if (!Number.isFinite(t)) {
+    return 0;
+  }
+  return regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Upper-tail probability of the F-distribution
+ * @param {number} f - F statistic (>= 0)
+ * @param {number} df1 - Numerator degrees of freedom (> 0)
+ * @param {number} df2 - Denominator degrees of freedom (> 0)
+ * @returns {number} P(F >= f)
+ */
+export function fDistributionUpperTail(f, df1, df2) {
+  if (f <= 0) {
+    return 1;
+  }
+  if (!Number.isFinite(f)) {
+    return 0;
+  }
+  return regularizedIncompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+}
+
+/**
+ * Error function (Maclaurin series near zero, continued fraction in the tails)
+ * @private
+ * @param {number} x - Input
+ * @returns {number} erf(x)
+ */
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+
+  if (ax < 2) {
+    // Maclaurin series converges quickly and to full precision here
+    let term = ax;
+    let sum = ax;
+    for (let n = 1; n < 100; n++) {
+      term *= (-ax * ax) / n;
+      const contribution = term / (2 * n + 1);
+      sum += contribution;
+      if (Math.abs(contribution) < 1e-16 * Math.abs(sum)) break;
+    }
+    return sign * (2 / Math.sqrt(Math.PI)) * sum;
+  }
+
+  // Continued fraction for the complementary error function in the tails
+  let fraction = 0;
+  for (let n = 60; n >= 1; n--) {
+    fraction = (n / 2) / (ax + fraction);
+  }
+  const erfc = Math.exp(-ax * ax) / Math.sqrt(Math.PI) / (ax + fraction);
+  return sign * (1 - erfc);
+}
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ * @param {number} z - z score
+ * @returns {number} P(Z <= z)
+ */
+export function normalCdf(z) {
+  return 0.5 * (1 + erf(z / Math.SQRT2));
+}
+
+/**
+ * Two-tailed p-value for a z statistic
+ * @param {number} z - z statistic
+ * @returns {number} P(|Z| >= |z|)
+ */
+export function normalTwoTailedPValue(z) {
+  return Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ * @param {number} p - Probability strictly between 0 and 1
+ * @returns {number} z such that P(Z <= z) = p
+ */
+export function normalQuantile(p) {
+  if (p <= 0 || p >= 1) {
+    throw new Error(`Probability must be between 0 and 1 exclusive, got ${p}`);
+  }
+
+  const a = [-3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2, 1.383577518672690e2, -3.066479806614716e1, 2.506628277459239];
+  const b = [-5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2, 6.680131188771972e1, -1.328068155288572e1];
+  const c = [-7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+
+  if (p > 1 - pLow) {
+    return -normalQuantile(1 - p);
+  }
+
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
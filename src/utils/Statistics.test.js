@@ -0,0 +1,129 @@
+/**
+ * Tests for Statistics utility
+ * Includes both unit tests and property-based tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  logGamma,
+  regularizedIncompleteBeta,
+  studentTCdf,
+  studentTTwoTailedPValue,
+  fDistributionUpperTail,
+  normalCdf,
+  normalTwoTailedPValue,
+  normalQuantile
+} from './Statistics.js';
+
+describe('Statistics Utility', () => {
+  describe('logGamma', () => {
+    it('should match log factorials for integers', () => {
+      expect(logGamma(1)).toBeCloseTo(0, 12);
+      expect(logGamma(5)).toBeCloseTo(Math.log(24), 12);
+      expect(logGamma(11)).toBeCloseTo(Math.log(3628800), 10);
+    });
+
+    it('should handle half-integers', () => {
+      expect(logGamma(0.5)).toBeCloseTo(Math.log(Math.sqrt(Math.PI)), 12);
+    });
+  });
+
+  describe('regularizedIncompleteBeta', () => {
+    it('should return the bounds at 0 and 1', () => {
+      expect(regularizedIncompleteBeta(0, 2, 3)).toBe(0);
+      expect(regularizedIncompleteBeta(1, 2, 3)).toBe(1);
+    });
+
+    it('should equal x for the uniform case a = b = 1', () => {
+      expect(regularizedIncompleteBeta(0.3, 1, 1)).toBeCloseTo(0.3, 12);
+    });
+  });
+
+  describe('Student t-distribution', () => {
+    it('should match published two-tailed critical values', () => {
+      expect(studentTTwoTailedPValue(2.228, 10)).toBeCloseTo(0.05, 4);
+      expect(studentTTwoTailedPValue(2.0, 10)).toBeCloseTo(0.07339, 5);
+      expect(studentTTwoTailedPValue(12.706, 1)).toBeCloseTo(0.05, 4);
+    });
+
+    it('should be symmetric around zero', () => {
+      expect(studentTCdf(0, 5)).toBeCloseTo(0.5, 12);
+      expect(studentTCdf(-1.5, 7) + studentTCdf(1.5, 7)).toBeCloseTo(1, 12);
+    });
+
+    it('should approach the normal distribution for large degrees of freedom', () => {
+      expect(studentTCdf(1.96, 1e6)).toBeCloseTo(normalCdf(1.96), 5);
+    });
+  });
+
+  describe('F-distribution', () => {
+    it('should match published upper-tail values', () => {
+      expect(fDistributionUpperTail(3.0, 2, 20)).toBeCloseTo(0.0725, 4);
+      expect(fDistributionUpperTail(4.35, 1, 20)).toBeCloseTo(0.05, 3);
+    });
+
+    it('should return the bounds for zero and infinite statistics', () => {
+      expect(fDistributionUpperTail(0, 2, 10)).toBe(1);
+      expect(fDistributionUpperTail(Infinity, 2, 10)).toBe(0);
+    });
+
+    it('should equal the two-tailed t p-value squared-statistic identity', () => {
+      // F(1, df) is the square of t(df)
+      expect(fDistributionUpperTail(2.5 ** 2, 1, 12)).toBeCloseTo(studentTTwoTailedPValue(2.5, 12), 12);
+    });
+  });
+
+  describe('Normal distribution', () => {
+    it('should match standard table values', () => {
+      expect(normalCdf(0)).toBeCloseTo(0.5, 12);
+      expect(normalCdf(1.96)).toBeCloseTo(0.9750021, 7);
+      expect(normalCdf(-3)).toBeCloseTo(0.0013499, 7);
+      expect(normalTwoTailedPValue(2.5)).toBeCloseTo(0.0124193, 7);
+    });
+
+    it('should invert the CDF', () => {
+      expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 6);
+      expect(normalQuantile(0.5)).toBeCloseTo(0, 12);
+    });
+
+    it('should reject probabilities outside (0, 1)', () => {
+      expect(() => normalQuantile(0)).toThrow('Probability must be between 0 and 1 exclusive');
+      expect(() => normalQuantile(1)).toThrow('Probability must be between 0 and 1 exclusive');
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    it('should produce valid, monotonically decreasing t p-values', () => {
+      fc.assert(
+        fc.property(
+          fc.double({ min: 0, max: 50, noNaN: true }),
+          fc.double({ min: 0, max: 50, noNaN: true }),
+          fc.integer({ min: 1, max: 500 }),
+          (a, b, df) => {
+            const [small, large] = a <= b ? [a, b] : [b, a];
+            const pSmall = studentTTwoTailedPValue(small, df);
+            const pLarge = studentTTwoTailedPValue(large, df);
+
+            expect(pSmall).toBeGreaterThanOrEqual(0);
+            expect(pSmall).toBeLessThanOrEqual(1);
+            expect(pLarge).toBeLessThanOrEqual(pSmall + 1e-12);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it('should round-trip normal quantiles through the CDF', () => {
+      fc.assert(
+        fc.property(
+          fc.double({ min: 1e-6, max: 1 - 1e-6, noNaN: true }),
+          (p) => {
+            expect(normalCdf(normalQuantile(p))).toBeCloseTo(p, 8);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
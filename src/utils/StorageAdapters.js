@@ -0,0 +1,527 @@
+/**
+ * StorageAdapters - Pluggable async key-value backends for Cache
+ * Every adapter owns one namespace and tracks the byte size and last access time of its entries
+ *
+ * Adapter interface (all methods async):
+ *   get(key)                 -> stored string or null; marks the entry as recently used
+ *   set(key, value, meta)    -> stores a string; meta.expiresAt is kept for eviction
+ *   remove(key)              -> deletes one entry
+ *   entries()                -> [{key, size, lastAccessed, expiresAt}] without values
+ *   clear()                  -> deletes every entry in the namespace
+ */
+
+/**
+ * Default namespace budget for localStorage-backed caches, in bytes
+ * @type {number}
+ */
+export const LOCAL_STORAGE_QUOTA = 2 * 1024 * 1024;
+
+/**
+ * Default namespace budget for IndexedDB-backed caches, in bytes
+ * @type {number}
+ */
+export const INDEXED_DB_QUOTA = 50 * 1024 * 1024;
+
+// Suffix of the localStorage key holding a namespace's entry metadata
+const INDEX_KEY = '__index__';
+
+// Object store used by the IndexedDB adapter
+const ENTRY_STORE = 'entries';
+
+const textEncoder = new TextEncoder();
+
+/**
+ * UTF-8 byte length of a string
+ * @param {string} value - String to measure
+ * @returns {number} Size in bytes
+ */
+export function byteLength(value) {
+  return textEncoder.encode(value).length;
+}
+
+/**
+ * Storage size of an entry, counting its key and serialized value
+ * @param {string} key - Cache key
+ * @param {string} value - Serialized value
+ * @returns {number} Size in bytes
+ */
+export function measureEntry(key, value) {
+  return byteLength(key) + byteLength(value);
+}
+
+/**
+ * Monotonic clock for access times so entries touched in the same millisecond keep their order
+ * @private
+ */
+class AccessClock {
+  constructor() {
+    this.last = 0;
+  }
+
+  /**
+   * Get the next access time
+   * @returns {number} Milliseconds since epoch, strictly increasing
+   */
+  tick() {
+    this.last = Math.max(Date.now(), this.last + 1);
+    return this.last;
+  }
+}
+
+/**
+ * In-memory adapter, used in tests and when no persistent storage is available
+ */
+export class MemoryStorageAdapter {
+  /**
+   * Create a new MemoryStorageAdapter instance
+   * @param {string} namespace - Namespace owned by the adapter
+   */
+  constructor(namespace) {
+    this.name = 'memory';
+    this.namespace = namespace;
+    this.defaultQuota = LOCAL_STORAGE_QUOTA;
+    this.records = new Map();
+    this.clock = new AccessClock();
+  }
+
+  /**
+   * Read an entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {Promise<string|null>} Stored value or null
+   */
+  async get(key) {
+    const record = this.records.get(key);
+    if (!record) {
+      return null;
+    }
+    record.lastAccessed = this.clock.tick();
+    return record.value;
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {string} value - Serialized value
+   * @param {{expiresAt: number}} meta - Entry metadata kept for eviction
+   * @returns {Promise<void>}
+   */
+  async set(key, value, meta = {}) {
+    this.records.set(key, {
+      value,
+      size: measureEntry(key, value),
+      lastAccessed: this.clock.tick(),
+      expiresAt: meta.expiresAt ?? null
+    });
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.records.delete(key);
+  }
+
+  /**
+   * List entry metadata for the namespace
+   * @returns {Promise<Array<{key: string, size: number, lastAccessed: number, expiresAt: number|null}>>} Entries without values
+   */
+  async entries() {
+    return [...this.records].map(([key, { size, lastAccessed, expiresAt }]) => ({ key, size, lastAccessed, expiresAt }));
+  }
+
+  /**
+   * Delete every entry in the namespace
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.records.clear();
+  }
+}
+
+/**
+ * localStorage adapter; entries are stored under `${namespace}:${key}` with a metadata index
+ */
+export class LocalStorageAdapter {
+  /**
+   * Create a new LocalStorageAdapter instance
+   * @param {string} namespace - Namespace owned by the adapter
+   * @param {Object} options - Adapter options
+   * @param {Storage} options.storage - Storage object to use (default: window.localStorage)
+   */
+  constructor(namespace, options = {}) {
+    this.name = 'localStorage';
+    this.namespace = namespace;
+    this.defaultQuota = LOCAL_STORAGE_QUOTA;
+    this.storage = options.storage || globalThis.localStorage;
+    this.clock = new AccessClock();
+  }
+
+  /**
+   * Get the localStorage key used for a cache key
+   * @param {string} key - Cache key
+   * @returns {string} Namespaced storage key
+   */
+  getStorageKey(key) {
+    return `${this.namespace}:${key}`;
+  }
+
+  /**
+   * Read an entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {Promise<string|null>} Stored value or null
+   */
+  async get(key) {
+    const value = this.storage.getItem(this.getStorageKey(key));
+    const index = this._readIndex();
+
+    if (value === null) {
+      if (index[key]) {
+        delete index[key];
+        this._writeIndex(index);
+      }
+      return null;
+    }
+
+    index[key] = {
+      size: index[key]?.size ?? measureEntry(key, value),
+      expiresAt: index[key]?.expiresAt ?? null,
+      lastAccessed: this.clock.tick()
+    };
+    this._writeIndex(index);
+    return value;
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {string} value - Serialized value
+   * @param {{expiresAt: number}} meta - Entry metadata kept for eviction
+   * @returns {Promise<void>}
+   */
+  async set(key, value, meta = {}) {
+    // Write the value first so a quota error leaves the index untouched
+    this.storage.setItem(this.getStorageKey(key), value);
+
+    const index = this._readIndex();
+    index[key] = {
+      size: measureEntry(key, value),
+      lastAccessed: this.clock.tick(),
+      expiresAt: meta.expiresAt ?? null
+    };
+    this._writeIndex(index);
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    this.storage.removeItem(this.getStorageKey(key));
+
+    const index = this._readIndex();
+    if (index[key]) {
+      delete index[key];
+      this._writeIndex(index);
+    }
+  }
+
+  /**
+   * List entry metadata for the namespace
+   * @returns {Promise<Array<{key: string, size: number, lastAccessed: number, expiresAt: number|null}>>} Entries without values
+   */
+  async entries() {
+    const index = this._readIndex();
+    const entries = [];
+    let changed = false;
+
+    for (const [key, meta] of Object.entries(index)) {
+      if (this.storage.getItem(this.getStorageKey(key)) === null) {
+        // Removed behind our back (another tab, devtools)
+        delete index[key];
+        changed = true;
+        continue;
+      }
+      entries.push({ key, ...meta });
+    }
+
+    if (changed) {
+      this._writeIndex(index);
+    }
+    return entries;
+  }
+
+  /**
+   * Delete every entry in the namespace
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    Object.keys(this._readIndex()).forEach(key => this.storage.removeItem(this.getStorageKey(key)));
+    this.storage.removeItem(this.getStorageKey(INDEX_KEY));
+  }
+
+  /**
+   * Read the metadata index, rebuilding it from a prefix scan if it is missing or corrupt
+   * Rebuilt entries count as least recently used with an unknown expiry.
+   * @private
+   * @returns {Object<string, {size: number, lastAccessed: number, expiresAt: number|null}>} Metadata by key
+   */
+  _readIndex() {
+    const raw = this.storage.getItem(this.getStorageKey(INDEX_KEY));
+    if (raw) {
+      try {
+        const index = JSON.parse(raw);
+        if (index && typeof index === 'object' && !Array.isArray(index)) {
+          return index;
+        }
+      } catch (parseError) {
+        // Fall through to rebuild
+      }
+    }
+
+    const prefix = this.getStorageKey('');
+    const index = {};
+    for (let i = 0; i < this.storage.length; i++) {
+      const storageKey = this.storage.key(i);
+      if (!storageKey || !storageKey.startsWith(prefix) || storageKey === this.getStorageKey(INDEX_KEY)) {
+        continue;
+      }
+      const key = storageKey.slice(prefix.length);
+      index[key] = { size: measureEntry(key, this.storage.getItem(storageKey) || ''), lastAccessed: 0, expiresAt: null };
+    }
+
+    if (Object.keys(index).length > 0) {
+      this._writeIndex(index);
+    }
+    return index;
+  }
+
+  /**
+   * Persist the metadata index
+   * @private
+   * @param {Object} index - Metadata by key
+   */
+  _writeIndex(index) {
+    if (Object.keys(index).length === 0) {
+      this.storage.removeItem(this.getStorageKey(INDEX_KEY));
+      return;
+    }
+    this.storage.setItem(this.getStorageKey(INDEX_KEY), JSON.stringify(index));
+  }
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @private
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<any>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for an IndexedDB transaction to commit
+ * @private
+ * @param {IDBTransaction} transaction - Transaction
+ * @returns {Promise<void>} Resolves on completion
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+/**
+ * IndexedDB adapter; records of every namespace share one object store keyed by `${namespace}:${key}`
+ */
+export class IndexedDBStorageAdapter {
+  /**
+   * Create a new IndexedDBStorageAdapter instance
+   * @param {string} namespace - Namespace owned by the adapter
+   * @param {Object} options - Adapter options
+   * @param {string} options.dbName - Database name (default 'meme-market-cache')
+   * @param {IDBFactory} options.indexedDB - IndexedDB factory (default: window.indexedDB)
+   * @param {Object} options.keyRange - IDBKeyRange implementation (default: window.IDBKeyRange)
+   */
+  constructor(namespace, options = {}) {
+    this.name = 'indexedDB';
+    this.namespace = namespace;
+    this.defaultQuota = INDEXED_DB_QUOTA;
+    this.dbName = options.dbName || 'meme-market-cache';
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.keyRange = options.keyRange || globalThis.IDBKeyRange;
+    this.clock = new AccessClock();
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and on first use create) the database
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        if (!this.indexedDB) {
+          reject(new Error('IndexedDB is not available'));
+          return;
+        }
+
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(ENTRY_STORE)) {
+            db.createObjectStore(ENTRY_STORE, { keyPath: 'id' });
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB open blocked by another connection'));
+      });
+
+      // Allow a later retry if opening failed
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Read an entry and mark it as recently used
+   * @param {string} key - Cache key
+   * @returns {Promise<string|null>} Stored value or null
+   */
+  async get(key) {
+    const db = await this.open();
+    const transaction = db.transaction(ENTRY_STORE, 'readwrite');
+    const store = transaction.objectStore(ENTRY_STORE);
+    const done = transactionDone(transaction);
+
+    const value = await new Promise((resolve, reject) => {
+      const request = store.get(this._getId(key));
+      request.onsuccess = () => {
+        const record = request.result;
+        if (!record) {
+          resolve(null);
+          return;
+        }
+        // Update the access time inside the same transaction
+        record.lastAccessed = this.clock.tick();
+        store.put(record);
+        resolve(record.value);
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    await done;
+    return value;
+  }
+
+  /**
+   * Store an entry
+   * @param {string} key - Cache key
+   * @param {string} value - Serialized value
+   * @param {{expiresAt: number}} meta - Entry metadata kept for eviction
+   * @returns {Promise<void>}
+   */
+  async set(key, value, meta = {}) {
+    const db = await this.open();
+    const transaction = db.transaction(ENTRY_STORE, 'readwrite');
+    const done = transactionDone(transaction);
+
+    transaction.objectStore(ENTRY_STORE).put({
+      id: this._getId(key),
+      namespace: this.namespace,
+      key,
+      value,
+      size: measureEntry(key, value),
+      lastAccessed: this.clock.tick(),
+      expiresAt: meta.expiresAt ?? null
+    });
+
+    await done;
+  }
+
+  /**
+   * Delete an entry
+   * @param {string} key - Cache key
+   * @returns {Promise<void>}
+   */
+  async remove(key) {
+    const db = await this.open();
+    const transaction = db.transaction(ENTRY_STORE, 'readwrite');
+    const done = transactionDone(transaction);
+
+    transaction.objectStore(ENTRY_STORE).delete(this._getId(key));
+
+    await done;
+  }
+
+  /**
+   * List entry metadata for the namespace
+   * @returns {Promise<Array<{key: string, size: number, lastAccessed: number, expiresAt: number|null}>>} Entries without values
+   */
+  async entries() {
+    const db = await this.open();
+    const store = db.transaction(ENTRY_STORE, 'readonly').objectStore(ENTRY_STORE);
+    const records = await requestToPromise(store.getAll(this._getNamespaceRange()));
+
+    return records.map(({ key, size, lastAccessed, expiresAt }) => ({ key, size, lastAccessed, expiresAt }));
+  }
+
+  /**
+   * Delete every entry in the namespace
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.open();
+    const transaction = db.transaction(ENTRY_STORE, 'readwrite');
+    const done = transactionDone(transaction);
+
+    transaction.objectStore(ENTRY_STORE).delete(this._getNamespaceRange());
+
+    await done;
+  }
+
+  /**
+   * Get the record id for a cache key
+   * @private
+   * @param {string} key - Cache key
+   * @returns {string} Record id
+   */
+  _getId(key) {
+    return `${this.namespace}:${key}`;
+  }
+
+  /**
+   * Key range covering every record in the namespace
+   * @private
+   * @returns {IDBKeyRange} Key range
+   */
+  _getNamespaceRange() {
+    return this.keyRange.bound(`${this.namespace}:`, `${this.namespace}:\uffff`);
+  }
+}
+
+/**
+ * Pick the best available adapter: IndexedDB, then localStorage, then memory
+ * @param {string} namespace - Namespace owned by the adapter
+ * @returns {Object} Storage adapter
+ */
+export function createStorageAdapter(namespace) {
+  if (typeof globalThis.indexedDB !== 'undefined' && typeof globalThis.IDBKeyRange !== 'undefined') {
+    return new IndexedDBStorageAdapter(namespace);
+  }
+  if (typeof globalThis.localStorage !== 'undefined') {
+    return new LocalStorageAdapter(namespace);
+  }
+  return new MemoryStorageAdapter(namespace);
+}
@@ -0,0 +1,229 @@
+/**
+ * Tests for StorageAdapters utility
+ * Runs the same contract against every adapter; IndexedDB uses a small in-memory fake
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  MemoryStorageAdapter,
+  LocalStorageAdapter,
+  IndexedDBStorageAdapter,
+  createStorageAdapter,
+  measureEntry,
+  byteLength
+} from './StorageAdapters.js';
+
+// Minimal IDBKeyRange stand-in: only bound() with includes() is used by the adapter
+const fakeKeyRange = {
+  bound: (lower, upper) => ({ includes: (key) => key >= lower && key <= upper })
+};
+
+// Minimal IndexedDB: one database of object stores backed by Maps, callbacks fired asynchronously
+const createFakeIndexedDB = () => {
+  const stores = new Map();
+  const later = (fn) => setTimeout(fn, 0);
+
+  const createRequest = (run, transaction) => {
+    const request = {};
+    transaction.pending++;
+    later(() => {
+      request.result = run();
+      request.onsuccess?.();
+      transaction.pending--;
+      transaction.finish();
+    });
+    return request;
+  };
+
+  const createTransaction = () => {
+    const transaction = {
+      pending: 0,
+      finish() {
+        if (this.pending === 0) {
+          later(() => {
+            if (this.pending === 0 && !this.completed) {
+              this.completed = true;
+              this.oncomplete?.();
+            }
+          });
+        }
+      },
+      objectStore(name) {
+        const records = stores.get(name);
+        return {
+          get: (id) => createRequest(() => (records.has(id) ? { ...records.get(id) } : undefined), transaction),
+          put: (record) => createRequest(() => records.set(record.id, { ...record }), transaction),
+          delete: (query) => createRequest(() => {
+            [...records.keys()]
+              .filter(id => (typeof query === 'string' ? id === query : query.includes(id)))
+              .forEach(id => records.delete(id));
+          }, transaction),
+          getAll: (range) => createRequest(() => [...records.values()].filter(record => range.includes(record.id)), transaction)
+        };
+      }
+    };
+    later(() => transaction.finish());
+    return transaction;
+  };
+
+  const db = {
+    objectStoreNames: { contains: (name) => stores.has(name) },
+    createObjectStore: (name) => stores.set(name, new Map()),
+    transaction: () => createTransaction()
+  };
+
+  return {
+    stores,
+    open: vi.fn(() => {
+      const request = { result: db };
+      later(() => {
+        request.onupgradeneeded?.();
+        request.onsuccess?.();
+      });
+      return request;
+    })
+  };
+};
+
+const adapters = {
+  memory: (namespace) => new MemoryStorageAdapter(namespace),
+  localStorage: (namespace) => new LocalStorageAdapter(namespace),
+  indexedDB: (namespace, factory = createFakeIndexedDB()) => new IndexedDBStorageAdapter(namespace, {
+    indexedDB: factory,
+    keyRange: fakeKeyRange
+  })
+};
+
+describe('StorageAdapters Utility', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  describe.each(Object.keys(adapters))('%s adapter', (type) => {
+    it('should store, read and remove values', async () => {
+      const adapter = adapters[type]('dash');
+
+      await adapter.set('key1', 'value1', { expiresAt: 5000 });
+
+      expect(await adapter.get('key1')).toBe('value1');
+      expect(await adapter.get('missing')).toBeNull();
+
+      await adapter.remove('key1');
+      expect(await adapter.get('key1')).toBeNull();
+      expect(await adapter.entries()).toEqual([]);
+    });
+
+    it('should track size and expiry for each entry', async () => {
+      const adapter = adapters[type]('dash');
+
+      await adapter.set('key1', 'value1', { expiresAt: 5000 });
+      const [entry] = await adapter.entries();
+
+      expect(entry.key).toBe('key1');
+      expect(entry.size).toBe(measureEntry('key1', 'value1'));
+      expect(entry.expiresAt).toBe(5000);
+    });
+
+    it('should update the access time on read', async () => {
+      const adapter = adapters[type]('dash');
+
+      await adapter.set('a', '1');
+      await adapter.set('b', '2');
+      await adapter.get('a');
+      const entries = await adapter.entries();
+      const accessed = Object.fromEntries(entries.map(({ key, lastAccessed }) => [key, lastAccessed]));
+
+      expect(accessed.a).toBeGreaterThan(accessed.b);
+    });
+
+    it('should only clear its own namespace', async () => {
+      const shared = createFakeIndexedDB();
+      const adapter = type === 'indexedDB' ? adapters.indexedDB('dash', shared) : adapters[type]('dash');
+      const other = type === 'indexedDB' ? adapters.indexedDB('portal', shared) : adapters[type]('portal');
+
+      await adapter.set('key1', 'mine');
+      await other.set('key1', 'theirs');
+      await adapter.clear();
+
+      expect(await adapter.get('key1')).toBeNull();
+      expect(await other.get('key1')).toBe('theirs');
+    });
+  });
+
+  describe('LocalStorageAdapter', () => {
+    it('should rebuild a lost index as least recently used entries', async () => {
+      const adapter = new LocalStorageAdapter('dash');
+      await adapter.set('key1', 'value1', { expiresAt: 5000 });
+
+      localStorage.removeItem('dash:__index__');
+      const entries = await adapter.entries();
+
+      expect(entries).toEqual([{ key: 'key1', size: measureEntry('key1', 'value1'), lastAccessed: 0, expiresAt: null }]);
+    });
+
+    it('should leave the index untouched when a write fails', async () => {
+      const adapter = new LocalStorageAdapter('dash');
+      await adapter.set('key1', 'value1');
+      const setItem = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        const error = new Error('full');
+        error.name = 'QuotaExceededError';
+        throw error;
+      });
+
+      await expect(adapter.set('key2', 'value2')).rejects.toThrow('full');
+      setItem.mockRestore();
+
+      expect((await adapter.entries()).map(({ key }) => key)).toEqual(['key1']);
+    });
+  });
+
+  describe('IndexedDBStorageAdapter', () => {
+    it('should open the database once and create its store', async () => {
+      const factory = createFakeIndexedDB();
+      const adapter = adapters.indexedDB('dash', factory);
+
+      await adapter.set('key1', 'value1');
+      await adapter.get('key1');
+
+      expect(factory.open).toHaveBeenCalledTimes(1);
+      expect(factory.stores.get('entries').get('dash:key1').namespace).toBe('dash');
+    });
+
+    it('should reject when IndexedDB is not available', async () => {
+      const adapter = new IndexedDBStorageAdapter('dash', { keyRange: fakeKeyRange });
+      adapter.indexedDB = undefined;
+
+      await expect(adapter.open()).rejects.toThrow('IndexedDB is not available');
+    });
+  });
+
+  describe('createStorageAdapter', () => {
+    it('should prefer IndexedDB when the browser provides it', () => {
+      vi.stubGlobal('indexedDB', createFakeIndexedDB());
+      vi.stubGlobal('IDBKeyRange', fakeKeyRange);
+
+      try {
+        expect(createStorageAdapter('dash').name).toBe('indexedDB');
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    it('should fall back to localStorage without IndexedDB', () => {
+      expect(createStorageAdapter('dash').name).toBe('localStorage');
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    it('should measure entries as UTF-8 bytes of key and value', () => {
+      fc.assert(
+        fc.property(fc.string(), fc.string(), (key, value) => {
+          expect(measureEntry(key, value)).toBe(byteLength(key) + byteLength(value));
+          expect(byteLength(value)).toBeGreaterThanOrEqual(value.length);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * TabCoordinator - Elects one browser tab as leader and relays messages between tabs
+ * Tabs announce themselves over a BroadcastChannel with heartbeats; the oldest live tab
+ * leads, and leadership moves on when it closes or stops responding
+ */
+
+/**
+ * Channel shared by every dashboard tab
+ * @type {string}
+ */
+export const DEFAULT_TAB_CHANNEL = 'meme-market-dashboard';
+
+// Message types used by the election itself
+const HELLO = 'hello';
+const HEARTBEAT = 'heartbeat';
+const GOODBYE = 'goodbye';
+
+/**
+ * Local event fired when this tab gains or loses leadership
+ * @type {string}
+ */
+export const LEADERSHIP_CHANGE = 'leadershipchange';
+
+/**
+ * Create a tab id that is unique across tabs
+ * @private
+ * @returns {string} Tab id
+ */
+function createTabId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export class TabCoordinator {
+  /**
+   * Create a new TabCoordinator instance
+   * @param {Object} options - Coordinator options
+   * @param {string} options.channelName - BroadcastChannel name (default 'meme-market-dashboard')
+   * @param {Function} options.BroadcastChannel - BroadcastChannel implementation (default: window.BroadcastChannel)
+   * @param {number} options.heartbeatInterval - Milliseconds between heartbeats (default 2000)
+   * @param {number} options.leaderTimeout - Silence after which a tab counts as closed (default 5000)
+   * @param {number} options.discoveryTimeout - Time given to existing tabs to answer on start (default 250)
+   */
+  constructor(options = {}) {
+    this.channelName = options.channelName || DEFAULT_TAB_CHANNEL;
+    this.BroadcastChannel = options.BroadcastChannel || globalThis.BroadcastChannel;
+    this.heartbeatInterval = options.heartbeatInterval || 2000;
+    this.leaderTimeout = options.leaderTimeout || 5000;
+    this.discoveryTimeout = options.discoveryTimeout ?? 250;
+
+    this.tabId = createTabId();
+    this.startedAt = Date.now();
+    this.peers = new Map(); // Tab id -> {startedAt, lastSeen}
+    this.handlers = new Map(); // Message type -> Set of handlers
+    this.channel = null;
+    this.heartbeatTimer = null;
+    this.leader = true;
+    this.ready = Promise.resolve(); // Settles once leadership is known
+  }
+
+  /**
+   * Open the channel and start announcing this tab
+   * Without BroadcastChannel support the tab simply leads on its own.
+   * @returns {Promise<void>} Resolves once existing tabs have had time to answer
+   */
+  start() {
+    if (this.channel || typeof this.BroadcastChannel !== 'function') {
+      return this.ready;
+    }
+
+    this.channel = new this.BroadcastChannel(this.channelName);
+    this.channel.onmessage = (event) => this._handleMessage(event.data);
+    // Don't keep Node processes (tests, server rendering) alive
+    this.channel.unref?.();
+
+    this._post(HELLO);
+    this.heartbeatTimer = setInterval(() => this._heartbeat(), this.heartbeatInterval);
+    this.ready = new Promise(resolve => setTimeout(resolve, this.discoveryTimeout));
+    return this.ready;
+  }
+
+  /**
+   * Check whether this tab is the current leader
+   * @returns {boolean} True if this tab leads
+   */
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * Get the id of the current leader
+   * @returns {string} Tab id of the leader
+   */
+  getLeaderId() {
+    let leaderId = this.tabId;
+    let leaderStartedAt = this.startedAt;
+    for (const [tabId, peer] of this.peers) {
+      if (peer.startedAt < leaderStartedAt || (peer.startedAt === leaderStartedAt && tabId < leaderId)) {
+        leaderId = tabId;
+        leaderStartedAt = peer.startedAt;
+      }
+    }
+    return leaderId;
+  }
+
+  /**
+   * Subscribe to messages of a type from other tabs (or to LEADERSHIP_CHANGE)
+   * @param {string} type - Message type
+   * @param {Function} handler - Called with (payload, senderTabId)
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    return () => this.handlers.get(type)?.delete(handler);
+  }
+
+  /**
+   * Send a message to every other tab
+   * @param {string} type - Message type
+   * @param {any} payload - Structured-cloneable payload (Dates survive)
+   * @returns {boolean} True if the message was sent
+   */
+  broadcast(type, payload) {
+    if (!this.channel) {
+      return false;
+    }
+
+    try {
+      this._post(type, payload);
+      return true;
+    } catch (error) {
+      console.warn(`Failed to broadcast "${type}" to other tabs:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Say goodbye so another tab takes over immediately, and close the channel
+   */
+  destroy() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    if (this.channel) {
+      try {
+        this._post(GOODBYE);
+      } catch (error) {
+        // Channel already closed
+      }
+      this.channel.close();
+      this.channel = null;
+    }
+
+    this.peers.clear();
+    this.handlers.clear();
+  }
+
+  /**
+   * Post a message stamped with this tab's identity
+   * @private
+   * @param {string} type - Message type
+   * @param {any} payload - Message payload
+   */
+  _post(type, payload) {
+    this.channel.postMessage({ type, tabId: this.tabId, startedAt: this.startedAt, payload });
+  }
+
+  /**
+   * Send a heartbeat, forget silent tabs and re-run the election
+   * @private
+   */
+  _heartbeat() {
+    const now = Date.now();
+    for (const [tabId, peer] of this.peers) {
+      if (now - peer.lastSeen > this.leaderTimeout) {
+        this.peers.delete(tabId);
+      }
+    }
+
+    this._post(HEARTBEAT);
+    this._updateLeadership();
+  }
+
+  /**
+   * Handle a message from another tab
+   * @private
+   * @param {{type: string, tabId: string, startedAt: number, payload: any}} message - Received message
+   */
+  _handleMessage(message) {
+    if (!message || typeof message !== 'object' || !message.tabId || message.tabId === this.tabId) {
+      return;
+    }
+
+    if (message.type === GOODBYE) {
+      this.peers.delete(message.tabId);
+    } else {
+      const isNew = !this.peers.has(message.tabId);
+      this.peers.set(message.tabId, { startedAt: message.startedAt, lastSeen: Date.now() });
+      // Answer newcomers right away so they learn who leads without waiting a heartbeat
+      if (message.type === HELLO || (isNew && message.type === HEARTBEAT)) {
+        this._post(HEARTBEAT);
+      }
+    }
+
+    this._updateLeadership();
+
+    if (![HELLO, HEARTBEAT, GOODBYE].includes(message.type)) {
+      this._emit(message.type, message.payload, message.tabId);
+    }
+  }
+
+  /**
+   * Recompute leadership and notify listeners when it changes
+   * @private
+   */
+  _updateLeadership() {
+    const leader = this.getLeaderId() === this.tabId;
+    if (leader !== this.leader) {
+      this.leader = leader;
+      this._emit(LEADERSHIP_CHANGE, leader, this.tabId);
+    }
+  }
+
+  /**
+   * Call every handler registered for a type
+   * @private
+   * @param {string} type - Message type
+   * @param {any} payload - Message payload
+   * @param {string} senderTabId - Tab the message came from
+   */
+  _emit(type, payload, senderTabId) {
+    for (const handler of this.handlers.get(type) || []) {
+      try {
+        handler(payload, senderTabId);
+      } catch (error) {
+        console.error(`Tab message handler for "${type}" failed:`, error);
+      }
+    }
+  }
+}
+
+export default TabCoordinator;
@@ -0,0 +1,155 @@
+/**
+ * Tests for TabCoordinator utility
+ * Tabs talk through an in-memory BroadcastChannel stand-in with synchronous delivery
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { TabCoordinator, LEADERSHIP_CHANGE } from './TabCoordinator.js';
+
+// Every channel with the same name receives the others' messages, like tabs of one origin
+const createChannelHub = () => {
+  const channels = new Set();
+
+  return class FakeBroadcastChannel {
+    constructor(name) {
+      this.name = name;
+      this.onmessage = null;
+      channels.add(this);
+    }
+
+    postMessage(data) {
+      if (!channels.has(this)) {
+        throw new Error('Channel is closed');
+      }
+      const clone = structuredClone(data);
+      for (const channel of channels) {
+        if (channel !== this && channel.name === this.name) {
+          channel.onmessage?.({ data: clone });
+        }
+      }
+    }
+
+    close() {
+      channels.delete(this);
+    }
+  };
+};
+
+describe('TabCoordinator Utility', () => {
+  let FakeBroadcastChannel;
+  let tabs;
+
+  // Open a tab one millisecond after the previous one so start order is unambiguous
+  const openTab = (options = {}) => {
+    vi.advanceTimersByTime(1);
+    const tab = new TabCoordinator({ BroadcastChannel: FakeBroadcastChannel, discoveryTimeout: 0, ...options });
+    tab.start();
+    tabs.push(tab);
+    return tab;
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    FakeBroadcastChannel = createChannelHub();
+    tabs = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach(tab => tab.destroy());
+    vi.useRealTimers();
+  });
+
+  it('should elect the oldest tab as leader', () => {
+    const first = openTab();
+    const second = openTab();
+    const third = openTab();
+
+    expect(first.isLeader()).toBe(true);
+    expect(second.isLeader()).toBe(false);
+    expect(third.isLeader()).toBe(false);
+    expect(third.getLeaderId()).toBe(first.tabId);
+  });
+
+  it('should hand leadership over when the leader closes', () => {
+    const first = openTab();
+    const second = openTab();
+    const onChange = vi.fn();
+    second.on(LEADERSHIP_CHANGE, onChange);
+
+    first.destroy();
+
+    expect(second.isLeader()).toBe(true);
+    expect(onChange).toHaveBeenCalledWith(true, second.tabId);
+  });
+
+  it('should take over when the leader stops sending heartbeats', () => {
+    const first = openTab({ heartbeatInterval: 1000, leaderTimeout: 3000 });
+    const second = openTab({ heartbeatInterval: 1000, leaderTimeout: 3000 });
+
+    // The leader's tab is frozen: it neither sends nor says goodbye
+    clearInterval(first.heartbeatTimer);
+    first.channel.close();
+    vi.advanceTimersByTime(2000);
+    expect(second.isLeader()).toBe(false);
+
+    vi.advanceTimersByTime(2000);
+    expect(second.isLeader()).toBe(true);
+  });
+
+  it('should deliver broadcasts to every other tab with Dates intact', () => {
+    const first = openTab();
+    const second = openTab();
+    const third = openTab();
+    const received = vi.fn();
+    const own = vi.fn();
+    second.on('dataset', received);
+    third.on('dataset', received);
+    first.on('dataset', own);
+
+    const date = new Date('2024-01-01T04:00:00Z');
+    expect(first.broadcast('dataset', { stockData: [{ date }] })).toBe(true);
+
+    expect(received).toHaveBeenCalledTimes(2);
+    expect(received.mock.calls[0][0].stockData[0].date).toEqual(date);
+    expect(received.mock.calls[0][1]).toBe(first.tabId);
+    expect(own).not.toHaveBeenCalled();
+  });
+
+  it('should stop delivering to unsubscribed handlers', () => {
+    const first = openTab();
+    const second = openTab();
+    const handler = vi.fn();
+    const unsubscribe = second.on('dataset', handler);
+
+    unsubscribe();
+    first.broadcast('dataset', {});
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should lead alone without BroadcastChannel support', async () => {
+    const tab = new TabCoordinator({ BroadcastChannel: null });
+    tab.BroadcastChannel = undefined;
+
+    await tab.start();
+
+    expect(tab.isLeader()).toBe(true);
+    expect(tab.broadcast('dataset', {})).toBe(false);
+  });
+
+  it('should wait for the discovery window before resolving start', async () => {
+    openTab();
+    vi.advanceTimersByTime(1);
+    const second = new TabCoordinator({ BroadcastChannel: FakeBroadcastChannel, discoveryTimeout: 250 });
+    tabs.push(second);
+    const ready = vi.fn();
+
+    second.start().then(ready);
+    await vi.advanceTimersByTimeAsync(249);
+    expect(ready).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(ready).toHaveBeenCalled();
+    expect(second.isLeader()).toBe(false);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * TickerExtractor - Finds the stocks a meme title mentions
+ * Titles name companies the way people talk ("Adani", "Zomato", "Ambani"), so names and
+ * aliases from the ticker registry are matched as whole words, longest phrase first so
+ * "adani ports" wins over "adani". NSE symbols count too when written in capitals or
+ * with a cashtag ("ITC", "$paytm"), which keeps words like "titan" from matching. In
+ * all-caps titles only cashtags count, since every word there looks like a symbol.
+ */
+
+import { TICKER_REGISTRY } from '../config/tickers.js';
+
+// Alias phrases indexed by their first word, longest first
+const ALIASES = new Map();
+for (const { symbol, aliases } of Object.values(TICKER_REGISTRY)) {
+  for (const alias of aliases) {
+    const words = alias.split(' ');
+    if (!ALIASES.has(words[0])) {
+      ALIASES.set(words[0], []);
+    }
+    ALIASES.get(words[0]).push({ words, symbol });
+  }
+}
+for (const phrases of ALIASES.values()) {
+  phrases.sort((a, b) => b.words.length - a.words.length);
+}
+
+/**
+ * Split text into words, keeping '&' inside names like "M&M" and a leading '$'
+ * @private
+ * @param {string} text - Text to split
+ * @returns {string[]} Words in their original case
+ */
+function splitWords(text) {
+  return (text || '').replace(/[’‘]/g, "'").match(/\$?[\p{L}\p{N}&]+/gu) || [];
+}
+
+/**
+ * Find the alias phrase starting at a word
+ * @private
+ * @param {string[]} words - Lower-case words of the text, without cashtags
+ * @param {number} index - Position to match at
+ * @returns {{symbol: string, length: number}|null} Symbol of the longest matching alias and how many words it spans
+ */
+function matchAlias(words, index) {
+  for (const phrase of ALIASES.get(words[index]) || []) {
+    if (phrase.words.every((word, offset) => words[index + offset] === word)) {
+      return { symbol: phrase.symbol, length: phrase.words.length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the symbol a word spells out, if written as a symbol
+ * @private
+ * @param {string} word - Word in its original case
+ * @param {boolean} cashtagsOnly - Whether capitalised words without '$' are ignored
+ * @returns {string|null} NSE symbol, or null if the word is not a cashtag or capitalised symbol
+ */
+function matchSymbol(word, cashtagsOnly) {
+  const cashtag = word.startsWith('$');
+  const name = cashtag ? word.slice(1) : word;
+  if (!cashtag && (cashtagsOnly || name !== name.toUpperCase() || !/\p{L}/u.test(name))) {
+    return null;
+  }
+  const symbol = name.toUpperCase();
+  return Object.prototype.hasOwnProperty.call(TICKER_REGISTRY, symbol) ? symbol : null;
+}
+
+/**
+ * Extract the stocks a text mentions
+ * @param {string} text - Text to search, e.g. a meme title
+ * @returns {string[]} NSE symbols in order of first mention, without duplicates
+ */
+export function extractTickers(text) {
+  const original = splitWords(text);
+  const words = original.map(word => word.replace(/^\$/, '').toLowerCase());
+  const shouting = !/\p{Ll}/u.test(text || '');
+  const symbols = new Set();
+
+  for (let i = 0; i < words.length;) {
+    const alias = matchAlias(words, i);
+    if (alias) {
+      symbols.add(alias.symbol);
+      i += alias.length;
+      continue;
+    }
+
+    const symbol = matchSymbol(original[i], shouting);
+    if (symbol) {
+      symbols.add(symbol);
+    }
+    i++;
+  }
+
+  return [...symbols];
+}
+
+/**
+ * Get the tickers of a post, extracting them from its title if it was parsed without them
+ * @param {MemePost} post - Meme post
+ * @returns {string[]} NSE symbols the post mentions
+ */
+export function getPostTickers(post) {
+  return post.tickers ?? extractTickers(post.title);
+}
+
+/**
+ * Count how many posts mention each stock
+ * @param {MemePost[]} posts - Array of meme posts
+ * @returns {Array<{symbol: string, mentions: number}>} Mentioned stocks, most mentioned first
+ */
+export function countTickerMentions(posts) {
+  const counts = new Map();
+  for (const post of posts || []) {
+    for (const symbol of getPostTickers(post)) {
+      counts.set(symbol, (counts.get(symbol) || 0) + 1);
+    }
+  }
+
+  return [...counts]
+    .map(([symbol, mentions]) => ({ symbol, mentions }))
+    .sort((a, b) => b.mentions - a.mentions || a.symbol.localeCompare(b.symbol));
+}
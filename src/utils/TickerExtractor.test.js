@@ -0,0 +1,96 @@
+/**
+ * Tests for TickerExtractor utility
+ * Includes unit tests and property-based tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import { extractTickers, countTickerMentions, getPostTickers } from './TickerExtractor.js';
+import { TICKER_REGISTRY, getNifty50Constituents } from '../config/tickers.js';
+
+describe('TickerExtractor Utility', () => {
+  describe('extractTickers', () => {
+    it('should map company names and aliases to NSE symbols', () => {
+      expect(extractTickers('Zomato delivery boy vs Ambani')).toEqual(['ETERNAL', 'RELIANCE']);
+      expect(extractTickers('Paytm investors right now')).toEqual(['PAYTM']);
+      expect(extractTickers('infosys and wipro freshers')).toEqual(['INFY', 'WIPRO']);
+    });
+
+    it('should prefer the longest alias', () => {
+      expect(extractTickers('Adani Ports bhai 🚀')).toEqual(['ADANIPORTS']);
+      expect(extractTickers('Adani group again')).toEqual(['ADANIENT']);
+      expect(extractTickers('Jio Financial vs Jio')).toEqual(['JIOFIN', 'RELIANCE']);
+      expect(extractTickers('Tech Mahindra, M&M and L&T')).toEqual(['TECHM', 'M&M', 'LT']);
+    });
+
+    it('should match symbols only in capitals or as cashtags', () => {
+      expect(extractTickers('TITAN holders be like')).toEqual(['TITAN']);
+      expect(extractTickers('Clash of the titan')).toEqual([]);
+      expect(extractTickers('$indigo to the moon')).toEqual(['INDIGO']);
+    });
+
+    it('should only count cashtags in all-caps titles', () => {
+      expect(extractTickers('WHAT AN IDEA SIRJI')).toEqual([]);
+      expect(extractTickers('BUY $IDEA NOW')).toEqual(['IDEA']);
+    });
+
+    it('should list each stock once', () => {
+      expect(extractTickers('Reliance, RELIANCE, $RELIANCE')).toEqual(['RELIANCE']);
+      expect(extractTickers('')).toEqual([]);
+      expect(extractTickers(undefined)).toEqual([]);
+    });
+  });
+
+  describe('getPostTickers', () => {
+    it('should use the tickers of a parsed post and search older posts', () => {
+      expect(getPostTickers({ title: 'Zomato', tickers: ['PAYTM'] })).toEqual(['PAYTM']);
+      expect(getPostTickers({ title: 'Zomato' })).toEqual(['ETERNAL']);
+    });
+  });
+
+  describe('countTickerMentions', () => {
+    it('should count posts per stock, most mentioned first', () => {
+      const posts = [
+        { title: 'Reliance and Zomato' },
+        { title: 'Zomato again, zomato forever' },
+        { title: 'Paytm' },
+        { title: 'Just a meme' }
+      ];
+
+      expect(countTickerMentions(posts)).toEqual([
+        { symbol: 'ETERNAL', mentions: 2 },
+        { symbol: 'PAYTM', mentions: 1 },
+        { symbol: 'RELIANCE', mentions: 1 }
+      ]);
+      expect(countTickerMentions(null)).toEqual([]);
+    });
+  });
+
+  describe('ticker registry', () => {
+    it('should cover 50 NIFTY constituents with NSE Yahoo symbols', () => {
+      expect(getNifty50Constituents()).toHaveLength(50);
+      Object.values(TICKER_REGISTRY).forEach(ticker => {
+        expect(ticker.yahooSymbol).toBe(`${ticker.symbol}.NS`);
+      });
+    });
+
+    it('should give every alias to one stock only', () => {
+      const aliases = Object.values(TICKER_REGISTRY).flatMap(ticker => ticker.aliases);
+      expect(new Set(aliases).size).toBe(aliases.length);
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    it('should find every alias of a stock in any title', () => {
+      const entries = Object.values(TICKER_REGISTRY).flatMap(ticker => ticker.aliases.map(alias => [alias, ticker.symbol]));
+      const filler = fc.constantFrom('bhai', 'meme', 'when', 'the', 'market', 'opens', '🚀');
+
+      fc.assert(
+        fc.property(fc.constantFrom(...entries), fc.array(filler), fc.array(filler), ([alias, symbol], before, after) => {
+          return extractTickers([...before, alias, ...after].join(' ')).includes(symbol);
+        }),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
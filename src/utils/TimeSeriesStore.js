@@ -0,0 +1,186 @@
+/**
+ * TimeSeriesStore - Incrementally merged time series kept in the Cache
+ * Each series remembers the contiguous time span it covers, so callers only fetch the
+ * spans that are missing and shorter ranges are served from longer ones
+ */
+
+import { reviveDateFields } from './Cache.js';
+import { getPostId } from './MemeArchive.js';
+
+/**
+ * Prefix of every time series cache key
+ * @type {string}
+ */
+export const SERIES_CACHE_PREFIX = 'series-';
+
+/**
+ * Series kinds with the date field of their points and how points are identified
+ * A point fetched again replaces the stored point with the same id; meme posts are identified
+ * by their Reddit id, as distinct link posts can share a URL.
+ * @type {Object<string, {dateField: string, getId: Function}>}
+ */
+export const SERIES_KINDS = {
+  stock: { dateField: 'date', getId: point => point.date.getTime() },
+  memes: { dateField: 'created', getId: post => getPostId(post) ?? post.url }
+};
+
+/**
+ * Shape of a stored series; bump the version whenever StockData, MemePost or the record changes
+ * @type {Object}
+ */
+const SERIES_CACHE_SCHEMA = {
+  version: 2,
+  revive: (record) => ({
+    ...record,
+    points: reviveDateFields(record.points, SERIES_KINDS[record.kind].dateField)
+  }),
+  validate: (record) => {
+    const dateField = SERIES_KINDS[record.kind]?.dateField;
+    return Boolean(dateField) &&
+      Number.isFinite(record.start) &&
+      Number.isFinite(record.end) &&
+      Array.isArray(record.points) &&
+      record.points.every(point => point[dateField] instanceof Date && !Number.isNaN(point[dateField].getTime()));
+  }
+};
+
+/**
+ * Build the cache key of a series
+ * @param {string} kind - Series kind from SERIES_KINDS
+ * @param {...string} parts - Identifying parts, e.g. symbol and candle interval
+ * @returns {string} Cache key, e.g. 'series-stock-^NSEI-1d'
+ */
+export function getSeriesKey(kind, ...parts) {
+  return `${SERIES_CACHE_PREFIX}${[kind, ...parts].join('-')}`;
+}
+
+/**
+ * Work out which parts of a requested window a series does not cover yet
+ * @param {{start: number, end: number}|null} coverage - Span the series covers (epoch ms)
+ * @param {number} start - Window start (epoch ms)
+ * @param {number} end - Window end (epoch ms)
+ * @param {number} overlap - How far before the covered end to refetch, for candles or scores still changing (default 0)
+ * @returns {Array<{start: number, end: number}>} Missing spans in chronological order
+ */
+export function getMissingSpans(coverage, start, end, overlap = 0) {
+  if (!coverage || coverage.end < start || coverage.start > end) {
+    return [{ start, end }];
+  }
+
+  const spans = [];
+  if (start < coverage.start) {
+    spans.push({ start, end: coverage.start });
+  }
+  if (coverage.end - overlap < end) {
+    spans.push({ start: Math.max(start, coverage.end - overlap), end });
+  }
+  return spans;
+}
+
+/**
+ * Merge fetched points into a series, newer copies replacing stored ones
+ * @param {Object[]} existing - Stored points
+ * @param {Object[]} incoming - Fetched points
+ * @param {string} kind - Series kind from SERIES_KINDS
+ * @returns {Object[]} Merged points in chronological order
+ */
+export function mergePoints(existing, incoming, kind) {
+  const { dateField, getId } = SERIES_KINDS[kind];
+  const byId = new Map();
+  [...existing, ...incoming].forEach(point => byId.set(getId(point), point));
+
+  return [...byId.values()].sort((a, b) => a[dateField] - b[dateField]);
+}
+
+/**
+ * Points of a series inside a window
+ * @param {{kind: string, points: Object[]}} record - Stored series
+ * @param {number} start - Window start (epoch ms)
+ * @param {number} end - Window end (epoch ms)
+ * @returns {Object[]} Points in the window
+ */
+export function selectWindow(record, start, end) {
+  const dateField = SERIES_KINDS[record.kind].dateField;
+  return record.points.filter(point => {
+    const time = point[dateField].getTime();
+    return time >= start && time <= end;
+  });
+}
+
+export class TimeSeriesStore {
+  /**
+   * Create a new TimeSeriesStore instance
+   * @param {Cache} cache - Cache the series are kept in
+   * @param {Object} options - Store options
+   * @param {number} options.expiresIn - How long a series survives without being merged into (default 24 hours)
+   * @param {number} options.retention - Points older than this before the covered end are dropped (default: keep all)
+   */
+  constructor(cache, options = {}) {
+    this.cache = cache;
+    this.expiresIn = options.expiresIn ?? 24 * 60 * 60 * 1000;
+    this.retention = options.retention ?? Infinity;
+    this.cache.defineSchema(SERIES_CACHE_PREFIX, SERIES_CACHE_SCHEMA);
+  }
+
+  /**
+   * Read a stored series
+   * @param {string} key - Series key from getSeriesKey
+   * @returns {Promise<{kind: string, start: number, end: number, points: Object[]}|null>} Series or null if none is stored
+   */
+  async get(key) {
+    return this.cache.get(key);
+  }
+
+  /**
+   * Read the part of a series inside a window
+   * @param {string} key - Series key from getSeriesKey
+   * @param {number} start - Window start (epoch ms)
+   * @param {number} end - Window end (epoch ms)
+   * @param {number} overlap - Passed to getMissingSpans (default 0)
+   * @returns {Promise<{points: Object[], coverage: Object|null, missing: Object[]}>} Points in the window and the spans still missing
+   */
+  async read(key, start, end, overlap = 0) {
+    const record = await this.get(key);
+    return {
+      points: record ? selectWindow(record, start, end) : [],
+      coverage: record ? { start: record.start, end: record.end } : null,
+      missing: getMissingSpans(record, start, end, overlap)
+    };
+  }
+
+  /**
+   * Merge freshly fetched points covering a span into a series
+   * A span that neither overlaps nor touches the stored one replaces it, so coverage stays contiguous.
+   * The merged series is returned even if it could not be persisted.
+   * @param {string} key - Series key from getSeriesKey
+   * @param {string} kind - Series kind from SERIES_KINDS
+   * @param {Object[]} points - Fetched points
+   * @param {{start: number, end: number}} span - Span the fetch covered (epoch ms)
+   * @returns {Promise<{kind: string, start: number, end: number, points: Object[]}>} Merged series
+   */
+  async merge(key, kind, points, span) {
+    if (!SERIES_KINDS[kind]) {
+      throw new Error(`Unsupported series kind: ${kind}`);
+    }
+
+    const stored = await this.get(key);
+    const contiguous = stored && stored.kind === kind && span.start <= stored.end && span.end >= stored.start;
+
+    const end = contiguous ? Math.max(stored.end, span.end) : span.end;
+    const start = Math.max(contiguous ? Math.min(stored.start, span.start) : span.start, end - this.retention);
+    const merged = mergePoints(contiguous ? stored.points : [], points, kind);
+    const dateField = SERIES_KINDS[kind].dateField;
+
+    const record = {
+      kind,
+      start,
+      end,
+      points: merged.filter(point => point[dateField].getTime() >= start)
+    };
+
+    await this.cache.set(key, record, this.expiresIn);
+    return record;
+  }
+}
+
+export default TimeSeriesStore;
@@ -0,0 +1,169 @@
+/**
+ * Tests for TimeSeriesStore utility
+ * Includes both unit tests and property-based tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import * as fc from 'fast-check';
+import { Cache } from './Cache.js';
+import { MemoryStorageAdapter } from './StorageAdapters.js';
+import {
+  TimeSeriesStore,
+  getSeriesKey,
+  getMissingSpans,
+  mergePoints,
+  selectWindow
+} from './TimeSeriesStore.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const END = Date.UTC(2024, 2, 31);
+
+// One daily candle per day in [from, to) days before END
+const candles = (from, to, close = 100) => Array.from({ length: from - to }, (_, i) => ({
+  date: new Date(END - (from - i) * DAY),
+  open: close,
+  high: close,
+  low: close,
+  close,
+  volume: 1000
+}));
+
+describe('TimeSeriesStore Utility', () => {
+  let cache;
+  let store;
+  const key = getSeriesKey('stock', '^NSEI', '1d');
+
+  beforeEach(() => {
+    cache = new Cache(3600000, { adapter: new MemoryStorageAdapter('test') });
+    store = new TimeSeriesStore(cache);
+  });
+
+  describe('getMissingSpans', () => {
+    it('should request the whole window without coverage', () => {
+      expect(getMissingSpans(null, 10, 20)).toEqual([{ start: 10, end: 20 }]);
+      expect(getMissingSpans({ start: 0, end: 5 }, 10, 20)).toEqual([{ start: 10, end: 20 }]);
+    });
+
+    it('should request only the head and tail outside the coverage', () => {
+      expect(getMissingSpans({ start: 12, end: 18 }, 10, 20)).toEqual([
+        { start: 10, end: 12 },
+        { start: 18, end: 20 }
+      ]);
+      expect(getMissingSpans({ start: 5, end: 25 }, 10, 20)).toEqual([]);
+    });
+
+    it('should refetch the overlap before the covered end', () => {
+      expect(getMissingSpans({ start: 5, end: 20 }, 10, 20, 3)).toEqual([{ start: 17, end: 20 }]);
+    });
+  });
+
+  describe('mergePoints', () => {
+    it('should replace points with the same id and keep chronological order', () => {
+      const merged = mergePoints(candles(5, 0, 100), candles(2, 0, 200).concat(candles(7, 5, 50)), 'stock');
+
+      expect(merged.map(point => point.close)).toEqual([50, 50, 100, 100, 100, 200, 200]);
+    });
+
+    it('should identify meme posts by their Reddit id, falling back to the url', () => {
+      const created = new Date(END);
+      const merged = mergePoints(
+        [{ url: 'a', score: 1, created }, { id: 'x1', url: 'shared', score: 1, created }],
+        [{ url: 'a', score: 9, created }, { id: 'x1', url: 'shared', score: 5, created }, { id: 'x2', url: 'shared', score: 2, created }],
+        'memes'
+      );
+
+      expect(merged.map(post => [post.id, post.url, post.score])).toEqual([
+        [undefined, 'a', 9], ['x1', 'shared', 5], ['x2', 'shared', 2]
+      ]);
+    });
+  });
+
+  describe('merge and read', () => {
+    it('should serve a shorter window from a longer stored range', async () => {
+      await store.merge(key, 'stock', candles(90, 0), { start: END - 90 * DAY, end: END });
+
+      const result = await store.read(key, END - 7 * DAY, END);
+
+      expect(result.missing).toEqual([]);
+      expect(result.points).toHaveLength(7);
+      expect(result.points[0].date).toBeInstanceOf(Date);
+    });
+
+    it('should extend coverage with an adjoining span', async () => {
+      await store.merge(key, 'stock', candles(7, 0), { start: END - 7 * DAY, end: END });
+
+      const { missing } = await store.read(key, END - 30 * DAY, END);
+      expect(missing).toEqual([{ start: END - 30 * DAY, end: END - 7 * DAY }]);
+
+      await store.merge(key, 'stock', candles(30, 7), missing[0]);
+      const result = await store.read(key, END - 30 * DAY, END);
+
+      expect(result.missing).toEqual([]);
+      expect(result.coverage).toEqual({ start: END - 30 * DAY, end: END });
+      expect(result.points).toHaveLength(30);
+    });
+
+    it('should replace a series with a disjoint span', async () => {
+      await store.merge(key, 'stock', candles(60, 50), { start: END - 60 * DAY, end: END - 50 * DAY });
+      await store.merge(key, 'stock', candles(7, 0), { start: END - 7 * DAY, end: END });
+
+      const record = await store.get(key);
+
+      expect(record.start).toBe(END - 7 * DAY);
+      expect(record.points).toHaveLength(7);
+    });
+
+    it('should drop points older than the retention', async () => {
+      store = new TimeSeriesStore(cache, { retention: 10 * DAY });
+
+      const record = await store.merge(key, 'stock', candles(30, 0), { start: END - 30 * DAY, end: END });
+
+      expect(record.start).toBe(END - 10 * DAY);
+      expect(record.points).toHaveLength(10);
+    });
+
+    it('should return the merged series even if it cannot be stored', async () => {
+      cache.set = async () => false;
+
+      const record = await store.merge(key, 'stock', candles(3, 0), { start: END - 3 * DAY, end: END });
+
+      expect(record.points).toHaveLength(3);
+      expect(await store.get(key)).toBeNull();
+    });
+
+    it('should reject unknown series kinds', async () => {
+      await expect(store.merge(key, 'crypto', [], { start: 0, end: 1 })).rejects.toThrow('Unsupported series kind: crypto');
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    it('should cover the window once every missing span is merged', async () => {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 60 }),
+          fc.integer({ min: 0, max: 60 }),
+          fc.integer({ min: 1, max: 90 }),
+          async (storedDays, storedOffset, requestedDays) => {
+            await cache.clear();
+            const storedSpan = { start: END - (storedOffset + storedDays) * DAY, end: END - storedOffset * DAY };
+            await store.merge(key, 'stock', candles(storedOffset + storedDays, storedOffset), storedSpan);
+
+            const start = END - requestedDays * DAY;
+            const { missing } = await store.read(key, start, END);
+            for (const span of missing) {
+              const from = Math.round((END - span.start) / DAY);
+              const to = Math.round((END - span.end) / DAY);
+              await store.merge(key, 'stock', candles(from, to), span);
+            }
+
+            const result = await store.read(key, start, END);
+            expect(result.missing).toEqual([]);
+            expect(result.points).toHaveLength(requestedDays);
+            expect(selectWindow(await store.get(key), start, END)).toEqual(result.points);
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * TradingCalendar - NSE trading calendar with weekend and holiday awareness
+ * Maps meme activity on non-trading days onto trading sessions for alignment
+ */
+
+/**
+ * NSE equity segment trading holidays (weekday closures only)
+ * Update yearly from the NSE holiday circular.
+ * @type {Set<string>}
+ */
+export const NSE_HOLIDAYS = new Set([
+  // 2024
+  '2024-01-22', '2024-01-26', '2024-03-08', '2024-03-25', '2024-03-29',
+  '2024-04-11', '2024-04-17', '2024-05-01', '2024-05-20', '2024-06-17',
+  '2024-07-17', '2024-08-15', '2024-10-02', '2024-11-01', '2024-11-15',
+  '2024-11-20', '2024-12-25',
+  // 2025
+  '2025-02-26', '2025-03-14', '2025-03-31', '2025-04-10', '2025-04-14',
+  '2025-04-18', '2025-05-01', '2025-08-15', '2025-08-27', '2025-10-02',
+  '2025-10-21', '2025-10-22', '2025-11-05', '2025-12-25',
+  // 2026
+  '2026-01-26', '2026-03-03', '2026-03-26', '2026-03-31', '2026-04-03',
+  '2026-04-14', '2026-05-01', '2026-05-28', '2026-06-26', '2026-09-14',
+  '2026-10-02', '2026-10-20', '2026-11-10', '2026-11-24', '2026-12-25'
+]);
+
+/**
+ * Policies for meme data that falls on a non-trading day
+ * - NEXT_SESSION: roll it into the next trading session
+ * - PREVIOUS_SESSION: attribute it to the previous trading session
+ * - DROP: discard it
+ * @type {Object<string, string>}
+ */
+export const ALIGNMENT_POLICIES = {
+  NEXT_SESSION: 'next-session',
+  PREVIOUS_SESSION: 'previous-session',
+  DROP: 'drop'
+};
+
+/**
+ * Longest run of consecutive closed days we search across before giving up
+ * @type {number}
+ */
+const MAX_CLOSED_RUN = 14;
+
+/**
+ * Shift a day key by a number of days
+ * @private
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @param {number} days - Number of days to shift (may be negative)
+ * @returns {string} Shifted day key
+ */
+function shiftDayKey(dayKey, days) {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Check whether a day falls on a weekend
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {boolean} True for Saturday or Sunday
+ */
+export function isWeekend(dayKey) {
+  const weekday = new Date(`${dayKey}T00:00:00Z`).getUTCDay();
+  return weekday === 0 || weekday === 6;
+}
+
+/**
+ * Check whether a day is an NSE trading holiday
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {boolean} True if the exchange is closed for a holiday
+ */
+export function isHoliday(dayKey) {
+  return NSE_HOLIDAYS.has(dayKey);
+}
+
+/**
+ * Check whether the NSE is open on a day
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {boolean} True if the day is a trading session
+ */
+export function isTradingDay(dayKey) {
+  return !isWeekend(dayKey) && !isHoliday(dayKey);
+}
+
+/**
+ * Find the first trading day strictly after a day
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {string} Next trading day key
+ */
+export function getNextTradingDay(dayKey) {
+  return findTradingDay(dayKey, 1);
+}
+
+/**
+ * Find the last trading day strictly before a day
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @returns {string} Previous trading day key
+ */
+export function getPreviousTradingDay(dayKey) {
+  return findTradingDay(dayKey, -1);
+}
+
+/**
+ * Walk the calendar in one direction until a trading day is found
+ * @private
+ * @param {string} dayKey - Starting day key
+ * @param {number} step - 1 to search forward, -1 to search backward
+ * @returns {string} Trading day key
+ */
+function findTradingDay(dayKey, step) {
+  let candidate = dayKey;
+  for (let i = 0; i < MAX_CLOSED_RUN; i++) {
+    candidate = shiftDayKey(candidate, step);
+    if (isTradingDay(candidate)) {
+      return candidate;
+    }
+  }
+  throw new Error(`No trading day found within ${MAX_CLOSED_RUN} days of ${dayKey}`);
+}
+
+/**
+ * Resolve the trading session a day's data belongs to under a policy
+ * Trading days always map to themselves.
+ * @param {string} dayKey - Day key (YYYY-MM-DD)
+ * @param {string} policy - One of ALIGNMENT_POLICIES
+ * @returns {string|null} Session day key, or null if the data should be dropped
+ */
+export function resolveTradingDay(dayKey, policy = ALIGNMENT_POLICIES.NEXT_SESSION) {
+  if (isTradingDay(dayKey)) {
+    return dayKey;
+  }
+
+  switch (policy) {
+    case ALIGNMENT_POLICIES.NEXT_SESSION:
+      return getNextTradingDay(dayKey);
+    case ALIGNMENT_POLICIES.PREVIOUS_SESSION:
+      return getPreviousTradingDay(dayKey);
+    case ALIGNMENT_POLICIES.DROP:
+      return null;
+    default:
+      throw new Error(`Unsupported alignment policy: ${policy}`);
+  }
+}
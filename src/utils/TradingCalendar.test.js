@@ -0,0 +1,94 @@
+/**
+ * Tests for TradingCalendar utility
+ * Includes both unit tests and property-based tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  NSE_HOLIDAYS,
+  ALIGNMENT_POLICIES,
+  isWeekend,
+  isHoliday,
+  isTradingDay,
+  getNextTradingDay,
+  getPreviousTradingDay,
+  resolveTradingDay
+} from './TradingCalendar.js';
+
+describe('TradingCalendar Utility', () => {
+  describe('isTradingDay', () => {
+    it('should treat weekends as closed', () => {
+      expect(isWeekend('2024-01-06')).toBe(true);
+      expect(isWeekend('2024-01-07')).toBe(true);
+      expect(isTradingDay('2024-01-06')).toBe(false);
+    });
+
+    it('should treat NSE holidays as closed', () => {
+      expect(isHoliday('2024-01-26')).toBe(true);
+      expect(isTradingDay('2024-01-26')).toBe(false);
+    });
+
+    it('should treat regular weekdays as open', () => {
+      expect(isTradingDay('2024-01-08')).toBe(true);
+    });
+
+    it('should only list weekday holidays', () => {
+      for (const holiday of NSE_HOLIDAYS) {
+        expect(isWeekend(holiday)).toBe(false);
+      }
+    });
+  });
+
+  describe('getNextTradingDay / getPreviousTradingDay', () => {
+    it('should skip weekends', () => {
+      expect(getNextTradingDay('2024-01-05')).toBe('2024-01-08');
+      expect(getPreviousTradingDay('2024-01-08')).toBe('2024-01-05');
+    });
+
+    it('should skip holidays adjoining weekends', () => {
+      // Friday 2024-03-29 is Good Friday
+      expect(getNextTradingDay('2024-03-28')).toBe('2024-04-01');
+      expect(getPreviousTradingDay('2024-04-01')).toBe('2024-03-28');
+    });
+  });
+
+  describe('resolveTradingDay', () => {
+    it('should map trading days to themselves under every policy', () => {
+      for (const policy of Object.values(ALIGNMENT_POLICIES)) {
+        expect(resolveTradingDay('2024-01-08', policy)).toBe('2024-01-08');
+      }
+    });
+
+    it('should apply each policy to a non-trading day', () => {
+      expect(resolveTradingDay('2024-01-06', ALIGNMENT_POLICIES.NEXT_SESSION)).toBe('2024-01-08');
+      expect(resolveTradingDay('2024-01-06', ALIGNMENT_POLICIES.PREVIOUS_SESSION)).toBe('2024-01-05');
+      expect(resolveTradingDay('2024-01-06', ALIGNMENT_POLICIES.DROP)).toBeNull();
+    });
+
+    it('should throw for unknown policies', () => {
+      expect(() => resolveTradingDay('2024-01-06', 'nearest')).toThrow('Unsupported alignment policy: nearest');
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    it('should always resolve to a trading day on the correct side', () => {
+      fc.assert(
+        fc.property(
+          fc.date({ min: new Date('2024-01-01'), max: new Date('2026-12-31'), noInvalidDate: true }),
+          (date) => {
+            const dayKey = date.toISOString().split('T')[0];
+            const next = resolveTradingDay(dayKey, ALIGNMENT_POLICIES.NEXT_SESSION);
+            const previous = resolveTradingDay(dayKey, ALIGNMENT_POLICIES.PREVIOUS_SESSION);
+
+            expect(isTradingDay(next)).toBe(true);
+            expect(isTradingDay(previous)).toBe(true);
+            expect(next >= dayKey).toBe(true);
+            expect(previous <= dayKey).toBe(true);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
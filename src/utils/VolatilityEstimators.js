@@ -0,0 +1,276 @@
+/**
+ * VolatilityEstimators - Registry of volatility estimators for OHLC candle data
+ * Each estimator turns a candle series into one volatility value per candle
+ */
+
+/**
+ * Candles averaged by the rolling estimators (close-to-close, range-based and ATR)
+ * @type {number}
+ */
+export const DEFAULT_VOLATILITY_WINDOW = 10;
+
+/**
+ * Estimator used when none has been selected
+ * @type {string}
+ */
+export const DEFAULT_VOLATILITY_ESTIMATOR = 'legacy';
+
+/**
+ * Average the trailing window of per-candle values, starting once `minValues` are available
+ * @private
+ * @param {Array<number|null>} values - Per-candle values (null where undefined)
+ * @param {number} window - Number of trailing values to average
+ * @param {number} minValues - Values required before an average is reported
+ * @returns {Array<number|null>} Rolling mean per candle
+ */
+function rollingMean(values, window, minValues = 1) {
+  return values.map((_, i) => {
+    const slice = values.slice(Math.max(0, i - window + 1), i + 1).filter(value => value !== null);
+    if (slice.length < minValues) {
+      return null;
+    }
+    return slice.reduce((sum, value) => sum + value, 0) / slice.length;
+  });
+}
+
+/**
+ * Convert per-candle variance estimates to a rolling volatility in percent
+ * @private
+ * @param {Array<number|null>} variances - Per-candle variance of log returns
+ * @param {number} window - Rolling window size
+ * @returns {Array<number|null>} Volatility per candle as a percentage
+ */
+function rollingRangeVolatility(variances, window) {
+  return rollingMean(variances, window).map(variance => (
+    variance === null ? null : Math.sqrt(Math.max(0, variance)) * 100
+  ));
+}
+
+/**
+ * Log of a price ratio, or null when either price is not positive
+ * @private
+ * @param {number} numerator - Price
+ * @param {number} denominator - Price
+ * @returns {number|null} ln(numerator / denominator)
+ */
+function logRatio(numerator, denominator) {
+  if (!(numerator > 0) || !(denominator > 0)) {
+    return null;
+  }
+  return Math.log(numerator / denominator);
+}
+
+/**
+ * Original composite score: 0.4 * |open-to-close %| + 0.4 * range % + 0.002 * |volume spike - 100|
+ * @private
+ * @param {StockData[]} priceData - Candles in chronological order
+ * @returns {number[]} Score per candle
+ */
+function legacyScore(priceData) {
+  return priceData.map((current, i) => {
+    const previous = i > 0 ? priceData[i - 1] : null;
+    const dailyChange = current.open === 0 ? 0 : ((current.close - current.open) / current.open) * 100;
+    const dayRange = current.open === 0 ? 0 : ((current.high - current.low) / current.open) * 100;
+    let volumeSpike = 0;
+    if (previous) {
+      volumeSpike = previous.volume === 0 ? 100 : (current.volume / previous.volume) * 100;
+    }
+
+    return (Math.abs(dailyChange) * 0.4) + (dayRange * 0.4) + (Math.abs(volumeSpike - 100) * 0.002);
+  });
+}
+
+/**
+ * Sample standard deviation of close-to-close log returns over the window
+ * Needs at least two returns, so the first two candles have no value.
+ * @private
+ * @param {StockData[]} priceData - Candles in chronological order
+ * @param {number} window - Rolling window size (in returns)
+ * @returns {Array<number|null>} Volatility per candle as a percentage
+ */
+function closeToClose(priceData, window) {
+  const returns = priceData.map((current, i) => (i > 0 ? logRatio(current.close, priceData[i - 1].close) : null));
+
+  return returns.map((_, i) => {
+    const slice = returns.slice(Math.max(0, i - window + 1), i + 1).filter(value => value !== null);
+    if (slice.length < 2) {
+      return null;
+    }
+    const mean = slice.reduce((sum, value) => sum + value, 0) / slice.length;
+    const variance = slice.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (slice.length - 1);
+    return Math.sqrt(variance) * 100;
+  });
+}
+
+/**
+ * Parkinson (1980) high-low estimator: ln(H/L)^2 / (4 ln 2)
+ * @private
+ * @param {StockData[]} priceData - Candles in chronological order
+ * @param {number} window - Rolling window size
+ * @returns {Array<number|null>} Volatility per candle as a percentage
+ */
+function parkinson(priceData, window) {
+  const variances = priceData.map(candle => {
+    const hl = logRatio(candle.high, candle.low);
+    return hl === null ? null : (hl * hl) / (4 * Math.LN2);
+  });
+  return rollingRangeVolatility(variances, window);
+}
+
+/**
+ * Garman-Klass (1980) estimator: 0.5 ln(H/L)^2 - (2 ln 2 - 1) ln(C/O)^2
+ * @private
+ * @param {StockData[]} priceData - Candles in chronological order
+ * @param {number} window - Rolling window size
+ * @returns {Array<number|null>} Volatility per candle as a percentage
+ */
+function garmanKlass(priceData, window) {
+  const variances = priceData.map(candle => {
+    const hl = logRatio(candle.high, candle.low);
+    const co = logRatio(candle.close, candle.open);
+    if (hl === null || co === null) {
+      return null;
+    }
+    return 0.5 * hl * hl - (2 * Math.LN2 - 1) * co * co;
+  });
+  return rollingRangeVolatility(variances, window);
+}
+
+/**
+ * Rogers-Satchell (1991) drift-independent estimator: ln(H/C) ln(H/O) + ln(L/C) ln(L/O)
+ * @private
+ * @param {StockData[]} priceData - Candles in chronological order
+ * @param {number} window - Rolling window size
+ * @returns {Array<number|null>} Volatility per candle as a percentage
+ */
+function rogersSatchell(priceData, window) {
+  const variances = priceData.map(candle => {
+    const hc = logRatio(candle.high, candle.close);
+    const ho = logRatio(candle.high, candle.open);
+    const lc = logRatio(candle.low, candle.close);
+    const lo = logRatio(candle.low, candle.open);
+    if (hc === null || ho === null || lc === null || lo === null) {
+      return null;
+    }
+    return hc * ho + lc * lo;
+  });
+  return rollingRangeVolatility(variances, window);
+}
+
+/**
+ * Average true range: simple moving average of max(H - L, |H - prev C|, |L - prev C|)
+ * @private
+ * @param {StockData[]} priceData - Candles in chronological order
+ * @param {number} window - Rolling window size
+ * @returns {Array<number|null>} ATR per candle in index points
+ */
+function averageTrueRange(priceData, window) {
+  const trueRanges = priceData.map((candle, i) => {
+    const range = candle.high - candle.low;
+    if (i === 0) {
+      return range;
+    }
+    const previousClose = priceData[i - 1].close;
+    return Math.max(range, Math.abs(candle.high - previousClose), Math.abs(candle.low - previousClose));
+  });
+  return rollingMean(trueRanges, window);
+}
+
+/**
+ * Supported estimators keyed by id
+ * `label` names the series, `unit` is '%' (percent per candle) or 'pts' (index points)
+ * @type {Object<string, {id: string, name: string, label: string, unit: string, estimate: Function}>}
+ */
+export const VOLATILITY_ESTIMATORS = {
+  legacy: {
+    id: 'legacy',
+    name: 'Composite score (legacy)',
+    label: 'Volatility',
+    unit: '%',
+    estimate: legacyScore
+  },
+  'close-to-close': {
+    id: 'close-to-close',
+    name: 'Close-to-close',
+    label: 'Close-to-Close Volatility',
+    unit: '%',
+    estimate: closeToClose
+  },
+  parkinson: {
+    id: 'parkinson',
+    name: 'Parkinson',
+    label: 'Parkinson Volatility',
+    unit: '%',
+    estimate: parkinson
+  },
+  'garman-klass': {
+    id: 'garman-klass',
+    name: 'Garman-Klass',
+    label: 'Garman-Klass Volatility',
+    unit: '%',
+    estimate: garmanKlass
+  },
+  'rogers-satchell': {
+    id: 'rogers-satchell',
+    name: 'Rogers-Satchell',
+    label: 'Rogers-Satchell Volatility',
+    unit: '%',
+    estimate: rogersSatchell
+  },
+  atr: {
+    id: 'atr',
+    name: 'Average true range',
+    label: 'ATR',
+    unit: 'pts',
+    estimate: averageTrueRange
+  }
+};
+
+/**
+ * Get registry entry for an estimator id
+ * @param {string} id - Estimator id (e.g. 'parkinson')
+ * @returns {Object|null} Estimator or null if the id is not supported
+ */
+export function getVolatilityEstimator(id) {
+  return Object.prototype.hasOwnProperty.call(VOLATILITY_ESTIMATORS, id) ? VOLATILITY_ESTIMATORS[id] : null;
+}
+
+/**
+ * Get all supported estimators in display order
+ * @returns {Object[]} Array of estimators
+ */
+export function getSupportedVolatilityEstimators() {
+  return Object.values(VOLATILITY_ESTIMATORS);
+}
+
+/**
+ * Estimate volatility for every candle with the chosen estimator
+ * @param {StockData[]} priceData - Candles in chronological order
+ * @param {string} id - Estimator id (default 'legacy')
+ * @param {number} window - Rolling window size (default 10)
+ * @returns {Array<number|null>} Volatility per candle; null where the estimator is undefined
+ */
+export function estimateVolatility(priceData, id = DEFAULT_VOLATILITY_ESTIMATOR, window = DEFAULT_VOLATILITY_WINDOW) {
+  const estimator = getVolatilityEstimator(id);
+  if (!estimator) {
+    throw new Error(`Unsupported volatility estimator: ${id}`);
+  }
+
+  if (!Number.isInteger(window) || window < 2) {
+    throw new Error(`Volatility window must be an integer of at least 2, got ${window}`);
+  }
+
+  return estimator.estimate(priceData, window);
+}
+
+/**
+ * Format a volatility value in the estimator's units
+ * @param {number} value - Volatility value
+ * @param {string} id - Estimator id (default 'legacy')
+ * @param {number} digits - Decimal places (default 2)
+ * @returns {string} Formatted value, e.g. '1.25%' or '182.40 pts'
+ */
+export function formatVolatility(value, id = DEFAULT_VOLATILITY_ESTIMATOR, digits = 2) {
+  const unit = getVolatilityEstimator(id)?.unit || '%';
+  return unit === '%' ? `${value.toFixed(digits)}%` : `${value.toFixed(digits)} ${unit}`;
+}
@@ -0,0 +1,172 @@
+/**
+ * Tests for VolatilityEstimators utility
+ * Includes both unit tests and property-based tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import * as fc from 'fast-check';
+import {
+  VOLATILITY_ESTIMATORS,
+  DEFAULT_VOLATILITY_ESTIMATOR,
+  getVolatilityEstimator,
+  getSupportedVolatilityEstimators,
+  estimateVolatility,
+  formatVolatility
+} from './VolatilityEstimators.js';
+
+const candle = (open, high, low, close, volume = 1000) => ({
+  date: new Date('2024-01-01T04:00:00Z'),
+  open,
+  high,
+  low,
+  close,
+  volume
+});
+
+describe('VolatilityEstimators Utility', () => {
+  describe('registry', () => {
+    it('should expose every standard estimator plus the legacy score', () => {
+      expect(getSupportedVolatilityEstimators().map(estimator => estimator.id)).toEqual([
+        'legacy',
+        'close-to-close',
+        'parkinson',
+        'garman-klass',
+        'rogers-satchell',
+        'atr'
+      ]);
+      expect(DEFAULT_VOLATILITY_ESTIMATOR).toBe('legacy');
+    });
+
+    it('should report units for each estimator', () => {
+      expect(getVolatilityEstimator('parkinson').unit).toBe('%');
+      expect(getVolatilityEstimator('atr').unit).toBe('pts');
+      expect(getVolatilityEstimator('unknown')).toBeNull();
+      expect(getVolatilityEstimator('toString')).toBeNull();
+    });
+  });
+
+  describe('estimateVolatility', () => {
+    it('should reproduce the legacy composite score', () => {
+      const data = [candle(100, 102, 98, 101, 1000), candle(101, 104, 100, 103, 1500)];
+
+      const [first, second] = estimateVolatility(data, 'legacy');
+
+      // 0.4 * 1% + 0.4 * 4% + 0.002 * |0 - 100|
+      expect(first).toBeCloseTo(0.4 + 1.6 + 0.2, 10);
+      // 0.4 * |2/101| + 0.4 * 4/101 + 0.002 * |150 - 100|, in percent
+      expect(second).toBeCloseTo(0.4 * (200 / 101) + 0.4 * (400 / 101) + 0.1, 10);
+    });
+
+    it('should compute the sample stdev of close-to-close log returns', () => {
+      const data = [candle(100, 100, 100, 100), candle(100, 110, 100, 110), candle(110, 110, 99, 99)];
+      const returns = [Math.log(1.1), Math.log(0.9)];
+      const mean = (returns[0] + returns[1]) / 2;
+      const expected = Math.sqrt((returns[0] - mean) ** 2 + (returns[1] - mean) ** 2) * 100;
+
+      const result = estimateVolatility(data, 'close-to-close');
+
+      expect(result[0]).toBeNull();
+      expect(result[1]).toBeNull();
+      expect(result[2]).toBeCloseTo(expected, 10);
+    });
+
+    it('should compute the Parkinson estimator from the high-low range', () => {
+      const data = [candle(100, 101, 99, 100), candle(100, 101, 99, 100)];
+
+      const result = estimateVolatility(data, 'parkinson');
+
+      const expected = (Math.log(101 / 99) / Math.sqrt(4 * Math.LN2)) * 100;
+      expect(result[0]).toBeCloseTo(expected, 10);
+      expect(result[1]).toBeCloseTo(expected, 10);
+    });
+
+    it('should compute the Garman-Klass estimator', () => {
+      // With open = close only the range term remains
+      const data = [candle(100, 101, 99, 100), candle(100, 101, 99, 100)];
+
+      const result = estimateVolatility(data, 'garman-klass');
+
+      expect(result[1]).toBeCloseTo(Math.sqrt(0.5) * Math.log(101 / 99) * 100, 10);
+    });
+
+    it('should compute the Rogers-Satchell estimator', () => {
+      const data = [candle(100, 101, 99, 100), candle(99, 101, 99, 101)];
+
+      const result = estimateVolatility(data, 'rogers-satchell', 2);
+
+      const flat = Math.log(101 / 100) ** 2 + Math.log(99 / 100) ** 2;
+      // A bar opening at the low and closing at the high contributes zero variance
+      expect(result[0]).toBeCloseTo(Math.sqrt(flat) * 100, 10);
+      expect(result[1]).toBeCloseTo(Math.sqrt(flat / 2) * 100, 10);
+    });
+
+    it('should average true ranges including gaps from the previous close', () => {
+      const data = [candle(100, 102, 98, 101), candle(105, 106, 104, 105), candle(105, 107, 103, 104)];
+
+      const result = estimateVolatility(data, 'atr', 2);
+
+      // True ranges: 4, max(2, |106 - 101|, |104 - 101|) = 5, max(4, 2, 2) = 4
+      expect(result).toEqual([4, 4.5, 4.5]);
+    });
+
+    it('should only average candles inside the window', () => {
+      const data = [candle(100, 110, 90, 100), candle(100, 101, 99, 100), candle(100, 101, 99, 100)];
+
+      const result = estimateVolatility(data, 'parkinson', 2);
+
+      expect(result[2]).toBeCloseTo((Math.log(101 / 99) / Math.sqrt(4 * Math.LN2)) * 100, 10);
+    });
+
+    it('should reject unsupported estimators and windows', () => {
+      expect(() => estimateVolatility([], 'yang-zhang')).toThrow('Unsupported volatility estimator: yang-zhang');
+      expect(() => estimateVolatility([], 'parkinson', 1)).toThrow('Volatility window must be an integer of at least 2, got 1');
+    });
+  });
+
+  describe('formatVolatility', () => {
+    it('should format values in the estimator units', () => {
+      expect(formatVolatility(1.234, 'parkinson')).toBe('1.23%');
+      expect(formatVolatility(182.4, 'atr')).toBe('182.40 pts');
+      expect(formatVolatility(0.5, 'atr', 1)).toBe('0.5 pts');
+      expect(formatVolatility(2)).toBe('2.00%');
+    });
+  });
+
+  describe('Property-Based Tests', () => {
+    it('should produce one non-negative value (or null) per candle for every estimator', () => {
+      fc.assert(
+        fc.property(
+          fc.array(
+            fc.record({
+              open: fc.double({ min: 100, max: 30000, noNaN: true }),
+              close: fc.double({ min: 100, max: 30000, noNaN: true }),
+              up: fc.double({ min: 0, max: 500, noNaN: true }),
+              down: fc.double({ min: 0, max: 500, noNaN: true }),
+              volume: fc.integer({ min: 0, max: 1e9 })
+            }).map(({ open, close, up, down, volume }) => candle(
+              open,
+              Math.max(open, close) + up,
+              Math.max(1, Math.min(open, close) - down),
+              close,
+              volume
+            )),
+            { minLength: 2, maxLength: 40 }
+          ),
+          fc.constantFrom(...Object.keys(VOLATILITY_ESTIMATORS)),
+          (data, id) => {
+            const result = estimateVolatility(data, id);
+
+            expect(result).toHaveLength(data.length);
+            result.forEach(value => {
+              if (value !== null) {
+                expect(Number.isFinite(value)).toBe(true);
+                expect(value).toBeGreaterThanOrEqual(0);
+              }
+            });
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+});
@@ -1,6 +1,75 @@
 import { defineConfig } from 'vite'
+import { readSnapshots } from './src/utils/MemeArchiveFile.js'
+import { getArchivedPosts } from './src/utils/MemeArchive.js'
+import { readSources, writeSources } from './src/utils/SourceConfigFile.js'
+import { SourceConfigError } from './src/utils/SourceConfig.js'
+
+// Serve the local meme archive written by scripts/collect-memes.js to MemeArchiveAPI
+const memeArchive = () => ({
+  name: 'meme-archive',
+  configureServer(server) {
+    server.middlewares.use('/api/archive/memes', async (req, res) => {
+      const params = new URL(req.url, 'http://localhost').searchParams
+      const start = Number(params.get('start'))
+      const end = Number(params.get('end'))
+      res.setHeader('Content-Type', 'application/json')
+      if (!Number.isFinite(start) || !Number.isFinite(end)) {
+        res.statusCode = 400
+        res.end(JSON.stringify({ error: 'start and end must be epoch milliseconds' }))
+        return
+      }
+      try {
+        const posts = getArchivedPosts(await readSnapshots(), start, end)
+        res.end(JSON.stringify({ posts }))
+      } catch (error) {
+        console.log('Meme archive error:', error)
+        res.statusCode = 500
+        res.end(JSON.stringify({ error: error.message }))
+      }
+    })
+  }
+})
+
+// Read and save the subreddit source configuration (data/sources.json) for SourceConfigAPI
+const sourceConfig = () => ({
+  name: 'source-config',
+  configureServer(server) {
+    server.middlewares.use('/api/sources', async (req, res) => {
+      res.setHeader('Content-Type', 'application/json')
+      try {
+        if (req.method === 'GET') {
+          res.end(JSON.stringify({ sources: await readSources() }))
+          return
+        }
+        if (req.method !== 'PUT') {
+          res.statusCode = 405
+          res.setHeader('Allow', 'GET, PUT')
+          res.end(JSON.stringify({ error: 'Use GET or PUT' }))
+          return
+        }
+
+        let body = ''
+        for await (const chunk of req) {
+          body += chunk
+        }
+        let sources
+        try {
+          sources = JSON.parse(body).sources
+        } catch {
+          throw new SourceConfigError('Request body must be JSON')
+        }
+        res.end(JSON.stringify({ sources: await writeSources(sources) }))
+      } catch (error) {
+        console.log('Source configuration error:', error)
+        res.statusCode = error instanceof SourceConfigError ? 400 : 500
+        res.end(JSON.stringify({ error: error.message }))
+      }
+    })
+  }
+})
 
 export default defineConfig({
+  plugins: [memeArchive(), sourceConfig()],
   server: {
     proxy: {
       // Proxy Yahoo Finance API requests